@@ -1,9 +1,15 @@
 import { spawn } from 'child_process';
 import { once } from 'events';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
 
 const SERVER_COMMAND = process.execPath;
 const SERVER_ARGS = ['src/mcp-server.js'];
+const HTTP_SERVER_ARGS = ['src/mcp-http.js', '3198'];
+const HTTP_URL = 'http://localhost:3198/mcp';
+// Idle timeout of the HTTP sessions in the smoke test (MCP_HTTP_IDLE_MINUTES)
+const HTTP_IDLE_MINUTES = 0.02;
 const REQUEST_TIMEOUT_MS = 8000;
+const TOOL_ERROR_CODES = ['NOT_FOUND', 'VALIDATION', 'CYCLE', 'CONFLICT', 'INTERNAL'];
 
 function assert(condition, message) {
   if (!condition) {
@@ -16,7 +22,18 @@ class MCPTestClient {
     this.nextId = 1;
     this.pending = new Map();
     this.stdoutBuffer = '';
+    this.notifications = [];
     this.server = null;
+    // tool name -> validator of its outputSchema, set from tools/list
+    this.outputValidators = new Map();
+  }
+
+  useOutputSchemas(tools) {
+    const ajv = new AjvJsonSchemaValidator();
+    for (const tool of tools) {
+      assert(tool.outputSchema?.type === 'object', `Tool ${tool.name} has no outputSchema`);
+      this.outputValidators.set(tool.name, ajv.getValidator(tool.outputSchema));
+    }
   }
 
   async start() {
@@ -44,6 +61,8 @@ class MCPTestClient {
             const { resolve } = this.pending.get(message.id);
             this.pending.delete(message.id);
             resolve(message);
+          } else if (message.method && message.id === undefined) {
+            this.notifications.push(message);
           }
         } catch {
           // ignore non-JSON lines
@@ -109,8 +128,182 @@ class MCPTestClient {
     assert(!response.error, `Tool ${name} returned error: ${response.error?.message}`);
     assert(response.result?.content?.[0]?.text, `Tool ${name} returned empty content`);
 
+    const { structuredContent, isError } = response.result;
+    assert(structuredContent, `Tool ${name} returned no structuredContent`);
+    assert(JSON.stringify(structuredContent, null, 2) === response.result.content[0].text, `Tool ${name} text and structuredContent differ`);
+    if (isError) {
+      assert(structuredContent.success === false && TOOL_ERROR_CODES.includes(structuredContent.code), `Tool ${name} failed without an error code`);
+    } else {
+      assert(structuredContent.success !== false, `Tool ${name} returned success=false without isError`);
+    }
+    const validate = this.outputValidators.get(name);
+    if (validate) {
+      const validation = validate(structuredContent);
+      assert(validation.valid, `Tool ${name} output does not match its outputSchema: ${validation.errorMessage}`);
+    }
+
+    return structuredContent;
+  }
+
+  async readResource(uri) {
+    const response = await this.call('resources/read', { uri });
+    assert(!response.error, `resources/read ${uri} returned error: ${response.error?.message}`);
+    assert(response.result?.contents?.[0]?.text, `resources/read ${uri} returned empty contents`);
+
+    return JSON.parse(response.result.contents[0].text);
+  }
+}
+
+// Client for the streamable HTTP transport: responses come back as JSON or
+// as an SSE stream; server notifications arrive on the GET stream
+class MCPHttpTestClient {
+  constructor() {
+    this.nextId = 1;
+    this.sessionId = null;
+    this.stream = null;
+    this.streamBuffer = '';
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+      headers['Mcp-Protocol-Version'] = '2025-03-26';
+    }
+    return headers;
+  }
+
+  async post(message) {
+    const response = await fetch(HTTP_URL, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    this.sessionId = this.sessionId || response.headers.get('mcp-session-id');
+    if (response.status === 202) return null;
+
+    const body = await response.text();
+    if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+      return JSON.parse(body);
+    }
+    const data = body.split('\n').filter((line) => line.startsWith('data: ')).map((line) => JSON.parse(line.slice(6)));
+    return data.find((item) => item.id === message.id) || null;
+  }
+
+  async call(method, params = {}) {
+    return await this.post({ jsonrpc: '2.0', id: this.nextId++, method, params });
+  }
+
+  async initialize() {
+    const response = await this.call('initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'mcp-smoke-test-http', version: '1.0.0' }
+    });
+    assert(!response.error && this.sessionId, `HTTP initialize failed: ${response.error?.message}`);
+    await this.post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  }
+
+  async callTool(name, args = {}) {
+    const response = await this.call('tools/call', { name, arguments: args });
+    assert(!response.error, `Tool ${name} returned error over HTTP: ${response.error?.message}`);
     return JSON.parse(response.result.content[0].text);
   }
+
+  async openStream() {
+    const response = await fetch(HTTP_URL, { headers: { ...this.headers(), Accept: 'text/event-stream' } });
+    assert(response.status === 200, `GET stream failed with status ${response.status}`);
+    this.stream = response.body.getReader();
+  }
+
+  async waitForNotification(method) {
+    const decoder = new TextDecoder();
+    const deadline = Date.now() + REQUEST_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const found = this.streamBuffer.split('\n')
+        .filter((line) => line.startsWith('data: '))
+        .map((line) => JSON.parse(line.slice(6)))
+        .find((message) => message.method === method);
+      if (found) return found;
+
+      const { value, done } = await Promise.race([
+        this.stream.read(),
+        new Promise((resolve) => setTimeout(() => resolve({ done: true }), deadline - Date.now()))
+      ]);
+      if (done) break;
+      this.streamBuffer += decoder.decode(value, { stream: true });
+    }
+    throw new Error(`Timeout waiting for ${method} on the HTTP stream`);
+  }
+
+  async close() {
+    if (this.stream) await this.stream.cancel();
+    if (this.sessionId) {
+      await fetch(HTTP_URL, { method: 'DELETE', headers: this.headers() });
+    }
+  }
+}
+
+async function runHttpSmokeTest() {
+  const server = spawn(SERVER_COMMAND, HTTP_SERVER_ARGS, {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    shell: false,
+    env: { ...process.env, MCP_HTTP_IDLE_MINUTES: String(HTTP_IDLE_MINUTES) }
+  });
+  server.stderr.on('data', (chunk) => process.stderr.write(`[mcp-http] ${chunk}`));
+  const watcher = new MCPHttpTestClient();
+  const editor = new MCPHttpTestClient();
+
+  try {
+    console.log('Starting MCP HTTP server...');
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('Timeout waiting for the MCP HTTP server')), REQUEST_TIMEOUT_MS);
+      server.stdout.on('data', (chunk) => {
+        if (String(chunk).includes('running at')) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+      server.on('exit', (code) => reject(new Error(`MCP HTTP server exited with code ${code}`)));
+    });
+
+    console.log('Checking HTTP sessions...');
+    await watcher.initialize();
+    await editor.initialize();
+    assert(watcher.sessionId !== editor.sessionId, 'Each HTTP client should get its own session');
+    const tools = await editor.call('tools/list');
+    assert(tools.result?.tools?.some((tool) => tool.name === 'add_task'), 'tools/list over HTTP should list the tools');
+    const missingSession = await new MCPHttpTestClient().call('tools/list');
+    assert(missingSession.error, 'Requests without a session should be rejected');
+
+    console.log('Checking notifications across sessions...');
+    const project = await editor.callTool('create_project', { name: `HTTP Smoke ${Date.now()}` });
+    const task = await editor.callTool('add_task', { project_id: project.project_id, title: 'Shared task' });
+    await watcher.openStream();
+    const subscribe = await watcher.call('resources/subscribe', { uri: `tracker://tasks/${task.task_id}` });
+    assert(!subscribe.error, `HTTP resources/subscribe failed: ${subscribe.error?.message}`);
+    await editor.callTool('update_task', { id: task.task_id, status: 'in-progress' });
+    const updated = await watcher.waitForNotification('notifications/resources/updated');
+    assert(updated.params.uri === `tracker://tasks/${task.task_id}`, 'Changes made by one session should notify the others');
+    await editor.callTool('delete_project', { id: project.project_id });
+
+    console.log('Checking idle sessions...');
+    await new Promise((resolve) => setTimeout(resolve, HTTP_IDLE_MINUTES * 60 * 1000 * 2));
+    const expired = await editor.call('tools/list');
+    assert(expired.error, 'Idle HTTP sessions should be closed');
+    const streaming = await watcher.call('tools/list');
+    assert(!streaming.error, 'Sessions with an open notification stream should stay open');
+
+    console.log('✅ MCP HTTP smoke test passed');
+  } finally {
+    await watcher.close().catch(() => {});
+    await editor.close().catch(() => {});
+    if (server.exitCode === null) {
+      server.kill('SIGINT');
+      await once(server, 'exit');
+    }
+  }
 }
 
 async function runSmokeTest() {
@@ -151,12 +344,62 @@ async function runSmokeTest() {
       'add_dependency',
       'remove_dependency',
       'get_blocked_tasks',
-      'get_next_actionable'
+      'get_next_actionable',
+      'add_subtask',
+      'get_task_tree',
+      'create_milestone',
+      'list_milestones',
+      'update_milestone',
+      'get_milestone_summary',
+      'create_sprint',
+      'list_sprints',
+      'start_sprint',
+      'commit_to_sprint',
+      'remove_from_sprint',
+      'close_sprint',
+      'get_sprint_report',
+      'add_comment',
+      'list_comments',
+      'update_comment',
+      'delete_comment',
+      'log_work',
+      'start_timer',
+      'stop_timer',
+      'list_work_logs',
+      'delete_work_log',
+      'get_time_report',
+      'update_project',
+      'get_estimation_report',
+      'get_workflow',
+      'set_workflow',
+      'create_custom_field',
+      'list_custom_fields',
+      'update_custom_field',
+      'delete_custom_field',
+      'set_recurrence',
+      'get_recurrence',
+      'remove_recurrence',
+      'search_tasks',
+      'create_view',
+      'list_views',
+      'run_view',
+      'update_view',
+      'delete_view',
+      'get_due_tasks',
+      'get_flow_metrics',
+      'get_flow_series',
+      'get_critical_path',
+      'get_dependency_graph',
+      'get_upstream_tasks',
+      'get_downstream_tasks',
+      'get_delay_impact',
+      'apply_plan'
     ];
 
     for (const toolName of expectedTools) {
       assert(toolNames.includes(toolName), `Missing MCP tool: ${toolName}`);
     }
+    client.useOutputSchemas(tools);
 
     console.log('Creating project...');
     const createProject = await client.callTool('create_project', {
@@ -168,6 +411,15 @@ async function runSmokeTest() {
     const projectId = createProject.project_id;
     assert(Number.isInteger(projectId) && projectId > 0, 'Invalid project_id from create_project');
 
+    console.log('Creating milestone...');
+    const createMilestone = await client.callTool('create_milestone', {
+      project_id: projectId,
+      name: 'Smoke release',
+      target_date: '2026-12-31'
+    });
+    assert(createMilestone.success === true, 'create_milestone did not return success=true');
+    const milestoneId = createMilestone.milestone_id;
+
     console.log('Adding tasks...');
     const foundationTask = await client.callTool('add_task', {
       project_id: projectId,
@@ -177,7 +429,8 @@ async function runSmokeTest() {
       category: 'setup',
       assignee: 'copilot',
       due_date: '2026-12-31',
-      tags: ['base']
+      tags: ['base'],
+      milestone_id: milestoneId
     });
     assert(foundationTask.success === true, 'foundation add_task failed');
     const foundationTaskId = foundationTask.task_id;
@@ -190,12 +443,23 @@ async function runSmokeTest() {
       category: 'integration',
       assignee: 'copilot',
       due_date: '2026-12-31',
-      tags: ['mcp', 'smoke']
+      tags: ['mcp', 'smoke'],
+      estimate: 3
     });
     assert(integrationTask.success === true, 'integration add_task failed');
     const taskId = integrationTask.task_id;
     assert(Number.isInteger(taskId) && taskId > 0, 'Invalid task_id from add_task');
 
+    console.log('Adding subtask...');
+    const subtask = await client.callTool('add_subtask', {
+      parent_id: foundationTaskId,
+      title: 'Foundation checklist'
+    });
+    assert(subtask.success === true, 'add_subtask failed');
+
+    const tree = await client.callTool('get_task_tree', { task_id: foundationTaskId });
+    assert(tree.tree?.children?.some((child) => child.id === subtask.task_id), 'Subtask missing from get_task_tree');
+
     console.log('Adding dependency...');
     const addDependency = await client.callTool('add_dependency', {
       task_id: taskId,
@@ -216,17 +480,54 @@ async function runSmokeTest() {
     });
     assert(updateTask.success === true, 'update_task did not return success=true');
 
+    console.log('Checking comments...');
+    const comments = await client.callTool('list_comments', { task_id: foundationTaskId });
+    assert(comments.comments?.some((comment) => comment.body === 'dependency resolved'), 'update_task notes should be stored as a comment');
+
     console.log('Checking actionable tasks...');
     const actionable = await client.callTool('get_next_actionable', { project_id: projectId });
     assert(Array.isArray(actionable.tasks), 'get_next_actionable did not return tasks');
     assert(actionable.tasks.some((task) => task.id === taskId), 'Integration task should become actionable');
 
+    const fitting = await client.callTool('get_next_actionable', { project_id: projectId, available: 3 });
+    assert(fitting.tasks.length === 1 && fitting.tasks[0].id === taskId, 'Only the estimated task should fit the budget');
+
+    console.log('Checking critical path...');
+    const criticalPath = await client.callTool('get_critical_path', { project_id: projectId, start_date: '2026-11-02' });
+    assert(criticalPath.critical_path.length > 0 && criticalPath.start_date === '2026-11-02', 'get_critical_path should return a critical chain');
+    assert(criticalPath.tasks.every((task) => task.slack >= 0), 'get_critical_path slack should never be negative');
+
+    console.log('Checking transitive dependencies...');
+    const upstream = await client.callTool('get_upstream_tasks', { task_id: taskId });
+    assert(upstream.tasks.some((task) => task.id === foundationTaskId && task.depth === 1), 'get_upstream_tasks should include the direct dependency');
+    const downstream = await client.callTool('get_downstream_tasks', { task_id: foundationTaskId });
+    assert(downstream.tasks.some((task) => task.id === taskId), 'get_downstream_tasks should include the dependent task');
+    const impact = await client.callTool('get_delay_impact', { task_id: foundationTaskId });
+    assert(typeof impact.total === 'number' && Array.isArray(impact.milestones), 'get_delay_impact should summarize the waiting tasks');
+
+    console.log('Exporting dependency graph...');
+    const graph = await client.callTool('get_dependency_graph', { task_id: taskId, direction: 'upstream' });
+    assert(graph.edges.some((edge) => edge.from === foundationTaskId && edge.to === taskId), 'get_dependency_graph should include the dependency edge');
+    const mermaid = await client.callTool('get_dependency_graph', { project_id: projectId, format: 'mermaid' });
+    assert(mermaid.graph.startsWith('flowchart LR') && mermaid.graph.includes(`t${foundationTaskId}`), 'get_dependency_graph should render Mermaid');
+
     console.log('Fetching tasks...');
     const getTasks = await client.callTool('get_tasks', {
       project_id: projectId
     });
     assert(Array.isArray(getTasks.tasks), 'get_tasks did not return tasks array');
     assert(getTasks.tasks.some((task) => task.id === taskId), 'Created integration task not found in get_tasks');
+    const firstPage = await client.callTool('get_tasks', { project_id: projectId, limit: 1, sort: 'title', fields: ['id', 'title'] });
+    assert(firstPage.total === getTasks.total && firstPage.has_more === true, 'get_tasks should report total and has_more');
+    assert(Object.keys(firstPage.tasks[0]).join() === 'id,title', 'get_tasks should only return the requested fields');
+    const secondPage = await client.callTool('get_tasks', { project_id: projectId, limit: 1, sort: 'title', cursor: firstPage.next_cursor });
+    assert(secondPage.tasks[0].id !== firstPage.tasks[0].id, 'get_tasks cursor should advance to the next page');
+    const badDependency = await client.callTool('add_task', { project_id: projectId, title: 'Orphan', depends_on: [999999999] });
+    assert(badDependency.code === 'NOT_FOUND', 'add_task should report unknown dependencies as NOT_FOUND');
+    const badSubtaskDependency = await client.callTool('add_subtask', { parent_id: foundationTaskId, title: 'Orphan', depends_on: [999999999] });
+    assert(badSubtaskDependency.code === 'NOT_FOUND', 'add_subtask should report unknown dependencies as NOT_FOUND');
+    const afterFailedAdds = await client.callTool('get_tasks', { project_id: projectId, limit: 1 });
+    assert(afterFailedAdds.total === getTasks.total, 'A failed add_task or add_subtask should not leave the task behind');
 
     console.log('Fetching task detail...');
     const taskDetail = await client.callTool('get_task_by_id', { id: taskId });
@@ -234,6 +535,15 @@ async function runSmokeTest() {
     assert(Array.isArray(taskDetail.history), 'Task detail should include history');
     assert(Array.isArray(taskDetail.dependencies), 'Task detail should include dependencies');
 
+    console.log('Logging work...');
+    const logWork = await client.callTool('log_work', {
+      task_id: taskId,
+      minutes: 45,
+      person: 'copilot',
+      remaining_minutes: 60
+    });
+    assert(logWork.success === true, 'log_work did not return success=true');
+
     console.log('Fetching summary...');
     const summary = await client.callTool('get_project_summary', {
       project_id: projectId
@@ -241,6 +551,167 @@ async function runSmokeTest() {
     assert(summary.project_id === projectId, 'Summary project_id mismatch');
     assert(summary.summary?.total >= 1, 'Summary total should be >= 1');
     assert(summary.summary?.dependency_stats, 'Summary should include dependency_stats');
+    assert(summary.summary?.time_tracking?.logged_minutes === 45, 'Summary should include logged time');
+    assert(summary.summary?.status_counts?.tested === 1, 'Summary should count tasks per workflow status');
+
+    console.log('Checking resources...');
+    const resourcesList = await client.call('resources/list', {});
+    const resourceUris = (resourcesList.result?.resources || []).map((resource) => resource.uri);
+    assert(resourceUris.includes('tracker://projects'), 'resources/list should include tracker://projects');
+    assert(resourceUris.includes(`tracker://projects/${projectId}/summary`), 'resources/list should include the project summary');
+    const templates = await client.call('resources/templates/list', {});
+    assert(templates.result?.resourceTemplates?.some((template) => template.uriTemplate === 'tracker://tasks/{id}'), 'Missing tracker://tasks/{id} template');
+    const summaryResource = await client.readResource(`tracker://projects/${projectId}/summary`);
+    assert(summaryResource.summary?.time_tracking?.logged_minutes === 45, 'Summary resource should match get_project_summary');
+    const taskResource = await client.readResource(`tracker://tasks/${taskId}`);
+    assert(taskResource.id === taskId && taskResource.dependencies.includes(foundationTaskId), 'Task resource should include dependencies');
+    const missingResource = await client.call('resources/read', { uri: 'tracker://tasks/999999' });
+    assert(missingResource.error?.code === -32002, 'Unknown tasks should return resource not found');
+
+    const subscribe = await client.call('resources/subscribe', { uri: `tracker://tasks/${taskId}` });
+    assert(!subscribe.error, `resources/subscribe failed: ${subscribe.error?.message}`);
+    await client.callTool('get_task_by_id', { id: taskId });
+    await client.callTool('update_task', { id: taskId, assignee: 'resource-watcher' });
+    const updates = client.notifications.filter((message) => message.method === 'notifications/resources/updated');
+    assert(updates.length === 1 && updates[0].params.uri === `tracker://tasks/${taskId}`, 'Changing a task should notify its subscribers once');
+    await client.call('resources/unsubscribe', { uri: `tracker://tasks/${taskId}` });
+
+    console.log('Checking prompts...');
+    const promptsList = await client.call('prompts/list', {});
+    const promptNames = (promptsList.result?.prompts || []).map((prompt) => prompt.name);
+    for (const promptName of ['plan_project_from_spec', 'daily_standup', 'triage_blocked_tasks', 'release_readiness_review']) {
+      assert(promptNames.includes(promptName), `Missing MCP prompt: ${promptName}`);
+    }
+    const triagePrompt = await client.call('prompts/get', { name: 'triage_blocked_tasks', arguments: { project_id: String(projectId) } });
+    assert(!triagePrompt.error, `prompts/get failed: ${triagePrompt.error?.message}`);
+    assert(triagePrompt.result?.messages?.[0]?.content?.text?.includes('## Blocked tasks'), 'Triage prompt should include the blocked tasks');
+    const invalidPrompt = await client.call('prompts/get', { name: 'daily_standup', arguments: {} });
+    assert(invalidPrompt.error?.code === -32602, 'prompts/get should reject missing arguments');
+
+    console.log('Checking workflow...');
+    const workflow = await client.callTool('get_workflow', { project_id: projectId });
+    assert(workflow.statuses?.[0]?.name === 'pending', 'Projects should start with the default workflow');
+    const invalidStatus = await client.callTool('update_task', { id: taskId, status: 'in-review' });
+    assert(invalidStatus.code === 'VALIDATION' && invalidStatus.reason === 'INVALID_STATUS', 'update_task should reject statuses outside the workflow');
+    const missingTask = await client.callTool('get_task_by_id', { id: 999999999 });
+    assert(missingTask.code === 'NOT_FOUND', 'get_task_by_id should report unknown tasks as NOT_FOUND');
+
+    console.log('Checking custom fields...');
+    const customField = await client.callTool('create_custom_field', {
+      project_id: projectId,
+      name: 'ticket',
+      type: 'text'
+    });
+    assert(customField.success === true, 'create_custom_field did not return success=true');
+    const setCustom = await client.callTool('update_task', { id: taskId, custom_fields: { ticket: 'SMOKE-1' } });
+    assert(setCustom.success === true, 'update_task should accept custom_fields');
+    const byTicket = await client.callTool('get_tasks', { project_id: projectId, custom_fields: { ticket: 'SMOKE-1' } });
+    assert(byTicket.tasks.length === 1 && byTicket.tasks[0].id === taskId, 'get_tasks should filter by custom field');
+
+    console.log('Checking recurring tasks...');
+    const chore = await client.callTool('add_task', {
+      project_id: projectId,
+      title: 'Weekly dependency audit',
+      due_date: '2026-01-05'
+    });
+    const recurrence = await client.callTool('set_recurrence', { task_id: chore.task_id, frequency: 'weekly' });
+    assert(recurrence.success === true, 'set_recurrence did not return success=true');
+    const completeChore = await client.callTool('update_task', { id: chore.task_id, status: 'deployed' });
+    assert(Number.isInteger(completeChore.next_occurrence_id), 'Completing a recurring task should create the next occurrence');
+    const nextChore = await client.callTool('get_task_by_id', { id: completeChore.next_occurrence_id });
+    assert(nextChore.due_date === '2026-01-12', 'Next occurrence should be due one week later');
+
+    console.log('Searching tasks...');
+    const search = await client.callTool('search_tasks', { query: '"dependency audit"', project_id: projectId });
+    assert(search.total === 2, 'search_tasks should find both audit occurrences');
+    assert(search.results[0].title_highlight.includes('**dependency audit**'), 'search_tasks should highlight matches');
+    const badSearch = await client.callTool('search_tasks', { query: '(audit' });
+    assert(badSearch.code === 'VALIDATION', 'search_tasks should reject malformed queries');
+
+    console.log('Querying tasks...');
+    const queried = await client.callTool('get_tasks', { project_id: projectId, q: 'status:pending due<2026-02-01 -has:assignee' });
+    assert(queried.tasks.length === 1 && queried.tasks[0].id === completeChore.next_occurrence_id, 'get_tasks q should match the pending chore');
+    const badQuery = await client.callTool('get_tasks', { q: 'priority>urgent' });
+    assert(badQuery.code === 'VALIDATION' && badQuery.error.includes('Invalid priority'), 'get_tasks should reject malformed queries');
+
+    console.log('Applying plans...');
+    const plan = await client.callTool('apply_plan', {
+      project_id: projectId,
+      operations: [
+        { op: 'create_task', ref: 'schema', title: 'Plan: schema', estimate: 2 },
+        { op: 'create_task', ref: 'endpoint', title: 'Plan: endpoint', depends_on: ['schema'] },
+        { op: 'add_dependency', task: 'endpoint', depends_on: foundationTaskId }
+      ]
+    });
+    assert(plan.success === true && plan.created.schema && plan.created.endpoint, 'apply_plan should create the planned tasks');
+    const planned = await client.callTool('get_task_by_id', { id: plan.created.endpoint });
+    assert(planned.dependencies.includes(plan.created.schema) && planned.dependencies.includes(foundationTaskId), 'apply_plan should resolve refs in dependencies');
+    const failedPlan = await client.callTool('apply_plan', {
+      project_id: projectId,
+      operations: [
+        { op: 'create_task', ref: 'orphan', title: 'Plan: should roll back' },
+        { op: 'add_dependency', task: plan.created.schema, depends_on: plan.created.endpoint }
+      ]
+    });
+    assert(failedPlan.code === 'CYCLE' && failedPlan.operations?.[1]?.code === 'CYCLE', 'apply_plan should report the failing operation');
+    const orphans = await client.callTool('search_tasks', { query: '"should roll back"', project_id: projectId });
+    assert(orphans.results.length === 0, 'A failed plan should not leave tasks behind');
+
+    console.log('Checking due tasks...');
+    const due = await client.callTool('get_due_tasks', { project_id: projectId });
+    assert(due.overdue.some((task) => task.id === completeChore.next_occurrence_id && task.overdue === true), 'get_due_tasks should list the overdue chore');
+    const overdue = await client.callTool('get_tasks', { project_id: projectId, overdue: true, fields: ['id'] });
+    assert(overdue.tasks.some((task) => task.id === completeChore.next_occurrence_id), 'get_tasks overdue should match the chore');
+
+    console.log('Checking flow metrics...');
+    const flow = await client.callTool('get_flow_metrics', { project_id: projectId, include_tasks: true });
+    assert(flow.tasks.some((task) => task.id === chore.task_id && task.lead_time_hours !== null), 'get_flow_metrics should include the completed chore');
+    assert(flow.throughput.total === flow.completed_tasks, 'get_flow_metrics throughput should count completed tasks');
+    const choreFlow = await client.callTool('get_flow_metrics', { task_id: chore.task_id });
+    assert(choreFlow.completed_at !== null && choreFlow.timeline.length >= 2, 'get_flow_metrics should return the task timeline');
+    const badFlow = await client.callTool('get_flow_metrics', { from: 'yesterday' });
+    assert(badFlow.code === 'VALIDATION', 'get_flow_metrics should reject invalid dates');
+    const cfd = await client.callTool('get_flow_series', { project_id: projectId, chart: 'cumulative_flow' });
+    assert(cfd.series.length === 30 && cfd.series[29].total > 0, 'get_flow_series should return 30 days of counts');
+    const burndownCsv = await client.callTool('get_flow_series', { project_id: projectId, chart: 'burndown', format: 'csv' });
+    assert(burndownCsv.csv.startsWith('date,total,completed,remaining,ideal'), 'get_flow_series should return CSV');
+
+    console.log('Checking saved views...');
+    const view = await client.callTool('create_view', {
+      name: `Smoke chores ${projectId}`,
+      filters: { project_id: projectId, q: 'is:open title:chore OR audit' }
+    });
+    assert(view.code === 'VALIDATION', 'create_view should reject unknown query fields');
+    const savedView = await client.callTool('create_view', {
+      name: `Smoke chores ${projectId}`,
+      filters: { project_id: projectId, q: 'is:open audit' },
+      sort: 'due_date'
+    });
+    assert(savedView.success === true, 'create_view did not return success=true');
+    const viewRun = await client.callTool('run_view', { name: savedView.view.name, fields: ['id'] });
+    assert(viewRun.total === 1 && viewRun.tasks[0].id === completeChore.next_occurrence_id, 'run_view should return the open chore');
+    const deleteView = await client.callTool('delete_view', { id: savedView.view.id });
+    assert(deleteView.success === true, 'delete_view did not return success=true');
+
+    console.log('Planning sprint...');
+    const createSprint = await client.callTool('create_sprint', {
+      project_id: projectId,
+      name: 'Smoke sprint',
+      start_date: '2026-12-01',
+      end_date: '2026-12-14'
+    });
+    assert(createSprint.success === true, 'create_sprint did not return success=true');
+    const commit = await client.callTool('commit_to_sprint', {
+      sprint_id: createSprint.sprint_id,
+      task_ids: [foundationTaskId, taskId]
+    });
+    assert(commit.committed?.length === 2, 'commit_to_sprint should commit both tasks');
+    const sprintReport = await client.callTool('get_sprint_report', { id: createSprint.sprint_id });
+    assert(sprintReport.total_scope === 2, 'Sprint report total_scope should be 2');
+
+    console.log('Fetching milestone summary...');
+    const milestoneSummary = await client.callTool('get_milestone_summary', { id: milestoneId });
+    assert(milestoneSummary.summary?.total >= 1, 'Milestone summary total should be >= 1');
 
     console.log('Deleting tasks...');
     const deleteTask = await client.callTool('delete_task', { id: taskId });
@@ -251,6 +722,7 @@ async function runSmokeTest() {
     console.log('Deleting project...');
     const deleteProject = await client.callTool('delete_project', { id: projectId });
     assert(deleteProject.success === true, 'delete_project did not return success=true');
+    assert(client.notifications.some((message) => message.method === 'notifications/resources/list_changed'), 'Deleting a project should change the resource list');
 
     console.log('✅ MCP smoke test passed');
   } finally {
@@ -258,7 +730,7 @@ async function runSmokeTest() {
   }
 }
 
-runSmokeTest().catch((error) => {
+runSmokeTest().then(runHttpSmokeTest).catch((error) => {
   console.error(`❌ MCP smoke test failed: ${error.message}`);
   process.exit(1);
 });
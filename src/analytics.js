@@ -0,0 +1,326 @@
+// Flow analytics computed from the status changes recorded in `history`.
+//
+// A task's timeline starts at created_at in the status it had before its first
+// recorded change (its current status when it never changed) and moves on at
+// every status change. A task is completed at its last move into a final
+// status of its workflow: lead time runs from creation to that moment and
+// cycle time from the first move into a started status (see startedStatuses
+// in workflows.js; the estimation report uses the same). Throughput counts
+// completions per week; weeks start on Monday (UTC).
+//
+// Burndown and cumulative flow series replay the same history day by day: a
+// task counts from the day it was created, in the status it had at the end of
+// each day.
+
+import { isValidDate } from './recurrence.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_SERIES_DAYS = 30;
+const MAX_SERIES_DAYS = 366;
+
+export class AnalyticsError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.code = code;
+  }
+}
+
+// SQLite timestamps are UTC without a zone designator
+function toTime(timestamp) {
+  return Date.parse(`${String(timestamp).replace(' ', 'T')}Z`);
+}
+
+function toHours(ms) {
+  return Math.round((ms / HOUR_MS) * 100) / 100;
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export function weekStart(timestamp) {
+  const time = toTime(timestamp.length === 10 ? `${timestamp} 00:00:00` : timestamp);
+  const day = (new Date(time).getUTCDay() + 6) % 7;
+  return formatDate(time - (time % DAY_MS) - day * DAY_MS);
+}
+
+function validateDates(dates) {
+  for (const [name, value] of Object.entries(dates)) {
+    if (value && !isValidDate(value)) {
+      throw new AnalyticsError(`${name} must be a date YYYY-MM-DD`);
+    }
+  }
+  if (dates.from && dates.to && dates.from > dates.to) {
+    throw new AnalyticsError('from must not be after to');
+  }
+}
+
+// Groups history rows (ordered by task and time) by task_id
+export function groupByTask(changes) {
+  const groups = new Map();
+  for (const change of changes) {
+    if (!groups.has(change.task_id)) groups.set(change.task_id, []);
+    groups.get(change.task_id).push(change);
+  }
+  return groups;
+}
+
+export function normalizeFlowFilters({ project_id = null, assignee = null, from = null, to = null } = {}) {
+  validateDates({ from, to });
+
+  const filters = {};
+  if (project_id) filters.project_id = project_id;
+  if (assignee) filters.assignee = assignee;
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+  return filters;
+}
+
+// Replays the status changes of a task (oldest first). `statuses` holds the
+// started and final status names of the task's workflow as Sets.
+export function taskFlow(task, changes, statuses, now = new Date()) {
+  const timeline = [];
+  let status = changes.length > 0 ? changes[0].old_value : task.status;
+  let since = task.created_at;
+  for (const change of changes) {
+    timeline.push({ status, from: since, to: change.changed_at });
+    status = change.new_value;
+    since = change.changed_at;
+  }
+  timeline.push({ status, from: since, to: null });
+
+  let completedAt = null;
+  if (statuses.final.has(task.status)) {
+    const finished = changes.filter((change) => statuses.final.has(change.new_value));
+    completedAt = finished.length > 0 ? finished[finished.length - 1].changed_at : task.completed_at || null;
+  }
+
+  let startedAt = statuses.started.has(timeline[0].status) ? task.created_at : null;
+  if (!startedAt) {
+    const started = changes.find((change) => statuses.started.has(change.new_value));
+    startedAt = started && (!completedAt || toTime(started.changed_at) <= toTime(completedAt)) ? started.changed_at : null;
+  }
+
+  // Time in the final status after completion is not part of the flow
+  const end = completedAt ? toTime(completedAt) : now.getTime();
+  const timeInStatus = {};
+  for (const entry of timeline) {
+    const ms = Math.min(entry.to ? toTime(entry.to) : end, end) - toTime(entry.from);
+    entry.hours = toHours(Math.max(ms, 0));
+    if (ms > 0) {
+      timeInStatus[entry.status] = toHours((timeInStatus[entry.status] || 0) * HOUR_MS + ms);
+    }
+  }
+
+  return {
+    id: task.id,
+    project_id: task.project_id,
+    project_name: task.project_name,
+    title: task.title,
+    assignee: task.assignee,
+    status: task.status,
+    created_at: task.created_at,
+    started_at: startedAt,
+    completed_at: completedAt,
+    lead_time_hours: completedAt ? toHours(toTime(completedAt) - toTime(task.created_at)) : null,
+    cycle_time_hours: completedAt && startedAt ? toHours(toTime(completedAt) - toTime(startedAt)) : null,
+    time_in_status: timeInStatus,
+    timeline
+  };
+}
+
+function percentile(sorted, fraction) {
+  return sorted[Math.max(Math.ceil(fraction * sorted.length) - 1, 0)];
+}
+
+// Count, average, median and 85th percentile (nearest rank) of durations in hours
+export function summarizeDurations(values) {
+  const sorted = values.filter((value) => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, average_hours: null, median_hours: null, p85_hours: null };
+  }
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    count: sorted.length,
+    average_hours: Math.round((total / sorted.length) * 100) / 100,
+    median_hours: percentile(sorted, 0.5),
+    p85_hours: percentile(sorted, 0.85)
+  };
+}
+
+export function summarizeTimeInStatus(flows) {
+  const summary = {};
+  for (const flow of flows) {
+    for (const [status, hours] of Object.entries(flow.time_in_status)) {
+      summary[status] = summary[status] || { tasks: 0, total_hours: 0 };
+      summary[status].tasks += 1;
+      summary[status].total_hours += hours;
+    }
+  }
+  for (const entry of Object.values(summary)) {
+    entry.total_hours = Math.round(entry.total_hours * 100) / 100;
+    entry.average_hours = Math.round((entry.total_hours / entry.tasks) * 100) / 100;
+  }
+  return summary;
+}
+
+function weekRange(first, last) {
+  const weeks = [];
+  for (let time = toTime(`${first} 00:00:00`); formatDate(time) <= last; time += 7 * DAY_MS) {
+    weeks.push(formatDate(time));
+  }
+  return weeks;
+}
+
+// Weekly completions overall, per project and per assignee. Weeks without
+// completions are listed with 0 between `from` and `to` (or the first and
+// last completion when no range is given).
+export function weeklyThroughput(flows, { from = null, to = null } = {}) {
+  const completedWeeks = flows.map((flow) => weekStart(flow.completed_at)).sort();
+  const first = from ? weekStart(from) : completedWeeks[0];
+  const last = to ? weekStart(to) : completedWeeks[completedWeeks.length - 1];
+  const weeks = first && last ? weekRange(first, last) : [];
+
+  const count = (items) => weeks.map((week) => ({
+    week,
+    completed: items.filter((flow) => weekStart(flow.completed_at) === week).length
+  }));
+
+  const groupBy = (keyOf, describe) => {
+    const groups = new Map();
+    for (const flow of flows) {
+      const key = keyOf(flow);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(flow);
+    }
+    return [...groups.entries()]
+      .map(([key, items]) => ({ ...describe(key, items[0]), completed: items.length, weeks: count(items) }))
+      .sort((a, b) => b.completed - a.completed);
+  };
+
+  return {
+    total: flows.length,
+    average_per_week: weeks.length > 0 ? Math.round((flows.length / weeks.length) * 100) / 100 : 0,
+    weeks: count(flows),
+    by_project: groupBy((flow) => flow.project_id, (projectId, flow) => ({ project_id: projectId, project_name: flow.project_name })),
+    by_assignee: groupBy((flow) => flow.assignee || null, (assignee) => ({ assignee }))
+  };
+}
+
+// Days of a series; `to` defaults to today and `from` to 30 days before `to`
+export function normalizeSeriesRange({ from = null, to = null } = {}, today = new Date()) {
+  validateDates({ from, to });
+  const last = to || formatDate(today.getTime());
+  const first = from || formatDate(toTime(`${last} 00:00:00`) - (DEFAULT_SERIES_DAYS - 1) * DAY_MS);
+  if (first > last) {
+    throw new AnalyticsError('from must not be after to');
+  }
+
+  const days = [];
+  for (let time = toTime(`${first} 00:00:00`); formatDate(time) <= last; time += DAY_MS) {
+    if (days.length === MAX_SERIES_DAYS) {
+      throw new AnalyticsError(`Date range cannot exceed ${MAX_SERIES_DAYS} days`);
+    }
+    days.push(formatDate(time));
+  }
+  return { from: first, to: last, days };
+}
+
+// Number of tasks in each status at the end of every day
+export function dailyStatusCounts(tasks, changesByTask, days) {
+  const counts = days.map(() => ({}));
+  for (const task of tasks) {
+    const changes = changesByTask.get(task.id) || [];
+    const created = task.created_at.slice(0, 10);
+    let status = changes.length > 0 ? changes[0].old_value : task.status;
+    let next = 0;
+
+    days.forEach((day, index) => {
+      while (next < changes.length && changes[next].changed_at.slice(0, 10) <= day) {
+        status = changes[next].new_value;
+        next++;
+      }
+      if (created <= day) {
+        counts[index][status] = (counts[index][status] || 0) + 1;
+      }
+    });
+  }
+  return counts;
+}
+
+// Workflow statuses in order, followed by statuses only found in history
+function seriesStatuses(workflow, counts) {
+  const names = workflow.statuses.map((status) => status.name);
+  for (const dayCounts of counts) {
+    for (const name of Object.keys(dayCounts)) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+export function cumulativeFlowSeries(workflow, counts, days) {
+  const statuses = seriesStatuses(workflow, counts);
+  return {
+    statuses,
+    series: days.map((date, index) => ({
+      date,
+      total: Object.values(counts[index]).reduce((sum, count) => sum + count, 0),
+      counts: Object.fromEntries(statuses.map((name) => [name, counts[index][name] || 0]))
+    }))
+  };
+}
+
+// Open (non-final) tasks per day, with an ideal line from the first day's
+// open tasks down to zero on the last day
+export function burndownSeries(workflow, counts, days) {
+  const final = new Set(workflow.statuses.filter((status) => status.final).map((status) => status.name));
+  const series = days.map((date, index) => {
+    const total = Object.values(counts[index]).reduce((sum, count) => sum + count, 0);
+    const completed = Object.entries(counts[index])
+      .filter(([name]) => final.has(name))
+      .reduce((sum, [, count]) => sum + count, 0);
+    return { date, total, completed, remaining: total - completed };
+  });
+
+  const start = series.length > 0 ? series[0].remaining : 0;
+  for (const [index, point] of series.entries()) {
+    const left = series.length > 1 ? 1 - index / (series.length - 1) : 1;
+    point.ideal = Math.round(start * left * 100) / 100;
+  }
+  return { series };
+}
+
+// Text cells starting like a formula (status names, titles...) get a leading
+// quote so spreadsheets show them as text instead of evaluating them
+function csvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvValue).join(',')];
+  for (const row of rows) {
+    lines.push(row.map(csvValue).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+export function burndownCsv({ series }) {
+  return toCsv(
+    ['date', 'total', 'completed', 'remaining', 'ideal'],
+    series.map((point) => [point.date, point.total, point.completed, point.remaining, point.ideal])
+  );
+}
+
+export function cumulativeFlowCsv({ statuses, series }) {
+  return toCsv(
+    ['date', ...statuses, 'total'],
+    series.map((point) => [point.date, ...statuses.map((name) => point.counts[name]), point.total])
+  );
+}
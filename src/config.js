@@ -18,6 +18,44 @@ const config = {
     path: process.env.DB_PATH || join(__dirname, '..', 'tests.db')
   },
 
+  // Milestone configuration
+  milestones: {
+    // Open milestones with unfinished tasks are "at risk" this many days before target
+    riskWindowDays: parseInt(process.env.MILESTONE_RISK_DAYS) || 7
+  },
+
+  // Due date configuration
+  dueDates: {
+    // Open tasks due within this many days count as "due soon"
+    soonDays: parseInt(process.env.DUE_SOON_DAYS) || 3
+  },
+
+  // Critical path scheduling
+  schedule: {
+    // Estimate assumed for open tasks without one, in the project's estimate unit
+    defaultEstimate: parseFloat(process.env.SCHEDULE_DEFAULT_ESTIMATE) || 1,
+    // Work done per calendar day, used to turn estimates into dates
+    hoursPerDay: parseFloat(process.env.SCHEDULE_HOURS_PER_DAY) || 8,
+    pointsPerDay: parseFloat(process.env.SCHEDULE_POINTS_PER_DAY) || 1
+  },
+
+  // MCP over streamable HTTP, run standalone or mounted on the web server
+  // when enabled
+  mcpHttp: {
+    enabled: process.env.MCP_HTTP_ENABLED === 'true',
+    path: process.env.MCP_HTTP_PATH || '/mcp',
+    // Port of the standalone server (src/mcp-http.js)
+    port: parseInt(process.env.MCP_HTTP_PORT) || 3100,
+    // Sessions without requests for this many minutes are closed
+    idleMinutes: parseFloat(process.env.MCP_HTTP_IDLE_MINUTES) || 30,
+    // Host names the server answers to (any port), against DNS rebinding
+    allowedHosts: process.env.MCP_HTTP_ALLOWED_HOSTS
+      ? process.env.MCP_HTTP_ALLOWED_HOSTS.split(',').map(h => h.trim())
+      : ['localhost', '127.0.0.1', '[::1]'],
+    // Bearer token clients must send, if set
+    token: process.env.MCP_HTTP_TOKEN || null
+  },
+
   // CORS configuration
   cors: {
     origins: process.env.CORS_ORIGINS
@@ -17,6 +17,34 @@ describe('Configuration', () => {
     expect(typeof config.database.path).toBe('string');
   });
 
+  test('should have milestone configuration', () => {
+    expect(config.milestones).toBeDefined();
+    expect(typeof config.milestones.riskWindowDays).toBe('number');
+    expect(config.milestones.riskWindowDays).toBeGreaterThan(0);
+  });
+
+  test('should have due date configuration', () => {
+    expect(config.dueDates).toBeDefined();
+    expect(typeof config.dueDates.soonDays).toBe('number');
+    expect(config.dueDates.soonDays).toBeGreaterThan(0);
+  });
+
+  test('should have schedule configuration', () => {
+    expect(config.schedule).toBeDefined();
+    expect(config.schedule.defaultEstimate).toBeGreaterThan(0);
+    expect(config.schedule.hoursPerDay).toBeGreaterThan(0);
+    expect(config.schedule.pointsPerDay).toBeGreaterThan(0);
+  });
+
+  test('should have MCP HTTP configuration', () => {
+    expect(config.mcpHttp).toBeDefined();
+    expect(typeof config.mcpHttp.enabled).toBe('boolean');
+    expect(config.mcpHttp.path).toMatch(/^\//);
+    expect(config.mcpHttp.port).toBeGreaterThan(0);
+    expect(config.mcpHttp.idleMinutes).toBeGreaterThan(0);
+    expect(Array.isArray(config.mcpHttp.allowedHosts)).toBe(true);
+  });
+
   test('should have CORS configuration', () => {
     expect(config.cors).toBeDefined();
     expect(config.cors.origins).toBeDefined();
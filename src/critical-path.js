@@ -0,0 +1,163 @@
+// Critical path analysis over the dependency graph of a project.
+//
+// Each open task takes its estimate (or the default estimate when it has none)
+// in the project's estimate unit and can start once all its open dependencies
+// in the project have finished. A forward pass gives the earliest start and
+// finish of every task, a backward pass from the project finish the latest
+// ones; slack is the difference, and tasks without slack form the critical
+// path. Durations become calendar dates at `unitsPerDay` from the start date.
+
+import { isValidDate } from './recurrence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+export class ScheduleError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function normalizeScheduleOptions({ defaultEstimate, unitsPerDay, startDate }) {
+  if (typeof defaultEstimate !== 'number' || !Number.isFinite(defaultEstimate) || defaultEstimate < 0) {
+    throw new ScheduleError('default_estimate must be a non-negative number');
+  }
+  if (typeof unitsPerDay !== 'number' || !Number.isFinite(unitsPerDay) || unitsPerDay <= 0) {
+    throw new ScheduleError('units per day must be a positive number');
+  }
+  if (!isValidDate(startDate)) {
+    throw new ScheduleError('start_date must be a date YYYY-MM-DD');
+  }
+  return { defaultEstimate, unitsPerDay, startDate };
+}
+
+// Kahn's algorithm; ties are broken by task id so results are stable
+function topologicalOrder(ids, predecessors, successors) {
+  const remaining = new Map(ids.map((id) => [id, predecessors.get(id).length]));
+  const ready = ids.filter((id) => remaining.get(id) === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort((a, b) => a - b);
+    const id = ready.shift();
+    order.push(id);
+    for (const next of successors.get(id)) {
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) === 0) ready.push(next);
+    }
+  }
+
+  if (order.length < ids.length) {
+    const cyclic = ids.filter((id) => remaining.get(id) > 0);
+    throw new ScheduleError(`Dependency cycle between tasks: ${cyclic.join(', ')}`, 'CYCLE');
+  }
+  return order;
+}
+
+// `tasks` are the open tasks to schedule; `dependencies` the
+// { task_id, depends_on_task_id } pairs between them
+export function computeCriticalPath(tasks, dependencies, options) {
+  const { defaultEstimate, unitsPerDay, startDate } = normalizeScheduleOptions(options);
+  const ids = tasks.map((task) => task.id);
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const predecessors = new Map(ids.map((id) => [id, []]));
+  const successors = new Map(ids.map((id) => [id, []]));
+  for (const { task_id: taskId, depends_on_task_id: dependsOn } of dependencies) {
+    if (!byId.has(taskId) || !byId.has(dependsOn)) continue;
+    predecessors.get(taskId).push(dependsOn);
+    successors.get(dependsOn).push(taskId);
+  }
+
+  const order = topologicalOrder(ids, predecessors, successors);
+  const schedule = new Map();
+  for (const id of order) {
+    const task = byId.get(id);
+    const estimated = task.estimate !== null && task.estimate !== undefined;
+    const duration = estimated ? task.estimate : defaultEstimate;
+    const start = Math.max(0, ...predecessors.get(id).map((dep) => schedule.get(dep).earliest_finish));
+    schedule.set(id, { duration, estimated, earliest_start: start, earliest_finish: start + duration });
+  }
+
+  const finish = Math.max(0, ...[...schedule.values()].map((entry) => entry.earliest_finish));
+  for (const id of [...order].reverse()) {
+    const entry = schedule.get(id);
+    entry.latest_finish = Math.min(finish, ...successors.get(id).map((next) => schedule.get(next).latest_start));
+    entry.latest_start = entry.latest_finish - entry.duration;
+    entry.slack = entry.latest_start - entry.earliest_start;
+    entry.critical = entry.slack < EPSILON;
+  }
+
+  const toDates = (entry) => {
+    const startDay = Math.floor(entry.earliest_start / unitsPerDay + EPSILON);
+    const finishDay = Math.max(Math.ceil(entry.earliest_finish / unitsPerDay - EPSILON) - 1, startDay);
+    return { earliest_start_date: addDays(startDate, startDay), earliest_finish_date: addDays(startDate, finishDay) };
+  };
+
+  const scheduled = order
+    .map((id) => {
+      const task = byId.get(id);
+      const entry = schedule.get(id);
+      return {
+        id,
+        title: task.title,
+        status: task.status,
+        assignee: task.assignee,
+        estimate: task.estimate,
+        estimated: entry.estimated,
+        duration: entry.duration,
+        depends_on: [...predecessors.get(id)].sort((a, b) => a - b),
+        earliest_start: round(entry.earliest_start),
+        earliest_finish: round(entry.earliest_finish),
+        latest_start: round(entry.latest_start),
+        latest_finish: round(entry.latest_finish),
+        slack: round(entry.slack),
+        critical: entry.critical,
+        ...toDates(entry)
+      };
+    })
+    .sort((a, b) => a.earliest_start - b.earliest_start || a.id - b.id);
+
+  // Walk back from the critical task finishing last through critical
+  // predecessors that finish exactly when it starts
+  const path = [];
+  let current = scheduled
+    .filter((task) => task.critical && Math.abs(schedule.get(task.id).earliest_finish - finish) < EPSILON)
+    .sort((a, b) => a.id - b.id)[0];
+  while (current) {
+    path.unshift(current);
+    const start = schedule.get(current.id).earliest_start;
+    current = scheduled
+      .filter((task) => current.depends_on.includes(task.id) && task.critical &&
+        Math.abs(schedule.get(task.id).earliest_finish - start) < EPSILON)
+      .sort((a, b) => a.id - b.id)[0];
+  }
+
+  const durationDays = Math.ceil(finish / unitsPerDay - EPSILON);
+  return {
+    start_date: startDate,
+    finish_date: durationDays > 0 ? addDays(startDate, durationDays - 1) : startDate,
+    duration: round(finish),
+    duration_days: durationDays,
+    default_estimate: defaultEstimate,
+    units_per_day: unitsPerDay,
+    unestimated_tasks: scheduled.filter((task) => !task.estimated).length,
+    critical_path: path.map((task) => ({
+      id: task.id,
+      title: task.title,
+      duration: task.duration,
+      earliest_start_date: task.earliest_start_date,
+      earliest_finish_date: task.earliest_finish_date
+    })),
+    tasks: scheduled
+  };
+}
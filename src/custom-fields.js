@@ -0,0 +1,77 @@
+// Typed custom field definitions and value conversion.
+//
+// Values are stored as text in task_custom_values: numbers in their canonical
+// form, dates as YYYY-MM-DD, booleans as '1'/'0'. Enum values must be one of
+// the field options.
+
+import { isValidDate } from './recurrence.js';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum', 'boolean'];
+
+export class CustomFieldError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'CustomFieldError';
+    this.code = code;
+  }
+}
+
+export function normalizeFieldDefinition({ name, type, options = null, description = null }) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new CustomFieldError('Custom field name is required');
+  }
+  if (!CUSTOM_FIELD_TYPES.includes(type)) {
+    throw new CustomFieldError(`Invalid custom field type: ${type} (allowed: ${CUSTOM_FIELD_TYPES.join(', ')})`);
+  }
+
+  return {
+    name: name.trim(),
+    type,
+    options: type === 'enum' ? normalizeOptions(options) : null,
+    description
+  };
+}
+
+export function normalizeOptions(options) {
+  if (!Array.isArray(options) || options.length === 0 || options.some((option) => typeof option !== 'string' || option === '')) {
+    throw new CustomFieldError('Enum custom fields need a non-empty list of string options');
+  }
+  return [...new Set(options)];
+}
+
+// Converts a value written by a client to its stored text form
+export function toStoredValue(field, value) {
+  const invalid = () => new CustomFieldError(`Invalid value for ${field.type} field ${field.name}: ${JSON.stringify(value)}`);
+
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') throw invalid();
+      return value;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw invalid();
+      return String(number);
+    }
+    case 'date':
+      if (!isValidDate(value)) throw invalid();
+      return value;
+    case 'enum':
+      if (!field.options.includes(value)) {
+        throw new CustomFieldError(`Invalid value for enum field ${field.name}: ${JSON.stringify(value)} (options: ${field.options.join(', ')})`);
+      }
+      return value;
+    case 'boolean':
+      if (value === true || value === 'true') return '1';
+      if (value === false || value === 'false') return '0';
+      throw invalid();
+    default:
+      throw invalid();
+  }
+}
+
+export function fromStoredValue(field, stored) {
+  if (stored === null || stored === undefined) return null;
+  if (field.type === 'number') return Number(stored);
+  if (field.type === 'boolean') return stored === '1';
+  return stored;
+}
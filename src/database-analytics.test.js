@@ -0,0 +1,186 @@
+import Database from './database.js';
+import { AnalyticsError, weekStart, burndownCsv, cumulativeFlowCsv } from './analytics.js';
+import { setStatusAt } from './test-helpers.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database flow analytics', () => {
+  let db;
+  let projectId;
+  const testDbPath = join(__dirname, '..', 'test-database-analytics.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function addTaskAt(title, assignee, createdAt) {
+    const taskId = await db.addTask(projectId, title, null, 'medium', null, assignee);
+    await db.run('UPDATE tasks SET created_at = ? WHERE id = ?', [createdAt, taskId]);
+    return taskId;
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Flow');
+
+    const quick = await addTaskAt('Quick fix', 'ana', '2026-01-05 09:00:00');
+    await setStatusAt(db, quick, 'in-progress', '2026-01-05 21:00:00');
+    await setStatusAt(db, quick, 'developed', '2026-01-06 09:00:00');
+    await setStatusAt(db, quick, 'deployed', '2026-01-07 09:00:00');
+
+    const slow = await addTaskAt('Waited a week', 'bob', '2026-01-05 09:00:00');
+    await setStatusAt(db, slow, 'in-progress', '2026-01-12 09:00:00');
+    await setStatusAt(db, slow, 'deployed', '2026-01-13 09:00:00');
+
+    await addTaskAt('Still open', 'ana', '2026-01-05 09:00:00');
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should compute lead time, cycle time and time in status of completed tasks', async () => {
+    const metrics = await db.getFlowMetrics({ project_id: projectId }, { includeTasks: true });
+
+    expect(metrics.completed_tasks).toBe(2);
+    expect(metrics.lead_time).toEqual({ count: 2, average_hours: 120, median_hours: 48, p85_hours: 192 });
+    expect(metrics.cycle_time).toEqual({ count: 2, average_hours: 30, median_hours: 24, p85_hours: 36 });
+    expect(metrics.time_in_status).toEqual({
+      pending: { tasks: 2, total_hours: 180, average_hours: 90 },
+      'in-progress': { tasks: 2, total_hours: 36, average_hours: 18 },
+      developed: { tasks: 1, total_hours: 24, average_hours: 24 }
+    });
+    expect(metrics.tasks.map((task) => task.title)).toEqual(['Quick fix', 'Waited a week']);
+    expect(metrics.tasks[0]).toMatchObject({
+      started_at: '2026-01-05 21:00:00',
+      completed_at: '2026-01-07 09:00:00',
+      lead_time_hours: 48,
+      cycle_time_hours: 36
+    });
+
+    const ana = await db.getFlowMetrics({ assignee: 'ana' });
+    expect(ana.completed_tasks).toBe(1);
+    expect(ana.tasks).toBeUndefined();
+
+    const later = await db.getFlowMetrics({ from: '2026-01-10', to: '2026-01-31' });
+    expect(later.lead_time.count).toBe(1);
+    expect(later.lead_time.average_hours).toBe(192);
+  });
+
+  test('should count weekly throughput per project and assignee', async () => {
+    const throughput = await db.getThroughput({ project_id: projectId });
+    expect(throughput.total).toBe(2);
+    expect(throughput.weeks).toEqual([
+      { week: '2026-01-05', completed: 1 },
+      { week: '2026-01-12', completed: 1 }
+    ]);
+    expect(throughput.by_project).toEqual([
+      { project_id: projectId, project_name: 'Flow', completed: 2, weeks: throughput.weeks }
+    ]);
+    expect(throughput.by_assignee.map((row) => [row.assignee, row.completed])).toEqual([['ana', 1], ['bob', 1]]);
+
+    // A range lists the weeks without completions too
+    const january = await db.getThroughput({ from: '2026-01-01', to: '2026-01-31' });
+    expect(january.weeks.map((week) => week.week)).toEqual(['2025-12-29', '2026-01-05', '2026-01-12', '2026-01-19', '2026-01-26']);
+    expect(january.average_per_week).toBe(0.4);
+
+    expect(weekStart('2026-01-11 23:59:59')).toBe('2026-01-05');
+    expect(weekStart('2026-01-12')).toBe('2026-01-12');
+
+    await expect(db.getThroughput({ from: 'last week' })).rejects.toThrow(AnalyticsError);
+    await expect(db.getThroughput({ to: '2026-13-01' })).rejects.toThrow('to must be a date YYYY-MM-DD');
+    await expect(db.getFlowMetrics({ from: '2026-02-01', to: '2026-01-01' })).rejects.toThrow('from must not be after to');
+  });
+
+  test('should replay the status timeline of a single task', async () => {
+    const reopened = await addTaskAt('Reopened', null, '2026-01-05 09:00:00');
+    await setStatusAt(db, reopened, 'in-progress', '2026-01-06 09:00:00');
+    await setStatusAt(db, reopened, 'deployed', '2026-01-07 09:00:00');
+    await setStatusAt(db, reopened, 'in-progress', '2026-01-14 09:00:00');
+    await setStatusAt(db, reopened, 'deployed', '2026-01-15 09:00:00');
+
+    const flow = await db.getTaskFlow(reopened);
+    expect(flow).toMatchObject({
+      started_at: '2026-01-06 09:00:00',
+      completed_at: '2026-01-15 09:00:00',
+      lead_time_hours: 240,
+      cycle_time_hours: 216,
+      time_in_status: { pending: 24, 'in-progress': 48, deployed: 168 }
+    });
+    expect(flow.timeline.map((entry) => [entry.status, entry.hours])).toEqual([
+      ['pending', 24],
+      ['in-progress', 24],
+      ['deployed', 168],
+      ['in-progress', 24],
+      ['deployed', 0]
+    ]);
+
+    const [open] = await db.getTasks({ project_id: projectId, q: 'is:open' });
+    const openFlow = await db.getTaskFlow(open.id);
+    expect(openFlow).toMatchObject({ status: 'pending', completed_at: null, lead_time_hours: null, cycle_time_hours: null });
+    expect(openFlow.timeline).toHaveLength(1);
+    expect(openFlow.time_in_status.pending).toBeGreaterThan(24 * 280);
+
+    expect(await db.getTaskFlow(9999)).toBeNull();
+  });
+
+  test('should build a daily burndown from status history', async () => {
+    const burndown = await db.getBurndown(projectId, { from: '2026-01-05', to: '2026-01-13' });
+    expect(burndown).toMatchObject({ project_id: projectId, from: '2026-01-05', to: '2026-01-13' });
+    expect(burndown.series).toHaveLength(9);
+    expect(burndown.series.map((point) => point.remaining)).toEqual([3, 3, 2, 2, 2, 2, 2, 2, 1]);
+    expect(burndown.series[2]).toEqual({ date: '2026-01-07', total: 3, completed: 1, remaining: 2, ideal: 2.25 });
+    expect(burndown.series.map((point) => point.ideal)).toEqual([3, 2.63, 2.25, 1.88, 1.5, 1.13, 0.75, 0.38, 0]);
+
+    expect(burndownCsv(burndown).split('\r\n').slice(0, 3)).toEqual([
+      'date,total,completed,remaining,ideal',
+      '2026-01-05,3,0,3,3',
+      '2026-01-06,3,0,3,2.63'
+    ]);
+
+    const recent = await db.getBurndown(projectId);
+    expect(recent.series).toHaveLength(30);
+    expect(recent.to).toBe(new Date().toISOString().slice(0, 10));
+
+    expect(await db.getBurndown(9999)).toBeNull();
+    await expect(db.getBurndown(projectId, { from: '2025-01-01', to: '2026-06-30' })).rejects.toThrow('Date range cannot exceed 366 days');
+  });
+
+  test('should count tasks per status per day for the cumulative flow', async () => {
+    const flow = await db.getCumulativeFlow(projectId, { from: '2026-01-04', to: '2026-01-07' });
+    expect(flow.statuses).toEqual(['pending', 'in-progress', 'developed', 'tested', 'deployed', 'blocked']);
+    expect(flow.series[0]).toEqual({
+      date: '2026-01-04',
+      total: 0,
+      counts: { pending: 0, 'in-progress': 0, developed: 0, tested: 0, deployed: 0, blocked: 0 }
+    });
+    expect(flow.series[1].counts).toMatchObject({ pending: 2, 'in-progress': 1 });
+    expect(flow.series[3]).toMatchObject({ total: 3, counts: { pending: 2, developed: 0, deployed: 1 } });
+
+    expect(cumulativeFlowCsv(flow).split('\r\n').slice(0, 3)).toEqual([
+      'date,pending,in-progress,developed,tested,deployed,blocked,total',
+      '2026-01-04,0,0,0,0,0,0,0',
+      '2026-01-05,2,1,0,0,0,0,3'
+    ]);
+
+    // Status names that look like formulas are exported as text
+    const header = cumulativeFlowCsv({ statuses: ['=HYPERLINK("x")', '@sum', 'done'], series: [] });
+    expect(header).toBe('date,"\'=HYPERLINK(""x"")",\'@sum,done,total\r\n');
+  });
+});
@@ -0,0 +1,106 @@
+import Database from './database.js';
+import { splitNotes } from './migrations.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database comments', () => {
+  let db;
+  const testDbPath = join(__dirname, '..', 'test-database-comments.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should add, edit and delete comments', async () => {
+    const projectId = await db.createProject('Comments');
+    const taskId = await db.addTask(projectId, 'Discuss');
+
+    const first = await db.addComment(taskId, 'Looks good', 'Maria');
+    const reply = await db.addComment(taskId, 'Agreed', 'Juan', first);
+
+    expect((await db.getComment(reply)).reply_to).toBe(first);
+
+    await db.updateComment(first, 'Looks good to me');
+    const edited = await db.getComment(first);
+    expect(edited.body).toBe('Looks good to me');
+    expect(edited.edited_at).toBeTruthy();
+
+    await db.deleteComment(first);
+    expect(await db.getComment(first)).toBeUndefined();
+    expect((await db.getComment(reply)).reply_to).toBeNull();
+    expect((await db.getTaskById(taskId)).comment_count).toBe(1);
+  });
+
+  test('getComments should paginate in chronological order', async () => {
+    const projectId = await db.createProject('Comments');
+    const taskId = await db.addTask(projectId, 'Discuss');
+
+    for (let i = 1; i <= 5; i++) {
+      await db.addComment(taskId, `Comment ${i}`);
+    }
+
+    const firstPage = await db.getComments(taskId, { limit: 2 });
+    expect(firstPage.comments.map((comment) => comment.body)).toEqual(['Comment 1', 'Comment 2']);
+    expect(firstPage.total).toBe(5);
+    expect(firstPage.has_more).toBe(true);
+
+    const lastPage = await db.getComments(taskId, { limit: 2, offset: 4 });
+    expect(lastPage.comments.map((comment) => comment.body)).toEqual(['Comment 5']);
+    expect(lastPage.has_more).toBe(false);
+  });
+
+  test('comments should be removed with their task', async () => {
+    const projectId = await db.createProject('Comments');
+    const taskId = await db.addTask(projectId, 'Discuss');
+    const commentId = await db.addComment(taskId, 'Bye');
+
+    await db.deleteTask(taskId);
+    expect(await db.getComment(commentId)).toBeUndefined();
+  });
+});
+
+describe('splitNotes', () => {
+  test('should split timestamped lines into entries', () => {
+    const notes = [
+      'Legacy text without timestamp',
+      '[2026-01-10T09:00:00.000Z] Started work',
+      '[2026-01-11T15:30:00.000Z] Found an issue',
+      'with a second line',
+      '[not a timestamp] still part of the issue'
+    ].join('\n');
+
+    expect(splitNotes(notes)).toEqual([
+      { timestamp: null, body: 'Legacy text without timestamp' },
+      { timestamp: '2026-01-10T09:00:00.000Z', body: 'Started work' },
+      { timestamp: '2026-01-11T15:30:00.000Z', body: 'Found an issue\nwith a second line\n[not a timestamp] still part of the issue' }
+    ]);
+  });
+
+  test('should ignore empty entries', () => {
+    expect(splitNotes('\n[2026-01-10T09:00:00.000Z] \n')).toEqual([]);
+  });
+});
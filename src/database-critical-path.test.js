@@ -0,0 +1,132 @@
+import Database from './database.js';
+import { computeCriticalPath, ScheduleError } from './critical-path.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database critical path', () => {
+  let db;
+  let projectId;
+  let ids;
+  const testDbPath = join(__dirname, '..', 'test-database-critical-path.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function addTask(title, estimate, dependsOn = [], extra = {}) {
+    return await db.addTask(projectId, title, null, 'medium', null, null, null, null, dependsOn, { estimate, ...extra });
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Release');
+
+    const shipped = await addTask('Shipped already', 5);
+    await db.updateTask(shipped, { status: 'deployed' });
+    const design = await addTask('Design', 3);
+    const backend = await addTask('Backend', 5, [design]);
+    const frontend = await addTask('Frontend', 2, [design]);
+    const release = await addTask('Release', 1, [backend, frontend, shipped]);
+    const docs = await addTask('Docs', null);
+    ids = { shipped, design, backend, frontend, release, docs };
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should return the critical chain, slack and earliest dates', async () => {
+    const schedule = await db.getCriticalPath(projectId, { startDate: '2026-11-02', defaultEstimate: 1 });
+
+    expect(schedule).toMatchObject({
+      project_id: projectId,
+      unit: 'points',
+      start_date: '2026-11-02',
+      finish_date: '2026-11-10',
+      duration: 9,
+      duration_days: 9,
+      unestimated_tasks: 1
+    });
+    expect(schedule.critical_path).toEqual([
+      { id: ids.design, title: 'Design', duration: 3, earliest_start_date: '2026-11-02', earliest_finish_date: '2026-11-04' },
+      { id: ids.backend, title: 'Backend', duration: 5, earliest_start_date: '2026-11-05', earliest_finish_date: '2026-11-09' },
+      { id: ids.release, title: 'Release', duration: 1, earliest_start_date: '2026-11-10', earliest_finish_date: '2026-11-10' }
+    ]);
+
+    const byId = Object.fromEntries(schedule.tasks.map((task) => [task.id, task]));
+    expect(byId[ids.shipped]).toBeUndefined();
+    expect(byId[ids.release].depends_on).toEqual([ids.backend, ids.frontend]);
+    expect(byId[ids.frontend]).toMatchObject({ earliest_start: 3, earliest_finish: 5, latest_start: 6, latest_finish: 8, slack: 3, critical: false });
+    expect(byId[ids.docs]).toMatchObject({ estimated: false, duration: 1, slack: 8, critical: false });
+
+    const pessimistic = await db.getCriticalPath(projectId, { startDate: '2026-11-02', defaultEstimate: 4 });
+    expect(pessimistic.tasks.find((task) => task.id === ids.docs)).toMatchObject({ duration: 4, slack: 5 });
+  });
+
+  test('should limit the schedule to a milestone and what it depends on', async () => {
+    const milestoneId = await db.createMilestone(projectId, 'v1');
+    await db.updateTask(ids.release, { milestone_id: milestoneId });
+
+    const schedule = await db.getCriticalPath(projectId, { milestoneId, startDate: '2026-11-02' });
+    expect(schedule.tasks.map((task) => task.id).sort((a, b) => a - b)).toEqual([ids.design, ids.backend, ids.frontend, ids.release]);
+    expect(schedule.duration).toBe(9);
+
+    const otherProject = await db.createProject('Other');
+    const otherMilestone = await db.createMilestone(otherProject, 'v2');
+    await expect(db.getCriticalPath(projectId, { milestoneId: otherMilestone })).rejects.toThrow(ScheduleError);
+  });
+
+  test('should convert hour estimates into days', async () => {
+    const hoursProject = await db.createProject('Consulting', null, null, 'hours');
+    const audit = await db.addTask(hoursProject, 'Audit', null, 'medium', null, null, null, null, [], { estimate: 12 });
+    await db.addTask(hoursProject, 'Report', null, 'medium', null, null, null, null, [audit], { estimate: 6 });
+
+    const schedule = await db.getCriticalPath(hoursProject, { startDate: '2026-11-02' });
+    expect(schedule).toMatchObject({ unit: 'hours', duration: 18, duration_days: 3, finish_date: '2026-11-04' });
+    expect(schedule.critical_path.map((task) => [task.title, task.earliest_start_date, task.earliest_finish_date])).toEqual([
+      ['Audit', '2026-11-02', '2026-11-03'],
+      ['Report', '2026-11-03', '2026-11-04']
+    ]);
+
+    expect(await db.getCriticalPath(9999)).toBeNull();
+    await expect(db.getCriticalPath(hoursProject, { startDate: 'monday' })).rejects.toThrow('start_date must be a date YYYY-MM-DD');
+    await expect(db.getCriticalPath(hoursProject, { defaultEstimate: -1 })).rejects.toThrow('default_estimate must be a non-negative number');
+  });
+
+  test('should keep waiting on done tasks that are not final yet', async () => {
+    await db.updateTask(ids.design, { status: 'tested' });
+
+    const schedule = await db.getCriticalPath(projectId, { startDate: '2026-11-02', defaultEstimate: 1 });
+    const byId = Object.fromEntries(schedule.tasks.map((task) => [task.id, task]));
+    expect(byId[ids.design]).toMatchObject({ earliest_start: 0, earliest_finish: 3 });
+    expect(byId[ids.backend]).toMatchObject({ depends_on: [ids.design], earliest_start: 3 });
+    expect(schedule.duration).toBe(9);
+  });
+
+  test('should reject dependency cycles', () => {
+    const tasks = [{ id: 1, estimate: 1 }, { id: 2, estimate: 1 }, { id: 3, estimate: 1 }];
+    const dependencies = [
+      { task_id: 2, depends_on_task_id: 1 },
+      { task_id: 3, depends_on_task_id: 2 },
+      { task_id: 2, depends_on_task_id: 3 }
+    ];
+    expect(() => computeCriticalPath(tasks, dependencies, { defaultEstimate: 1, unitsPerDay: 1, startDate: '2026-11-02' }))
+      .toThrow('Dependency cycle between tasks: 2, 3');
+  });
+});
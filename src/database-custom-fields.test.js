@@ -0,0 +1,117 @@
+import Database from './database.js';
+import { CustomFieldError } from './custom-fields.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database custom fields', () => {
+  let db;
+  let projectId;
+  const testDbPath = join(__dirname, '..', 'test-database-custom-fields.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+
+    projectId = await db.createProject('Support', 'ACME');
+    await db.createCustomField(projectId, { name: 'ticket', type: 'text' });
+    await db.createCustomField(projectId, { name: 'severity', type: 'enum', options: ['S1', 'S2', 'S3'] });
+    await db.createCustomField(projectId, { name: 'affected_users', type: 'number' });
+    await db.createCustomField(projectId, { name: 'reported_on', type: 'date' });
+    await db.createCustomField(projectId, { name: 'production', type: 'boolean' });
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should store typed values and include them in the task payload', async () => {
+    const taskId = await db.addTask(projectId, 'Login outage', null, 'critical', null, null, null, null, [], {
+      custom_fields: { ticket: 'ACME-42', severity: 'S1', affected_users: '120', reported_on: '2026-03-01', production: true }
+    });
+
+    const task = await db.getTaskById(taskId);
+    expect(task.custom_fields).toEqual({
+      ticket: 'ACME-42',
+      severity: 'S1',
+      affected_users: 120,
+      reported_on: '2026-03-01',
+      production: true
+    });
+  });
+
+  test('should validate values on write', async () => {
+    const taskId = await db.addTask(projectId, 'Slow search');
+
+    await expect(db.updateTask(taskId, { custom_fields: { severity: 'S9' } })).rejects.toThrow(CustomFieldError);
+    await expect(db.updateTask(taskId, { custom_fields: { affected_users: 'many' } })).rejects.toThrow('Invalid value for number field affected_users');
+    await expect(db.updateTask(taskId, { custom_fields: { reported_on: '2026-02-30' } })).rejects.toThrow('Invalid value for date field reported_on');
+    await expect(db.updateTask(taskId, { custom_fields: { environment: 'prod' } })).rejects.toThrow('Unknown custom field: environment');
+    await expect(db.addTask(projectId, 'Bad', null, 'low', null, null, null, null, [], { custom_fields: { production: 'yes' } })).rejects.toThrow(CustomFieldError);
+
+    const tasks = await db.getTasks({ project_id: projectId });
+    expect(tasks).toHaveLength(1);
+  });
+
+  test('should record changes in history and clear values with null', async () => {
+    const taskId = await db.addTask(projectId, 'Export fails', null, 'high', null, null, null, null, [], { custom_fields: { severity: 'S3' } });
+
+    await db.updateTask(taskId, { custom_fields: { severity: 'S2' } });
+    await db.updateTask(taskId, { custom_fields: { severity: null } });
+
+    const task = await db.getTaskById(taskId);
+    expect(task.custom_fields).toEqual({});
+    expect(task.history.filter((row) => row.field === 'custom_fields.severity').map((row) => row.new_value)).toEqual(
+      expect.arrayContaining(['S2', null])
+    );
+  });
+
+  test('getTasks should filter by custom field values', async () => {
+    const outage = await db.addTask(projectId, 'Outage', null, 'critical', null, null, null, null, [], { custom_fields: { severity: 'S1', production: true } });
+    await db.addTask(projectId, 'Typo', null, 'low', null, null, null, null, [], { custom_fields: { severity: 'S3', production: false } });
+    await db.addTask(projectId, 'Unclassified');
+
+    const critical = await db.getTasks({ project_id: projectId, custom_fields: { severity: 'S1' } });
+    expect(critical.map((task) => task.id)).toEqual([outage]);
+    expect(critical[0].custom_fields.production).toBe(true);
+
+    const production = await db.getTasks({ custom_fields: { production: 'true' } });
+    expect(production.map((task) => task.id)).toEqual([outage]);
+
+    expect(await db.getTasks({ custom_fields: { severity: 'S9' } })).toHaveLength(0);
+  });
+
+  test('should protect definitions: duplicate names and enum options in use', async () => {
+    await expect(db.createCustomField(projectId, { name: 'ticket', type: 'text' })).rejects.toMatchObject({ message: expect.stringContaining('already exists'), code: 'CONFLICT' });
+    await expect(db.createCustomField(projectId, { name: 'size', type: 'list' })).rejects.toThrow('Invalid custom field type');
+
+    const severity = (await db.getCustomFields(projectId)).find((field) => field.name === 'severity');
+    await db.addTask(projectId, 'Outage', null, 'critical', null, null, null, null, [], { custom_fields: { severity: 'S1' } });
+
+    await expect(db.updateCustomField(severity.id, { options: ['S2', 'S3'] })).rejects.toMatchObject({ message: 'Options still used by tasks: S1', code: 'CONFLICT' });
+    await db.updateCustomField(severity.id, { options: ['S1', 'S2', 'S3', 'S4'] });
+    expect((await db.getCustomField(severity.id)).options).toEqual(['S1', 'S2', 'S3', 'S4']);
+
+    await db.deleteCustomField(severity.id);
+    const [task] = await db.getTasks({ project_id: projectId });
+    expect(task.custom_fields).toEqual({});
+  });
+});
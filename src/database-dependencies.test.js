@@ -94,6 +94,79 @@ describe('Database dependencies', () => {
     expect(actionable.some((task) => task.id === integration)).toBe(true);
   });
 
+  test('should not offer done or final tasks as actionable', async () => {
+    const projectId = await db.createProject('Finished');
+    const tested = await db.addTask(projectId, 'Tested');
+    const deployed = await db.addTask(projectId, 'Deployed');
+    const todo = await db.addTask(projectId, 'Todo');
+
+    await db.updateTask(tested, { status: 'tested' });
+    await db.updateTask(deployed, { status: 'deployed' });
+
+    const actionable = await db.getNextActionable(projectId);
+    expect(actionable.map((task) => task.id)).toEqual([todo]);
+
+    const stats = await db.getDependencyStats(projectId);
+    expect(stats.actionable_tasks).toBe(1);
+  });
+
+  test('should walk dependencies transitively in both directions', async () => {
+    const projectId = await db.createProject('Platform');
+    const schema = await db.addTask(projectId, 'Schema');
+    const api = await db.addTask(projectId, 'API', null, 'medium', null, null, null, null, [schema]);
+    const client = await db.addTask(projectId, 'Client', null, 'medium', null, null, null, null, [api]);
+    const admin = await db.addTask(projectId, 'Admin', null, 'medium', null, null, null, null, [api]);
+    const docs = await db.addTask(projectId, 'Docs', null, 'medium', null, null, null, null, [client, admin]);
+
+    const upstream = await db.getTransitiveTasks(docs, 'upstream');
+    expect(upstream.map((task) => [task.id, task.depth])).toEqual([[client, 1], [admin, 1], [api, 2], [schema, 3]]);
+
+    const downstream = await db.getTransitiveTasks(schema, 'downstream');
+    expect(downstream.map((task) => [task.id, task.depth])).toEqual([[api, 1], [client, 2], [admin, 2], [docs, 3]]);
+
+    // Done tasks no longer block, so the walk stops at them
+    await db.updateTask(api, { status: 'tested' });
+    const blocking = await db.getTransitiveTasks(docs, 'upstream', { incompleteOnly: true });
+    expect(blocking.map((task) => task.id)).toEqual([client, admin]);
+    expect((await db.getTransitiveTasks(docs, 'upstream')).find((task) => task.id === api).done).toBe(true);
+
+    expect(await db.getTransitiveTasks(schema, 'upstream')).toEqual([]);
+    expect(await db.checkForCycle(schema, docs)).toBe(true);
+    expect(await db.checkForCycle(docs, schema)).toBe(false);
+  });
+
+  test('should report the impact of delaying a task', async () => {
+    const projectId = await db.createProject('Platform');
+    const mobileId = await db.createProject('Mobile');
+    const milestoneId = await db.createMilestone(projectId, 'v1', '2026-12-01');
+    const api = await db.addTask(projectId, 'API');
+    const client = await db.addTask(projectId, 'Client', null, 'critical', null, null, null, null, [api]);
+    const admin = await db.addTask(projectId, 'Admin', null, 'low', null, null, null, null, [api]);
+    const docs = await db.addTask(projectId, 'Docs', null, 'medium', null, null, null, null, [client, admin], { milestone_id: milestoneId });
+    const app = await db.addTask(mobileId, 'App', null, 'high', null, null, '2026-11-20', null, [client]);
+    await db.updateTask(admin, { status: 'tested' });
+
+    const impact = await db.getDelayImpact(api);
+    expect(impact).toMatchObject({
+      task: { id: api, title: 'API', done: false },
+      total: 3,
+      direct: 1,
+      max_depth: 2,
+      by_priority: { critical: 1, high: 1, medium: 1, low: 0 },
+      earliest_due_date: '2026-11-20',
+      projects: [
+        { id: mobileId, name: 'Mobile', tasks: 1 },
+        { id: projectId, name: 'Platform', tasks: 2 }
+      ],
+      milestones: [{ id: milestoneId, name: 'v1', target_date: '2026-12-01', tasks: 1 }]
+    });
+    expect(impact.tasks.map((task) => task.id)).toEqual([client, docs, app]);
+
+    await db.updateTask(api, { status: 'tested' });
+    expect((await db.getDelayImpact(api)).total).toBe(0);
+    expect(await db.getDelayImpact(9999)).toBeNull();
+  });
+
   test('cascade delete should remove dependencies', async () => {
     const projectId = await db.createProject('Cascade');
     const a = await db.addTask(projectId, 'Task A');
@@ -0,0 +1,115 @@
+import Database from './database.js';
+import { renderGraph, GraphError } from './dependency-graph.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database dependency graph', () => {
+  let db;
+  let projectId;
+  let otherProjectId;
+  let ids;
+  const testDbPath = join(__dirname, '..', 'test-database-dependency-graph.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Platform');
+    otherProjectId = await db.createProject('Mobile');
+
+    const schema = await db.addTask(projectId, 'Schema');
+    const api = await db.addTask(projectId, 'API "v2"', null, 'high', null, null, null, null, [schema]);
+    const client = await db.addTask(projectId, 'Client SDK', null, 'medium', null, null, null, null, [api]);
+    const docs = await db.addTask(projectId, 'Docs', null, 'low', null, null, null, null, [client]);
+    const app = await db.addTask(otherProjectId, 'App release', null, 'medium', null, null, null, null, [client]);
+    const unrelated = await db.addTask(projectId, 'Unrelated');
+    await db.updateTask(schema, { status: 'deployed' });
+    await db.updateTask(api, { status: 'in-progress' });
+    ids = { schema, api, client, docs, app, unrelated };
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should return the nodes and edges of a project colored by status', async () => {
+    const graph = await db.getDependencyGraph({ projectId });
+
+    expect(graph.nodes.map((node) => node.id)).toEqual([ids.schema, ids.api, ids.client, ids.docs, ids.app]);
+    expect(graph.edges).toEqual([
+      { from: ids.schema, to: ids.api, satisfied: true },
+      { from: ids.api, to: ids.client, satisfied: false },
+      { from: ids.client, to: ids.docs, satisfied: false },
+      { from: ids.client, to: ids.app, satisfied: false }
+    ]);
+    expect(graph.nodes.map((node) => [node.category, node.blocked])).toEqual([
+      ['final', false],
+      ['progress', false],
+      ['todo', true],
+      ['todo', true],
+      ['todo', true]
+    ]);
+    expect(graph.nodes[4].project_id).toBe(otherProjectId);
+  });
+
+  test('should follow dependencies transitively from one task', async () => {
+    const both = await db.getDependencyGraph({ taskId: ids.api });
+    expect(both).toMatchObject({ project_id: projectId, task_id: ids.api, direction: 'both' });
+    expect(both.nodes.map((node) => node.id)).toEqual([ids.schema, ids.api, ids.client, ids.docs, ids.app]);
+
+    const upstream = await db.getDependencyGraph({ taskId: ids.client, direction: 'upstream' });
+    expect(upstream.nodes.map((node) => node.id)).toEqual([ids.schema, ids.api, ids.client]);
+    expect(upstream.edges).toHaveLength(2);
+
+    const downstream = await db.getDependencyGraph({ taskId: ids.client, direction: 'downstream' });
+    expect(downstream.nodes.map((node) => node.id)).toEqual([ids.client, ids.docs, ids.app]);
+
+    const alone = await db.getDependencyGraph({ taskId: ids.unrelated });
+    expect(alone.nodes.map((node) => node.id)).toEqual([ids.unrelated]);
+    expect(alone.edges).toEqual([]);
+
+    expect(await db.getDependencyGraph({ taskId: 9999 })).toBeNull();
+    expect(await db.getDependencyGraph({ projectId: 9999 })).toBeNull();
+    await expect(db.getDependencyGraph({ projectId: otherProjectId, taskId: ids.api })).rejects.toThrow(GraphError);
+    await expect(db.getDependencyGraph({ taskId: ids.api, direction: 'sideways' })).rejects.toThrow('direction must be one of');
+  });
+
+  test('should render Mermaid and DOT', async () => {
+    const graph = await db.getDependencyGraph({ taskId: ids.client, direction: 'upstream' });
+
+    const mermaid = renderGraph(graph, 'mermaid').split('\n');
+    expect(mermaid[0]).toBe('flowchart LR');
+    expect(mermaid).toContain(`  t${ids.api}["#${ids.api} API #quot;v2#quot;<br/>in-progress"]`);
+    expect(mermaid).toContain(`  t${ids.schema} -.-> t${ids.api}`);
+    expect(mermaid).toContain(`  t${ids.api} --> t${ids.client}`);
+    expect(mermaid).toContain(`  class t${ids.schema} final`);
+    expect(mermaid).toContain(`  style t${ids.client} stroke-width:3px`);
+
+    const dot = renderGraph(graph, 'dot');
+    expect(dot.startsWith('digraph dependencies {\n')).toBe(true);
+    expect(dot).toContain(`t${ids.api} [label="#${ids.api} API \\"v2\\"\\nin-progress", fillcolor="#1e88e5", fontcolor="#ffffff"];`);
+    expect(dot).toContain(`t${ids.schema} -> t${ids.api} [style=dashed];`);
+    expect(dot).toContain(`t${ids.client} [label="#${ids.client} Client SDK\\npending", fillcolor="#e0e0e0", fontcolor="#000000", penwidth=3];`);
+
+    expect(renderGraph(graph, 'json')).toBe(graph);
+    expect(() => renderGraph(graph, 'svg')).toThrow('format must be one of: json, mermaid, dot');
+  });
+});
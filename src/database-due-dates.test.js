@@ -0,0 +1,99 @@
+import Database from './database.js';
+import config from './config.js';
+import { QueryError } from './query-language.js';
+import { daysFromNow } from './test-helpers.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database due dates', () => {
+  let db;
+  let projectId;
+  let overdueId;
+  let todayId;
+  let soonId;
+  let laterId;
+  let doneId;
+  const testDbPath = join(__dirname, '..', 'test-database-due-dates.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+
+    projectId = await db.createProject('Launch', 'Acme');
+    overdueId = await db.addTask(projectId, 'Sign contract', null, 'low', null, null, daysFromNow(-2));
+    todayId = await db.addTask(projectId, 'Send invoice', null, 'medium', null, null, daysFromNow(0));
+    soonId = await db.addTask(projectId, 'Prepare demo', null, 'critical', null, null, daysFromNow(config.dueDates.soonDays));
+    laterId = await db.addTask(projectId, 'Plan retro', null, 'critical', null, null, daysFromNow(30));
+    doneId = await db.addTask(projectId, 'Book venue', null, 'high', null, null, daysFromNow(-5));
+    await db.addTask(projectId, 'Someday', null, 'critical');
+    await db.updateTask(doneId, { status: 'deployed' });
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should list open overdue and due-soon tasks', async () => {
+    const due = await db.getDueTasks(projectId);
+    expect(due.today).toBe(daysFromNow(0));
+    expect(due.overdue.map((task) => task.id)).toEqual([overdueId]);
+    expect(due.overdue[0]).toMatchObject({ overdue: true, due_soon: false, days_until_due: -2 });
+    expect(due.due_soon.map((task) => task.id)).toEqual([todayId, soonId]);
+
+    const wider = await db.getDueTasks(projectId, 30);
+    expect(wider.due_soon.map((task) => task.id)).toEqual([todayId, soonId, laterId]);
+  });
+
+  test('getTasks should filter by due date range, overdue and due within', async () => {
+    const ids = async (filters) => (await db.getTasks({ project_id: projectId, ...filters })).map((task) => task.id).sort((a, b) => a - b);
+
+    expect(await ids({ due_from: daysFromNow(-5), due_to: daysFromNow(0) })).toEqual([overdueId, todayId, doneId]);
+    expect(await ids({ due_from: daysFromNow(1) })).toEqual([soonId, laterId]);
+    expect(await ids({ overdue: true })).toEqual([overdueId]);
+    expect(await ids({ due_within: 0 })).toEqual([todayId]);
+    expect(await ids({ q: 'is:overdue' })).toEqual([overdueId]);
+
+    await expect(db.getTasks({ due_to: 'next week' })).rejects.toThrow(QueryError);
+    await expect(db.getTasks({ due_within: -1 })).rejects.toThrow('due_within must be a non-negative number of days');
+  });
+
+  test('getNextActionable should rank overdue work first, then by priority and due date', async () => {
+    const tasks = await db.getNextActionable(projectId);
+    expect(tasks.map((task) => task.title)).toEqual([
+      'Sign contract',
+      'Prepare demo',
+      'Plan retro',
+      'Someday',
+      'Send invoice'
+    ]);
+    expect(tasks[0]).toMatchObject({ overdue: true, days_until_due: -2 });
+    expect(tasks[3]).toMatchObject({ overdue: false, due_soon: false, days_until_due: null });
+  });
+
+  test('should count overdue and due-soon tasks in summaries', async () => {
+    const summary = await db.getProjectSummary(projectId);
+    expect(summary).toMatchObject({ overdue: 1, due_soon: 2 });
+
+    const [project] = await db.getProjects();
+    expect(project).toMatchObject({ overdue_tasks: 1, due_soon_tasks: 2 });
+  });
+});
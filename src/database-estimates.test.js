@@ -0,0 +1,134 @@
+import Database from './database.js';
+import { setStatusAt } from './test-helpers.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database estimates', () => {
+  let db;
+  const testDbPath = join(__dirname, '..', 'test-database-estimates.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should store estimates and record estimate changes in history', async () => {
+    const projectId = await db.createProject('Sizing');
+    const taskId = await db.addTask(projectId, 'Login', null, 'high', null, null, null, null, [], { estimate: 3 });
+
+    await db.updateTask(taskId, { estimate: 5 });
+
+    const task = await db.getTaskById(taskId);
+    expect(task.estimate).toBe(5);
+    expect(task.history.find((row) => row.field === 'estimate')).toMatchObject({ old_value: '3', new_value: '5' });
+
+    const project = await db.getProject(projectId);
+    expect(project.estimate_unit).toBe('points');
+  });
+
+  test('getNextActionable should fit estimated tasks into the available budget', async () => {
+    const projectId = await db.createProject('Sizing');
+    const big = await db.addTask(projectId, 'Big', null, 'critical', null, null, null, null, [], { estimate: 8 });
+    const medium = await db.addTask(projectId, 'Medium', null, 'high', null, null, null, null, [], { estimate: 3 });
+    await db.addTask(projectId, 'Unsized', null, 'high');
+    const small = await db.addTask(projectId, 'Small', null, 'low', null, null, null, null, [], { estimate: 2 });
+
+    const fitting = await db.getNextActionable(projectId, 5);
+    expect(fitting.map((task) => task.id)).toEqual([medium, small]);
+
+    const all = await db.getNextActionable(projectId);
+    expect(all.map((task) => task.id)).toContain(big);
+    expect(all.length).toBe(4);
+  });
+
+  test('project summary should include estimate totals', async () => {
+    const projectId = await db.createProject('Sizing', null, null, 'hours');
+    const a = await db.addTask(projectId, 'A', null, 'medium', null, null, null, null, [], { estimate: 4 });
+    await db.addTask(projectId, 'B', null, 'medium', null, null, null, null, [], { estimate: 6 });
+    await db.addTask(projectId, 'C');
+    await db.updateTask(a, { status: 'deployed' });
+
+    const summary = await db.getProjectSummary(projectId);
+    expect(summary.estimates).toEqual({
+      unit: 'hours',
+      estimated_tasks: 2,
+      unestimated_tasks: 1,
+      total_estimate: 10,
+      completed_estimate: 4,
+      open_estimate: 6
+    });
+  });
+
+  test('estimation report should compare hour estimates with elapsed time', async () => {
+    const projectId = await db.createProject('Sizing', null, null, 'hours');
+    const accurate = await db.addTask(projectId, 'Accurate', null, 'medium', null, null, null, null, [], { estimate: 4 });
+    const slow = await db.addTask(projectId, 'Slow', null, 'medium', null, null, null, null, [], { estimate: 2 });
+    await db.addTask(projectId, 'Not done', null, 'medium', null, null, null, null, [], { estimate: 1 });
+
+    await setStatusAt(db, accurate, 'in-progress', '2026-03-02 09:00:00');
+    await setStatusAt(db, accurate, 'deployed', '2026-03-02 13:00:00');
+    await setStatusAt(db, slow, 'in-progress', '2026-03-02 09:00:00');
+    await setStatusAt(db, slow, 'deployed', '2026-03-02 15:00:00');
+
+    const report = await db.getEstimationReport(projectId);
+    expect(report.unit).toBe('hours');
+    expect(report.sample_size).toBe(2);
+    expect(report.tasks.map((task) => [task.id, task.actual_hours, task.ratio])).toEqual([
+      [accurate, 4, 1],
+      [slow, 6, 3]
+    ]);
+    expect(report.average_ratio).toBe(2);
+    expect(report.accurate).toBe(1);
+    expect(report.underestimated).toBe(1);
+  });
+
+  test('estimation report should use hours per point for point estimates', async () => {
+    const projectId = await db.createProject('Sizing');
+    const taskId = await db.addTask(projectId, 'Story', null, 'medium', null, null, null, null, [], { estimate: 2 });
+    await db.updateTask(taskId, { estimate: 4 });
+
+    await setStatusAt(db, taskId, 'in-progress', '2026-03-02 09:00:00');
+    await setStatusAt(db, taskId, 'deployed', '2026-03-03 09:00:00');
+
+    const report = await db.getEstimationReport(projectId);
+    expect(report.tasks[0]).toMatchObject({ actual_hours: 24, hours_per_point: 6, original_estimate: 2, estimate_changes: 1 });
+    expect(report.average_hours_per_point).toBe(6);
+    expect(await db.getEstimationReport(9999)).toBeNull();
+  });
+
+  test('estimation report should start work at the workflow started statuses', async () => {
+    const projectId = await db.createProject('Kanban', null, null, 'hours');
+    await db.setWorkflow(projectId, { statuses: ['todo', 'doing', { name: 'done', final: true }] });
+    const taskId = await db.addTask(projectId, 'Card', null, 'medium', null, null, null, null, [], { estimate: 2 });
+
+    await setStatusAt(db, taskId, 'doing', '2026-03-02 09:00:00');
+    await setStatusAt(db, taskId, 'done', '2026-03-02 11:00:00');
+
+    const report = await db.getEstimationReport(projectId);
+    expect(report.tasks[0]).toMatchObject({ started_at: '2026-03-02 09:00:00', actual_hours: 2, ratio: 1 });
+    expect((await db.getTaskFlow(taskId)).cycle_time_hours).toBe(2);
+  });
+});
@@ -0,0 +1,114 @@
+import Database from './database.js';
+import { daysFromNow } from './test-helpers.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database milestones', () => {
+  let db;
+  const testDbPath = join(__dirname, '..', 'test-database-milestones.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should create, update and list milestones', async () => {
+    const projectId = await db.createProject('Releases');
+    const v1 = await db.createMilestone(projectId, 'v1.0', '2026-11-01', 'First release');
+    const v2 = await db.createMilestone(projectId, 'v2.0');
+
+    await db.updateMilestone(v1, { state: 'closed' });
+
+    const milestones = await db.getMilestones(projectId);
+    expect(milestones.map((milestone) => milestone.id)).toEqual([v1, v2]);
+    expect(milestones[0].state).toBe('closed');
+
+    const open = await db.getMilestones(projectId, 'open');
+    expect(open.map((milestone) => milestone.id)).toEqual([v2]);
+  });
+
+  test('should reject target dates that are not YYYY-MM-DD dates', async () => {
+    const projectId = await db.createProject('Releases');
+    await expect(db.createMilestone(projectId, 'v1.0', 'next friday')).rejects.toMatchObject({ code: 'VALIDATION' });
+
+    const v1 = await db.createMilestone(projectId, 'v1.0', '2026-11-01');
+    await expect(db.updateMilestone(v1, { target_date: '2026-02-30' })).rejects.toThrow('target_date must be a date YYYY-MM-DD');
+    expect(await db.updateMilestone(v1, { target_date: null })).toBe(true);
+    expect((await db.getMilestones(projectId)).length).toBe(1);
+  });
+
+  test('should summarize tasks assigned to a milestone', async () => {
+    const projectId = await db.createProject('Releases');
+    const milestoneId = await db.createMilestone(projectId, 'v1.0', daysFromNow(30));
+    const a = await db.addTask(projectId, 'Task A', null, 'high', null, null, null, null, [], { milestone_id: milestoneId });
+    const b = await db.addTask(projectId, 'Task B', null, 'critical', null, null, null, null, [], { milestone_id: milestoneId });
+    await db.addTask(projectId, 'Unplanned');
+
+    await db.updateTask(a, { status: 'deployed' });
+
+    const report = await db.getMilestoneSummary(milestoneId);
+    expect(report.summary.total).toBe(2);
+    expect(report.summary.deployed).toBe(1);
+    expect(report.summary.completion_percentage).toBe(50);
+    expect(report.open_tasks.map((task) => task.id)).toEqual([b]);
+    expect(report.at_risk).toBe(false);
+  });
+
+  test('should flag open milestones near or past their target date', async () => {
+    const projectId = await db.createProject('Releases');
+    const soon = await db.createMilestone(projectId, 'Soon', daysFromNow(3));
+    const late = await db.createMilestone(projectId, 'Late', daysFromNow(-2));
+    const done = await db.createMilestone(projectId, 'Done', daysFromNow(1));
+
+    await db.addTask(projectId, 'Open work', null, 'medium', null, null, null, null, [], { milestone_id: soon });
+    await db.addTask(projectId, 'Old work', null, 'medium', null, null, null, null, [], { milestone_id: late });
+    const finished = await db.addTask(projectId, 'Finished', null, 'medium', null, null, null, null, [], { milestone_id: done });
+    await db.updateTask(finished, { status: 'deployed' });
+
+    const soonReport = await db.getMilestoneSummary(soon);
+    expect(soonReport.at_risk).toBe(true);
+    expect(soonReport.overdue).toBe(false);
+    expect(soonReport.days_remaining).toBe(3);
+
+    const lateReport = await db.getMilestoneSummary(late);
+    expect(lateReport.at_risk).toBe(true);
+    expect(lateReport.overdue).toBe(true);
+
+    const doneReport = await db.getMilestoneSummary(done);
+    expect(doneReport.at_risk).toBe(false);
+  });
+
+  test('deleting a milestone should unassign its tasks', async () => {
+    const projectId = await db.createProject('Releases');
+    const milestoneId = await db.createMilestone(projectId, 'v1.0');
+    const taskId = await db.addTask(projectId, 'Task', null, 'medium', null, null, null, null, [], { milestone_id: milestoneId });
+
+    await db.deleteMilestone(milestoneId);
+
+    const task = await db.getTaskById(taskId);
+    expect(task.milestone_id).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+import Database from './database.js';
+import { PaginationError } from './pagination.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database task pagination', () => {
+  let db;
+  let projectId;
+  const testDbPath = join(__dirname, '..', 'test-database-pagination.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function collect(filters, options) {
+    const ids = [];
+    let cursor = null;
+    do {
+      const page = await db.listTasks(filters, { ...options, cursor });
+      ids.push(...page.tasks.map((task) => task.id));
+      cursor = page.next_cursor;
+    } while (cursor);
+    return ids;
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Backlog');
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should page through tasks with a cursor and report the total', async () => {
+    const ids = [];
+    for (let i = 1; i <= 5; i++) {
+      ids.push(await db.addTask(projectId, `Task ${i}`));
+    }
+
+    const first = await db.listTasks({ project_id: projectId }, { limit: 2 });
+    expect(first).toMatchObject({ total: 5, limit: 2, sort: 'created_at', order: 'desc', has_more: true });
+    expect(first.tasks.map((task) => task.id)).toEqual([ids[4], ids[3]]);
+
+    expect(await collect({ project_id: projectId }, { limit: 2 })).toEqual([...ids].reverse());
+
+    // Tasks created after the first page do not shift the following pages
+    await db.addTask(projectId, 'Late task');
+    const second = await db.listTasks({ project_id: projectId }, { limit: 2, cursor: first.next_cursor });
+    expect(second.tasks.map((task) => task.id)).toEqual([ids[2], ids[1]]);
+    expect(second.total).toBe(6);
+  });
+
+  test('should sort by priority, due date and title', async () => {
+    const low = await db.addTask(projectId, 'beta', null, 'low', null, null, '2026-03-01');
+    const critical = await db.addTask(projectId, 'Alpha', null, 'critical');
+    const high = await db.addTask(projectId, 'gamma', null, 'high', null, null, '2026-02-01');
+    const medium = await db.addTask(projectId, 'Delta', null, 'medium', null, null, '2026-02-01');
+
+    expect(await collect({ project_id: projectId }, { sort: 'priority', limit: 1 })).toEqual([critical, high, medium, low]);
+    expect(await collect({ project_id: projectId }, { sort: 'priority', order: 'asc', limit: 3 })).toEqual([low, medium, high, critical]);
+    // Tasks without due date come last in both directions
+    expect(await collect({ project_id: projectId }, { sort: 'due_date', limit: 1 })).toEqual([high, medium, low, critical]);
+    expect(await collect({ project_id: projectId }, { sort: 'due_date', order: 'desc', limit: 2 })).toEqual([low, medium, high, critical]);
+    expect(await collect({ project_id: projectId }, { sort: 'title', limit: 3 })).toEqual([critical, low, medium, high]);
+  });
+
+  test('should only return the requested fields', async () => {
+    const base = await db.addTask(projectId, 'Base', null, 'medium', null, null, null, ['core']);
+    const feature = await db.addTask(projectId, 'Feature', null, 'medium', null, null, null, null, [base]);
+
+    const page = await db.listTasks({ project_id: projectId }, { fields: 'id,title,tags,is_blocked_by_dependencies', sort: 'title' });
+    expect(page.tasks).toEqual([
+      { id: base, title: 'Base', tags: ['core'], is_blocked_by_dependencies: false },
+      { id: feature, title: 'Feature', tags: [], is_blocked_by_dependencies: true }
+    ]);
+
+    const full = await db.listTasks({ project_id: projectId }, { sort: 'title' });
+    expect(full.tasks[1].incomplete_dependencies).toEqual([{ id: base, title: 'Base', status: 'pending' }]);
+    expect(full.tasks[1].custom_fields).toEqual({});
+  });
+
+  test('should validate list options', async () => {
+    const first = await db.listTasks({}, { limit: 1 });
+
+    await expect(db.listTasks({}, { limit: 500 })).rejects.toThrow('limit must be an integer between 1 and 200');
+    await expect(db.listTasks({}, { sort: 'status' })).rejects.toThrow('Invalid sort: status');
+    await expect(db.listTasks({}, { order: 'up' })).rejects.toThrow(PaginationError);
+    await expect(db.listTasks({}, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    await expect(db.listTasks({}, { fields: ['id', 'secret'] })).rejects.toThrow('Unknown fields: secret');
+
+    await db.addTask(projectId, 'One');
+    await db.addTask(projectId, 'Two');
+    const page = await db.listTasks({}, { limit: 1 });
+    await expect(db.listTasks({}, { sort: 'title', cursor: page.next_cursor })).rejects.toThrow('different sort');
+    expect(first.next_cursor).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+import Database from './database.js';
+import { applyPlan, normalizePlan, PlanError } from './plans.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database plans', () => {
+  let db;
+  let projectId;
+  let existingId;
+  const testDbPath = join(__dirname, '..', 'test-database-plans.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function taskCount() {
+    return (await db.get('SELECT COUNT(*) as count FROM tasks')).count;
+  }
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the plan to be rejected');
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Feature');
+    existingId = await db.addTask(projectId, 'Existing');
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should create tasks that reference each other by ref in one transaction', async () => {
+    const result = await applyPlan(db, {
+      project_id: projectId,
+      operations: [
+        { op: 'create_task', ref: 'epic', title: 'Checkout epic', priority: 'high' },
+        { op: 'create_task', ref: 'api', title: 'API', parent: 'epic', estimate: 3, depends_on: [existingId] },
+        { op: 'create_task', ref: 'ui', title: 'UI', parent: 'epic', depends_on: ['api'] },
+        { op: 'add_dependency', task: existingId, depends_on: 'epic' },
+        { op: 'update_task', task: 'api', assignee: 'ana', notes: 'Planned in batch' }
+      ]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.dry_run).toBe(false);
+    expect(Object.keys(result.created)).toEqual(['epic', 'api', 'ui']);
+    expect(result.operations.map((entry) => entry.status)).toEqual(['applied', 'applied', 'applied', 'applied', 'applied']);
+
+    const { epic, api, ui } = result.created;
+    expect(await db.getTaskById(api)).toMatchObject({ parent_id: epic, assignee: 'ana', estimate: 3, dependencies: [existingId] });
+    expect((await db.getTaskById(ui)).dependencies).toEqual([api]);
+    expect((await db.getTaskById(existingId)).dependencies).toEqual([epic]);
+    expect(await db.getCommentCount(api)).toBe(1);
+  });
+
+  test('should roll everything back and report each operation when one fails', async () => {
+    const before = await taskCount();
+    const error = await rejection(applyPlan(db, {
+      project_id: projectId,
+      operations: [
+        { op: 'create_task', ref: 'a', title: 'A', depends_on: [existingId] },
+        { op: 'create_task', ref: 'b', title: 'B', depends_on: [9999] },
+        { op: 'create_task', ref: 'c', title: 'C', depends_on: ['b'] },
+        { op: 'add_dependency', task: existingId, depends_on: 'a' },
+        { op: 'update_task', task: 'a', status: 'deployed' }
+      ]
+    }));
+
+    expect(error).toBeInstanceOf(PlanError);
+    expect(error.message).toBe('4 of 5 operations failed; nothing was applied');
+    expect(error.code).toBe('NOT_FOUND');
+    expect(error.operations.map((entry) => [entry.ref ?? entry.index, entry.status])).toEqual([
+      ['a', 'applied'],
+      ['b', 'failed'],
+      ['c', 'skipped'],
+      [3, 'failed'],
+      [4, 'failed']
+    ]);
+    expect(error.operations[1]).toMatchObject({ error: 'Dependency task 9999 not found', code: 'NOT_FOUND' });
+    expect(error.operations[2].error).toBe('Skipped: ref "b" was not created');
+    expect(error.operations[3].error).toMatch(/would create a cycle$/);
+    expect(error.operations[3].code).toBe('CYCLE');
+    expect(error.operations[4]).toMatchObject({ code: 'CONFLICT', reason: 'INCOMPLETE_DEPENDENCIES' });
+
+    expect(await taskCount()).toBe(before);
+    expect(await db.getDependencyIds(existingId)).toEqual([]);
+  });
+
+  test('should undo the partial writes of a failed operation before the next one', async () => {
+    const error = await rejection(applyPlan(db, {
+      project_id: projectId,
+      operations: [
+        { op: 'create_task', ref: 'epic', title: 'Epic' },
+        { op: 'create_task', ref: 'child', title: 'Child', parent: 'epic', depends_on: [9999] },
+        { op: 'update_task', task: 'epic', status: 'deployed' }
+      ]
+    }));
+
+    // The child row written before its dependency failed must not block the epic
+    expect(error.operations.map((entry) => entry.status)).toEqual(['applied', 'failed', 'applied']);
+  });
+
+  test('should validate the whole plan before touching the database', async () => {
+    expect(() => normalizePlan({ operations: [] })).toThrow('operations must be a non-empty array');
+
+    let error;
+    try {
+      normalizePlan({
+        operations: [
+          { op: 'create_task', ref: 'x', title: 'X' },
+          { op: 'create_task', ref: 'y', title: 'Y', project_id: projectId, depends_on: ['z'] },
+          { op: 'create_task', ref: 'y', title: 'Y again', project_id: projectId },
+          { op: 'update_task', task: 'y' },
+          { op: 'rename_task', task: 1 },
+          { op: 'add_dependency', task: 1, depends_on: 'y' }
+        ]
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(PlanError);
+    expect(error.code).toBe('VALIDATION');
+    expect(error.operations.map((entry) => entry.error ?? null)).toEqual([
+      'project_id is required (on the operation or the plan)',
+      'Unknown ref "z" in depends_on: refs must be created by an earlier create_task',
+      null,
+      'No valid fields to update',
+      'op must be one of: create_task, update_task, add_dependency, remove_dependency',
+      null
+    ]);
+  });
+
+  test('should roll back dry runs and keep concurrent writes out of the transaction', async () => {
+    const before = await taskCount();
+    const result = await applyPlan(db, {
+      project_id: projectId,
+      operations: [{ op: 'create_task', ref: 'tmp', title: 'Temporary' }]
+    }, { dryRun: true });
+
+    expect(result).toMatchObject({ success: true, dry_run: true });
+    expect(result.created.tmp).toBeGreaterThan(existingId);
+    expect(await taskCount()).toBe(before);
+
+    // A write on the main connection while a transaction is open waits for
+    // it and survives its rollback
+    let concurrent;
+    await expect(db.transaction(async (tx) => {
+      await tx.addTask(projectId, 'Rolled back');
+      concurrent = db.addTask(projectId, 'Concurrent');
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+    await concurrent;
+
+    const titles = (await db.getTasks({ project_id: projectId })).map((task) => task.title).sort();
+    expect(titles).toEqual(['Concurrent', 'Existing']);
+  });
+
+  test('should join an open transaction and refuse in-memory databases', async () => {
+    const before = await taskCount();
+    await expect(db.transaction(async (tx) => {
+      await tx.transaction(async (inner) => inner.addTask(projectId, 'Nested'));
+      await tx.addTask(projectId, 'Broken', null, 'medium', null, null, null, null, [9999]);
+    })).rejects.toThrow('FOREIGN KEY constraint failed');
+    expect(await taskCount()).toBe(before);
+
+    const memory = new Database(':memory:');
+    await memory.ready;
+    await expect(memory.transaction(async () => {})).rejects.toThrow('Transactions need a database file');
+    await new Promise((resolve) => memory.db.close(resolve));
+  });
+});
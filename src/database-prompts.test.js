@@ -0,0 +1,106 @@
+import Database from './database.js';
+import { PROMPTS, PromptError, getPrompt } from './prompts.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database MCP prompts', () => {
+  let db;
+  let projectId;
+  let ids;
+  const testDbPath = join(__dirname, '..', 'test-database-prompts.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function promptText(name, args) {
+    const prompt = await getPrompt(db, name, args);
+    expect(prompt.messages).toHaveLength(1);
+    expect(prompt.messages[0].role).toBe('user');
+    return prompt.messages[0].content.text;
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Checkout');
+
+    const milestoneId = await db.createMilestone(projectId, 'v1');
+    const api = await db.addTask(projectId, 'Payments API', null, 'high', null, 'ana', '2020-01-01');
+    const ui = await db.addTask(projectId, 'Checkout UI', null, 'medium', null, 'bob', null, null, [api]);
+    const docs = await db.addTask(projectId, 'Write docs');
+    await db.updateTask(ui, { milestone_id: milestoneId });
+    ids = { milestoneId, api, ui, docs };
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should prepare a standup with the assignee work and blockers', async () => {
+    const bob = await promptText('daily_standup', { assignee: 'bob', project_id: String(projectId) });
+    expect(bob).toContain('Prepare the daily standup for bob in project');
+    expect(bob).toContain('"title": "Checkout UI"');
+    expect(bob).toContain('"blocked_by"');
+    expect(bob).not.toContain('"assignee": "ana"');
+
+    const ana = await promptText('daily_standup', { assignee: 'ana' });
+    expect(ana).toContain('in all projects');
+    expect(ana).toMatch(/## Overdue\n\n```json\n\[\n {2}\{\n {4}"id": \d+,/);
+    expect(ana).toContain('"overdue": true');
+    // Unassigned actionable work is offered too
+    expect(ana).toContain('"title": "Write docs"');
+  });
+
+  test('should fill planning, triage and release prompts with live data', async () => {
+    const plan = await promptText('plan_project_from_spec', { project_id: String(projectId), spec: 'Add Apple Pay' });
+    expect(plan).toContain('## Specification\n\nAdd Apple Pay');
+    expect(plan).toContain('Estimate each task in points');
+    expect(plan).toContain('"name": "v1"');
+
+    const triage = await promptText('triage_blocked_tasks', {});
+    expect(triage).toContain(`"id": ${ids.ui}`);
+    expect(triage).not.toContain(`"id": ${ids.docs}`);
+
+    const release = await getPrompt(db, 'release_readiness_review', { project_id: String(projectId), milestone_id: String(ids.milestoneId) });
+    expect(release.description).toBe(`Release readiness review of milestone #${ids.milestoneId} "v1" of project #${projectId} "Checkout"`);
+    const text = release.messages[0].content.text;
+    expect(text).toContain('## Milestone summary');
+    // The overdue API task is not part of the milestone
+    expect(text).toMatch(/## Overdue tasks\n\n```json\n\[\]/);
+  });
+
+  test('should validate prompt names and arguments', async () => {
+    expect(PROMPTS.map((prompt) => prompt.name)).toEqual([
+      'plan_project_from_spec',
+      'daily_standup',
+      'triage_blocked_tasks',
+      'release_readiness_review'
+    ]);
+
+    await expect(getPrompt(db, 'write_poem')).rejects.toThrow('Unknown prompt: write_poem');
+    await expect(getPrompt(db, 'daily_standup', {})).rejects.toThrow('assignee is required');
+    await expect(getPrompt(db, 'plan_project_from_spec', { project_id: 'abc', spec: 'x' })).rejects.toThrow('project_id must be a positive integer');
+    await expect(getPrompt(db, 'triage_blocked_tasks', { project_id: '9999' })).rejects.toThrow(PromptError);
+
+    const other = await db.createProject('Other');
+    const otherMilestone = await db.createMilestone(other, 'v9');
+    await expect(getPrompt(db, 'release_readiness_review', { project_id: String(projectId), milestone_id: String(otherMilestone) }))
+      .rejects.toThrow(`Milestone ${otherMilestone} not found in project ${projectId}`);
+  });
+});
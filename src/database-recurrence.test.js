@@ -0,0 +1,165 @@
+import Database from './database.js';
+import { RecurrenceError, nextCronDate, occurrenceDueDate } from './recurrence.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database recurring tasks', () => {
+  let db;
+  let projectId;
+  const testDbPath = join(__dirname, '..', 'test-database-recurrence.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function complete(taskId) {
+    await db.updateTask(taskId, { status: 'deployed' });
+    const rule = await db.getTaskRecurrence(taskId);
+    return rule.current_task_id;
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Maintenance');
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should compute due dates for each frequency', () => {
+    expect(occurrenceDueDate({ frequency: 'daily', every: 2, start_date: '2026-01-30' }, 1)).toBe('2026-02-01');
+    expect(occurrenceDueDate({ frequency: 'weekly', every: 1, start_date: '2026-01-05' }, 3)).toBe('2026-01-26');
+    expect(occurrenceDueDate({ frequency: 'monthly', every: 1, start_date: '2026-01-31' }, 1)).toBe('2026-02-28');
+    expect(occurrenceDueDate({ frequency: 'monthly', every: 1, start_date: '2026-01-31' }, 2)).toBe('2026-03-31');
+
+    // Quarterly on the 1st, then every Monday
+    expect(nextCronDate('0 9 1 1,4,7,10 *', '2026-01-01')).toBe('2026-04-01');
+    expect(nextCronDate('0 0 * * 1', '2026-03-04')).toBe('2026-03-09');
+    expect(() => nextCronDate('0 0 32 * *', '2026-03-04')).toThrow(RecurrenceError);
+  });
+
+  test('completing an occurrence should create the next one', async () => {
+    const auditId = await db.addTask(projectId, 'Dependency audit', 'Run npm audit', 'high', 'ops', 'ana', '2026-01-05', ['security']);
+    const rule = await db.setRecurrence(auditId, { frequency: 'weekly', every: 2 });
+    expect(rule).toMatchObject({ frequency: 'weekly', every: 2, start_date: '2026-01-05', occurrences: 1, current_task_id: auditId });
+
+    const nextId = await complete(auditId);
+    expect(nextId).not.toBe(auditId);
+
+    const next = await db.getTaskById(nextId);
+    expect(next).toMatchObject({
+      title: 'Dependency audit',
+      description: 'Run npm audit',
+      priority: 'high',
+      category: 'ops',
+      assignee: 'ana',
+      due_date: '2026-01-19',
+      status: 'pending',
+      recurrence_id: rule.id
+    });
+    expect(next.tags).toEqual(['security']);
+    expect(next.recurrence.occurrences).toBe(2);
+
+    // Re-completing an older occurrence does not spawn duplicates
+    await db.updateTask(auditId, { status: 'in-progress' });
+    await db.updateTask(auditId, { status: 'deployed' });
+    expect(await db.getTasks({ project_id: projectId })).toHaveLength(2);
+  });
+
+  test('should copy tags, assignee and dependencies as configured', async () => {
+    const setupId = await db.addTask(projectId, 'Renew DNS');
+    const renewalId = await db.addTask(projectId, 'Renew certificate', null, 'medium', null, 'ana', '2026-03-01', ['tls'], [setupId]);
+    await db.setRecurrence(renewalId, { frequency: 'monthly', every: 3, copy_tags: false, copy_assignee: false, copy_dependencies: true });
+
+    await db.updateTask(setupId, { status: 'deployed' });
+    const nextId = await complete(renewalId);
+
+    const next = await db.getTaskById(nextId);
+    expect(next.assignee).toBeNull();
+    expect(next.tags).toEqual([]);
+    expect(next.dependencies).toEqual([setupId]);
+    expect(next.due_date).toBe('2026-06-01');
+  });
+
+  test('should stop at the end conditions', async () => {
+    const reportId = await db.addTask(projectId, 'Monthly report', null, 'medium', null, null, '2026-01-31');
+    await db.setRecurrence(reportId, { frequency: 'monthly', max_occurrences: 2 });
+
+    const secondId = await complete(reportId);
+    expect((await db.getTaskById(secondId)).due_date).toBe('2026-02-28');
+
+    await db.updateTask(secondId, { status: 'deployed' });
+    const rule = await db.getTaskRecurrence(secondId);
+    expect(rule.active).toBe(false);
+    expect(rule.current_task_id).toBeNull();
+    expect(await db.getTasks({ project_id: projectId })).toHaveLength(2);
+
+    const standupId = await db.addTask(projectId, 'Standup notes', null, 'low', null, null, '2026-05-01');
+    await db.setRecurrence(standupId, { frequency: 'daily', end_date: '2026-05-02' });
+    const nextId = await complete(standupId);
+    await db.updateTask(nextId, { status: 'deployed' });
+    expect((await db.getTaskRecurrence(nextId)).active).toBe(false);
+  });
+
+  test('setting the rule again should restart an ended series', async () => {
+    const reportId = await db.addTask(projectId, 'Monthly report', null, 'medium', null, null, '2026-01-31');
+    await db.setRecurrence(reportId, { frequency: 'monthly', max_occurrences: 1 });
+    await complete(reportId);
+    expect((await db.getTaskRecurrence(reportId)).active).toBe(false);
+
+    // The last occurrence is done, so the next one is created right away
+    const rule = await db.setRecurrence(reportId, { frequency: 'monthly', max_occurrences: 3 });
+    expect(rule.active).toBe(true);
+    expect(rule.occurrences).toBe(2);
+    expect(rule.current_task_id).not.toBe(reportId);
+    expect((await db.getTaskById(rule.current_task_id)).due_date).toBe('2026-02-28');
+
+    const thirdId = await complete(rule.current_task_id);
+    expect((await db.getTaskById(thirdId)).due_date).toBe('2026-03-31');
+
+    // An open task restarts the series as its current occurrence
+    const reviewId = await db.addTask(projectId, 'Access review', null, 'medium', null, null, '2026-04-01');
+    await db.setRecurrence(reviewId, { frequency: 'daily', end_date: '2026-04-01' });
+    await complete(reviewId);
+    const { id: seriesId } = await db.getTaskRecurrence(reviewId);
+    const secondReviewId = await db.addTask(projectId, 'Access review', null, 'medium', null, null, '2026-04-02', null, [], { recurrence_id: seriesId });
+    const restarted = await db.setRecurrence(secondReviewId, { frequency: 'daily', end_date: '2026-04-30' });
+    expect(restarted).toMatchObject({ active: true, current_task_id: secondReviewId });
+  });
+
+  test('should validate rules and allow removing them', async () => {
+    const taskId = await db.addTask(projectId, 'Backup restore drill');
+
+    await expect(db.setRecurrence(taskId, { frequency: 'yearly' })).rejects.toThrow(RecurrenceError);
+    await expect(db.setRecurrence(taskId, { frequency: 'cron', cron: '* *' })).rejects.toThrow('cron must have 5 fields');
+    await expect(db.setRecurrence(taskId, { frequency: 'daily', every: 0 })).rejects.toThrow('every must be a positive integer');
+
+    const rule = await db.setRecurrence(taskId, { frequency: 'cron', cron: '0 6 * * 1', start_date: '2026-03-02' });
+    expect((await db.getTaskById(taskId)).due_date).toBe('2026-03-02');
+    expect((await db.getTaskById(taskId)).recurrence.id).toBe(rule.id);
+
+    expect(await db.removeRecurrence(taskId)).toBe(true);
+    const task = await db.getTaskById(taskId);
+    expect(task.recurrence).toBeNull();
+
+    await db.updateTask(taskId, { status: 'deployed' });
+    expect(await db.getTasks({ project_id: projectId })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,121 @@
+import Database from './database.js';
+import { listResources, parseResourceUri, readResource, ResourceError } from './resources.js';
+import { createMcpServer } from './mcp-server.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database MCP resources', () => {
+  let db;
+  let projectId;
+  let taskId;
+  const testDbPath = join(__dirname, '..', 'test-database-resources.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function read(uri) {
+    return JSON.parse((await readResource(db, uri)).text);
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Website', 'Acme');
+    const design = await db.addTask(projectId, 'Design');
+    taskId = await db.addTask(projectId, 'Build', null, 'high', null, 'ana', null, null, [design]);
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should parse tracker URIs', () => {
+    expect(parseResourceUri('tracker://projects')).toEqual({ type: 'projects' });
+    expect(parseResourceUri('tracker://projects/7')).toEqual({ type: 'project', id: 7 });
+    expect(parseResourceUri('tracker://projects/7/summary')).toEqual({ type: 'project_summary', id: 7 });
+    expect(parseResourceUri('tracker://projects/7/tasks')).toEqual({ type: 'project_tasks', id: 7 });
+    expect(parseResourceUri('tracker://tasks/12')).toEqual({ type: 'task', id: 12 });
+
+    for (const uri of ['tracker://tasks/abc', 'tracker://projects/7/graph', 'file:///etc/passwd', undefined]) {
+      expect(() => parseResourceUri(uri)).toThrow(ResourceError);
+    }
+  });
+
+  test('should list the projects and a summary per project', async () => {
+    const resources = await listResources(db);
+    expect(resources.map((resource) => resource.uri)).toEqual(['tracker://projects', `tracker://projects/${projectId}/summary`]);
+    expect(resources[1]).toMatchObject({ name: 'Website summary', mimeType: 'application/json' });
+  });
+
+  test('should read projects, summaries, tasks and single tasks as JSON', async () => {
+    const content = await readResource(db, `tracker://tasks/${taskId}`);
+    expect(content).toMatchObject({ uri: `tracker://tasks/${taskId}`, mimeType: 'application/json' });
+
+    const task = JSON.parse(content.text);
+    expect(task).toMatchObject({ id: taskId, title: 'Build', assignee: 'ana' });
+    expect(task.incomplete_dependencies).toHaveLength(1);
+
+    const { projects } = await read('tracker://projects');
+    expect(projects.map((project) => [project.name, project.total_tasks])).toEqual([['Website', 2]]);
+    expect(await read(`tracker://projects/${projectId}`)).toMatchObject({ id: projectId, client: 'Acme' });
+
+    const summary = await read(`tracker://projects/${projectId}/summary`);
+    expect(summary).toMatchObject({ project_id: projectId, project_name: 'Website', summary: { total: 2 } });
+    expect(summary.summary.dependency_stats).toBeDefined();
+
+    const { tasks } = await read(`tracker://projects/${projectId}/tasks`);
+    expect(tasks.map((t) => t.title).sort()).toEqual(['Build', 'Design']);
+
+    await expect(readResource(db, 'tracker://tasks/9999')).rejects.toMatchObject({ code: 'NOT_FOUND', message: 'Task 9999 not found' });
+    await expect(readResource(db, 'tracker://projects/9999/summary')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await expect(readResource(db, 'tracker://sprints/1')).rejects.toMatchObject({ code: 'INVALID_URI' });
+  });
+
+  test('writes outside the session should notify its subscribers', async () => {
+    const server = createMcpServer(db);
+    const client = new Client({ name: 'resources-test', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+    const updates = [];
+    let onUpdate = () => {};
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updates.push(notification.params.uri);
+      onUpdate();
+    });
+    await client.subscribeResource({ uri: `tracker://tasks/${taskId}` });
+
+    // Read-only tools do not write, so nothing is re-read or notified
+    await client.callTool({ name: 'get_task_by_id', arguments: { id: taskId } });
+    expect(updates).toEqual([]);
+
+    // A write straight to the database, as the REST API makes it
+    const notified = new Promise((resolve) => {
+      onUpdate = resolve;
+    });
+    await db.updateTask(taskId, { assignee: 'luis' });
+    await notified;
+    expect(updates).toEqual([`tracker://tasks/${taskId}`]);
+
+    await client.close();
+  });
+});
@@ -0,0 +1,110 @@
+import Database from './database.js';
+import { SearchError, toFtsQuery } from './search.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database full-text search', () => {
+  let db;
+  let webId;
+  let apiId;
+  let loginId;
+  let notesId;
+  let rateLimitId;
+  const testDbPath = join(__dirname, '..', 'test-database-search.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  const ids = (page) => page.results.map((result) => result.id);
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+
+    webId = await db.createProject('Web');
+    apiId = await db.createProject('API');
+    loginId = await db.addTask(webId, 'Fix login redirect', 'Users bounce back after the OAuth callback', 'high', null, null, null, ['auth', 'bug']);
+    notesId = await db.addTask(apiId, 'Write release notes', 'Describe the authentication changes', 'low');
+    rateLimitId = await db.addTask(apiId, 'Rate limit login endpoint', 'Throttle brute force attempts', 'critical', null, null, null, ['security']);
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should translate user input into safe FTS5 queries', () => {
+    expect(toFtsQuery('login redirect')).toBe('"login" "redirect"');
+    expect(toFtsQuery('"release notes" auth*')).toBe('"release notes" "auth"*');
+    expect(toFtsQuery('title:login OR (tags:bug NOT done)')).toBe('title : "login" OR ( tags : "bug" NOT "done" )');
+    expect(toFtsQuery('C++ "x"y')).toBe('"C++" "x" "y"');
+    expect(toFtsQuery('  * AND ')).toBe('');
+  });
+
+  test('should rank results across projects and highlight matches', async () => {
+    const page = await db.searchTasks('login');
+    expect(page.total).toBe(2);
+    expect(page.results.map((result) => result.project_name).sort()).toEqual(['API', 'Web']);
+    expect(page.results[0]).toMatchObject({ title_highlight: expect.stringContaining('**login**') });
+
+    const scoped = await db.searchTasks('login', { project_id: webId });
+    expect(ids(scoped)).toEqual([loginId]);
+    expect(scoped.results[0].tags).toEqual(['auth', 'bug']);
+
+    // Tag matches outrank description matches
+    const auth = await db.searchTasks('auth*');
+    expect(ids(auth)).toEqual([loginId, notesId]);
+    expect(auth.results[0].score).toBeGreaterThan(auth.results[1].score);
+    expect(auth.results[1].snippet).toContain('**authentication**');
+  });
+
+  test('should support phrases, boolean operators and column filters', async () => {
+    expect(ids(await db.searchTasks('"release notes"'))).toEqual([notesId]);
+    expect(ids(await db.searchTasks('"notes release"'))).toEqual([]);
+    expect(ids(await db.searchTasks('login NOT security'))).toEqual([loginId]);
+    expect((await db.searchTasks('bug OR security')).total).toBe(2);
+    expect(ids(await db.searchTasks('description:oauth'))).toEqual([loginId]);
+    expect(ids(await db.searchTasks('title:oauth'))).toEqual([]);
+
+    await expect(db.searchTasks('(login')).rejects.toThrow(SearchError);
+    await expect(db.searchTasks('   ')).rejects.toThrow('Search query is required');
+  });
+
+  test('should keep the index in sync with tasks and comments', async () => {
+    await db.updateTask(loginId, { title: 'Fix SSO redirect', tags: ['sso'] });
+    expect(ids(await db.searchTasks('sso'))).toEqual([loginId]);
+    expect((await db.searchTasks('login')).total).toBe(1);
+
+    const commentId = await db.addComment(notesId, 'Remember the migración guide');
+    expect(ids(await db.searchTasks('migracion'))).toEqual([notesId]);
+    await db.updateComment(commentId, 'Link the upgrade guide');
+    expect((await db.searchTasks('migracion')).total).toBe(0);
+    expect(ids(await db.searchTasks('comments:upgrade'))).toEqual([notesId]);
+
+    await db.deleteTask(notesId);
+    expect((await db.searchTasks('upgrade')).total).toBe(0);
+  });
+
+  test('getTasks search should use the full-text index', async () => {
+    const tasks = await db.getTasks({ search: 'login' });
+    expect(tasks.map((task) => task.id).sort()).toEqual([loginId, rateLimitId]);
+
+    expect(await db.getTasks({ project_id: webId, search: 'brute' })).toHaveLength(0);
+    await expect(db.getTasks({ search: 'login AND' })).rejects.toThrow(SearchError);
+  });
+});
@@ -0,0 +1,133 @@
+import Database from './database.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database sprints', () => {
+  let db;
+  const testDbPath = join(__dirname, '..', 'test-database-sprints.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should commit tasks and move them between open sprints', async () => {
+    const projectId = await db.createProject('Sprints');
+    const first = await db.createSprint(projectId, 'Sprint 1', '2026-11-02', '2026-11-13', 'Checkout MVP', 5);
+    const second = await db.createSprint(projectId, 'Sprint 2', '2026-11-16', '2026-11-27');
+    const taskId = await db.addTask(projectId, 'Cart page');
+
+    expect(await db.commitTaskToSprint(first, taskId)).toBe(true);
+    expect(await db.commitTaskToSprint(first, taskId)).toBe(false);
+    expect((await db.getTaskById(taskId)).sprint.id).toBe(first);
+
+    await db.commitTaskToSprint(second, taskId);
+    expect(await db.getSprintTasks(first)).toEqual([]);
+    expect((await db.getSprintTasks(second)).map((task) => task.id)).toEqual([taskId]);
+
+    const history = await db.getTaskHistory(taskId);
+    expect(history.filter((row) => row.field === 'sprint').length).toBe(2);
+  });
+
+  test('closing a sprint should carry unfinished tasks over', async () => {
+    const projectId = await db.createProject('Sprints');
+    const current = await db.createSprint(projectId, 'Sprint 1', '2026-11-02', '2026-11-13');
+    const next = await db.createSprint(projectId, 'Sprint 2', '2026-11-16', '2026-11-27');
+    const done = await db.addTask(projectId, 'Done');
+    const open = await db.addTask(projectId, 'Open');
+
+    await db.commitTaskToSprint(current, done);
+    await db.commitTaskToSprint(current, open);
+    await db.startSprint(current);
+    await db.updateTask(done, { status: 'deployed' });
+
+    const outcome = await db.closeSprint(current, next);
+    expect(outcome).toEqual({ completed: [done], carried_over: [open], incomplete: [] });
+    expect(await db.closeSprint(current)).toBeNull();
+
+    expect((await db.getSprint(current)).state).toBe('closed');
+    expect((await db.getSprintTasks(next)).map((task) => task.id)).toEqual([open]);
+
+    const report = await db.getSprintReport(current);
+    expect(report.completed).toBe(1);
+    expect(report.tasks.carried_over.map((task) => task.id)).toEqual([open]);
+  });
+
+  test('should validate sprint dates', async () => {
+    const projectId = await db.createProject('Sprints');
+    await expect(db.createSprint(projectId, 'Bad', '2026-11-13', '2026-11-02'))
+      .rejects.toMatchObject({ code: 'VALIDATION' });
+    await expect(db.createSprint(projectId, 'Bad', 'next monday', '2026-11-13'))
+      .rejects.toMatchObject({ code: 'VALIDATION' });
+
+    const sprintId = await db.createSprint(projectId, 'Sprint 1', '2026-11-02', '2026-11-13');
+    await expect(db.updateSprint(sprintId, { end_date: '2026-11-01' }))
+      .rejects.toMatchObject({ code: 'VALIDATION' });
+    expect(await db.updateSprint(sprintId, { start_date: '2026-11-03' })).toBe(true);
+  });
+
+  test('should allow only one active sprint per project', async () => {
+    const projectId = await db.createProject('Sprints');
+    const otherProjectId = await db.createProject('Other');
+    const first = await db.createSprint(projectId, 'Sprint 1', '2026-11-02', '2026-11-13');
+    const second = await db.createSprint(projectId, 'Sprint 2', '2026-11-16', '2026-11-27');
+    const other = await db.createSprint(otherProjectId, 'Sprint 1', '2026-11-02', '2026-11-13');
+
+    expect(await db.startSprint(first)).toBe(true);
+    await expect(db.startSprint(second)).rejects.toMatchObject({ code: 'CONFLICT' });
+    expect(await db.startSprint(other)).toBe(true);
+
+    await db.closeSprint(first);
+    expect(await db.startSprint(second)).toBe(true);
+  });
+
+  test('sprint report should derive scope added mid-sprint from history', async () => {
+    const projectId = await db.createProject('Sprints');
+    const sprintId = await db.createSprint(projectId, 'Sprint 1', '2025-11-03', '2025-11-14', null, 2);
+    const planned = await db.addTask(projectId, 'Planned');
+    const dropped = await db.addTask(projectId, 'Dropped');
+    const urgent = await db.addTask(projectId, 'Urgent');
+
+    await db.commitTaskToSprint(sprintId, planned);
+    await db.commitTaskToSprint(sprintId, dropped);
+    await db.run("UPDATE history SET changed_at = '2025-11-02 09:00:00' WHERE field = 'sprint'");
+    await db.run("UPDATE sprints SET state = 'active', started_at = '2025-11-03 09:00:00' WHERE id = ?", [sprintId]);
+
+    await db.commitTaskToSprint(sprintId, urgent);
+    await db.removeTaskFromSprint(sprintId, dropped);
+    await db.updateTask(planned, { status: 'deployed' });
+
+    const report = await db.getSprintReport(sprintId);
+    expect(report.committed).toBe(2);
+    expect(report.added_mid_sprint).toBe(1);
+    expect(report.tasks.added_mid_sprint[0].id).toBe(urgent);
+    expect(report.removed_mid_sprint).toBe(1);
+    expect(report.total_scope).toBe(2);
+    expect(report.completed).toBe(1);
+    expect(report.completion_percentage).toBe(50);
+    expect(report.over_capacity).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+import Database from './database.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database subtasks', () => {
+  let db;
+  const testDbPath = join(__dirname, '..', 'test-database-subtasks.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('getTaskById should return parent and children', async () => {
+    const projectId = await db.createProject('Checkout');
+    const epic = await db.addTask(projectId, 'Checkout redesign');
+    const cart = await db.addTask(projectId, 'Cart page', null, 'medium', null, null, null, null, [], epic);
+    const payment = await db.addTask(projectId, 'Payment page', null, 'medium', null, null, null, null, [], epic);
+
+    const parent = await db.getTaskById(epic);
+    expect(parent.parent).toBeNull();
+    expect(parent.children.map((child) => child.id)).toEqual([cart, payment]);
+
+    const child = await db.getTaskById(cart);
+    expect(child.parent_id).toBe(epic);
+    expect(child.parent.title).toBe('Checkout redesign');
+    expect(child.children).toEqual([]);
+  });
+
+  test('should roll up progress from all descendants', async () => {
+    const projectId = await db.createProject('Checkout');
+    const epic = await db.addTask(projectId, 'Epic');
+    const story = await db.addTask(projectId, 'Story', null, 'medium', null, null, null, null, [], epic);
+    const subA = await db.addTask(projectId, 'Sub A', null, 'medium', null, null, null, null, [], story);
+    const subB = await db.addTask(projectId, 'Sub B', null, 'medium', null, null, null, null, [], story);
+
+    await db.updateTask(subA, { status: 'deployed' });
+    await db.updateTask(subB, { status: 'tested' });
+
+    const progress = await db.getSubtaskProgress(epic);
+    expect(progress.total).toBe(3);
+    expect(progress.completed).toBe(1);
+    expect(progress.completion_percentage).toBe(33);
+    expect(progress.progress_percentage).toBe(67);
+
+    const incomplete = await db.getIncompleteDescendants(epic);
+    expect(incomplete.map((task) => task.id).sort()).toEqual([story, subB].sort());
+  });
+
+  test('getTaskTree should nest descendants', async () => {
+    const projectId = await db.createProject('Tree');
+    const root = await db.addTask(projectId, 'Root');
+    const child = await db.addTask(projectId, 'Child', null, 'medium', null, null, null, null, [], root);
+    const grandchild = await db.addTask(projectId, 'Grandchild', null, 'medium', null, null, null, null, [], child);
+    const other = await db.addTask(projectId, 'Other root');
+
+    const tree = await db.getTaskTree(root);
+    expect(tree.id).toBe(root);
+    expect(tree.children[0].id).toBe(child);
+    expect(tree.children[0].children[0].id).toBe(grandchild);
+
+    const forest = await db.getTaskTree(null, projectId);
+    expect(forest.map((node) => node.id)).toEqual([root, other]);
+    expect(await db.isDescendant(root, grandchild)).toBe(true);
+    expect(await db.isDescendant(child, root)).toBe(false);
+  });
+
+  test('deleting a parent should cascade to its subtasks', async () => {
+    const projectId = await db.createProject('Cascade');
+    const parent = await db.addTask(projectId, 'Parent');
+    const child = await db.addTask(projectId, 'Child', null, 'medium', null, null, null, null, [], parent);
+    const grandchild = await db.addTask(projectId, 'Grandchild', null, 'medium', null, null, null, null, [], child);
+
+    await db.deleteTask(parent);
+
+    expect(await db.getTaskById(child)).toBeNull();
+    expect(await db.getTaskById(grandchild)).toBeNull();
+  });
+
+  test('updateTask should move a task under another parent', async () => {
+    const projectId = await db.createProject('Move');
+    const first = await db.addTask(projectId, 'First');
+    const second = await db.addTask(projectId, 'Second');
+    const child = await db.addTask(projectId, 'Child', null, 'medium', null, null, null, null, [], first);
+
+    await db.updateTask(child, { parent_id: second });
+
+    const children = await db.getTasks({ parent_id: second });
+    expect(children.map((task) => task.id)).toEqual([child]);
+    expect((await db.getTaskHistory(child)).some((row) => row.field === 'parent_id')).toBe(true);
+  });
+});
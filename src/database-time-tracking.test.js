@@ -0,0 +1,104 @@
+import Database from './database.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database time tracking', () => {
+  let db;
+  const testDbPath = join(__dirname, '..', 'test-database-time.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should log work and include it in task detail', async () => {
+    const projectId = await db.createProject('Billing', 'Acme');
+    const taskId = await db.addTask(projectId, 'Invoice export');
+
+    await db.logWork(taskId, 90, 'Maria', '2026-03-02', 'Initial version');
+    await db.logWork(taskId, 30, 'Juan', '2026-03-03');
+
+    const logs = await db.getWorkLogs(taskId);
+    expect(logs.map((log) => log.work_date)).toEqual(['2026-03-03', '2026-03-02']);
+
+    const task = await db.getTaskById(taskId);
+    expect(task.logged_minutes).toBe(120);
+  });
+
+  test('timers should log elapsed minutes when stopped', async () => {
+    const projectId = await db.createProject('Billing');
+    const taskId = await db.addTask(projectId, 'Invoice export');
+
+    await db.startTimer(taskId, 'Maria');
+    expect((await db.getTaskById(taskId)).active_timers.length).toBe(1);
+    await db.run("UPDATE work_logs SET started_at = datetime('now', '-45 minutes') WHERE task_id = ?", [taskId]);
+
+    expect(await db.stopTimer(taskId, 'Juan')).toBeNull();
+    const log = await db.stopTimer(taskId, 'Maria');
+    expect(log.minutes).toBe(45);
+    expect(log.ended_at).toBeTruthy();
+    expect(await db.getRunningTimer(taskId, 'Maria')).toBeUndefined();
+  });
+
+  test('should aggregate time by client, person and date range', async () => {
+    const acme = await db.createProject('Portal', 'Acme');
+    const globex = await db.createProject('API', 'Globex');
+    const a = await db.addTask(acme, 'A');
+    const b = await db.addTask(globex, 'B');
+
+    await db.logWork(a, 60, 'Maria', '2026-03-01');
+    await db.logWork(a, 30, 'Juan', '2026-03-15');
+    await db.logWork(b, 120, 'Maria', '2026-04-01');
+    await db.startTimer(b, 'Juan');
+
+    const byClient = await db.getTimeReport({}, 'client');
+    expect(byClient.total_minutes).toBe(210);
+    expect(byClient.rows.map((row) => [row.label, row.minutes])).toEqual([['Globex', 120], ['Acme', 90]]);
+
+    const marchByPerson = await db.getTimeReport({ from: '2026-03-01', to: '2026-03-31' }, 'person');
+    expect(marchByPerson.rows.map((row) => [row.label, row.hours])).toEqual([['Maria', 1], ['Juan', 0.5]]);
+
+    await expect(db.getTimeReport({}, 'galaxy')).rejects.toMatchObject({ name: 'ValidationError', code: 'VALIDATION' });
+  });
+
+  test('project summary should include logged time and remaining estimate', async () => {
+    const projectId = await db.createProject('Billing');
+    const open = await db.addTask(projectId, 'Open');
+    const done = await db.addTask(projectId, 'Done');
+
+    await db.updateTask(open, { remaining_minutes: 240 });
+    await db.updateTask(done, { remaining_minutes: 60, status: 'deployed' });
+    await db.logWork(open, 60);
+    await db.logWork(done, 90);
+
+    const summary = await db.getProjectSummary(projectId);
+    expect(summary.time_tracking).toEqual({
+      logged_minutes: 150,
+      logged_hours: 2.5,
+      remaining_estimate_minutes: 240
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import Database from './database.js';
+import { ViewError } from './views.js';
+import { QueryError } from './query-language.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database saved views', () => {
+  let db;
+  let acmeId;
+  let globexId;
+  const testDbPath = join(__dirname, '..', 'test-database-views.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  const ids = (page) => page.tasks.map((task) => task.id);
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+
+    acmeId = await db.createProject('Portal', 'Acme');
+    globexId = await db.createProject('Billing', 'Globex');
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should save a view and run it by name', async () => {
+    const overdue = await db.addTask(acmeId, 'Fix invoice export', null, 'high', null, 'ana', '2026-01-10');
+    const done = await db.addTask(acmeId, 'Old release', null, 'low', null, 'ana', '2026-01-05');
+    await db.addTask(acmeId, 'Next quarter plan', null, 'low', null, 'ana', '2099-01-01');
+    await db.addTask(globexId, 'Late Globex task', null, 'high', null, 'ana', '2026-01-10');
+    await db.updateTask(done, { status: 'deployed' });
+
+    const viewId = await db.createView({
+      name: 'Overdue for Acme',
+      description: 'Open Acme work past its due date',
+      filters: { q: 'is:open client:Acme due<today' },
+      sort: 'due_date'
+    });
+
+    const page = await db.runView('Overdue for Acme');
+    expect(ids(page)).toEqual([overdue]);
+    expect(page.view).toMatchObject({ id: viewId, sort: 'due_date', order: 'asc', filters: { q: 'is:open client:Acme due<today' } });
+    expect(ids(await db.runView(viewId))).toEqual([overdue]);
+    expect(await db.runView('Missing view')).toBeNull();
+  });
+
+  test('should resolve @me to the user running the view or its owner', async () => {
+    const anaTask = await db.addTask(acmeId, 'Cache layer', null, 'critical', null, 'ana', null, ['backend']);
+    const bobTask = await db.addTask(acmeId, 'Queue retries', null, 'critical', null, 'bob', null, ['backend']);
+    const landingTask = await db.addTask(acmeId, 'Landing page', null, 'critical', null, 'ana', null, ['frontend']);
+
+    await db.createView({ name: 'My critical backend work', owner: 'ana', filters: { q: 'priority:critical tag:backend assignee:@me' } });
+    await db.createView({ name: 'Assigned to me', filters: { assignee: '@me' }, sort: 'title' });
+
+    expect(ids(await db.runView('My critical backend work'))).toEqual([anaTask]);
+    expect(ids(await db.runView('My critical backend work', { user: 'bob' }))).toEqual([bobTask]);
+
+    await expect(db.runView('Assigned to me')).rejects.toThrow(ViewError);
+    const mine = await db.runView('Assigned to me', { user: 'ana', fields: ['id', 'title'] });
+    expect(mine.tasks).toEqual([
+      { id: anaTask, title: 'Cache layer' },
+      { id: landingTask, title: 'Landing page' }
+    ]);
+  });
+
+  test('should validate definitions and keep names unique', async () => {
+    await expect(db.createView({ name: ' ', filters: {} })).rejects.toThrow('View name is required');
+    await expect(db.createView({ name: 'Mine', filters: { owner: 'ana' } })).rejects.toThrow('Unknown view filters: owner');
+    await expect(db.createView({ name: 'Mine', filters: { q: 'priority>urgent' } })).rejects.toThrow(QueryError);
+    await expect(db.createView({ name: 'Mine', filters: {}, sort: 'status' })).rejects.toThrow('Invalid sort: status');
+
+    const first = await db.createView({ name: 'Critical', filters: { priority: 'critical' } });
+    const second = await db.createView({ name: 'Backend', owner: 'ana', filters: { q: 'tag:backend' } });
+    await expect(db.createView({ name: 'Critical', filters: {} })).rejects.toMatchObject({ message: 'View Critical already exists', code: 'CONFLICT' });
+    await expect(db.updateView(second, { name: 'Critical' })).rejects.toThrow('already exists');
+
+    expect((await db.getViews()).map((view) => view.name)).toEqual(['Backend', 'Critical']);
+    expect((await db.getViews({ owner: 'ana' })).map((view) => view.id)).toEqual([second]);
+
+    await db.updateView(first, { sort: 'title' });
+    expect(await db.getView(first)).toMatchObject({ sort: 'title', order: 'asc', filters: { priority: 'critical' } });
+
+    expect(await db.deleteView(first)).toBe(true);
+    expect(await db.getView('Critical')).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+import Database from './database.js';
+import { WorkflowError, normalizeWorkflow } from './workflows.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Database workflows', () => {
+  let db;
+  const testDbPath = join(__dirname, '..', 'test-database-workflows.db');
+
+  const qaWorkflow = {
+    statuses: [
+      'todo',
+      'doing',
+      { name: 'in-review', progress: true },
+      { name: 'done', final: true }
+    ],
+    transitions: {
+      todo: ['doing'],
+      doing: ['in-review'],
+      'in-review': ['doing', 'done']
+    }
+  };
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('new projects should get the default workflow', async () => {
+    const projectId = await db.createProject('Default');
+    const workflow = await db.getWorkflow(projectId);
+
+    expect(workflow.statuses.map((status) => status.name)).toEqual(['pending', 'in-progress', 'developed', 'tested', 'deployed', 'blocked']);
+    expect(workflow.statuses.find((status) => status.name === 'tested')).toMatchObject({ progress: true, done: true, final: false });
+    expect(workflow.transitions).toBeNull();
+  });
+
+  test('normalizeWorkflow should reject invalid definitions', () => {
+    expect(() => normalizeWorkflow({ statuses: [] })).toThrow(WorkflowError);
+    expect(() => normalizeWorkflow({ statuses: ['a', 'a'] })).toThrow('Duplicate workflow status: a');
+    expect(() => normalizeWorkflow({ statuses: ['a', 'b'] })).toThrow('at least one final status');
+    expect(() => normalizeWorkflow({ statuses: ['a', { name: 'b', final: true }], transitions: { a: ['c'] } })).toThrow('Unknown status in transitions: c');
+
+    const workflow = normalizeWorkflow({ statuses: ['a', { name: 'b', final: true }] });
+    expect(workflow.statuses[1]).toEqual({ name: 'b', progress: true, done: true, final: true });
+  });
+
+  test('updateTask should enforce the statuses and transitions of the workflow', async () => {
+    const projectId = await db.createProject('QA heavy');
+    await db.setWorkflow(projectId, qaWorkflow);
+
+    const taskId = await db.addTask(projectId, 'Checkout');
+    expect((await db.getTaskById(taskId)).status).toBe('todo');
+
+    await expect(db.updateTask(taskId, { status: 'deployed' })).rejects.toThrow('Invalid status: deployed');
+    await expect(db.updateTask(taskId, { status: 'done' })).rejects.toThrow('Transition from todo to done is not allowed');
+
+    await db.updateTask(taskId, { status: 'doing' });
+    await db.updateTask(taskId, { status: 'in-review' });
+    await db.updateTask(taskId, { status: 'done' });
+
+    const task = await db.getTaskById(taskId);
+    expect(task.status).toBe('done');
+    expect(task.completed_at).not.toBeNull();
+    expect(task.history.filter((row) => row.field === 'status')).toHaveLength(3);
+  });
+
+  test('dependencies and summaries should follow the workflow flags', async () => {
+    const projectId = await db.createProject('QA heavy');
+    await db.setWorkflow(projectId, { statuses: qaWorkflow.statuses });
+
+    const review = await db.addTask(projectId, 'Review');
+    const release = await db.addTask(projectId, 'Release', null, 'medium', null, null, null, null, [review]);
+
+    await db.updateTask(review, { status: 'in-review' });
+    expect(await db.getIncompleteDependencies(release)).toHaveLength(1);
+
+    await db.updateTask(review, { status: 'done' });
+    expect(await db.getIncompleteDependencies(release)).toHaveLength(0);
+
+    const summary = await db.getProjectSummary(projectId);
+    expect(summary.status_counts).toEqual({ todo: 1, doing: 0, 'in-review': 0, done: 1 });
+    expect(summary.in_review).toBe(0);
+    expect(summary.completion_percentage).toBe(50);
+
+    const [project] = await db.getProjects();
+    expect(project.todo_tasks).toBe(1);
+    expect(project.done_tasks).toBe(1);
+    expect(project.deployed_tasks).toBeUndefined();
+  });
+
+  test('setWorkflow should refuse to drop statuses used by tasks', async () => {
+    const projectId = await db.createProject('Ops');
+    const taskId = await db.addTask(projectId, 'Rotate keys');
+    await db.updateTask(taskId, { status: 'developed' });
+
+    await expect(db.setWorkflow(projectId, { statuses: ['pending', 'in-progress', { name: 'deployed', final: true }] }))
+      .rejects.toMatchObject({ message: 'Statuses still used by tasks: developed', code: 'CONFLICT' });
+
+    await db.updateTask(taskId, { status: 'in-progress' });
+    const workflow = await db.setWorkflow(projectId, { statuses: ['pending', 'in-progress', { name: 'deployed', final: true }] });
+    expect(workflow.statuses).toHaveLength(3);
+  });
+
+  test('setWorkflow should keep terminal statuses when read back', async () => {
+    const projectId = await db.createProject('Releases');
+    const definition = {
+      statuses: ['todo', 'doing', { name: 'done', final: true }],
+      transitions: { todo: ['doing'], doing: ['done'], done: [] }
+    };
+
+    const workflow = await db.setWorkflow(projectId, definition);
+    expect(workflow.transitions).toEqual({ todo: ['doing'], doing: ['done'], done: [] });
+    expect(await db.getWorkflow(projectId)).toEqual(workflow);
+    expect(workflow).toEqual({ ...normalizeWorkflow(definition), requirements: {} });
+
+    const locked = await db.setWorkflow(projectId, { statuses: ['todo', { name: 'done', final: true }], transitions: { todo: [], done: [] } });
+    expect(locked.transitions).toEqual({ todo: [], done: [] });
+    const taskId = await db.addTask(projectId, 'Tag release');
+    await expect(db.updateTask(taskId, { status: 'done' })).rejects.toThrow();
+  });
+});
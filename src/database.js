@@ -1,17 +1,133 @@
 import sqlite3 from 'sqlite3';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
 import config from './config.js';
 import { runMigrations } from './migrations.js';
+import { DEFAULT_WORKFLOW, normalizeWorkflow, isFinalStatus, startedStatuses, statusHas, statusKey, WorkflowError } from './workflows.js';
+import { checkTransition } from './transition-guards.js';
+import { ValidationError, ConflictError } from './tool-errors.js';
+import { normalizeFieldDefinition, normalizeOptions, toStoredValue, fromStoredValue, CustomFieldError } from './custom-fields.js';
+import { normalizeRecurrence, occurrenceDueDate, isValidDate } from './recurrence.js';
+import { compileQuery, QueryError } from './query-language.js';
+import { normalizeListOptions, encodeCursor, PaginationError } from './pagination.js';
+import { normalizeView, resolveViewFilters, ViewError } from './views.js';
+import {
+  normalizeFlowFilters, taskFlow, summarizeDurations, summarizeTimeInStatus, weeklyThroughput, groupByTask,
+  normalizeSeriesRange, dailyStatusCounts, burndownSeries, cumulativeFlowSeries
+} from './analytics.js';
+import { computeCriticalPath, ScheduleError } from './critical-path.js';
+import { statusCategory, GraphError, GRAPH_DIRECTIONS } from './dependency-graph.js';
+import { toFtsQuery, rethrowSearchError, SearchError, SEARCH_WEIGHTS, HIGHLIGHT_START, HIGHLIGHT_END } from './search.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const isTestMode = process.env.NODE_ENV === 'test';
 
-class Database {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a statement waits for another connection's write transaction
+const BUSY_TIMEOUT_MS = 5000;
+
+function openConnection(path) {
+  return new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(path, (err) => {
+      if (err) reject(err);
+      else resolve(connection);
+    });
+  });
+}
+
+// Milestone target dates are optional but must be real dates: the risk and
+// rollup calculations compare them as YYYY-MM-DD
+function checkTargetDate(targetDate) {
+  if (targetDate !== null && !isValidDate(targetDate)) {
+    throw new ValidationError('target_date must be a date YYYY-MM-DD');
+  }
+}
+
+// Sprints span whole days; reports and burndowns walk from start to end
+function checkSprintDates(startDate, endDate) {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw new ValidationError('start_date and end_date must be dates YYYY-MM-DD');
+  }
+  if (endDate < startDate) {
+    throw new ValidationError('end_date must not be before start_date');
+  }
+}
+
+// A milestone is at risk when it is still open, has unfinished work and its
+// target date is within the configured window (or already past).
+function assessMilestoneRisk(milestone, openTasks, today = new Date()) {
+  if (!milestone.target_date) {
+    return { days_remaining: null, overdue: false, at_risk: false };
+  }
+
+  const todayUtc = Date.parse(today.toISOString().slice(0, 10));
+  const daysRemaining = Math.round((Date.parse(milestone.target_date) - todayUtc) / DAY_MS);
+  const isOpen = milestone.state === 'open' && openTasks > 0;
+
+  return {
+    days_remaining: daysRemaining,
+    overdue: isOpen && daysRemaining < 0,
+    at_risk: isOpen && daysRemaining <= config.milestones.riskWindowDays
+  };
+}
+
+// Today and the last day of the due-soon window, as YYYY-MM-DD (UTC)
+function dueWindow(days = config.dueDates.soonDays, today = new Date()) {
+  const start = today.toISOString().slice(0, 10);
+  return { today: start, soon: new Date(Date.parse(start) + days * DAY_MS).toISOString().slice(0, 10) };
+}
+
+// Due state of an open task relative to `window` (see dueWindow)
+function assessDueDate(task, window) {
+  if (!task.due_date) {
+    return { overdue: false, due_soon: false, days_until_due: null };
+  }
+
+  const daysUntilDue = Math.round((Date.parse(task.due_date) - Date.parse(window.today)) / DAY_MS);
+  return {
+    overdue: task.due_date < window.today,
+    due_soon: task.due_date >= window.today && task.due_date <= window.soon,
+    days_until_due: daysUntilDue
+  };
+}
+
+// Sort expressions for listTasks by sort key and order; tasks without a due
+// date sort last in either direction so keyset cursors never compare NULL
+const TASK_SORT_EXPRESSIONS = {
+  created_at: () => 'created_at',
+  updated_at: () => 'updated_at',
+  priority: () => "CASE priority WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END",
+  due_date: (order) => `COALESCE(due_date, '${order === 'asc' ? '9999-12-31' : ''}')`,
+  title: () => "lower(COALESCE(title, ''))"
+};
+
+// Task properties computed by decorateTasks, selectable through `fields`
+const COMPUTED_TASK_FIELDS = ['custom_fields', 'incomplete_dependencies', 'blocking_tasks', 'is_blocked_by_dependencies'];
+
+function formatView(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    owner: row.owner,
+    description: row.description,
+    filters: JSON.parse(row.filters),
+    sort: row.sort,
+    order: row.sort_order,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// Emits 'change' after every write: a statement that changed rows outside a
+// transaction, or a committed transaction
+class Database extends EventEmitter {
   constructor(dbPath = config.database.path) {
+    super();
     this.dbPath = dbPath;
     this.db = null;
     this.ready = this.init();
@@ -28,6 +144,8 @@ class Database {
         if (!isTestMode) console.log('Connected to SQLite database');
 
         try {
+          this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
           // Enable foreign keys
           await this.run('PRAGMA foreign_keys = ON');
           if (!isTestMode) console.log('Foreign keys enabled');
@@ -65,10 +183,15 @@ class Database {
 
   // Promisify database operations
   run(sql, params = []) {
+    const database = this;
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function (err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID, changes: this.changes });
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (this.changes > 0 && !database.inTransaction) database.emit('change');
+        resolve({ id: this.lastID, changes: this.changes });
       });
     });
   }
@@ -91,13 +214,51 @@ class Database {
     });
   }
 
+  // Runs `work(tx)` in one write transaction: committed when it resolves,
+  // rolled back when it throws. `tx` has every Database method but runs on a
+  // dedicated connection, so statements other callers issue meanwhile on this
+  // one never join (or get rolled back with) the transaction; their writes
+  // wait for the commit. Called on a `tx`, it joins the open transaction.
+  async transaction(work) {
+    if (this.inTransaction) {
+      return await work(this);
+    }
+    // Every connection to an in-memory database opens a new, empty one
+    if (!this.dbPath || this.dbPath === ':memory:') {
+      throw new Error('Transactions need a database file, not an in-memory database');
+    }
+
+    const tx = Object.create(this);
+    tx.inTransaction = true;
+    tx.db = await openConnection(this.dbPath);
+    tx.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+    try {
+      await tx.run('PRAGMA foreign_keys = ON');
+      await tx.run('BEGIN IMMEDIATE');
+      let result;
+      try {
+        result = await work(tx);
+      } catch (error) {
+        await tx.run('ROLLBACK');
+        throw error;
+      }
+      await tx.run('COMMIT');
+      this.emit('change');
+      return result;
+    } finally {
+      await new Promise((resolve) => tx.db.close(resolve));
+    }
+  }
+
   // Project operations (formerly test_suites)
-  async createProject(name, client = null, description = null) {
+  async createProject(name, client = null, description = null, estimateUnit = 'points') {
     const sql = `
-      INSERT INTO projects (name, client, description, updated_at) 
-      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO projects (name, client, description, estimate_unit, updated_at) 
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
     `;
-    const result = await this.run(sql, [name, client, description]);
+    const result = await this.run(sql, [name, client, description, estimateUnit]);
+    await this.insertWorkflow(result.id, DEFAULT_WORKFLOW);
     return result.id;
   }
 
@@ -105,17 +266,14 @@ class Database {
     let sql = `
       SELECT p.*, 
              COUNT(t.id) as total_tasks,
-             COUNT(CASE WHEN t.status = 'pending' THEN 1 END) as pending_tasks,
-             COUNT(CASE WHEN t.status = 'in-progress' THEN 1 END) as in_progress_tasks,
-             COUNT(CASE WHEN t.status = 'developed' THEN 1 END) as developed_tasks,
-             COUNT(CASE WHEN t.status = 'tested' THEN 1 END) as tested_tasks,
-             COUNT(CASE WHEN t.status = 'deployed' THEN 1 END) as deployed_tasks,
-             COUNT(CASE WHEN t.status = 'blocked' THEN 1 END) as blocked_tasks
+             COUNT(CASE WHEN t.due_date < ? AND NOT ${statusHas('t', 'is_final')} THEN 1 END) as overdue_tasks,
+             COUNT(CASE WHEN t.due_date BETWEEN ? AND ? AND NOT ${statusHas('t', 'is_final')} THEN 1 END) as due_soon_tasks
       FROM projects p 
       LEFT JOIN tasks t ON p.id = t.project_id
     `;
 
-    const params = [];
+    const window = dueWindow();
+    const params = [window.today, window.today, window.soon];
     if (client) {
       sql += ' WHERE p.client = ?';
       params.push(client);
@@ -123,7 +281,26 @@ class Database {
 
     sql += ' GROUP BY p.id ORDER BY p.updated_at DESC';
 
-    return await this.all(sql, params);
+    const projects = await this.all(sql, params);
+    const statusRows = await this.all(`
+      SELECT ws.project_id, ws.name, COUNT(t.id) as count
+      FROM workflow_statuses ws
+      LEFT JOIN tasks t ON t.project_id = ws.project_id AND t.status = ws.name
+      GROUP BY ws.project_id, ws.name
+      ORDER BY ws.project_id, ws.position
+    `);
+
+    // Per-status counts follow each project's workflow: a status_counts map
+    // plus the flat <status>_tasks keys
+    for (const project of projects) {
+      project.status_counts = {};
+      for (const row of statusRows.filter((r) => r.project_id === project.id)) {
+        project.status_counts[row.name] = row.count;
+        project[`${statusKey(row.name)}_tasks`] = row.count;
+      }
+    }
+
+    return projects;
   }
 
   async getProject(id) {
@@ -132,7 +309,7 @@ class Database {
   }
 
   async updateProject(id, updates = {}) {
-    const allowedFields = ['name', 'client', 'description'];
+    const allowedFields = ['name', 'client', 'description', 'estimate_unit'];
     const setClause = [];
     const params = [];
 
@@ -144,7 +321,7 @@ class Database {
     }
 
     if (setClause.length === 0) {
-      throw new Error('No valid fields to update');
+      throw new ValidationError('No valid fields to update');
     }
 
     setClause.push('updated_at = CURRENT_TIMESTAMP');
@@ -162,17 +339,42 @@ class Database {
   }
 
   // Task operations (formerly test_cases)
-  async addTask(projectId, title, description = null, priority = 'medium', category = null, assignee = null, dueDate = null, tags = null, dependsOn = []) {
+  // `extra` holds optional columns (parent_id, milestone_id, estimate,
+  // recurrence_id) and custom_fields, a map of custom field name to value. A
+  // number is still accepted as the parent id, as in the original signature.
+  async addTask(projectId, title, description = null, priority = 'medium', category = null, assignee = null, dueDate = null, tags = null, dependsOn = [], extra = {}) {
+    if (extra === null || typeof extra === 'number') {
+      extra = { parent_id: extra };
+    }
+    const customValues = extra.custom_fields ? await this.resolveCustomValues(projectId, extra.custom_fields) : [];
     const normalizedTitle = title || description;
     const tagsJson = Array.isArray(tags) ? JSON.stringify(tags) : (typeof tags === 'string' ? tags : null);
 
+    const columns = ['project_id', 'title', 'description', 'priority', 'category', 'assignee', 'due_date', 'tags'];
+    const params = [projectId, normalizedTitle, description, priority, category, assignee, dueDate, tagsJson];
+    const extraFields = ['parent_id', 'milestone_id', 'estimate', 'recurrence_id'];
+
+    for (const field of extraFields) {
+      if (extra[field] !== undefined && extra[field] !== null) {
+        columns.push(field);
+        params.push(extra[field]);
+      }
+    }
+
+    // New tasks start in the first status of the project's workflow
+    const workflow = await this.getWorkflow(projectId);
+    columns.push('status');
+    params.push(workflow.statuses[0].name);
+
     const sql = `
-      INSERT INTO tasks (project_id, title, description, priority, category, assignee, due_date, tags, updated_at) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO tasks (${columns.join(', ')}, updated_at) 
+      VALUES (${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
     `;
-    const result = await this.run(sql, [projectId, normalizedTitle, description, priority, category, assignee, dueDate, tagsJson]);
+    const result = await this.run(sql, params);
     const taskId = result.id;
 
+    await this.writeCustomValues(taskId, customValues);
+
     for (const depId of dependsOn) {
       await this.addDependency(taskId, depId);
     }
@@ -183,11 +385,22 @@ class Database {
     return taskId;
   }
 
-  async updateTask(id, updates = {}) {
+  // `context.notes` is a note sent along with the update (stored elsewhere as
+  // a comment); it counts towards the fields required by transition guards.
+  async updateTask(id, updates = {}, context = {}) {
     const current = await this.get('SELECT * FROM tasks WHERE id = ?', [id]);
     if (!current) return false;
 
-    const allowedFields = ['status', 'notes', 'priority', 'category', 'description', 'title', 'assignee', 'due_date', 'tags'];
+    const workflow = await this.getWorkflow(current.project_id);
+    if (updates.status !== undefined) {
+      await checkTransition(this, current, updates.status, { ...updates, notes: context.notes ?? updates.notes });
+    }
+
+    const customValues = updates.custom_fields !== undefined
+      ? await this.resolveCustomValues(current.project_id, updates.custom_fields)
+      : null;
+
+    const allowedFields = ['status', 'notes', 'priority', 'category', 'description', 'title', 'assignee', 'due_date', 'tags', 'parent_id', 'milestone_id', 'remaining_minutes', 'estimate'];
     const setClause = [];
     const params = [];
 
@@ -204,11 +417,15 @@ class Database {
       }
     }
 
-    if (setClause.length === 0) {
-      throw new Error('No valid fields to update');
+    if (setClause.length === 0 && customValues === null) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    if (customValues) {
+      await this.writeCustomValues(id, customValues, true);
     }
 
-    if (updates.status === 'deployed' && current.status !== 'deployed') {
+    if (isFinalStatus(workflow, updates.status) && !isFinalStatus(workflow, current.status)) {
       setClause.push('completed_at = CURRENT_TIMESTAMP');
     }
 
@@ -218,6 +435,11 @@ class Database {
     const sql = `UPDATE tasks SET ${setClause.join(', ')} WHERE id = ?`;
     const result = await this.run(sql, params);
 
+    // Completing an occurrence of a recurring task schedules the next one
+    if (isFinalStatus(workflow, updates.status) && !isFinalStatus(workflow, current.status)) {
+      await this.createNextOccurrence(id);
+    }
+
     // Update project timestamp
     const task = await this.get('SELECT project_id FROM tasks WHERE id = ?', [id]);
     if (task) {
@@ -227,8 +449,9 @@ class Database {
     return result.changes > 0;
   }
 
-  async getTasks(filters = {}) {
-    let sql = 'SELECT * FROM tasks WHERE 1=1';
+  // WHERE clause for the task filters shared by getTasks and listTasks
+  async taskFilterCondition(filters = {}) {
+    let sql = '1=1';
     const params = [];
 
     if (filters.project_id) {
@@ -256,21 +479,151 @@ class Database {
       params.push(filters.assignee);
     }
 
-    if (filters.search) {
-      sql += ' AND (title LIKE ? OR description LIKE ? OR notes LIKE ?)';
-      const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    if (filters.parent_id) {
+      sql += ' AND parent_id = ?';
+      params.push(filters.parent_id);
     }
 
-    sql += ' ORDER BY created_at DESC';
+    if (filters.milestone_id) {
+      sql += ' AND milestone_id = ?';
+      params.push(filters.milestone_id);
+    }
 
-    const tasks = await this.all(sql, params);
+    // Due dates: an inclusive range, overdue open tasks or open tasks due
+    // within N days
+    for (const [key, operator] of [['due_from', '>='], ['due_to', '<=']]) {
+      if (filters[key] === undefined || filters[key] === null || filters[key] === '') continue;
+      if (!isValidDate(filters[key])) {
+        throw new QueryError(`${key} must be a date YYYY-MM-DD`);
+      }
+      sql += ` AND due_date ${operator} ?`;
+      params.push(filters[key]);
+    }
+
+    if (filters.overdue === true || filters.overdue === 'true') {
+      sql += ` AND due_date < ? AND NOT ${statusHas('tasks', 'is_final')}`;
+      params.push(dueWindow().today);
+    }
+
+    if (filters.due_within !== undefined && filters.due_within !== null && filters.due_within !== '') {
+      const days = Number(filters.due_within);
+      if (!Number.isInteger(days) || days < 0) {
+        throw new QueryError('due_within must be a non-negative number of days');
+      }
+      const window = dueWindow(days);
+      sql += ` AND due_date BETWEEN ? AND ? AND NOT ${statusHas('tasks', 'is_final')}`;
+      params.push(window.today, window.soon);
+    }
+
+    const searchQuery = toFtsQuery(filters.search);
+    if (searchQuery) {
+      sql += ' AND id IN (SELECT rowid FROM task_search WHERE task_search MATCH ?)';
+      params.push(searchQuery);
+    }
+
+    // q: structured query, see query-language.js
+    const query = compileQuery(filters.q);
+    if (query.sql) {
+      sql += ` AND ${query.sql}`;
+      params.push(...query.params);
+    }
+
+    // custom_fields: { name: value }, every entry must match
+    for (const [name, value] of Object.entries(filters.custom_fields || {})) {
+      const condition = await this.customFieldCondition(name, value, filters.project_id);
+      sql += ` AND ${condition.sql}`;
+      params.push(...condition.params);
+    }
+
+    return { sql, params };
+  }
+
+  async getTasks(filters = {}) {
+    const condition = await this.taskFilterCondition(filters);
+    const sql = `SELECT * FROM tasks WHERE ${condition.sql} ORDER BY created_at DESC`;
+
+    const tasks = await this.all(sql, condition.params).catch((error) => rethrowSearchError(error, filters.search));
+    return await this.decorateTasks(tasks);
+  }
+
+  // One page of filtered tasks with the total count and a cursor for the
+  // next page. `fields` limits each task to the listed properties; the
+  // dependency and custom field lookups only run when they are requested.
+  async listTasks(filters = {}, options = {}) {
+    const { limit, sort, order, cursor, fields } = normalizeListOptions(options);
+
+    if (fields) {
+      const available = [...(await this.all('PRAGMA table_info(tasks)')).map((column) => column.name), ...COMPUTED_TASK_FIELDS];
+      const unknown = fields.filter((field) => !available.includes(field));
+      if (unknown.length > 0) {
+        throw new PaginationError(`Unknown fields: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+      }
+    }
+
+    const condition = await this.taskFilterCondition(filters);
+    const sortValue = TASK_SORT_EXPRESSIONS[sort](order);
+    const comparison = order === 'asc' ? '>' : '<';
+    const direction = order.toUpperCase();
+
+    let pageSql = condition.sql;
+    const pageParams = [...condition.params];
+    if (cursor) {
+      pageSql += ` AND (${sortValue} ${comparison} ? OR (${sortValue} = ? AND id ${comparison} ?))`;
+      pageParams.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const sql = `
+      SELECT *, ${sortValue} as sort_value FROM tasks
+      WHERE ${pageSql}
+      ORDER BY sort_value ${direction}, id ${direction}
+      LIMIT ?
+    `;
+
+    try {
+      const rows = await this.all(sql, [...pageParams, limit + 1]);
+      const { total } = await this.get(`SELECT COUNT(*) as total FROM tasks WHERE ${condition.sql}`, condition.params);
+
+      const hasMore = rows.length > limit;
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+
+      const tasks = await this.decorateTasks(page.map(({ sort_value, ...task }) => task), fields);
+
+      return {
+        tasks: fields ? tasks.map((task) => Object.fromEntries(fields.map((field) => [field, task[field]]))) : tasks,
+        total,
+        limit,
+        sort,
+        order,
+        next_cursor: hasMore ? encodeCursor({ sort, order, value: last.sort_value, id: last.id }) : null,
+        has_more: hasMore
+      };
+    } catch (error) {
+      return rethrowSearchError(error, filters.search);
+    }
+  }
+
+  // Parses tags and adds custom fields and incomplete dependencies to task
+  // rows; with `fields`, lookups for properties not listed are skipped
+  async decorateTasks(tasks, fields = null) {
+    const wants = (...names) => !fields || names.some((name) => fields.includes(name));
+    const ids = tasks.map((task) => task.id);
+
+    const customFields = wants('custom_fields') ? await this.getCustomFieldsForTasks(ids) : null;
+    const incomplete = wants('incomplete_dependencies', 'blocking_tasks', 'is_blocked_by_dependencies')
+      ? await this.getIncompleteDependenciesForTasks(ids)
+      : null;
 
     for (const task of tasks) {
       task.tags = task.tags ? JSON.parse(task.tags) : [];
-      task.incomplete_dependencies = await this.getIncompleteDependencies(task.id);
-      task.blocking_tasks = task.incomplete_dependencies;
-      task.is_blocked_by_dependencies = task.incomplete_dependencies.length > 0;
+      if (customFields) {
+        task.custom_fields = customFields.get(task.id) || {};
+      }
+      if (incomplete) {
+        task.incomplete_dependencies = incomplete.get(task.id) || [];
+        task.blocking_tasks = task.incomplete_dependencies;
+        task.is_blocked_by_dependencies = task.incomplete_dependencies.length > 0;
+      }
       if (!task.title) {
         task.title = task.description || `Task #${task.id}`;
       }
@@ -279,6 +632,63 @@ class Database {
     return tasks;
   }
 
+  // Relevance-ranked full-text search across projects. Each result carries
+  // the title and the best matching fragment with the terms highlighted.
+  async searchTasks(query, { project_id = null, status = null, limit = 20, offset = 0 } = {}) {
+    const match = toFtsQuery(query);
+    if (!match) {
+      throw new SearchError('Search query is required');
+    }
+
+    let where = 'task_search MATCH ?';
+    const params = [match];
+    if (project_id) {
+      where += ' AND t.project_id = ?';
+      params.push(project_id);
+    }
+    if (status) {
+      where += ' AND t.status = ?';
+      params.push(status);
+    }
+
+    const from = 'FROM task_search JOIN tasks t ON t.id = task_search.rowid JOIN projects p ON p.id = t.project_id';
+    const sql = `
+      SELECT t.id, t.project_id, p.name as project_name, t.title, t.status, t.priority,
+             t.assignee, t.due_date, t.tags,
+             bm25(task_search, ${SEARCH_WEIGHTS.join(', ')}) as rank,
+             highlight(task_search, 0, ?, ?) as title_highlight,
+             snippet(task_search, -1, ?, ?, '…', 12) as snippet
+      ${from}
+      WHERE ${where}
+      ORDER BY rank, t.id
+      LIMIT ? OFFSET ?
+    `;
+    const markers = [HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END];
+
+    try {
+      const rows = await this.all(sql, [...markers, ...params, limit, offset]);
+      const { total } = await this.get(`SELECT COUNT(*) as total ${from} WHERE ${where}`, params);
+
+      const results = rows.map(({ rank, tags, ...row }) => ({
+        ...row,
+        tags: tags ? JSON.parse(tags) : [],
+        // bm25 is lower-is-better; expose a positive score
+        score: -rank
+      }));
+
+      return {
+        query,
+        results,
+        total,
+        limit,
+        offset,
+        has_more: offset + results.length < total
+      };
+    } catch (error) {
+      return rethrowSearchError(error, query);
+    }
+  }
+
   async deleteTask(id) {
     // Get project_id before deletion
     const task = await this.get('SELECT project_id FROM tasks WHERE id = ?', [id]);
@@ -294,31 +704,55 @@ class Database {
     return result.changes > 0;
   }
 
-  async getProjectSummary(projectId) {
+  // Status and priority counters for the tasks matching a WHERE clause.
+  // Status counters follow the project's workflow: a status_counts map plus a
+  // flat key per status ('in-progress' -> in_progress).
+  async getTaskCounts(projectId, where, params = []) {
     const sql = `
       SELECT 
         COUNT(*) as total,
-        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
-        COUNT(CASE WHEN status = 'in-progress' THEN 1 END) as in_progress,
-        COUNT(CASE WHEN status = 'developed' THEN 1 END) as developed,
-        COUNT(CASE WHEN status = 'tested' THEN 1 END) as tested,
-        COUNT(CASE WHEN status = 'deployed' THEN 1 END) as deployed,
-        COUNT(CASE WHEN status = 'blocked' THEN 1 END) as blocked,
+        COUNT(CASE WHEN ${statusHas('tasks', 'is_final')} THEN 1 END) as final_count,
+        COUNT(CASE WHEN ${statusHas('tasks', 'is_progress')} THEN 1 END) as progress_count,
         COUNT(CASE WHEN priority = 'critical' THEN 1 END) as critical,
         COUNT(CASE WHEN priority = 'high' THEN 1 END) as high,
         COUNT(CASE WHEN priority = 'medium' THEN 1 END) as medium,
-        COUNT(CASE WHEN priority = 'low' THEN 1 END) as low
+        COUNT(CASE WHEN priority = 'low' THEN 1 END) as low,
+        COUNT(CASE WHEN due_date < ? AND NOT ${statusHas('tasks', 'is_final')} THEN 1 END) as overdue,
+        COUNT(CASE WHEN due_date BETWEEN ? AND ? AND NOT ${statusHas('tasks', 'is_final')} THEN 1 END) as due_soon
       FROM tasks 
-      WHERE project_id = ?
+      WHERE ${where}
     `;
 
-    const summary = await this.get(sql, [projectId]);
-    const dependencyStats = await this.getDependencyStats(projectId);
+    const window = dueWindow();
+    const { final_count: finalCount, progress_count: progressCount, ...totals } = await this.get(sql, [
+      window.today, window.today, window.soon, ...params
+    ]);
+    const statusRows = await this.all(`SELECT status, COUNT(*) as count FROM tasks WHERE ${where} GROUP BY status`, params);
+    const workflow = await this.getWorkflow(projectId);
+
+    const statusCounts = {};
+    for (const status of workflow.statuses) {
+      statusCounts[status.name] = statusRows.find((row) => row.status === status.name)?.count || 0;
+    }
+
+    const counts = { total: totals.total };
+    for (const [name, count] of Object.entries(statusCounts)) {
+      counts[statusKey(name)] = count;
+    }
+    Object.assign(counts, totals, { status_counts: statusCounts });
+
+    // Completion counts final statuses, progress every status flagged as progress
+    counts.completion_percentage = counts.total > 0 ? Math.round((finalCount / counts.total) * 100) : 0;
+    counts.progress_percentage = counts.total > 0 ? Math.round((progressCount / counts.total) * 100) : 0;
+
+    return counts;
+  }
 
-    // Calculate completion percentage (deployed = completed)
-    summary.completion_percentage = summary.total > 0 ? Math.round((summary.deployed / summary.total) * 100) : 0;
-    summary.progress_percentage = summary.total > 0 ? Math.round(((summary.developed + summary.tested + summary.deployed) / summary.total) * 100) : 0;
-    summary.dependency_stats = dependencyStats;
+  async getProjectSummary(projectId) {
+    const summary = await this.getTaskCounts(projectId, 'project_id = ?', [projectId]);
+    summary.dependency_stats = await this.getDependencyStats(projectId);
+    summary.time_tracking = await this.getProjectTimeStats(projectId);
+    summary.estimates = await this.getProjectEstimateStats(projectId);
 
     return summary;
   }
@@ -354,28 +788,269 @@ class Database {
       SELECT t.id, t.title, t.status
       FROM dependencies d
       JOIN tasks t ON d.depends_on_task_id = t.id
-      WHERE d.task_id = ? AND t.status NOT IN ('deployed', 'tested')
+      WHERE d.task_id = ? AND NOT ${statusHas('t', 'is_done')}
     `;
     return await this.all(sql, [taskId]);
   }
 
+  // Incomplete dependencies of several tasks at once: Map task id -> list
+  async getIncompleteDependenciesForTasks(taskIds) {
+    const dependencies = new Map();
+    if (taskIds.length === 0) return dependencies;
+
+    const sql = `
+      SELECT d.task_id as dependent_id, t.id, t.title, t.status
+      FROM dependencies d
+      JOIN tasks t ON d.depends_on_task_id = t.id
+      WHERE d.task_id IN (${taskIds.map(() => '?').join(', ')}) AND NOT ${statusHas('t', 'is_done')}
+    `;
+    for (const { dependent_id: dependentId, ...dependency } of await this.all(sql, taskIds)) {
+      if (!dependencies.has(dependentId)) dependencies.set(dependentId, []);
+      dependencies.get(dependentId).push(dependency);
+    }
+    return dependencies;
+  }
+
+  // Critical path of the open tasks of a project. With a milestone, only its
+  // tasks and the open tasks they depend on (directly or not) are scheduled.
+  async getCriticalPath(projectId, { milestoneId = null, defaultEstimate = config.schedule.defaultEstimate, startDate = null } = {}) {
+    const project = await this.getProject(projectId);
+    if (!project) return null;
+
+    let tasks = await this.all(`
+      SELECT t.id, t.title, t.status, t.assignee, t.estimate, t.milestone_id
+      FROM tasks t
+      WHERE t.project_id = ? AND NOT ${statusHas('t', 'is_final')}
+    `, [projectId]);
+    const dependencies = await this.all(`
+      SELECT d.task_id, d.depends_on_task_id
+      FROM dependencies d
+      JOIN tasks t ON t.id = d.task_id
+      JOIN tasks dep ON dep.id = d.depends_on_task_id
+      WHERE t.project_id = ? AND dep.project_id = ? AND NOT ${statusHas('dep', 'is_final')}
+    `, [projectId, projectId]);
+
+    if (milestoneId) {
+      const milestone = await this.getMilestone(milestoneId);
+      if (!milestone || milestone.project_id !== projectId) {
+        throw new ScheduleError(`Milestone ${milestoneId} not found in project ${projectId}`, 'NOT_FOUND');
+      }
+      const included = new Set(tasks.filter((task) => task.milestone_id === milestoneId).map((task) => task.id));
+      const stack = [...included];
+      while (stack.length > 0) {
+        const current = stack.pop();
+        for (const dependency of dependencies) {
+          if (dependency.task_id === current && !included.has(dependency.depends_on_task_id)) {
+            included.add(dependency.depends_on_task_id);
+            stack.push(dependency.depends_on_task_id);
+          }
+        }
+      }
+      tasks = tasks.filter((task) => included.has(task.id));
+    }
+
+    const unit = project.estimate_unit || 'points';
+    const schedule = computeCriticalPath(tasks, dependencies, {
+      defaultEstimate,
+      unitsPerDay: unit === 'hours' ? config.schedule.hoursPerDay : config.schedule.pointsPerDay,
+      startDate: startDate || new Date().toISOString().slice(0, 10)
+    });
+    return { project_id: projectId, milestone_id: milestoneId, unit, ...schedule };
+  }
+
+  // Dependency edges of a project (including tasks of other projects linked to
+  // it), or of one task and everything it transitively depends on (upstream)
+  // and that transitively depends on it (downstream)
+  async getDependencyGraph({ projectId = null, taskId = null, direction = 'both' } = {}) {
+    if (!GRAPH_DIRECTIONS.includes(direction)) {
+      throw new GraphError(`direction must be one of: ${GRAPH_DIRECTIONS.join(', ')}`);
+    }
+
+    let edges;
+    let ids;
+    if (taskId) {
+      const task = await this.get('SELECT id, project_id FROM tasks WHERE id = ?', [taskId]);
+      if (!task) return null;
+      if (projectId && task.project_id !== projectId) {
+        throw new GraphError(`Task ${taskId} does not belong to project ${projectId}`);
+      }
+      projectId = task.project_id;
+
+      ids = [taskId];
+      if (direction !== 'downstream') ids.push(...await this.getReachableTaskIds(taskId, 'upstream'));
+      if (direction !== 'upstream') ids.push(...await this.getReachableTaskIds(taskId, 'downstream'));
+      ids = [...new Set(ids)];
+
+      const placeholders = ids.map(() => '?').join(', ');
+      edges = await this.all(`
+        SELECT task_id, depends_on_task_id FROM dependencies
+        WHERE task_id IN (${placeholders}) AND depends_on_task_id IN (${placeholders})
+      `, [...ids, ...ids]);
+    } else {
+      if (!(await this.getProject(projectId))) return null;
+      edges = await this.all(`
+        SELECT d.task_id, d.depends_on_task_id
+        FROM dependencies d
+        JOIN tasks t ON t.id = d.task_id
+        JOIN tasks dep ON dep.id = d.depends_on_task_id
+        WHERE t.project_id = ? OR dep.project_id = ?
+      `, [projectId, projectId]);
+      ids = [...new Set(edges.flatMap((edge) => [edge.task_id, edge.depends_on_task_id]))];
+    }
+
+    const tasks = ids.length === 0 ? [] : await this.all(`
+      SELECT id, project_id, title, status, priority, assignee FROM tasks
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY id
+    `, ids);
+
+    const workflows = new Map();
+    for (const projectIdOfTask of new Set(tasks.map((task) => task.project_id))) {
+      workflows.set(projectIdOfTask, await this.getWorkflow(projectIdOfTask));
+    }
+    const statusOf = (task) => workflows.get(task.project_id).statuses.find((status) => status.name === task.status);
+    const byId = new Map(tasks.map((task) => [task.id, task]));
+
+    const graphEdges = edges
+      .map((edge) => ({
+        from: edge.depends_on_task_id,
+        to: edge.task_id,
+        satisfied: !!statusOf(byId.get(edge.depends_on_task_id))?.done
+      }))
+      .sort((a, b) => a.from - b.from || a.to - b.to);
+
+    const nodes = tasks.map((task) => ({
+      ...task,
+      title: task.title || `Task #${task.id}`,
+      category: statusCategory(statusOf(task)),
+      blocked: graphEdges.some((edge) => edge.to === task.id && !edge.satisfied)
+    }));
+
+    return {
+      project_id: projectId,
+      task_id: taskId,
+      direction: taskId ? direction : null,
+      nodes,
+      edges: graphEdges
+    };
+  }
+
   async checkForCycle(taskId, dependsOnTaskId) {
-    const visited = new Set();
-    const stack = [dependsOnTaskId];
+    if (taskId === dependsOnTaskId) return true;
+    const upstream = await this.getReachableTaskIds(dependsOnTaskId, 'upstream');
+    return upstream.includes(taskId);
+  }
+
+  // IDs of the tasks reachable from a task through dependencies, walking
+  // upstream (what it depends on) or downstream (what depends on it) in one
+  // recursive query; UNION drops repeated IDs, which also ends cycles
+  async getReachableTaskIds(taskId, direction) {
+    const [from, to] = direction === 'upstream' ? ['task_id', 'depends_on_task_id'] : ['depends_on_task_id', 'task_id'];
+    const rows = await this.all(`
+      WITH RECURSIVE reachable(id) AS (
+        SELECT ${to} FROM dependencies WHERE ${from} = ?
+        UNION
+        SELECT d.${to} FROM dependencies d JOIN reachable r ON d.${from} = r.id
+      )
+      SELECT id FROM reachable WHERE id != ?
+    `, [taskId, taskId]);
+    return rows.map((row) => row.id);
+  }
 
-    while (stack.length > 0) {
-      const current = stack.pop();
-      if (current === taskId) return true;
-      if (visited.has(current)) continue;
-      visited.add(current);
+  // Tasks a task transitively depends on (upstream) or that transitively
+  // depend on it (downstream), with `depth` = length of the shortest chain.
+  // With incompleteOnly, done tasks are left out and not walked through: a
+  // done task no longer blocks, nor waits on anything.
+  async getTransitiveTasks(taskId, direction, { incompleteOnly = false } = {}) {
+    const ids = await this.getReachableTaskIds(taskId, direction);
+    if (ids.length === 0) return [];
+
+    const all = [taskId, ...ids];
+    const placeholders = all.map(() => '?').join(', ');
+    const edges = await this.all(`
+      SELECT task_id, depends_on_task_id FROM dependencies
+      WHERE task_id IN (${placeholders}) AND depends_on_task_id IN (${placeholders})
+    `, [...all, ...all]);
+    const tasks = await this.all(`
+      SELECT t.id, t.project_id, t.title, t.status, t.priority, t.assignee, t.due_date, t.milestone_id,
+             ${statusHas('t', 'is_done')} as done
+      FROM tasks t
+      WHERE t.id IN (${ids.map(() => '?').join(', ')})
+    `, ids);
+    const byId = new Map(tasks.map((task) => [task.id, { ...task, done: !!task.done }]));
+
+    const next = new Map();
+    for (const edge of edges) {
+      const [source, target] = direction === 'upstream'
+        ? [edge.task_id, edge.depends_on_task_id]
+        : [edge.depends_on_task_id, edge.task_id];
+      if (!next.has(source)) next.set(source, []);
+      next.get(source).push(target);
+    }
 
-      const deps = await this.all('SELECT depends_on_task_id FROM dependencies WHERE task_id = ?', [current]);
-      for (const dep of deps) {
-        stack.push(dep.depends_on_task_id);
+    // Breadth-first, so the first visit of a task is along its shortest chain
+    const depths = new Map([[taskId, 0]]);
+    const queue = [taskId];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const target of next.get(current) || []) {
+        const task = byId.get(target);
+        if (depths.has(target) || !task || (incompleteOnly && task.done)) continue;
+        depths.set(target, depths.get(current) + 1);
+        queue.push(target);
       }
     }
 
-    return false;
+    return [...byId.values()]
+      .filter((task) => depths.has(task.id))
+      .map((task) => ({ ...task, depth: depths.get(task.id) }))
+      .sort((a, b) => a.depth - b.depth || a.id - b.id);
+  }
+
+  // Open work that slips if a task is delayed: every task transitively
+  // waiting on it, grouped by project and milestone
+  async getDelayImpact(taskId) {
+    const task = await this.get(`
+      SELECT t.id, t.project_id, t.title, t.status, t.priority, t.due_date, ${statusHas('t', 'is_done')} as done
+      FROM tasks t WHERE t.id = ?
+    `, [taskId]);
+    if (!task) return null;
+
+    const waiting = task.done ? [] : await this.getTransitiveTasks(taskId, 'downstream', { incompleteOnly: true });
+    const priorities = Object.fromEntries(['critical', 'high', 'medium', 'low'].map((priority) => [
+      priority,
+      waiting.filter((dependent) => dependent.priority === priority).length
+    ]));
+    const dueDates = waiting.map((dependent) => dependent.due_date).filter(Boolean).sort();
+
+    const projectIds = [...new Set(waiting.map((dependent) => dependent.project_id))];
+    const projects = projectIds.length === 0 ? [] : await this.all(`
+      SELECT id, name FROM projects WHERE id IN (${projectIds.map(() => '?').join(', ')}) ORDER BY name
+    `, projectIds);
+    const milestoneIds = [...new Set(waiting.map((dependent) => dependent.milestone_id).filter(Boolean))];
+    const milestones = milestoneIds.length === 0 ? [] : await this.all(`
+      SELECT id, name, target_date FROM milestones
+      WHERE id IN (${milestoneIds.map(() => '?').join(', ')})
+      ORDER BY target_date IS NULL, target_date, id
+    `, milestoneIds);
+
+    return {
+      task: { ...task, done: !!task.done },
+      total: waiting.length,
+      direct: waiting.filter((dependent) => dependent.depth === 1).length,
+      max_depth: waiting.reduce((max, dependent) => Math.max(max, dependent.depth), 0),
+      by_priority: priorities,
+      earliest_due_date: dueDates[0] || null,
+      projects: projects.map((project) => ({
+        ...project,
+        tasks: waiting.filter((dependent) => dependent.project_id === project.id).length
+      })),
+      milestones: milestones.map((milestone) => ({
+        ...milestone,
+        tasks: waiting.filter((dependent) => dependent.milestone_id === milestone.id).length
+      })),
+      tasks: waiting
+    };
   }
 
   async dependencyExists(taskId, dependsOnTaskId) {
@@ -409,6 +1084,18 @@ class Database {
     task.dependencies = await this.getDependencyIds(taskId);
     task.incomplete_dependencies = await this.getIncompleteDependencies(taskId);
     task.history = await this.getTaskHistory(taskId, 20);
+    task.comment_count = await this.getCommentCount(taskId);
+    task.logged_minutes = await this.getLoggedMinutes(taskId);
+    task.active_timers = await this.all('SELECT id, person, started_at FROM work_logs WHERE task_id = ? AND minutes IS NULL', [taskId]);
+    task.parent = task.parent_id
+      ? await this.get('SELECT id, title, status FROM tasks WHERE id = ?', [task.parent_id]) || null
+      : null;
+    task.children = await this.getChildren(taskId);
+    task.subtask_progress = await this.getSubtaskProgress(taskId);
+    const sprint = await this.getOpenSprintForTask(taskId);
+    task.sprint = sprint ? { id: sprint.id, name: sprint.name, state: sprint.state } : null;
+    task.custom_fields = await this.getTaskCustomFields(taskId);
+    task.recurrence = task.recurrence_id ? await this.getRecurrence(task.recurrence_id) : null;
     task.tags = task.tags ? JSON.parse(task.tags) : [];
     if (!task.title) {
       task.title = task.description || `Task #${task.id}`;
@@ -422,8 +1109,8 @@ class Database {
       SELECT DISTINCT t.* FROM tasks t
       JOIN dependencies d ON t.id = d.task_id
       JOIN tasks dep ON d.depends_on_task_id = dep.id
-      WHERE dep.status NOT IN ('deployed', 'tested')
-        AND t.status NOT IN ('deployed')
+      WHERE NOT ${statusHas('dep', 'is_done')}
+        AND NOT ${statusHas('t', 'is_final')}
     `;
     const params = [];
 
@@ -446,14 +1133,17 @@ class Database {
     return tasks;
   }
 
-  async getNextActionable(projectId = null) {
+  // When `available` is given, tasks are picked greedily in priority order
+  // while their estimates fit in it; unestimated tasks are left out.
+  async getNextActionable(projectId = null, available = null) {
     let sql = `
       SELECT t.* FROM tasks t
-      WHERE t.status IN ('pending', 'in-progress', 'blocked')
+      WHERE NOT ${statusHas('t', 'is_progress')}
+        AND NOT ${statusHas('t', 'is_done')}
         AND t.id NOT IN (
           SELECT DISTINCT d.task_id FROM dependencies d
           JOIN tasks dep ON d.depends_on_task_id = dep.id
-          WHERE dep.status NOT IN ('deployed', 'tested')
+          WHERE NOT ${statusHas('dep', 'is_done')}
         )
     `;
     const params = [];
@@ -463,21 +1153,73 @@ class Database {
       params.push(projectId);
     }
 
+    // Overdue work first, then by priority and nearest due date
+    const window = dueWindow();
     sql += ` ORDER BY
+      CASE WHEN t.due_date < ? THEN 0 ELSE 1 END,
       CASE t.priority
         WHEN 'critical' THEN 1
         WHEN 'high' THEN 2
         WHEN 'medium' THEN 3
         WHEN 'low' THEN 4
       END,
+      COALESCE(t.due_date, '9999-12-31') ASC,
       t.created_at ASC`;
+    params.push(window.today);
 
-    const tasks = await this.all(sql, params);
-    return tasks.map((task) => ({
+    const rows = await this.all(sql, params);
+    const tasks = rows.map((task) => ({
       ...task,
       tags: task.tags ? JSON.parse(task.tags) : [],
-      title: task.title || task.description || `Task #${task.id}`
+      title: task.title || task.description || `Task #${task.id}`,
+      ...assessDueDate(task, window)
+    }));
+
+    if (available === null) return tasks;
+
+    const fitting = [];
+    let remaining = available;
+    for (const task of tasks) {
+      if (task.estimate !== null && task.estimate <= remaining) {
+        fitting.push(task);
+        remaining -= task.estimate;
+      }
+    }
+    return fitting;
+  }
+
+  // Open tasks past their due date and those due within `days` (default
+  // config.dueDates.soonDays), most urgent first
+  async getDueTasks(projectId = null, days = config.dueDates.soonDays) {
+    const window = dueWindow(days);
+    let sql = `
+      SELECT t.* FROM tasks t
+      WHERE t.due_date IS NOT NULL AND t.due_date <= ?
+        AND NOT ${statusHas('t', 'is_final')}
+    `;
+    const params = [window.soon];
+
+    if (projectId) {
+      sql += ' AND t.project_id = ?';
+      params.push(projectId);
+    }
+
+    sql += ` ORDER BY t.due_date ASC,
+      CASE t.priority WHEN 'critical' THEN 1 WHEN 'high' THEN 2 WHEN 'medium' THEN 3 WHEN 'low' THEN 4 END`;
+
+    const tasks = (await this.all(sql, params)).map((task) => ({
+      ...task,
+      tags: task.tags ? JSON.parse(task.tags) : [],
+      title: task.title || task.description || `Task #${task.id}`,
+      ...assessDueDate(task, window)
     }));
+
+    return {
+      today: window.today,
+      days,
+      overdue: tasks.filter((task) => task.overdue),
+      due_soon: tasks.filter((task) => task.due_soon)
+    };
   }
 
   async getDependencyStats(projectId) {
@@ -498,6 +1240,1366 @@ class Database {
     };
   }
 
+  // Subtask operations
+  async getChildren(taskId) {
+    const sql = `
+      SELECT id, title, description, status, priority, assignee, due_date
+      FROM tasks
+      WHERE parent_id = ?
+      ORDER BY created_at ASC, id ASC
+    `;
+    const children = await this.all(sql, [taskId]);
+    return children.map((child) => ({
+      ...child,
+      title: child.title || child.description || `Task #${child.id}`
+    }));
+  }
+
+  async getDescendantIds(taskId) {
+    const sql = `
+      WITH RECURSIVE descendants(id) AS (
+        SELECT id FROM tasks WHERE parent_id = ?
+        UNION
+        SELECT t.id FROM tasks t JOIN descendants d ON t.parent_id = d.id
+      )
+      SELECT id FROM descendants
+    `;
+    const rows = await this.all(sql, [taskId]);
+    return rows.map((row) => row.id);
+  }
+
+  async isDescendant(taskId, candidateId) {
+    const descendants = await this.getDescendantIds(taskId);
+    return descendants.includes(candidateId);
+  }
+
+  async getIncompleteDescendants(taskId) {
+    const sql = `
+      WITH RECURSIVE descendants(id) AS (
+        SELECT id FROM tasks WHERE parent_id = ?
+        UNION
+        SELECT t.id FROM tasks t JOIN descendants d ON t.parent_id = d.id
+      )
+      SELECT t.id, t.title, t.status
+      FROM tasks t
+      JOIN descendants d ON t.id = d.id
+      WHERE NOT ${statusHas('t', 'is_final')}
+    `;
+    return await this.all(sql, [taskId]);
+  }
+
+  // Progress of a parent task rolled up from all of its descendants
+  async getSubtaskProgress(taskId) {
+    const sql = `
+      WITH RECURSIVE descendants(id) AS (
+        SELECT id FROM tasks WHERE parent_id = ?
+        UNION
+        SELECT t.id FROM tasks t JOIN descendants d ON t.parent_id = d.id
+      )
+      SELECT
+        COUNT(*) as total,
+        COUNT(CASE WHEN ${statusHas('t', 'is_progress')} THEN 1 END) as progressed,
+        COUNT(CASE WHEN ${statusHas('t', 'is_final')} THEN 1 END) as completed
+      FROM tasks t
+      JOIN descendants d ON t.id = d.id
+    `;
+    const row = await this.get(sql, [taskId]);
+
+    return {
+      total: row.total,
+      completed: row.completed,
+      completion_percentage: row.total > 0 ? Math.round((row.completed / row.total) * 100) : 0,
+      progress_percentage: row.total > 0 ? Math.round((row.progressed / row.total) * 100) : 0
+    };
+  }
+
+  // Nested tree rooted at a task, or the whole forest of a project when taskId is null
+  async getTaskTree(taskId = null, projectId = null) {
+    let rows;
+    if (taskId) {
+      rows = await this.all(`
+        WITH RECURSIVE subtree(id) AS (
+          SELECT ?
+          UNION
+          SELECT t.id FROM tasks t JOIN subtree s ON t.parent_id = s.id
+        )
+        SELECT t.id, t.parent_id, t.title, t.description, t.status, t.priority, t.assignee, t.due_date
+        FROM tasks t
+        JOIN subtree s ON t.id = s.id
+        ORDER BY t.created_at ASC, t.id ASC
+      `, [taskId]);
+    } else {
+      rows = await this.all(`
+        SELECT id, parent_id, title, description, status, priority, assignee, due_date
+        FROM tasks
+        WHERE project_id = ?
+        ORDER BY created_at ASC, id ASC
+      `, [projectId]);
+    }
+
+    const nodes = new Map();
+    for (const row of rows) {
+      nodes.set(row.id, {
+        ...row,
+        title: row.title || row.description || `Task #${row.id}`,
+        children: []
+      });
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.parent_id);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    if (taskId) {
+      return nodes.get(taskId) || null;
+    }
+    return roots;
+  }
+
+  // Milestone operations
+  async createMilestone(projectId, name, targetDate = null, description = null) {
+    checkTargetDate(targetDate);
+    const sql = `
+      INSERT INTO milestones (project_id, name, target_date, description, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+    const result = await this.run(sql, [projectId, name, targetDate, description]);
+    return result.id;
+  }
+
+  async getMilestone(id) {
+    return await this.get('SELECT * FROM milestones WHERE id = ?', [id]);
+  }
+
+  async getMilestones(projectId, state = null) {
+    let sql = `
+      SELECT m.*,
+             COUNT(t.id) as total_tasks,
+             COUNT(CASE WHEN ${statusHas('t', 'is_final')} THEN 1 END) as completed_tasks,
+             COUNT(CASE WHEN t.id IS NOT NULL AND NOT ${statusHas('t', 'is_final')} THEN 1 END) as open_tasks
+      FROM milestones m
+      LEFT JOIN tasks t ON t.milestone_id = m.id
+      WHERE m.project_id = ?
+    `;
+    const params = [projectId];
+
+    if (state) {
+      sql += ' AND m.state = ?';
+      params.push(state);
+    }
+
+    sql += ' GROUP BY m.id ORDER BY m.target_date IS NULL, m.target_date ASC, m.id ASC';
+
+    const milestones = await this.all(sql, params);
+    return milestones.map((milestone) => ({
+      ...milestone,
+      completion_percentage: milestone.total_tasks > 0 ? Math.round((milestone.completed_tasks / milestone.total_tasks) * 100) : 0,
+      ...assessMilestoneRisk(milestone, milestone.open_tasks)
+    }));
+  }
+
+  async updateMilestone(id, updates = {}) {
+    if (updates.target_date !== undefined) checkTargetDate(updates.target_date);
+    const allowedFields = ['name', 'target_date', 'description', 'state'];
+    const setClause = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(updates)) {
+      if (allowedFields.includes(field)) {
+        setClause.push(`${field} = ?`);
+        params.push(value);
+      }
+    }
+
+    if (setClause.length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    setClause.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(id);
+
+    const sql = `UPDATE milestones SET ${setClause.join(', ')} WHERE id = ?`;
+    const result = await this.run(sql, params);
+    return result.changes > 0;
+  }
+
+  async deleteMilestone(id) {
+    const result = await this.run('DELETE FROM milestones WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  async getMilestoneSummary(milestoneId) {
+    const milestone = await this.getMilestone(milestoneId);
+    if (!milestone) return null;
+
+    const summary = await this.getTaskCounts(milestone.project_id, 'milestone_id = ?', [milestoneId]);
+    const openTasks = await this.all(`
+      SELECT id, title, status, priority, assignee, due_date
+      FROM tasks
+      WHERE milestone_id = ? AND NOT ${statusHas('tasks', 'is_final')}
+      ORDER BY
+        CASE priority
+          WHEN 'critical' THEN 1
+          WHEN 'high' THEN 2
+          WHEN 'medium' THEN 3
+          WHEN 'low' THEN 4
+        END,
+        created_at ASC
+    `, [milestoneId]);
+
+    return {
+      milestone,
+      summary,
+      ...assessMilestoneRisk(milestone, openTasks.length),
+      open_tasks: openTasks
+    };
+  }
+
+  // Sprint operations
+  async createSprint(projectId, name, startDate, endDate, goal = null, capacity = null) {
+    checkSprintDates(startDate, endDate);
+    const sql = `
+      INSERT INTO sprints (project_id, name, start_date, end_date, goal, capacity, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+    const result = await this.run(sql, [projectId, name, startDate, endDate, goal, capacity]);
+    return result.id;
+  }
+
+  async getSprint(id) {
+    return await this.get('SELECT * FROM sprints WHERE id = ?', [id]);
+  }
+
+  async getSprints(projectId = null, state = null) {
+    let sql = `
+      SELECT s.*,
+             COUNT(st.task_id) as committed_tasks,
+             COUNT(CASE WHEN ${statusHas('t', 'is_final')} THEN 1 END) as completed_tasks
+      FROM sprints s
+      LEFT JOIN sprint_tasks st ON st.sprint_id = s.id
+      LEFT JOIN tasks t ON t.id = st.task_id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (projectId) {
+      sql += ' AND s.project_id = ?';
+      params.push(projectId);
+    }
+
+    if (state) {
+      sql += ' AND s.state = ?';
+      params.push(state);
+    }
+
+    sql += ' GROUP BY s.id ORDER BY s.start_date DESC, s.id DESC';
+
+    return await this.all(sql, params);
+  }
+
+  async updateSprint(id, updates = {}) {
+    if (updates.start_date !== undefined || updates.end_date !== undefined) {
+      const sprint = await this.getSprint(id);
+      if (!sprint) return false;
+      checkSprintDates(updates.start_date ?? sprint.start_date, updates.end_date ?? sprint.end_date);
+    }
+
+    const allowedFields = ['name', 'goal', 'start_date', 'end_date', 'capacity'];
+    const setClause = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(updates)) {
+      if (allowedFields.includes(field)) {
+        setClause.push(`${field} = ?`);
+        params.push(value);
+      }
+    }
+
+    if (setClause.length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    setClause.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(id);
+
+    const sql = `UPDATE sprints SET ${setClause.join(', ')} WHERE id = ?`;
+    const result = await this.run(sql, params);
+    return result.changes > 0;
+  }
+
+  async deleteSprint(id) {
+    const result = await this.run('DELETE FROM sprints WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // A project has at most one active sprint at a time
+  async startSprint(id) {
+    return await this.transaction(async (tx) => {
+      const active = await tx.get(`
+        SELECT other.id FROM sprints s
+        JOIN sprints other ON other.project_id = s.project_id AND other.state = 'active' AND other.id != s.id
+        WHERE s.id = ?
+      `, [id]);
+      if (active) {
+        throw new ConflictError(`Sprint ${active.id} is already active in this project`);
+      }
+
+      const result = await tx.run(`
+        UPDATE sprints
+        SET state = 'active', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND state = 'planned'
+      `, [id]);
+      return result.changes > 0;
+    });
+  }
+
+  async getSprintTasks(sprintId) {
+    const sql = `
+      SELECT t.*, st.committed_at, st.outcome, ${statusHas('t', 'is_final')} as is_final
+      FROM sprint_tasks st
+      JOIN tasks t ON t.id = st.task_id
+      WHERE st.sprint_id = ?
+      ORDER BY st.committed_at ASC, t.id ASC
+    `;
+    const tasks = await this.all(sql, [sprintId]);
+    return tasks.map((task) => ({
+      ...task,
+      is_final: !!task.is_final,
+      tags: task.tags ? JSON.parse(task.tags) : [],
+      title: task.title || task.description || `Task #${task.id}`
+    }));
+  }
+
+  // Open (planned or active) sprint a task is currently committed to
+  async getOpenSprintForTask(taskId) {
+    const sql = `
+      SELECT s.* FROM sprints s
+      JOIN sprint_tasks st ON st.sprint_id = s.id
+      WHERE st.task_id = ? AND s.state != 'closed'
+    `;
+    return await this.get(sql, [taskId]);
+  }
+
+  // Commits a task to a sprint, moving it out of any other open sprint.
+  // Membership changes are recorded in history under the `sprint` field.
+  async commitTaskToSprint(sprintId, taskId) {
+    const previous = await this.getOpenSprintForTask(taskId);
+    if (previous && previous.id === sprintId) return false;
+
+    if (previous) {
+      await this.run('DELETE FROM sprint_tasks WHERE sprint_id = ? AND task_id = ?', [previous.id, taskId]);
+    }
+
+    await this.run('INSERT OR IGNORE INTO sprint_tasks (sprint_id, task_id) VALUES (?, ?)', [sprintId, taskId]);
+    await this.addHistory(taskId, 'sprint', previous ? previous.id : null, sprintId);
+    return true;
+  }
+
+  async removeTaskFromSprint(sprintId, taskId) {
+    const result = await this.run('DELETE FROM sprint_tasks WHERE sprint_id = ? AND task_id = ?', [sprintId, taskId]);
+    if (result.changes > 0) {
+      await this.addHistory(taskId, 'sprint', sprintId, null);
+    }
+    return result.changes > 0;
+  }
+
+  // Closes a sprint, recording the outcome of every committed task. Unfinished
+  // tasks are committed to `carryOverSprintId` when given.
+  async closeSprint(id, carryOverSprintId = null) {
+    return await this.transaction(async (tx) => {
+      const result = await tx.run(`
+        UPDATE sprints
+        SET state = 'closed', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND state != 'closed'
+      `, [id]);
+      if (result.changes === 0) return null;
+
+      const tasks = await tx.getSprintTasks(id);
+      const completed = [];
+      const carriedOver = [];
+      const incomplete = [];
+
+      for (const task of tasks) {
+        let outcome;
+        if (task.is_final) {
+          outcome = 'completed';
+          completed.push(task.id);
+        } else if (carryOverSprintId) {
+          outcome = 'carried_over';
+          carriedOver.push(task.id);
+        } else {
+          outcome = 'incomplete';
+          incomplete.push(task.id);
+        }
+        await tx.run('UPDATE sprint_tasks SET outcome = ? WHERE sprint_id = ? AND task_id = ?', [outcome, id, task.id]);
+      }
+
+      for (const taskId of carriedOver) {
+        await tx.run('INSERT OR IGNORE INTO sprint_tasks (sprint_id, task_id) VALUES (?, ?)', [carryOverSprintId, taskId]);
+        await tx.addHistory(taskId, 'sprint', id, carryOverSprintId);
+      }
+
+      return { completed, carried_over: carriedOver, incomplete };
+    });
+  }
+
+  // Committed vs. completed work of a sprint. Scope changes after the sprint
+  // started are derived from the `sprint` entries of the history log.
+  async getSprintReport(sprintId) {
+    const sprint = await this.getSprint(sprintId);
+    if (!sprint) return null;
+
+    const members = await this.getSprintTasks(sprintId);
+    const memberIds = new Set(members.map((task) => task.id));
+    const events = await this.all(`
+      SELECT h.task_id, h.old_value, h.new_value, h.changed_at, t.title, t.status
+      FROM history h
+      JOIN tasks t ON t.id = h.task_id
+      WHERE h.field = 'sprint' AND (h.new_value = ? OR h.old_value = ?)
+      ORDER BY h.changed_at ASC, h.id ASC
+    `, [String(sprintId), String(sprintId)]);
+
+    const startBoundary = sprint.started_at || `${sprint.start_date} 23:59:59`;
+    const firstAdded = new Map();
+    const touched = new Map();
+
+    for (const event of events) {
+      touched.set(event.task_id, { id: event.task_id, title: event.title, status: event.status });
+      if (String(event.new_value) === String(sprintId) && !firstAdded.has(event.task_id)) {
+        firstAdded.set(event.task_id, event.changed_at);
+      }
+    }
+
+    const committed = [];
+    const added = [];
+    for (const [taskId, addedAt] of firstAdded) {
+      const task = touched.get(taskId);
+      if (addedAt > startBoundary) {
+        added.push({ ...task, added_at: addedAt });
+      } else {
+        committed.push(task);
+      }
+    }
+
+    const removed = [...touched.values()].filter((task) => !memberIds.has(task.id));
+    const isClosed = sprint.state === 'closed';
+    const completed = members.filter((task) => (isClosed ? task.outcome === 'completed' : task.is_final));
+    const carriedOver = members.filter((task) => task.outcome === 'carried_over');
+    const pick = ({ id, title, status }) => ({ id, title, status });
+
+    return {
+      sprint,
+      committed: committed.length,
+      added_mid_sprint: added.length,
+      removed_mid_sprint: removed.length,
+      total_scope: members.length,
+      completed: completed.length,
+      completion_percentage: members.length > 0 ? Math.round((completed.length / members.length) * 100) : 0,
+      capacity: sprint.capacity,
+      over_capacity: sprint.capacity !== null && members.length > sprint.capacity,
+      tasks: {
+        committed,
+        added_mid_sprint: added,
+        removed_mid_sprint: removed,
+        completed: completed.map(pick),
+        carried_over: carriedOver.map(pick),
+        open: members.filter((task) => !task.is_final).map(pick)
+      }
+    };
+  }
+
+  // Comment operations
+  async addComment(taskId, body, author = null, replyTo = null) {
+    const sql = `
+      INSERT INTO comments (task_id, author, body, reply_to)
+      VALUES (?, ?, ?, ?)
+    `;
+    const result = await this.run(sql, [taskId, author, body, replyTo]);
+    await this.run('UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [taskId]);
+    return result.id;
+  }
+
+  async getComment(id) {
+    return await this.get('SELECT * FROM comments WHERE id = ?', [id]);
+  }
+
+  async getComments(taskId, { limit = 50, offset = 0 } = {}) {
+    const sql = `
+      SELECT * FROM comments
+      WHERE task_id = ?
+      ORDER BY created_at ASC, id ASC
+      LIMIT ? OFFSET ?
+    `;
+    const comments = await this.all(sql, [taskId, limit, offset]);
+    const total = await this.getCommentCount(taskId);
+
+    return {
+      comments,
+      total,
+      limit,
+      offset,
+      has_more: offset + comments.length < total
+    };
+  }
+
+  async getCommentCount(taskId) {
+    const row = await this.get('SELECT COUNT(*) as total FROM comments WHERE task_id = ?', [taskId]);
+    return row.total;
+  }
+
+  async updateComment(id, body) {
+    const sql = 'UPDATE comments SET body = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?';
+    const result = await this.run(sql, [body, id]);
+    return result.changes > 0;
+  }
+
+  async deleteComment(id) {
+    const result = await this.run('DELETE FROM comments WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Time tracking operations
+  async logWork(taskId, minutes, person = null, workDate = null, note = null) {
+    const sql = `
+      INSERT INTO work_logs (task_id, person, minutes, work_date, note)
+      VALUES (?, ?, ?, COALESCE(?, date('now')), ?)
+    `;
+    const result = await this.run(sql, [taskId, person, minutes, workDate, note]);
+    return result.id;
+  }
+
+  async getWorkLog(id) {
+    return await this.get('SELECT * FROM work_logs WHERE id = ?', [id]);
+  }
+
+  async getWorkLogs(taskId) {
+    const sql = `
+      SELECT * FROM work_logs
+      WHERE task_id = ?
+      ORDER BY work_date DESC, id DESC
+    `;
+    return await this.all(sql, [taskId]);
+  }
+
+  async deleteWorkLog(id) {
+    const result = await this.run('DELETE FROM work_logs WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  async getRunningTimer(taskId, person = null) {
+    const sql = `
+      SELECT * FROM work_logs
+      WHERE task_id = ? AND minutes IS NULL AND person IS ?
+    `;
+    return await this.get(sql, [taskId, person]);
+  }
+
+  // A running timer is a work log without minutes; stopping it fills them in
+  async startTimer(taskId, person = null, note = null) {
+    const sql = `
+      INSERT INTO work_logs (task_id, person, minutes, work_date, note, started_at)
+      VALUES (?, ?, NULL, date('now'), ?, CURRENT_TIMESTAMP)
+    `;
+    const result = await this.run(sql, [taskId, person, note]);
+    return result.id;
+  }
+
+  async stopTimer(taskId, person = null, note = null) {
+    const timer = await this.getRunningTimer(taskId, person);
+    if (!timer) return null;
+
+    const sql = `
+      UPDATE work_logs
+      SET ended_at = CURRENT_TIMESTAMP,
+          minutes = MAX(1, CAST(ROUND((julianday(CURRENT_TIMESTAMP) - julianday(started_at)) * 1440) AS INTEGER)),
+          note = COALESCE(?, note)
+      WHERE id = ?
+    `;
+    await this.run(sql, [note, timer.id]);
+    return await this.getWorkLog(timer.id);
+  }
+
+  async getLoggedMinutes(taskId) {
+    const row = await this.get('SELECT COALESCE(SUM(minutes), 0) as total FROM work_logs WHERE task_id = ?', [taskId]);
+    return row.total;
+  }
+
+  async getProjectTimeStats(projectId) {
+    const row = await this.get(`
+      SELECT
+        (SELECT COALESCE(SUM(w.minutes), 0)
+         FROM work_logs w JOIN tasks t ON t.id = w.task_id
+         WHERE t.project_id = ?) as logged_minutes,
+        (SELECT COALESCE(SUM(remaining_minutes), 0)
+         FROM tasks
+         WHERE project_id = ? AND NOT ${statusHas('tasks', 'is_final')}) as remaining_estimate_minutes
+    `, [projectId, projectId]);
+
+    return {
+      logged_minutes: row.logged_minutes,
+      logged_hours: Math.round((row.logged_minutes / 60) * 100) / 100,
+      remaining_estimate_minutes: row.remaining_estimate_minutes
+    };
+  }
+
+  // Logged time aggregated by project, client, person, task or date
+  async getTimeReport(filters = {}, groupBy = 'project') {
+    const groupColumns = {
+      project: { key: 'p.id', label: 'p.name' },
+      client: { key: 'p.client', label: 'p.client' },
+      person: { key: 'w.person', label: 'w.person' },
+      task: { key: 't.id', label: 't.title' },
+      date: { key: 'w.work_date', label: 'w.work_date' }
+    };
+    const group = groupColumns[groupBy];
+    if (!group) {
+      throw new ValidationError(`Invalid group_by: ${groupBy}`);
+    }
+
+    let where = 'w.minutes IS NOT NULL';
+    const params = [];
+
+    if (filters.project_id) {
+      where += ' AND t.project_id = ?';
+      params.push(filters.project_id);
+    }
+
+    if (filters.client) {
+      where += ' AND p.client = ?';
+      params.push(filters.client);
+    }
+
+    if (filters.person) {
+      where += ' AND w.person = ?';
+      params.push(filters.person);
+    }
+
+    if (filters.from) {
+      where += ' AND w.work_date >= ?';
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      where += ' AND w.work_date <= ?';
+      params.push(filters.to);
+    }
+
+    const rows = await this.all(`
+      SELECT ${group.key} as key, ${group.label} as label,
+             SUM(w.minutes) as minutes,
+             COUNT(*) as entries
+      FROM work_logs w
+      JOIN tasks t ON t.id = w.task_id
+      JOIN projects p ON p.id = t.project_id
+      WHERE ${where}
+      GROUP BY ${group.key}
+      ORDER BY minutes DESC
+    `, params);
+
+    const totalMinutes = rows.reduce((sum, row) => sum + row.minutes, 0);
+    return {
+      group_by: groupBy,
+      filters,
+      total_minutes: totalMinutes,
+      total_hours: Math.round((totalMinutes / 60) * 100) / 100,
+      rows: rows.map((row) => ({
+        ...row,
+        hours: Math.round((row.minutes / 60) * 100) / 100
+      }))
+    };
+  }
+
+  // Estimate operations
+  async getProjectEstimateStats(projectId) {
+    const row = await this.get(`
+      SELECT p.estimate_unit as unit,
+             COUNT(t.estimate) as estimated_tasks,
+             COUNT(CASE WHEN t.id IS NOT NULL AND t.estimate IS NULL THEN 1 END) as unestimated_tasks,
+             COALESCE(SUM(t.estimate), 0) as total_estimate,
+             COALESCE(SUM(CASE WHEN ${statusHas('t', 'is_final')} THEN t.estimate END), 0) as completed_estimate
+      FROM projects p
+      LEFT JOIN tasks t ON t.project_id = p.id
+      WHERE p.id = ?
+      GROUP BY p.id
+    `, [projectId]);
+
+    return {
+      unit: row?.unit || 'points',
+      estimated_tasks: row?.estimated_tasks || 0,
+      unestimated_tasks: row?.unestimated_tasks || 0,
+      total_estimate: row?.total_estimate || 0,
+      completed_estimate: row?.completed_estimate || 0,
+      open_estimate: (row?.total_estimate || 0) - (row?.completed_estimate || 0)
+    };
+  }
+
+  // Compares estimates of completed tasks with the elapsed time between their
+  // first move to a started status of the workflow (see startedStatuses) and
+  // their last move to a final status in history.
+  async getEstimationReport(projectId) {
+    const project = await this.getProject(projectId);
+    if (!project) return null;
+
+    const started = startedStatuses(await this.getWorkflow(projectId));
+    const rows = await this.all(`
+      SELECT t.id, t.title, t.estimate,
+             (SELECT MIN(h.changed_at) FROM history h
+              WHERE h.task_id = t.id AND h.field = 'status' AND h.new_value IN (${started.map(() => '?').join(', ')})) as started_at,
+             (SELECT MAX(h.changed_at) FROM history h
+              WHERE h.task_id = t.id AND h.field = 'status'
+                AND h.new_value IN (SELECT name FROM workflow_statuses WHERE project_id = t.project_id AND is_final = 1)) as finished_at,
+             (SELECT h.old_value FROM history h
+              WHERE h.task_id = t.id AND h.field = 'estimate'
+              ORDER BY h.changed_at ASC, h.id ASC LIMIT 1) as first_estimate,
+             (SELECT COUNT(*) FROM history h
+              WHERE h.task_id = t.id AND h.field = 'estimate') as estimate_changes
+      FROM tasks t
+      WHERE t.project_id = ? AND ${statusHas('t', 'is_final')} AND t.estimate IS NOT NULL
+      ORDER BY t.completed_at ASC, t.id ASC
+    `, [...started, projectId]);
+
+    const unit = project.estimate_unit || 'points';
+    const tasks = [];
+
+    for (const row of rows) {
+      if (!row.started_at || !row.finished_at || row.finished_at < row.started_at) continue;
+
+      const actualHours = (Date.parse(`${row.finished_at}Z`) - Date.parse(`${row.started_at}Z`)) / 3600000;
+      const entry = {
+        id: row.id,
+        title: row.title,
+        estimate: row.estimate,
+        original_estimate: row.first_estimate !== null && row.first_estimate !== undefined ? Number(row.first_estimate) : row.estimate,
+        estimate_changes: row.estimate_changes,
+        started_at: row.started_at,
+        finished_at: row.finished_at,
+        actual_hours: Math.round(actualHours * 100) / 100
+      };
+
+      if (unit === 'hours') {
+        entry.ratio = row.estimate > 0 ? Math.round((actualHours / row.estimate) * 100) / 100 : null;
+      } else {
+        entry.hours_per_point = row.estimate > 0 ? Math.round((actualHours / row.estimate) * 100) / 100 : null;
+      }
+
+      tasks.push(entry);
+    }
+
+    const metric = unit === 'hours' ? 'ratio' : 'hours_per_point';
+    const values = tasks.map((task) => task[metric]).filter((value) => value !== null);
+    const average = values.length > 0 ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100 : null;
+
+    const report = {
+      project_id: projectId,
+      unit,
+      sample_size: tasks.length,
+      [`average_${metric}`]: average,
+      tasks
+    };
+
+    if (unit === 'hours') {
+      // Within 25% of the estimate counts as accurate
+      report.accurate = values.filter((value) => value >= 0.75 && value <= 1.25).length;
+      report.underestimated = values.filter((value) => value > 1.25).length;
+      report.overestimated = values.filter((value) => value < 0.75).length;
+    }
+
+    return report;
+  }
+
+  // Flow analytics
+  // Replays the status history of the tasks matching `where` (tasks aliased t)
+  async getTaskFlows(where, params) {
+    const tasks = await this.all(`
+      SELECT t.id, t.project_id, p.name as project_name, t.title, t.assignee, t.status, t.created_at, t.completed_at
+      FROM tasks t
+      JOIN projects p ON p.id = t.project_id
+      WHERE ${where}
+      ORDER BY t.id
+    `, params);
+    if (tasks.length === 0) return [];
+
+    const changes = await this.all(`
+      SELECT h.task_id, h.old_value, h.new_value, h.changed_at
+      FROM history h
+      JOIN tasks t ON t.id = h.task_id
+      WHERE h.field = 'status' AND ${where}
+      ORDER BY h.task_id, h.changed_at, h.id
+    `, params);
+    const changesByTask = groupByTask(changes);
+
+    const statusesByProject = new Map();
+    for (const projectId of new Set(tasks.map((task) => task.project_id))) {
+      const workflow = await this.getWorkflow(projectId);
+      statusesByProject.set(projectId, {
+        started: new Set(startedStatuses(workflow)),
+        final: new Set(workflow.statuses.filter((status) => status.final).map((status) => status.name))
+      });
+    }
+
+    const now = new Date();
+    return tasks.map((task) => taskFlow(task, changesByTask.get(task.id) || [], statusesByProject.get(task.project_id), now));
+  }
+
+  async getTaskFlow(taskId) {
+    const [flow] = await this.getTaskFlows('t.id = ?', [taskId]);
+    return flow || null;
+  }
+
+  // Flows of the tasks completed within the filters, oldest completion first
+  async getCompletedFlows(filters = {}) {
+    const normalized = normalizeFlowFilters(filters);
+    let where = statusHas('t', 'is_final');
+    const params = [];
+
+    if (normalized.project_id) {
+      where += ' AND t.project_id = ?';
+      params.push(normalized.project_id);
+    }
+
+    if (normalized.assignee) {
+      where += ' AND t.assignee = ?';
+      params.push(normalized.assignee);
+    }
+
+    const flows = (await this.getTaskFlows(where, params))
+      .filter((flow) => flow.completed_at)
+      .filter((flow) => !normalized.from || flow.completed_at.slice(0, 10) >= normalized.from)
+      .filter((flow) => !normalized.to || flow.completed_at.slice(0, 10) <= normalized.to)
+      .sort((a, b) => a.completed_at.localeCompare(b.completed_at) || a.id - b.id);
+
+    return { filters: normalized, flows };
+  }
+
+  async getThroughput(filters = {}) {
+    const { filters: normalized, flows } = await this.getCompletedFlows(filters);
+    return { filters: normalized, ...weeklyThroughput(flows, normalized) };
+  }
+
+  // Lead time, cycle time, time in status and weekly throughput of completed tasks
+  async getFlowMetrics(filters = {}, { includeTasks = false } = {}) {
+    const { filters: normalized, flows } = await this.getCompletedFlows(filters);
+    const metrics = {
+      filters: normalized,
+      completed_tasks: flows.length,
+      lead_time: summarizeDurations(flows.map((flow) => flow.lead_time_hours)),
+      cycle_time: summarizeDurations(flows.map((flow) => flow.cycle_time_hours)),
+      time_in_status: summarizeTimeInStatus(flows),
+      throughput: weeklyThroughput(flows, normalized)
+    };
+
+    if (includeTasks) {
+      metrics.tasks = flows.map(({ timeline, ...flow }) => flow);
+    }
+    return metrics;
+  }
+
+  // Number of tasks of a project in each status at the end of every day
+  async getDailyStatusCounts(projectId, days) {
+    const last = days[days.length - 1];
+    const tasks = await this.all(
+      'SELECT id, status, created_at FROM tasks WHERE project_id = ? AND date(created_at) <= ?',
+      [projectId, last]
+    );
+    const changes = await this.all(`
+      SELECT h.task_id, h.old_value, h.new_value, h.changed_at
+      FROM history h
+      JOIN tasks t ON t.id = h.task_id
+      WHERE h.field = 'status' AND t.project_id = ?
+      ORDER BY h.task_id, h.changed_at, h.id
+    `, [projectId]);
+    return dailyStatusCounts(tasks, groupByTask(changes), days);
+  }
+
+  async getBurndown(projectId, range = {}) {
+    const project = await this.getProject(projectId);
+    if (!project) return null;
+
+    const { from, to, days } = normalizeSeriesRange(range);
+    const workflow = await this.getWorkflow(projectId);
+    const counts = await this.getDailyStatusCounts(projectId, days);
+    return { project_id: projectId, from, to, ...burndownSeries(workflow, counts, days) };
+  }
+
+  async getCumulativeFlow(projectId, range = {}) {
+    const project = await this.getProject(projectId);
+    if (!project) return null;
+
+    const { from, to, days } = normalizeSeriesRange(range);
+    const workflow = await this.getWorkflow(projectId);
+    const counts = await this.getDailyStatusCounts(projectId, days);
+    return { project_id: projectId, from, to, ...cumulativeFlowSeries(workflow, counts, days) };
+  }
+
+  // Custom field operations
+  async createCustomField(projectId, definition) {
+    const field = normalizeFieldDefinition(definition);
+    const existing = await this.get('SELECT id FROM custom_fields WHERE project_id = ? AND name = ?', [projectId, field.name]);
+    if (existing) {
+      throw new CustomFieldError(`Custom field ${field.name} already exists in this project`, 'CONFLICT');
+    }
+
+    const result = await this.run(`
+      INSERT INTO custom_fields (project_id, name, type, options, description)
+      VALUES (?, ?, ?, ?, ?)
+    `, [projectId, field.name, field.type, field.options ? JSON.stringify(field.options) : null, field.description]);
+    return result.id;
+  }
+
+  async getCustomField(id) {
+    const field = await this.get('SELECT * FROM custom_fields WHERE id = ?', [id]);
+    if (!field) return null;
+    return { ...field, options: field.options ? JSON.parse(field.options) : null };
+  }
+
+  async getCustomFields(projectId) {
+    const fields = await this.all('SELECT * FROM custom_fields WHERE project_id = ? ORDER BY id ASC', [projectId]);
+    return fields.map((field) => ({ ...field, options: field.options ? JSON.parse(field.options) : null }));
+  }
+
+  // Renames a field or changes its description or enum options. Options still
+  // used by tasks cannot be removed.
+  async updateCustomField(id, updates = {}) {
+    const field = await this.getCustomField(id);
+    if (!field) return false;
+
+    const setClause = [];
+    const params = [];
+
+    if (updates.name !== undefined) {
+      const name = normalizeFieldDefinition({ ...field, name: updates.name }).name;
+      const existing = await this.get('SELECT id FROM custom_fields WHERE project_id = ? AND name = ? AND id != ?', [field.project_id, name, id]);
+      if (existing) {
+        throw new CustomFieldError(`Custom field ${name} already exists in this project`, 'CONFLICT');
+      }
+      setClause.push('name = ?');
+      params.push(name);
+    }
+
+    if (updates.description !== undefined) {
+      setClause.push('description = ?');
+      params.push(updates.description);
+    }
+
+    if (updates.options !== undefined) {
+      if (field.type !== 'enum') {
+        throw new CustomFieldError('Only enum custom fields have options');
+      }
+      const options = normalizeOptions(updates.options);
+      const used = await this.all('SELECT DISTINCT value FROM task_custom_values WHERE field_id = ?', [id]);
+      const removed = used.map((row) => row.value).filter((value) => !options.includes(value));
+      if (removed.length > 0) {
+        throw new CustomFieldError(`Options still used by tasks: ${removed.join(', ')}`, 'CONFLICT');
+      }
+      setClause.push('options = ?');
+      params.push(JSON.stringify(options));
+    }
+
+    if (setClause.length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    params.push(id);
+    const result = await this.run(`UPDATE custom_fields SET ${setClause.join(', ')} WHERE id = ?`, params);
+    return result.changes > 0;
+  }
+
+  async deleteCustomField(id) {
+    const result = await this.run('DELETE FROM custom_fields WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Validates a { name: value } map against the project's field definitions.
+  // A null value clears the field.
+  async resolveCustomValues(projectId, values) {
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+      throw new CustomFieldError('custom_fields must map field names to values');
+    }
+
+    const fields = await this.getCustomFields(projectId);
+    return Object.entries(values).map(([name, value]) => {
+      const field = fields.find((candidate) => candidate.name === name);
+      if (!field) {
+        throw new CustomFieldError(`Unknown custom field: ${name}`);
+      }
+      return { field, value: value === null ? null : toStoredValue(field, value) };
+    });
+  }
+
+  async writeCustomValues(taskId, customValues, recordHistory = false) {
+    for (const { field, value } of customValues) {
+      const current = await this.get('SELECT value FROM task_custom_values WHERE task_id = ? AND field_id = ?', [taskId, field.id]);
+      const oldValue = current ? current.value : null;
+      if (oldValue === value) continue;
+
+      if (value === null) {
+        await this.run('DELETE FROM task_custom_values WHERE task_id = ? AND field_id = ?', [taskId, field.id]);
+      } else {
+        await this.run(`
+          INSERT INTO task_custom_values (task_id, field_id, value) VALUES (?, ?, ?)
+          ON CONFLICT(task_id, field_id) DO UPDATE SET value = excluded.value
+        `, [taskId, field.id, value]);
+      }
+
+      if (recordHistory) {
+        await this.addHistory(taskId, `custom_fields.${field.name}`, oldValue, value);
+      }
+    }
+  }
+
+  async getTaskCustomFields(taskId) {
+    const values = await this.getCustomFieldsForTasks([taskId]);
+    return values.get(taskId) || {};
+  }
+
+  // Custom field values of several tasks, as a Map of task id to { name: value }
+  async getCustomFieldsForTasks(taskIds) {
+    const values = new Map();
+    if (taskIds.length === 0) return values;
+
+    const rows = await this.all(`
+      SELECT v.task_id, v.value, f.name, f.type
+      FROM task_custom_values v
+      JOIN custom_fields f ON f.id = v.field_id
+      WHERE v.task_id IN (${taskIds.map(() => '?').join(', ')})
+      ORDER BY f.id ASC
+    `, taskIds);
+
+    for (const row of rows) {
+      if (!values.has(row.task_id)) values.set(row.task_id, {});
+      values.get(row.task_id)[row.name] = fromStoredValue(row, row.value);
+    }
+    return values;
+  }
+
+  // SQL condition matching tasks whose custom field `name` equals `value`.
+  // Fields with that name may differ in type across projects, so the value is
+  // converted for each definition it is valid for.
+  async customFieldCondition(name, value, projectId = null) {
+    const fields = await this.all(
+      `SELECT * FROM custom_fields WHERE name = ?${projectId ? ' AND project_id = ?' : ''}`,
+      projectId ? [name, projectId] : [name]
+    );
+
+    const clauses = [];
+    const params = [];
+    for (const row of fields) {
+      const field = { ...row, options: row.options ? JSON.parse(row.options) : null };
+      let stored;
+      try {
+        stored = toStoredValue(field, value);
+      } catch {
+        continue;
+      }
+      clauses.push('(v.field_id = ? AND v.value = ?)');
+      params.push(field.id, stored);
+    }
+
+    if (clauses.length === 0) return { sql: '0', params: [] };
+    return {
+      sql: `EXISTS (SELECT 1 FROM task_custom_values v WHERE v.task_id = tasks.id AND (${clauses.join(' OR ')}))`,
+      params
+    };
+  }
+
+  // Recurrence operations
+  // A recurrence rule drives a series of tasks linked by tasks.recurrence_id;
+  // current_task_id is the open occurrence that spawns the next one.
+  async setRecurrence(taskId, definition) {
+    const task = await this.get('SELECT * FROM tasks WHERE id = ?', [taskId]);
+    if (!task) return null;
+
+    const rule = normalizeRecurrence(definition);
+    const startDate = rule.start_date || task.due_date || new Date().toISOString().slice(0, 10);
+    const values = [
+      rule.frequency, rule.every, rule.cron, startDate, rule.end_date, rule.max_occurrences,
+      rule.copy_tags ? 1 : 0, rule.copy_assignee ? 1 : 0, rule.copy_dependencies ? 1 : 0
+    ];
+
+    let recurrenceId = task.recurrence_id;
+    let restarted = false;
+    if (recurrenceId) {
+      // An ended series restarts from this task: it becomes the current
+      // occurrence, or spawns the next one right away if it is already final
+      const current = await this.get('SELECT current_task_id FROM recurrences WHERE id = ?', [recurrenceId]);
+      restarted = current.current_task_id === null;
+      await this.run(`
+        UPDATE recurrences
+        SET frequency = ?, every = ?, cron = ?, start_date = ?, end_date = ?, max_occurrences = ?,
+            copy_tags = ?, copy_assignee = ?, copy_dependencies = ?, active = 1,
+            current_task_id = COALESCE(current_task_id, ?), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...values, taskId, recurrenceId]);
+    } else {
+      const result = await this.run(`
+        INSERT INTO recurrences (
+          project_id, frequency, every, cron, start_date, end_date, max_occurrences,
+          copy_tags, copy_assignee, copy_dependencies, current_task_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [task.project_id, ...values, taskId]);
+      recurrenceId = result.id;
+      await this.run('UPDATE tasks SET recurrence_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [recurrenceId, taskId]);
+    }
+
+    if (!task.due_date) {
+      await this.updateTask(taskId, { due_date: startDate });
+    }
+
+    if (restarted && isFinalStatus(await this.getWorkflow(task.project_id), task.status)) {
+      await this.createNextOccurrence(taskId);
+    }
+
+    return await this.getRecurrence(recurrenceId);
+  }
+
+  async getRecurrence(id) {
+    const rule = await this.get('SELECT * FROM recurrences WHERE id = ?', [id]);
+    if (!rule) return null;
+
+    return {
+      ...rule,
+      copy_tags: !!rule.copy_tags,
+      copy_assignee: !!rule.copy_assignee,
+      copy_dependencies: !!rule.copy_dependencies,
+      active: !!rule.active
+    };
+  }
+
+  async getTaskRecurrence(taskId) {
+    const task = await this.get('SELECT recurrence_id FROM tasks WHERE id = ?', [taskId]);
+    if (!task || !task.recurrence_id) return null;
+    return await this.getRecurrence(task.recurrence_id);
+  }
+
+  // Stops the series; existing occurrences are kept as regular tasks
+  async removeRecurrence(taskId) {
+    const task = await this.get('SELECT recurrence_id FROM tasks WHERE id = ?', [taskId]);
+    if (!task || !task.recurrence_id) return false;
+
+    const result = await this.run('DELETE FROM recurrences WHERE id = ?', [task.recurrence_id]);
+    return result.changes > 0;
+  }
+
+  // Creates the occurrence following `taskId`, or returns null when the task
+  // is not the open occurrence of an active series or the series has ended.
+  async createNextOccurrence(taskId) {
+    const task = await this.get('SELECT * FROM tasks WHERE id = ?', [taskId]);
+    if (!task || !task.recurrence_id) return null;
+
+    const rule = await this.getRecurrence(task.recurrence_id);
+    if (!rule || !rule.active || rule.current_task_id !== task.id) return null;
+
+    const dueDate = rule.max_occurrences !== null && rule.occurrences >= rule.max_occurrences
+      ? null
+      : occurrenceDueDate(rule, rule.occurrences, task.due_date);
+
+    if (!dueDate || (rule.end_date && dueDate > rule.end_date)) {
+      await this.run('UPDATE recurrences SET active = 0, current_task_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [rule.id]);
+      return null;
+    }
+
+    const dependsOn = rule.copy_dependencies ? await this.getDependencyIds(task.id) : [];
+    const nextId = await this.addTask(
+      task.project_id,
+      task.title,
+      task.description,
+      task.priority,
+      task.category,
+      rule.copy_assignee ? task.assignee : null,
+      dueDate,
+      rule.copy_tags ? task.tags : null,
+      dependsOn,
+      {
+        parent_id: task.parent_id,
+        estimate: task.estimate,
+        recurrence_id: rule.id,
+        custom_fields: await this.getTaskCustomFields(task.id)
+      }
+    );
+
+    await this.run(`
+      UPDATE recurrences
+      SET occurrences = occurrences + 1, current_task_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [nextId, rule.id]);
+
+    return nextId;
+  }
+
+  // Saved view operations
+  async createView(definition) {
+    const view = normalizeView(definition);
+    if (await this.get('SELECT id FROM saved_views WHERE name = ?', [view.name])) {
+      throw new ViewError(`View ${view.name} already exists`, 'CONFLICT');
+    }
+
+    const result = await this.run(`
+      INSERT INTO saved_views (name, owner, description, filters, sort, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [view.name, view.owner, view.description, JSON.stringify(view.filters), view.sort, view.order]);
+    return result.id;
+  }
+
+  // Looks a view up by id or by name
+  async getView(idOrName) {
+    const byId = Number.isInteger(idOrName) || /^\d+$/.test(String(idOrName));
+    const row = await this.get(
+      `SELECT * FROM saved_views WHERE ${byId ? 'id' : 'name'} = ?`,
+      [byId ? Number(idOrName) : String(idOrName).trim()]
+    );
+    return row ? formatView(row) : null;
+  }
+
+  async getViews({ owner = null } = {}) {
+    const rows = owner
+      ? await this.all('SELECT * FROM saved_views WHERE owner = ? ORDER BY name ASC', [owner])
+      : await this.all('SELECT * FROM saved_views ORDER BY name ASC');
+    return rows.map(formatView);
+  }
+
+  // Updates name, owner, description, filters, sort or order; filters are
+  // replaced as a whole
+  async updateView(id, updates = {}) {
+    const current = await this.getView(id);
+    if (!current) return false;
+
+    // A new sort key without an order gets that key's default order
+    const order = updates.sort !== undefined && updates.order === undefined ? null : current.order;
+    const view = normalizeView({ ...current, order, ...updates });
+    const clash = await this.get('SELECT id FROM saved_views WHERE name = ? AND id != ?', [view.name, current.id]);
+    if (clash) {
+      throw new ViewError(`View ${view.name} already exists`, 'CONFLICT');
+    }
+
+    await this.run(`
+      UPDATE saved_views
+      SET name = ?, owner = ?, description = ?, filters = ?, sort = ?, sort_order = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [view.name, view.owner, view.description, JSON.stringify(view.filters), view.sort, view.order, current.id]);
+    return true;
+  }
+
+  async deleteView(id) {
+    const result = await this.run('DELETE FROM saved_views WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // Runs a view as `user` (default: the view owner) and returns one page of
+  // its tasks, like listTasks
+  async runView(idOrName, { user = null, limit, cursor, fields } = {}) {
+    const view = await this.getView(idOrName);
+    if (!view) return null;
+
+    const filters = resolveViewFilters(view.filters, user || view.owner);
+    const page = await this.listTasks(filters, { sort: view.sort, order: view.order, limit, cursor, fields });
+    return { view, ...page };
+  }
+
+  // Workflow operations
+  async getWorkflow(projectId) {
+    const statuses = await this.all(`
+      SELECT name, is_progress, is_done, is_final, is_terminal
+      FROM workflow_statuses
+      WHERE project_id = ?
+      ORDER BY position ASC
+    `, [projectId]);
+    if (statuses.length === 0) return normalizeWorkflow(DEFAULT_WORKFLOW);
+
+    const rows = await this.all(`
+      SELECT from_status, to_status
+      FROM workflow_transitions
+      WHERE project_id = ?
+      ORDER BY rowid ASC
+    `, [projectId]);
+
+    // Terminal statuses are listed with no targets and have no rows
+    const terminal = statuses.filter((status) => status.is_terminal);
+    let transitions = null;
+    if (rows.length > 0 || terminal.length > 0) {
+      transitions = {};
+      for (const status of terminal) {
+        transitions[status.name] = [];
+      }
+      for (const row of rows) {
+        (transitions[row.from_status] ||= []).push(row.to_status);
+      }
+    }
+
+    const requirements = {};
+    const requirementRows = await this.all(`
+      SELECT status, field
+      FROM workflow_requirements
+      WHERE project_id = ?
+      ORDER BY rowid ASC
+    `, [projectId]);
+    for (const row of requirementRows) {
+      (requirements[row.status] ||= []).push(row.field);
+    }
+
+    return {
+      statuses: statuses.map((status) => ({
+        name: status.name,
+        progress: !!status.is_progress,
+        done: !!status.is_done,
+        final: !!status.is_final
+      })),
+      transitions,
+      requirements
+    };
+  }
+
+  // Replaces a project's workflow. Statuses still used by tasks cannot be removed.
+  async setWorkflow(projectId, definition) {
+    const workflow = normalizeWorkflow(definition);
+    const names = workflow.statuses.map((status) => status.name);
+
+    return await this.transaction(async (tx) => {
+      const used = await tx.all('SELECT DISTINCT status FROM tasks WHERE project_id = ?', [projectId]);
+      const orphaned = used.map((row) => row.status).filter((status) => !names.includes(status));
+      if (orphaned.length > 0) {
+        throw new WorkflowError(`Statuses still used by tasks: ${orphaned.join(', ')}`, 'CONFLICT');
+      }
+
+      await tx.run('DELETE FROM workflow_requirements WHERE project_id = ?', [projectId]);
+      await tx.run('DELETE FROM workflow_transitions WHERE project_id = ?', [projectId]);
+      await tx.run('DELETE FROM workflow_statuses WHERE project_id = ?', [projectId]);
+      await tx.insertWorkflow(projectId, workflow);
+      await tx.run('UPDATE projects SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [projectId]);
+
+      return await tx.getWorkflow(projectId);
+    });
+  }
+
+  async insertWorkflow(projectId, workflow) {
+    const transitions = workflow.transitions || {};
+    for (const [position, status] of workflow.statuses.entries()) {
+      const terminal = transitions[status.name]?.length === 0;
+      await this.run(`
+        INSERT INTO workflow_statuses (project_id, name, position, is_progress, is_done, is_final, is_terminal)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [projectId, status.name, position, status.progress ? 1 : 0, status.done ? 1 : 0, status.final ? 1 : 0, terminal ? 1 : 0]);
+    }
+
+    for (const [from, targets] of Object.entries(transitions)) {
+      for (const to of targets) {
+        await this.run('INSERT INTO workflow_transitions (project_id, from_status, to_status) VALUES (?, ?, ?)', [projectId, from, to]);
+      }
+    }
+
+    for (const [status, fields] of Object.entries(workflow.requirements || {})) {
+      for (const field of fields) {
+        await this.run('INSERT INTO workflow_requirements (project_id, status, field) VALUES (?, ?, ?)', [projectId, status, field]);
+      }
+    }
+  }
+
   // Get unique assignees for filtering
   async getAssignees(projectId = null) {
     let sql = 'SELECT DISTINCT assignee FROM tasks WHERE assignee IS NOT NULL AND assignee != ""';
@@ -0,0 +1,96 @@
+// Dependency graph rendering for Mermaid, Graphviz DOT and node/edge JSON.
+//
+// Edges point from a dependency to the task waiting on it, so arrows follow
+// the order in which work can happen. Nodes are colored by the category of
+// their status in the task's workflow; edges to dependencies that are already
+// done are drawn dashed.
+
+export const GRAPH_FORMATS = ['json', 'mermaid', 'dot'];
+export const GRAPH_DIRECTIONS = ['both', 'upstream', 'downstream'];
+
+export const STATUS_CATEGORIES = {
+  final: { fill: '#2e7d32', font: '#ffffff' },
+  done: { fill: '#81c784', font: '#000000' },
+  progress: { fill: '#1e88e5', font: '#ffffff' },
+  blocked: { fill: '#e53935', font: '#ffffff' },
+  todo: { fill: '#e0e0e0', font: '#000000' }
+};
+
+export class GraphError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'GraphError';
+    this.code = code;
+  }
+}
+
+// `status` is a workflow status ({ name, progress, done, final }) or undefined
+// when the task's status is not in its workflow
+export function statusCategory(status) {
+  if (!status) return 'todo';
+  if (status.final) return 'final';
+  if (status.done) return 'done';
+  if (status.name === 'blocked') return 'blocked';
+  if (status.progress || status.name === 'in-progress') return 'progress';
+  return 'todo';
+}
+
+function nodeId(id) {
+  return `t${id}`;
+}
+
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/[<>]/g, (char) => (char === '<' ? '#lt;' : '#gt;'));
+}
+
+export function toMermaid({ nodes, edges, task_id: focusId = null }) {
+  const lines = ['flowchart LR'];
+  for (const node of nodes) {
+    lines.push(`  ${nodeId(node.id)}["#${node.id} ${mermaidText(node.title)}<br/>${mermaidText(node.status)}"]`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${nodeId(edge.from)} ${edge.satisfied ? '-.->' : '-->'} ${nodeId(edge.to)}`);
+  }
+
+  const used = Object.keys(STATUS_CATEGORIES).filter((category) => nodes.some((node) => node.category === category));
+  for (const category of used) {
+    const { fill, font } = STATUS_CATEGORIES[category];
+    lines.push(`  classDef ${category} fill:${fill},color:${font},stroke:#424242`);
+    lines.push(`  class ${nodes.filter((node) => node.category === category).map((node) => nodeId(node.id)).join(',')} ${category}`);
+  }
+  if (focusId !== null && nodes.some((node) => node.id === focusId)) {
+    lines.push(`  style ${nodeId(focusId)} stroke-width:3px`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function dotText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ');
+}
+
+export function toDot({ nodes, edges, task_id: focusId = null }) {
+  const lines = [
+    'digraph dependencies {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+  ];
+  for (const node of nodes) {
+    const { fill, font } = STATUS_CATEGORIES[node.category];
+    const focus = node.id === focusId ? ', penwidth=3' : '';
+    lines.push(`  ${nodeId(node.id)} [label="#${node.id} ${dotText(node.title)}\\n${dotText(node.status)}", fillcolor="${fill}", fontcolor="${font}"${focus}];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${nodeId(edge.from)} -> ${nodeId(edge.to)}${edge.satisfied ? ' [style=dashed]' : ''};`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+export function renderGraph(graph, format) {
+  if (!GRAPH_FORMATS.includes(format)) {
+    throw new GraphError(`format must be one of: ${GRAPH_FORMATS.join(', ')}`);
+  }
+  if (format === 'mermaid') return toMermaid(graph);
+  if (format === 'dot') return toDot(graph);
+  return graph;
+}
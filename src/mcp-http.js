@@ -0,0 +1,209 @@
+// MCP over streamable HTTP, so one process can serve several MCP clients
+// (and remote agents) against the same database instead of each editor
+// spawning its own stdio server.
+//
+// Every client gets a session: the initialize request creates a transport
+// and an MCP server for it, and the session id returned in the
+// Mcp-Session-Id header routes its later requests. POST carries JSON-RPC
+// messages (answered as JSON or an SSE stream), GET opens an SSE stream for
+// server notifications and DELETE ends the session. A session with no
+// request in flight for config.mcpHttp.idleMinutes is closed, so clients
+// that go away without a DELETE do not keep their transport forever.
+//
+// Every request must name an allowed host (config.mcpHttp.allowedHosts), so
+// a page on another site cannot reach a local server through DNS
+// rebinding; requests from a browser must come from an allowed origin
+// (config.cors.origins); and when config.mcpHttp.token is set, requests
+// must carry it as a bearer token.
+//
+// The router runs standalone with `node src/mcp-http.js [port]`, or is
+// mounted by the web server (config.mcpHttp.path) behind its JSON body
+// parser when MCP_HTTP_ENABLED=true.
+
+import express from 'express';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { hostHeaderValidation } from '@modelcontextprotocol/sdk/server/middleware/hostHeaderValidation.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import Database from './database.js';
+import config from './config.js';
+import { createMcpServer } from './mcp-server.js';
+
+function jsonRpcError(res, status, message) {
+  res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+// Requests without an Origin do not come from a web page
+function originValidation(allowedOrigins) {
+  return (req, res, next) => {
+    const origin = req.get('origin');
+    if (origin && !allowedOrigins.includes(origin)) {
+      return jsonRpcError(res, 403, `Origin ${origin} is not allowed`);
+    }
+    next();
+  };
+}
+
+function tokenValidation(token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  return (req, res, next) => {
+    const received = Buffer.from(req.get('authorization') || '');
+    if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+      return jsonRpcError(res, 401, 'A valid bearer token is required');
+    }
+    next();
+  };
+}
+
+export class McpHttpSessions {
+  constructor(db, {
+    idleTimeoutMs = config.mcpHttp.idleMinutes * 60 * 1000,
+    allowedHosts = config.mcpHttp.allowedHosts,
+    allowedOrigins = config.cors.origins,
+    token = config.mcpHttp.token
+  } = {}) {
+    this.db = db;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.allowedHosts = allowedHosts;
+    this.allowedOrigins = allowedOrigins;
+    this.token = token;
+    // session id -> transport
+    this.transports = new Map();
+    // session id -> { requests in flight, idle timer }
+    this.activity = new Map();
+  }
+
+  get size() {
+    return this.transports.size;
+  }
+
+  router() {
+    const router = express.Router();
+    router.use(hostHeaderValidation(this.allowedHosts));
+    router.use(originValidation(this.allowedOrigins));
+    if (this.token) router.use(tokenValidation(this.token));
+    router.post('/', (req, res) => this.handlePost(req, res));
+    router.get('/', (req, res) => this.handleSession(req, res));
+    router.delete('/', (req, res) => this.handleSession(req, res));
+    return router;
+  }
+
+  async handlePost(req, res) {
+    try {
+      const sessionId = req.get('mcp-session-id');
+      let transport = sessionId ? this.transports.get(sessionId) : null;
+
+      if (sessionId && !transport) {
+        return jsonRpcError(res, 404, `Session ${sessionId} not found`);
+      }
+      if (!transport) {
+        if (!isInitializeRequest(req.body)) {
+          return jsonRpcError(res, 400, 'Mcp-Session-Id header is required');
+        }
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            this.transports.set(id, transport);
+            this.activity.set(id, { requests: 0, timer: null });
+            this.track(id, res);
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) this.forget(transport.sessionId);
+        };
+        await createMcpServer(this.db).connect(transport);
+      } else {
+        this.track(sessionId, res);
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      if (!res.headersSent) {
+        jsonRpcError(res, 500, error.message);
+      }
+    }
+  }
+
+  // GET (notification stream) and DELETE (end of session) need a session
+  async handleSession(req, res) {
+    try {
+      const sessionId = req.get('mcp-session-id');
+      if (!sessionId) {
+        return jsonRpcError(res, 400, 'Mcp-Session-Id header is required');
+      }
+      const transport = this.transports.get(sessionId);
+      if (!transport) {
+        return jsonRpcError(res, 404, `Session ${sessionId} not found`);
+      }
+
+      this.track(sessionId, res);
+      await transport.handleRequest(req, res);
+    } catch (error) {
+      if (!res.headersSent) {
+        jsonRpcError(res, 500, error.message);
+      }
+    }
+  }
+
+  // Counts the request `res` answers for the session; the idle timer runs
+  // only while none is in flight (an open notification stream keeps the
+  // session alive)
+  track(sessionId, res) {
+    const activity = this.activity.get(sessionId);
+    if (!activity) return;
+
+    clearTimeout(activity.timer);
+    activity.requests += 1;
+    res.on('close', () => {
+      activity.requests -= 1;
+      if (activity.requests > 0 || !this.activity.has(sessionId)) return;
+      activity.timer = setTimeout(() => {
+        this.transports.get(sessionId)?.close().catch(() => {});
+      }, this.idleTimeoutMs);
+      activity.timer.unref();
+    });
+  }
+
+  forget(sessionId) {
+    clearTimeout(this.activity.get(sessionId)?.timer);
+    this.activity.delete(sessionId);
+    this.transports.delete(sessionId);
+  }
+
+  async close() {
+    for (const transport of [...this.transports.values()]) {
+      await transport.close();
+    }
+    for (const sessionId of [...this.transports.keys()]) {
+      this.forget(sessionId);
+    }
+  }
+}
+
+// Standalone server: `node src/mcp-http.js [port]`
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const db = new Database();
+  await db.ready;
+
+  const sessions = new McpHttpSessions(db);
+  const app = express();
+  app.use(express.json());
+  app.use(config.mcpHttp.path, sessions.router());
+
+  const port = parseInt(process.argv[2]) || config.mcpHttp.port;
+  const httpServer = app.listen(port, () => {
+    console.log(`MCP server (streamable HTTP) running at http://localhost:${port}${config.mcpHttp.path}`);
+  });
+
+  const shutdown = async () => {
+    console.log('Shutting down MCP HTTP server...');
+    await sessions.close();
+    await new Promise((resolve) => httpServer.close(resolve));
+    await db.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,164 @@
+import Database from './database.js';
+import { McpHttpSessions } from './mcp-http.js';
+import express from 'express';
+import http from 'http';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const IDLE_TIMEOUT_MS = 100;
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'mcp-http-test', version: '1.0.0' } }
+};
+
+describe('MCP HTTP sessions', () => {
+  let db;
+  let sessions;
+  let server;
+  const testDbPath = join(__dirname, '..', 'test-mcp-http.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function listen(options = {}) {
+    sessions = new McpHttpSessions(db, { idleTimeoutMs: IDLE_TIMEOUT_MS, allowedOrigins: ['http://localhost:3000'], ...options });
+    const app = express();
+    app.use(express.json());
+    app.use('/mcp', sessions.router());
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  }
+
+  // POSTs `message` (or sends a body-less GET/DELETE) and returns the status,
+  // the session header and the JSON-RPC message of a JSON or SSE response
+  function request(method, message, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: '/mcp',
+        method,
+        headers: {
+          'content-type': 'application/json',
+          accept: 'application/json, text/event-stream',
+          ...headers
+        }
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          const data = text.split('\n').find((line) => line.startsWith('data: '));
+          const json = data ? data.slice('data: '.length) : text;
+          resolve({ status: res.statusCode, sessionId: res.headers['mcp-session-id'], body: json ? JSON.parse(json) : null });
+        });
+      });
+      req.on('error', reject);
+      if (message) req.write(JSON.stringify(message));
+      req.end();
+    });
+  }
+
+  async function initialize() {
+    const response = await request('POST', INITIALIZE);
+    await request('POST', { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': response.sessionId });
+    return response;
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await sessions?.close();
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('initialize should create a session that later requests reuse', async () => {
+    await listen();
+    const init = await initialize();
+    expect(init.status).toBe(200);
+    expect(init.sessionId).toBeTruthy();
+    expect(init.body.result.serverInfo.name).toBe('mcp-project-tracker');
+    expect(sessions.size).toBe(1);
+
+    const tools = await request('POST', { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': init.sessionId });
+    expect(tools.status).toBe(200);
+    expect(tools.body.result.tools.some((tool) => tool.name === 'add_task')).toBe(true);
+    expect(sessions.size).toBe(1);
+
+    const ended = await request('DELETE', null, { 'mcp-session-id': init.sessionId });
+    expect(ended.status).toBe(200);
+    expect(sessions.size).toBe(0);
+  });
+
+  test('should reject requests without a session or with an unknown one', async () => {
+    await listen();
+
+    const missing = await request('POST', { jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    expect(missing.status).toBe(400);
+
+    const unknown = await request('POST', { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': 'no-such-session' });
+    expect(unknown.status).toBe(404);
+    expect((await request('GET', null, { 'mcp-session-id': 'no-such-session' })).status).toBe(404);
+    expect((await request('DELETE', null, { 'mcp-session-id': 'no-such-session' })).status).toBe(404);
+  });
+
+  test('should close sessions left idle', async () => {
+    await listen();
+    const init = await initialize();
+    expect(sessions.size).toBe(1);
+
+    await wait(IDLE_TIMEOUT_MS * 3);
+    expect(sessions.size).toBe(0);
+
+    const expired = await request('POST', { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': init.sessionId });
+    expect(expired.status).toBe(404);
+  });
+
+  test('should only answer allowed hosts and origins, with the token when one is set', async () => {
+    await listen({ token: 'secret' });
+
+    const authorization = { authorization: 'Bearer secret' };
+    expect((await request('POST', INITIALIZE)).status).toBe(401);
+    expect((await request('POST', INITIALIZE, { authorization: 'Bearer guess' })).status).toBe(401);
+    expect((await request('POST', INITIALIZE, { ...authorization, host: 'tracker.attacker.example' })).status).toBe(403);
+    expect((await request('POST', INITIALIZE, { ...authorization, origin: 'http://attacker.example' })).status).toBe(403);
+    expect(sessions.size).toBe(0);
+
+    const allowed = await request('POST', INITIALIZE, { ...authorization, host: 'localhost:3000', origin: 'http://localhost:3000' });
+    expect(allowed.status).toBe(200);
+    expect(sessions.size).toBe(1);
+  });
+});
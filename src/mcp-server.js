@@ -5,38 +5,103 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ErrorCode,
+  McpError,
 } from '@modelcontextprotocol/sdk/types.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import Database from './database.js';
+import config from './config.js';
+import { REQUIRABLE_FIELDS } from './workflows.js';
+import { CUSTOM_FIELD_TYPES } from './custom-fields.js';
+import { RECURRENCE_FREQUENCIES } from './recurrence.js';
+import { TASK_SORT_KEYS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from './pagination.js';
+import { VIEW_FILTER_KEYS } from './views.js';
+import { burndownCsv, cumulativeFlowCsv } from './analytics.js';
+import { renderGraph, GRAPH_FORMATS, GRAPH_DIRECTIONS } from './dependency-graph.js';
+import { PROMPTS, PromptError, getPrompt } from './prompts.js';
+import { PLAN_OPERATIONS, MAX_PLAN_OPERATIONS, PlanError, applyPlan } from './plans.js';
+import { RESOURCE_TEMPLATES, ResourceError, listResources, parseResourceUri, readResource } from './resources.js';
+import { ToolError, NotFoundError, ConflictError, TOOL_ERROR_CODES, errorPayload } from './tool-errors.js';
 
-const VALID_STATUSES = ['pending', 'in-progress', 'developed', 'tested', 'deployed', 'blocked'];
 const VALID_PRIORITIES = ['low', 'medium', 'high', 'critical'];
-
-const db = new Database();
-await db.ready;
-
-const server = new Server(
-  { name: 'mcp-project-tracker', version: '3.0.0' },
-  { capabilities: { tools: {} } }
-);
+const VALID_MILESTONE_STATES = ['open', 'closed'];
+const VALID_SPRINT_STATES = ['planned', 'active', 'closed'];
+const VALID_TIME_GROUPS = ['project', 'client', 'person', 'task', 'date'];
+const VALID_ESTIMATE_UNITS = ['points', 'hours'];
+const FLOW_CHARTS = ['burndown', 'cumulative_flow'];
+// JSON-RPC error code the MCP spec uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
 
 function validateId(id, field = 'id') {
   if (!Number.isInteger(id) || id <= 0) {
-    throw new Error(`${field} must be a positive integer`);
+    throw new ToolError(`${field} must be a positive integer`);
   }
 }
 
-function validateStatus(status) {
-  if (status !== undefined && !VALID_STATUSES.includes(status)) {
-    throw new Error(`Invalid status: ${status}`);
+function validatePriority(priority) {
+  if (priority !== undefined && !VALID_PRIORITIES.includes(priority)) {
+    throw new ToolError(`Invalid priority: ${priority}`);
   }
 }
 
-function validatePriority(priority) {
-  if (priority !== undefined && !VALID_PRIORITIES.includes(priority)) {
-    throw new Error(`Invalid priority: ${priority}`);
+async function attachDependencies(db, taskId, dependsOn) {
+  for (const depId of dependsOn) {
+    if (depId === taskId) {
+      throw new ToolError('A task cannot depend on itself');
+    }
+    const depTask = await db.getTaskById(depId);
+    if (!depTask) {
+      throw new NotFoundError(`Dependency task ${depId} not found`);
+    }
+    if (await db.checkForCycle(taskId, depId)) {
+      throw new ToolError('Adding this dependency would create a cycle', 'CYCLE');
+    }
+    await db.addDependency(taskId, depId);
+  }
+}
+
+async function validateParent(db, parentId, projectId, taskId = null) {
+  validateId(parentId, 'parent_id');
+  const parent = await db.getTaskById(parentId);
+  if (!parent) throw new NotFoundError(`Parent task ${parentId} not found`);
+  if (parent.project_id !== projectId) {
+    throw new ToolError('Parent task must belong to the same project');
+  }
+  if (taskId !== null) {
+    if (parentId === taskId) throw new ToolError('A task cannot be its own parent');
+    if (await db.isDescendant(taskId, parentId)) {
+      throw new ToolError('Setting this parent would create a cycle', 'CYCLE');
+    }
+  }
+  return parent;
+}
+
+async function validateMilestone(db, milestoneId, projectId) {
+  validateId(milestoneId, 'milestone_id');
+  const milestone = await db.getMilestone(milestoneId);
+  if (!milestone) throw new NotFoundError(`Milestone ${milestoneId} not found`);
+  if (milestone.project_id !== projectId) {
+    throw new ToolError('Milestone must belong to the same project');
+  }
+  return milestone;
+}
+
+function validateEstimate(estimate, field = 'estimate') {
+  if (estimate !== undefined && estimate !== null && (typeof estimate !== 'number' || !Number.isFinite(estimate) || estimate < 0)) {
+    throw new ToolError(`${field} must be a non-negative number`);
   }
 }
 
+// The payload goes both as JSON text, for clients that only read content, and
+// as structuredContent matching the tool outputSchema
 function textResult(payload) {
   return {
     content: [
@@ -44,10 +109,73 @@ function textResult(payload) {
         type: 'text',
         text: JSON.stringify(payload, null, 2)
       }
-    ]
+    ],
+    structuredContent: payload
+  };
+}
+
+// A failed call: isError plus { success: false, error, code, ... } with one of
+// the codes of tool-errors.js
+function errorResult(payload) {
+  return { ...textResult({ success: false, ...payload }), isError: true };
+}
+
+// Output schemas describe the top level of each result and leave nested
+// records open. A failed call returns TOOL_ERROR_OUTPUT instead, so every
+// schema accepts either shape.
+const TOOL_ERROR_OUTPUT = {
+  type: 'object',
+  properties: {
+    success: { const: false },
+    error: { type: 'string' },
+    code: { type: 'string', enum: TOOL_ERROR_CODES },
+    reason: { type: 'string', description: 'Workflow guard that rejected a status change (INVALID_STATUS, TRANSITION_NOT_ALLOWED...)' },
+    details: { type: 'object' },
+    operations: { type: 'array', description: 'Per-operation report of a rejected plan' }
+  },
+  required: ['success', 'error', 'code']
+};
+
+const INTEGER = { type: 'integer' };
+const NUMBER = { type: 'number' };
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const OBJECT = { type: 'object' };
+const RECORDS = { type: 'array', items: { type: 'object' } };
+const IDS = { type: 'array', items: { type: 'integer' } };
+const NULLABLE_ID = { type: ['integer', 'null'] };
+const NULLABLE_NUMBER = { type: ['number', 'null'] };
+
+const TASK_PAGE = {
+  tasks: RECORDS,
+  total: INTEGER,
+  limit: INTEGER,
+  sort: STRING,
+  order: STRING,
+  next_cursor: { type: ['string', 'null'] },
+  has_more: BOOLEAN
+};
+
+function outputSchema(properties, required = Object.keys(properties)) {
+  return {
+    type: 'object',
+    properties,
+    anyOf: [{ required }, TOOL_ERROR_OUTPUT]
   };
 }
 
+// { success, message } plus whatever the change returns (usually an id)
+function mutationOutput(properties = {}) {
+  return outputSchema({ success: BOOLEAN, message: STRING, ...properties });
+}
+
+const WORKFLOW_OUTPUT = {
+  project_id: INTEGER,
+  statuses: RECORDS,
+  transitions: { type: ['object', 'null'] },
+  requirements: OBJECT
+};
+
 const tools = [
   {
     name: 'create_project',
@@ -57,10 +185,28 @@ const tools = [
       properties: {
         name: { type: 'string', description: 'Project name' },
         client: { type: 'string', description: 'Client name (optional)' },
-        description: { type: 'string', description: 'Project description (optional)' }
+        description: { type: 'string', description: 'Project description (optional)' },
+        estimate_unit: { type: 'string', enum: VALID_ESTIMATE_UNITS, description: 'Unit of task estimates (default points)' }
       },
       required: ['name']
-    }
+    },
+    outputSchema: mutationOutput({ project_id: INTEGER })
+  },
+  {
+    name: 'update_project',
+    description: 'Update project fields (name, client, description, estimate unit)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Project ID' },
+        name: { type: 'string' },
+        client: { type: 'string' },
+        description: { type: 'string' },
+        estimate_unit: { type: 'string', enum: VALID_ESTIMATE_UNITS }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput()
   },
   {
     name: 'list_projects',
@@ -70,7 +216,8 @@ const tools = [
       properties: {
         client: { type: 'string', description: 'Filter by client (optional)' }
       }
-    }
+    },
+    outputSchema: outputSchema({ projects: RECORDS })
   },
   {
     name: 'delete_project',
@@ -81,7 +228,111 @@ const tools = [
         id: { type: 'number', description: 'Project ID to delete' }
       },
       required: ['id']
-    }
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'get_workflow',
+    description: 'Get the statuses and allowed transitions of a project workflow',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' }
+      },
+      required: ['project_id']
+    },
+    outputSchema: outputSchema(WORKFLOW_OUTPUT)
+  },
+  {
+    name: 'set_workflow',
+    description: 'Replace the workflow of a project: ordered statuses with progress/done/final flags and optional allowed transitions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' },
+        statuses: {
+          type: 'array',
+          description: 'Ordered statuses; new tasks start in the first one',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              progress: { type: 'boolean', description: 'Counts towards progress percentage' },
+              done: { type: 'boolean', description: 'Satisfies dependencies' },
+              final: { type: 'boolean', description: 'Completes the task' }
+            },
+            required: ['name']
+          }
+        },
+        transitions: {
+          type: ['object', 'null'],
+          description: 'Map of status to the statuses it can move to; omit or null to allow any transition',
+          additionalProperties: { type: 'array', items: { type: 'string' } }
+        },
+        requirements: {
+          type: ['object', 'null'],
+          description: 'Map of status to the task fields required to enter it, e.g. {"in-progress": ["assignee"], "blocked": ["notes"]}',
+          additionalProperties: { type: 'array', items: { type: 'string', enum: REQUIRABLE_FIELDS } }
+        }
+      },
+      required: ['project_id', 'statuses']
+    },
+    outputSchema: outputSchema({ success: BOOLEAN, ...WORKFLOW_OUTPUT })
+  },
+  {
+    name: 'create_custom_field',
+    description: 'Define a typed custom field for the tasks of a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' },
+        name: { type: 'string', description: 'Field name, unique in the project' },
+        type: { type: 'string', enum: CUSTOM_FIELD_TYPES },
+        options: { type: 'array', items: { type: 'string' }, description: 'Allowed values, required for enum fields' },
+        description: { type: 'string', description: 'Field description (optional)' }
+      },
+      required: ['project_id', 'name', 'type']
+    },
+    outputSchema: mutationOutput({ field_id: INTEGER })
+  },
+  {
+    name: 'list_custom_fields',
+    description: 'List the custom fields defined for a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' }
+      },
+      required: ['project_id']
+    },
+    outputSchema: outputSchema({ fields: RECORDS })
+  },
+  {
+    name: 'update_custom_field',
+    description: 'Rename a custom field or change its description or enum options',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Custom field ID' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        options: { type: 'array', items: { type: 'string' }, description: 'New enum options; options in use cannot be removed' }
+      },
+      required: ['id']
+    },
+    outputSchema: outputSchema({ success: BOOLEAN, field: OBJECT })
+  },
+  {
+    name: 'delete_custom_field',
+    description: 'Delete a custom field and its values on every task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Custom field ID' }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput()
   },
   {
     name: 'add_task',
@@ -97,10 +348,88 @@ const tools = [
         assignee: { type: 'string', description: 'Task assignee (optional)' },
         due_date: { type: 'string', description: 'Due date YYYY-MM-DD (optional)' },
         tags: { type: 'array', items: { type: 'string' }, description: 'Tags (optional)' },
-        depends_on: { type: 'array', items: { type: 'number' }, description: 'Dependency task IDs (optional)' }
+        depends_on: { type: 'array', items: { type: 'number' }, description: 'Dependency task IDs (optional)' },
+        parent_id: { type: 'number', description: 'Parent task ID to create this as a subtask (optional)' },
+        milestone_id: { type: 'number', description: 'Milestone ID of the same project (optional)' },
+        estimate: { type: 'number', description: 'Estimate in the project unit, points or hours (optional)' },
+        custom_fields: { type: 'object', description: 'Custom field values by field name (optional)' }
       },
       required: ['project_id', 'title']
-    }
+    },
+    outputSchema: mutationOutput({ task_id: INTEGER })
+  },
+  {
+    name: 'apply_plan',
+    description: `Apply up to ${MAX_PLAN_OPERATIONS} task operations atomically in one transaction: create_task, update_task, add_dependency, remove_dependency. Tasks created by the plan get a client-side ref that later operations use instead of an id. If any operation fails nothing is applied and every operation is reported`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Default project for create_task operations' },
+        operations: {
+          type: 'array',
+          description: 'Operations applied in order',
+          items: {
+            type: 'object',
+            properties: {
+              op: { type: 'string', enum: PLAN_OPERATIONS },
+              ref: { type: 'string', description: 'create_task: name for the new task, usable by later operations' },
+              task: { type: ['number', 'string'], description: 'Task ID, or the ref of a task created earlier in the plan' },
+              depends_on: {
+                type: ['number', 'string', 'array'],
+                description: 'create_task: list of task IDs or refs; add_dependency/remove_dependency: one task ID or ref',
+                items: { type: ['number', 'string'] }
+              },
+              parent: { type: ['number', 'string'], description: 'Parent task ID, or the ref of a task created earlier in the plan' },
+              project_id: { type: 'number', description: 'create_task: project (default the plan project or the parent project)' },
+              title: { type: 'string' },
+              description: { type: 'string' },
+              status: { type: 'string', description: 'update_task only; checked against the workflow' },
+              priority: { type: 'string', enum: VALID_PRIORITIES },
+              category: { type: 'string' },
+              assignee: { type: 'string' },
+              due_date: { type: 'string', description: 'YYYY-MM-DD' },
+              tags: { type: 'array', items: { type: 'string' } },
+              estimate: { type: ['number', 'null'] },
+              milestone_id: { type: ['number', 'null'] },
+              custom_fields: { type: 'object' },
+              notes: { type: 'string', description: 'update_task: note added as a comment' }
+            },
+            required: ['op']
+          }
+        },
+        dry_run: { type: 'boolean', description: 'Validate and run every operation, then roll back (default false)' }
+      },
+      required: ['operations']
+    },
+    outputSchema: outputSchema({
+      success: BOOLEAN,
+      dry_run: BOOLEAN,
+      created: { type: 'object', additionalProperties: INTEGER, description: 'Task id created for each ref' },
+      operations: RECORDS
+    })
+  },
+  {
+    name: 'add_subtask',
+    description: 'Add a subtask under an existing task (inherits the parent project)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        parent_id: { type: 'number', description: 'Parent task ID' },
+        title: { type: 'string', description: 'Short subtask title' },
+        description: { type: 'string', description: 'Detailed subtask description (optional)' },
+        priority: { type: 'string', enum: VALID_PRIORITIES },
+        category: { type: 'string', description: 'Subtask category (optional)' },
+        assignee: { type: 'string', description: 'Subtask assignee (optional)' },
+        due_date: { type: 'string', description: 'Due date YYYY-MM-DD (optional)' },
+        tags: { type: 'array', items: { type: 'string' }, description: 'Tags (optional)' },
+        depends_on: { type: 'array', items: { type: 'number' }, description: 'Dependency task IDs (optional)' },
+        milestone_id: { type: 'number', description: 'Milestone ID (optional, defaults to the parent milestone)' },
+        estimate: { type: 'number', description: 'Estimate in the project unit, points or hours (optional)' },
+        custom_fields: { type: 'object', description: 'Custom field values by field name (optional)' }
+      },
+      required: ['parent_id', 'title']
+    },
+    outputSchema: mutationOutput({ task_id: INTEGER, parent_id: INTEGER })
   },
   {
     name: 'update_task',
@@ -111,31 +440,148 @@ const tools = [
         id: { type: 'number', description: 'Task ID' },
         title: { type: 'string', description: 'Task title' },
         description: { type: 'string', description: 'Task description' },
-        status: { type: 'string', enum: VALID_STATUSES },
-        notes: { type: 'string', description: 'Notes to append with timestamp' },
+        status: { type: 'string', description: 'Status from the project workflow' },
+        notes: { type: 'string', description: 'Note to add as a comment on the task' },
+        author: { type: 'string', description: 'Author of the note comment (optional)' },
         priority: { type: 'string', enum: VALID_PRIORITIES },
         category: { type: 'string' },
         assignee: { type: 'string' },
         due_date: { type: 'string' },
-        tags: { type: 'array', items: { type: 'string' } }
+        tags: { type: 'array', items: { type: 'string' } },
+        parent_id: { type: ['number', 'null'], description: 'Move under another task, or null to make it top-level' },
+        milestone_id: { type: ['number', 'null'], description: 'Assign to a milestone, or null to unassign' },
+        remaining_minutes: { type: ['number', 'null'], description: 'Remaining estimate in minutes' },
+        estimate: { type: ['number', 'null'], description: 'Estimate in the project unit, points or hours' },
+        custom_fields: { type: 'object', description: 'Custom field values by field name; null clears a field' }
       },
       required: ['id']
-    }
+    },
+    outputSchema: outputSchema({ success: BOOLEAN, message: STRING, next_occurrence_id: INTEGER }, ['success', 'message'])
   },
   {
     name: 'get_tasks',
-    description: 'Get filtered tasks',
+    description: 'Get filtered tasks, one page at a time: pass next_cursor back as cursor to fetch the next page',
     inputSchema: {
       type: 'object',
       properties: {
         project_id: { type: 'number' },
-        status: { type: 'string', enum: VALID_STATUSES },
+        status: { type: 'string', description: 'Status from the project workflow' },
         priority: { type: 'string', enum: VALID_PRIORITIES },
         category: { type: 'string' },
         assignee: { type: 'string' },
-        search: { type: 'string' }
+        parent_id: { type: 'number', description: 'Only direct subtasks of this task' },
+        milestone_id: { type: 'number', description: 'Only tasks of this milestone' },
+        due_from: { type: 'string', description: 'Due on or after this date (YYYY-MM-DD)' },
+        due_to: { type: 'string', description: 'Due on or before this date (YYYY-MM-DD)' },
+        overdue: { type: 'boolean', description: 'Only open tasks past their due date' },
+        due_within: { type: 'number', description: 'Only open tasks due between today and this many days from now' },
+        search: { type: 'string', description: 'Full-text query (same syntax as search_tasks)' },
+        q: {
+          type: 'string',
+          description: 'Structured query, e.g. "status:in-progress priority>=high due<2026-11-01 tag:backend -assignee:bob". Fields: status, priority, category, assignee, client, tag, due, created, updated, completed, estimate, remaining, id, project, milestone, parent, has, is (open, done, final, blocked, overdue). Operators : = != > >= < <=; comma lists; * wildcards; -term negates; dates also as today or +7d; other words are full-text terms'
+        },
+        custom_fields: { type: 'object', description: 'Only tasks whose custom fields equal these values' },
+        limit: { type: 'number', description: `Page size (default ${DEFAULT_PAGE_SIZE}, max ${MAX_PAGE_SIZE})` },
+        cursor: { type: 'string', description: 'next_cursor of the previous page' },
+        sort: { type: 'string', enum: TASK_SORT_KEYS, description: 'Sort key (default created_at)' },
+        order: { type: 'string', enum: ['asc', 'desc'], description: 'Default desc for dates and priority, asc for due_date and title' },
+        fields: { type: 'array', items: { type: 'string' }, description: 'Only return these task properties, e.g. ["id", "title", "status"]' }
       }
-    }
+    },
+    outputSchema: outputSchema(TASK_PAGE)
+  },
+  {
+    name: 'search_tasks',
+    description: 'Full-text search over task titles, descriptions, notes, tags and comments across all projects, ranked by relevance with highlighted snippets. Supports "exact phrases", prefix*, AND/OR/NOT, parentheses and column:term (title, description, notes, tags, comments)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query' },
+        project_id: { type: 'number', description: 'Only search this project' },
+        status: { type: 'string', description: 'Only tasks in this status' },
+        limit: { type: 'number', description: 'Maximum results (default 20, max 100)' },
+        offset: { type: 'number', description: 'Number of results to skip (default 0)' }
+      },
+      required: ['query']
+    },
+    outputSchema: outputSchema({ query: STRING, results: RECORDS, total: INTEGER, limit: INTEGER, offset: INTEGER, has_more: BOOLEAN })
+  },
+  {
+    name: 'create_view',
+    description: 'Save a named task filter (saved view) that assistants and people can run later by name. Use assignee "@me" (or assignee:@me in q) for views relative to whoever runs them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Unique view name, e.g. "My critical backend work"' },
+        owner: { type: 'string', description: 'Person the view belongs to; @me resolves to them by default' },
+        description: { type: 'string' },
+        filters: {
+          type: 'object',
+          description: `Filters as accepted by get_tasks: ${VIEW_FILTER_KEYS.join(', ')}. Prefer q, e.g. { "q": "is:open client:Acme due<today" }`
+        },
+        sort: { type: 'string', enum: TASK_SORT_KEYS },
+        order: { type: 'string', enum: ['asc', 'desc'] }
+      },
+      required: ['name', 'filters']
+    },
+    outputSchema: outputSchema({ success: BOOLEAN, view: OBJECT })
+  },
+  {
+    name: 'list_views',
+    description: 'List saved views',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Only views of this owner' }
+      }
+    },
+    outputSchema: outputSchema({ views: RECORDS })
+  },
+  {
+    name: 'run_view',
+    description: 'Run a saved view by name (or ID) and return one page of its tasks, like get_tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'View name or ID' },
+        user: { type: 'string', description: 'Person to resolve @me to (default: view owner)' },
+        limit: { type: 'number', description: `Page size (default ${DEFAULT_PAGE_SIZE}, max ${MAX_PAGE_SIZE})` },
+        cursor: { type: 'string', description: 'next_cursor of the previous page' },
+        fields: { type: 'array', items: { type: 'string' }, description: 'Only return these task properties' }
+      },
+      required: ['name']
+    },
+    outputSchema: outputSchema({ view: OBJECT, ...TASK_PAGE })
+  },
+  {
+    name: 'update_view',
+    description: 'Change a saved view; filters are replaced as a whole',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'View ID' },
+        name: { type: 'string' },
+        owner: { type: 'string' },
+        description: { type: 'string' },
+        filters: { type: 'object' },
+        sort: { type: 'string', enum: TASK_SORT_KEYS },
+        order: { type: 'string', enum: ['asc', 'desc'] }
+      },
+      required: ['id']
+    },
+    outputSchema: outputSchema({ success: BOOLEAN, view: OBJECT })
+  },
+  {
+    name: 'delete_view',
+    description: 'Delete a saved view',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'View ID' }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput()
   },
   {
     name: 'get_task_by_id',
@@ -146,233 +592,1338 @@ const tools = [
         id: { type: 'number', description: 'Task ID' }
       },
       required: ['id']
-    }
+    },
+    outputSchema: outputSchema({
+      id: INTEGER,
+      project_id: INTEGER,
+      title: STRING,
+      status: STRING,
+      dependencies: IDS,
+      tags: { type: 'array', items: STRING },
+      custom_fields: OBJECT
+    }, ['id', 'project_id', 'title', 'status'])
+  },
+  {
+    name: 'set_recurrence',
+    description: 'Make a task recurring: when it reaches a final status the next occurrence is created with the next due date',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' },
+        frequency: { type: 'string', enum: RECURRENCE_FREQUENCIES },
+        every: { type: 'number', description: 'Repeat every N days, weeks, months or cron matches (default 1)' },
+        cron: { type: 'string', description: 'Cron expression "min hour day-of-month month day-of-week" for frequency cron; only the date fields are used' },
+        start_date: { type: 'string', description: 'First due date YYYY-MM-DD (default: task due_date or today)' },
+        end_date: { type: 'string', description: 'No occurrences due after this date (optional)' },
+        max_occurrences: { type: 'number', description: 'Stop after this many occurrences (optional)' },
+        copy_tags: { type: 'boolean', description: 'Copy tags to the next occurrence (default true)' },
+        copy_assignee: { type: 'boolean', description: 'Copy the assignee to the next occurrence (default true)' },
+        copy_dependencies: { type: 'boolean', description: 'Copy dependencies to the next occurrence (default false)' }
+      },
+      required: ['task_id', 'frequency']
+    },
+    outputSchema: outputSchema({ success: BOOLEAN, recurrence: OBJECT })
+  },
+  {
+    name: 'get_recurrence',
+    description: 'Get the recurrence rule of a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: outputSchema({ task_id: INTEGER, recurrence: { type: ['object', 'null'] } })
+  },
+  {
+    name: 'remove_recurrence',
+    description: 'Stop a recurring series; existing occurrences are kept',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'get_task_tree',
+    description: 'Get the subtask tree of a task, or every task tree of a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Root task ID' },
+        project_id: { type: 'number', description: 'Project ID (used when task_id is omitted)' }
+      }
+    },
+    // `tree` for a task_id, `project_id` and `trees` for a project
+    outputSchema: outputSchema({ tree: OBJECT, project_id: INTEGER, trees: RECORDS }, [])
   },
   {
     name: 'delete_task',
-    description: 'Delete a task',
+    description: 'Delete a task and all of its subtasks',
     inputSchema: {
       type: 'object',
       properties: {
         id: { type: 'number', description: 'Task ID to delete' }
       },
       required: ['id']
-    }
+    },
+    outputSchema: mutationOutput()
   },
   {
-    name: 'get_project_summary',
-    description: 'Get summary statistics of a project including dependency stats',
+    name: 'add_comment',
+    description: 'Add a comment to a task, optionally replying to another comment',
     inputSchema: {
       type: 'object',
       properties: {
-        project_id: { type: 'number', description: 'Project ID' }
+        task_id: { type: 'number', description: 'Task ID' },
+        body: { type: 'string', description: 'Comment text' },
+        author: { type: 'string', description: 'Comment author (optional)' },
+        reply_to: { type: 'number', description: 'ID of the comment being replied to (optional)' }
       },
-      required: ['project_id']
-    }
+      required: ['task_id', 'body']
+    },
+    outputSchema: mutationOutput({ comment_id: INTEGER })
   },
   {
-    name: 'add_dependency',
-    description: 'Add a dependency between two tasks (task depends on another task)',
+    name: 'list_comments',
+    description: 'List comments of a task in chronological order, paginated',
     inputSchema: {
       type: 'object',
       properties: {
-        task_id: { type: 'number', description: 'ID of dependent task' },
-        depends_on_task_id: { type: 'number', description: 'ID of dependency task' }
+        task_id: { type: 'number', description: 'Task ID' },
+        limit: { type: 'number', description: 'Page size (default 50)' },
+        offset: { type: 'number', description: 'Number of comments to skip (default 0)' }
       },
-      required: ['task_id', 'depends_on_task_id']
-    }
+      required: ['task_id']
+    },
+    outputSchema: outputSchema({ comments: RECORDS, total: INTEGER, limit: INTEGER, offset: INTEGER, has_more: BOOLEAN })
   },
   {
-    name: 'remove_dependency',
-    description: 'Remove a dependency between two tasks',
+    name: 'update_comment',
+    description: 'Edit the body of a comment',
     inputSchema: {
       type: 'object',
       properties: {
-        task_id: { type: 'number', description: 'ID of dependent task' },
-        depends_on_task_id: { type: 'number', description: 'ID of dependency task' }
+        id: { type: 'number', description: 'Comment ID' },
+        body: { type: 'string', description: 'New comment text' }
       },
-      required: ['task_id', 'depends_on_task_id']
-    }
+      required: ['id', 'body']
+    },
+    outputSchema: mutationOutput()
   },
   {
-    name: 'get_blocked_tasks',
-    description: 'Get all tasks blocked by incomplete dependencies',
+    name: 'delete_comment',
+    description: 'Delete a comment (replies are kept and detached)',
     inputSchema: {
       type: 'object',
       properties: {
-        project_id: { type: 'number', description: 'Optional project filter' }
-      }
-    }
+        id: { type: 'number', description: 'Comment ID' }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput()
   },
   {
-    name: 'get_next_actionable',
-    description: 'Get tasks ready to work on (no incomplete dependencies)',
+    name: 'log_work',
+    description: 'Log time worked on a task',
     inputSchema: {
       type: 'object',
       properties: {
-        project_id: { type: 'number', description: 'Optional project filter' }
-      }
-    }
-  }
-];
-
-server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args = {} } = request.params;
-
-  try {
-    switch (name) {
-      case 'create_project': {
-        const { name: projectName, client = null, description = null } = args;
-        if (!projectName || typeof projectName !== 'string') {
-          throw new Error('name is required');
-        }
-        const projectId = await db.createProject(projectName, client, description);
-        return textResult({ success: true, project_id: projectId, message: `Project "${projectName}" created` });
-      }
-
-      case 'list_projects': {
-        const projects = await db.getProjects(args.client || null);
-        return textResult({ projects });
-      }
-
-      case 'delete_project': {
-        validateId(args.id, 'id');
-        const project = await db.getProject(args.id);
-        if (!project) throw new Error(`Project ${args.id} not found`);
-        await db.deleteProject(args.id);
-        return textResult({ success: true, message: `Project "${project.name}" deleted` });
+        task_id: { type: 'number', description: 'Task ID' },
+        minutes: { type: 'number', description: 'Minutes worked' },
+        person: { type: 'string', description: 'Who did the work (optional)' },
+        work_date: { type: 'string', description: 'Date YYYY-MM-DD (optional, defaults to today)' },
+        note: { type: 'string', description: 'What was done (optional)' },
+        remaining_minutes: { type: 'number', description: 'New remaining estimate in minutes (optional)' }
+      },
+      required: ['task_id', 'minutes']
+    },
+    outputSchema: mutationOutput({ work_log_id: INTEGER })
+  },
+  {
+    name: 'start_timer',
+    description: 'Start a timer on a task for a person',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' },
+        person: { type: 'string', description: 'Who is working (optional)' },
+        note: { type: 'string', description: 'What is being done (optional)' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: mutationOutput({ work_log_id: INTEGER })
+  },
+  {
+    name: 'stop_timer',
+    description: 'Stop the running timer of a person on a task and log the elapsed time',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' },
+        person: { type: 'string', description: 'Who was working (optional)' },
+        note: { type: 'string', description: 'What was done (optional)' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: mutationOutput({ work_log: OBJECT })
+  },
+  {
+    name: 'list_work_logs',
+    description: 'List work log entries of a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: outputSchema({ task_id: INTEGER, logged_minutes: NUMBER, work_logs: RECORDS })
+  },
+  {
+    name: 'delete_work_log',
+    description: 'Delete a work log entry',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Work log ID' }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'get_time_report',
+    description: 'Aggregate logged time by project, client, person, task or date within a date range',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        group_by: { type: 'string', enum: VALID_TIME_GROUPS, description: 'Grouping (default project)' },
+        project_id: { type: 'number', description: 'Optional project filter' },
+        client: { type: 'string', description: 'Optional client filter' },
+        person: { type: 'string', description: 'Optional person filter' },
+        from: { type: 'string', description: 'Start date YYYY-MM-DD (optional)' },
+        to: { type: 'string', description: 'End date YYYY-MM-DD (optional)' }
+      }
+    },
+    outputSchema: outputSchema({ group_by: STRING, filters: OBJECT, total_minutes: NUMBER, total_hours: NUMBER, rows: RECORDS })
+  },
+  {
+    name: 'get_project_summary',
+    description: 'Get summary statistics of a project including dependency stats',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' }
+      },
+      required: ['project_id']
+    },
+    outputSchema: outputSchema({ project_id: INTEGER, project_name: STRING, summary: OBJECT })
+  },
+  {
+    name: 'create_milestone',
+    description: 'Create a milestone (release target) for a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' },
+        name: { type: 'string', description: 'Milestone name' },
+        target_date: { type: 'string', description: 'Target date YYYY-MM-DD (optional)' },
+        description: { type: 'string', description: 'Milestone description (optional)' }
+      },
+      required: ['project_id', 'name']
+    },
+    outputSchema: mutationOutput({ milestone_id: INTEGER })
+  },
+  {
+    name: 'list_milestones',
+    description: 'List milestones of a project with progress and at-risk flags',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' },
+        state: { type: 'string', enum: VALID_MILESTONE_STATES, description: 'Filter by state (optional)' }
+      },
+      required: ['project_id']
+    },
+    outputSchema: outputSchema({ milestones: RECORDS })
+  },
+  {
+    name: 'update_milestone',
+    description: 'Update a milestone (name, target date, description, state)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Milestone ID' },
+        name: { type: 'string' },
+        target_date: { type: 'string', description: 'Target date YYYY-MM-DD' },
+        description: { type: 'string' },
+        state: { type: 'string', enum: VALID_MILESTONE_STATES }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'get_milestone_summary',
+    description: 'Get summary statistics of a milestone, its open tasks and at-risk detection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Milestone ID' }
+      },
+      required: ['id']
+    },
+    outputSchema: outputSchema({ milestone: OBJECT, summary: OBJECT, open_tasks: RECORDS })
+  },
+  {
+    name: 'create_sprint',
+    description: 'Create a sprint (iteration) for a project with dates, goal and capacity',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' },
+        name: { type: 'string', description: 'Sprint name' },
+        start_date: { type: 'string', description: 'Start date YYYY-MM-DD' },
+        end_date: { type: 'string', description: 'End date YYYY-MM-DD' },
+        goal: { type: 'string', description: 'Sprint goal (optional)' },
+        capacity: { type: 'number', description: 'Maximum number of committed tasks (optional)' }
+      },
+      required: ['project_id', 'name', 'start_date', 'end_date']
+    },
+    outputSchema: mutationOutput({ sprint_id: INTEGER })
+  },
+  {
+    name: 'list_sprints',
+    description: 'List sprints with committed and completed task counters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Optional project filter' },
+        state: { type: 'string', enum: VALID_SPRINT_STATES, description: 'Optional state filter' }
+      }
+    },
+    outputSchema: outputSchema({ sprints: RECORDS })
+  },
+  {
+    name: 'start_sprint',
+    description: 'Start a planned sprint; tasks committed afterwards count as scope added mid-sprint',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Sprint ID' }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'commit_to_sprint',
+    description: 'Commit tasks to a sprint (moves them out of any other open sprint)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sprint_id: { type: 'number', description: 'Sprint ID' },
+        task_ids: { type: 'array', items: { type: 'number' }, description: 'Task IDs to commit' }
+      },
+      required: ['sprint_id', 'task_ids']
+    },
+    outputSchema: mutationOutput({ committed: IDS })
+  },
+  {
+    name: 'remove_from_sprint',
+    description: 'Remove a task from a sprint',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sprint_id: { type: 'number', description: 'Sprint ID' },
+        task_id: { type: 'number', description: 'Task ID' }
+      },
+      required: ['sprint_id', 'task_id']
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'close_sprint',
+    description: 'Close a sprint, optionally carrying unfinished tasks over to another sprint',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Sprint ID' },
+        carry_over_to: { type: 'number', description: 'Sprint ID receiving unfinished tasks (optional)' }
+      },
+      required: ['id']
+    },
+    outputSchema: mutationOutput({ completed: IDS, carried_over: IDS, incomplete: IDS })
+  },
+  {
+    name: 'get_sprint_report',
+    description: 'Get committed vs. completed work of a sprint, including scope added or removed mid-sprint',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Sprint ID' }
+      },
+      required: ['id']
+    },
+    outputSchema: outputSchema({
+      sprint: OBJECT,
+      committed: INTEGER,
+      added_mid_sprint: INTEGER,
+      removed_mid_sprint: INTEGER,
+      total_scope: INTEGER,
+      completed: INTEGER,
+      completion_percentage: NUMBER,
+      capacity: NULLABLE_NUMBER,
+      over_capacity: BOOLEAN,
+      tasks: OBJECT
+    })
+  },
+  {
+    name: 'add_dependency',
+    description: 'Add a dependency between two tasks (task depends on another task)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'ID of dependent task' },
+        depends_on_task_id: { type: 'number', description: 'ID of dependency task' }
+      },
+      required: ['task_id', 'depends_on_task_id']
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'remove_dependency',
+    description: 'Remove a dependency between two tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'ID of dependent task' },
+        depends_on_task_id: { type: 'number', description: 'ID of dependency task' }
+      },
+      required: ['task_id', 'depends_on_task_id']
+    },
+    outputSchema: mutationOutput()
+  },
+  {
+    name: 'get_upstream_tasks',
+    description: 'Get every task a task depends on, directly or through other tasks, with the length of the shortest chain in depth',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' },
+        incomplete_only: { type: 'boolean', description: 'Only tasks still blocking it: skip done tasks and what lies behind them (default false)' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: outputSchema({ task_id: INTEGER, direction: { const: 'upstream' }, total: INTEGER, tasks: RECORDS })
+  },
+  {
+    name: 'get_downstream_tasks',
+    description: 'Get every task that depends on a task, directly or through other tasks (what it unblocks), with the length of the shortest chain in depth',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' },
+        incomplete_only: { type: 'boolean', description: 'Only tasks still waiting: skip done tasks and what lies behind them (default false)' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: outputSchema({ task_id: INTEGER, direction: { const: 'downstream' }, total: INTEGER, tasks: RECORDS })
+  },
+  {
+    name: 'get_delay_impact',
+    description: 'Get the impact of delaying a task: all open tasks transitively waiting on it, with counts by priority, the earliest due date at stake and the projects and milestones affected',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'number', description: 'Task ID' }
+      },
+      required: ['task_id']
+    },
+    outputSchema: outputSchema({
+      task: OBJECT,
+      total: INTEGER,
+      direct: INTEGER,
+      max_depth: INTEGER,
+      by_priority: OBJECT,
+      earliest_due_date: { type: ['string', 'null'] },
+      projects: RECORDS,
+      milestones: RECORDS
+    })
+  },
+  {
+    name: 'get_blocked_tasks',
+    description: 'Get all tasks blocked by incomplete dependencies',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Optional project filter' }
+      }
+    },
+    outputSchema: outputSchema({ tasks: RECORDS })
+  },
+  {
+    name: 'get_next_actionable',
+    description: 'Get tasks ready to work on (no incomplete dependencies): overdue first, then by priority and nearest due date, optionally fitting an available budget',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Optional project filter' },
+        available: { type: 'number', description: 'Available points or hours; requires project_id (optional)' }
+      }
+    },
+    outputSchema: outputSchema({ tasks: RECORDS, available: NUMBER, planned_estimate: NUMBER }, ['tasks'])
+  },
+  {
+    name: 'get_dependency_graph',
+    description: 'Export the dependency graph of a project, or of one task and the tasks it depends on or that depend on it (transitively), as Mermaid, Graphviz DOT or node/edge JSON. Nodes are colored by status; edges go from a dependency to the task waiting on it and are dashed once the dependency is done',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID (required unless task_id is given)' },
+        task_id: { type: 'number', description: 'Only the transitive neighborhood of this task (optional)' },
+        direction: { type: 'string', enum: GRAPH_DIRECTIONS, description: 'With task_id: upstream (its dependencies), downstream (tasks waiting on it) or both (default)' },
+        format: { type: 'string', enum: GRAPH_FORMATS, description: 'json (default), mermaid or dot; text formats are returned in the graph property' }
+      }
+    },
+    // nodes and edges are lists in json format and counts otherwise
+    outputSchema: outputSchema({
+      project_id: NULLABLE_ID,
+      task_id: NULLABLE_ID,
+      direction: { type: ['string', 'null'] },
+      format: { type: 'string', enum: GRAPH_FORMATS },
+      nodes: { type: ['array', 'integer'] },
+      edges: { type: ['array', 'integer'] },
+      graph: STRING
+    }, ['project_id', 'task_id', 'nodes', 'edges'])
+  },
+  {
+    name: 'get_critical_path',
+    description: 'Compute the critical path of a project\'s open tasks over their dependencies using estimates: the ordered chain that determines the finish date, slack per task and earliest start/finish dates',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' },
+        milestone_id: { type: 'number', description: 'Only schedule this milestone\'s tasks and the open tasks they depend on (optional)' },
+        default_estimate: { type: 'number', description: `Estimate assumed for tasks without one, in the project unit (default ${config.schedule.defaultEstimate})` },
+        start_date: { type: 'string', description: 'Schedule start YYYY-MM-DD (default today)' }
+      },
+      required: ['project_id']
+    },
+    outputSchema: outputSchema({
+      project_id: INTEGER,
+      milestone_id: NULLABLE_ID,
+      unit: STRING,
+      start_date: STRING,
+      finish_date: STRING,
+      duration: NUMBER,
+      duration_days: INTEGER,
+      unestimated_tasks: INTEGER,
+      critical_path: RECORDS,
+      tasks: RECORDS
+    })
+  },
+  {
+    name: 'get_due_tasks',
+    description: 'Get open tasks that are overdue or due within the next days, most urgent first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Optional project filter' },
+        days: { type: 'number', description: `Due-soon window in days (default ${config.dueDates.soonDays})` }
+      }
+    },
+    outputSchema: outputSchema({ today: STRING, days: INTEGER, overdue: RECORDS, due_soon: RECORDS })
+  },
+  {
+    name: 'get_estimation_report',
+    description: 'Compare estimates of completed tasks against the time elapsed from in-progress to a final status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' }
+      },
+      required: ['project_id']
+    },
+    outputSchema: outputSchema({
+      project_id: INTEGER,
+      unit: { type: 'string', enum: VALID_ESTIMATE_UNITS },
+      sample_size: INTEGER,
+      average_ratio: NULLABLE_NUMBER,
+      average_hours_per_point: NULLABLE_NUMBER,
+      accurate: INTEGER,
+      underestimated: INTEGER,
+      overestimated: INTEGER,
+      tasks: RECORDS
+    }, ['project_id', 'unit', 'sample_size', 'tasks'])
+  },
+  {
+    name: 'get_flow_metrics',
+    description: 'Get lead time (created to final status), cycle time (in-progress to final), average time in each status and weekly throughput per project and assignee, computed from status history of completed tasks. With task_id, returns the status timeline of that task instead',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Optional project filter' },
+        assignee: { type: 'string', description: 'Optional assignee filter' },
+        from: { type: 'string', description: 'Completed on or after this date YYYY-MM-DD (optional)' },
+        to: { type: 'string', description: 'Completed on or before this date YYYY-MM-DD (optional)' },
+        include_tasks: { type: 'boolean', description: 'Include the metrics of each completed task (default false)' },
+        task_id: { type: 'number', description: 'Return the time in each status of a single task, open or completed' }
+      }
+    },
+    // The flow of one task (task_id) or the metrics of the filtered tasks
+    outputSchema: outputSchema({
+      id: INTEGER,
+      timeline: RECORDS,
+      filters: OBJECT,
+      completed_tasks: INTEGER,
+      lead_time: OBJECT,
+      cycle_time: OBJECT,
+      throughput: OBJECT,
+      tasks: RECORDS
+    }, [])
+  },
+  {
+    name: 'get_flow_series',
+    description: 'Get daily chart data for a project replayed from status history: burndown (open tasks per day with an ideal line) or cumulative_flow (tasks per status per day), as JSON or CSV',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'number', description: 'Project ID' },
+        chart: { type: 'string', enum: FLOW_CHARTS, description: 'Series to build' },
+        from: { type: 'string', description: 'First day YYYY-MM-DD (default 30 days before to)' },
+        to: { type: 'string', description: 'Last day YYYY-MM-DD (default today)' },
+        format: { type: 'string', enum: ['json', 'csv'], description: 'json (default) or csv, returned in the csv property' }
+      },
+      required: ['project_id', 'chart']
+    },
+    outputSchema: outputSchema({
+      project_id: INTEGER,
+      chart: { type: 'string', enum: FLOW_CHARTS },
+      from: STRING,
+      to: STRING,
+      statuses: { type: 'array', items: STRING },
+      series: RECORDS,
+      csv: STRING
+    }, ['project_id', 'chart', 'from', 'to'])
+  }
+];
+
+async function callTool(db, request) {
+  const { name, arguments: args = {} } = request.params;
+
+  try {
+    switch (name) {
+      case 'create_project': {
+        const { name: projectName, client = null, description = null, estimate_unit = 'points' } = args;
+        if (!projectName || typeof projectName !== 'string') {
+          throw new ToolError('name is required');
+        }
+        if (!VALID_ESTIMATE_UNITS.includes(estimate_unit)) {
+          throw new ToolError(`Invalid estimate_unit: ${estimate_unit}`);
+        }
+        const projectId = await db.createProject(projectName, client, description, estimate_unit);
+        return textResult({ success: true, project_id: projectId, message: `Project "${projectName}" created` });
+      }
+
+      case 'update_project': {
+        validateId(args.id, 'id');
+        if (args.estimate_unit !== undefined && !VALID_ESTIMATE_UNITS.includes(args.estimate_unit)) {
+          throw new ToolError(`Invalid estimate_unit: ${args.estimate_unit}`);
+        }
+
+        const updates = {};
+        for (const field of ['name', 'client', 'description', 'estimate_unit']) {
+          if (args[field] !== undefined) {
+            updates[field] = args[field];
+          }
+        }
+
+        if (Object.keys(updates).length === 0) {
+          throw new ToolError('No valid fields to update');
+        }
+
+        const success = await db.updateProject(args.id, updates);
+        if (!success) throw new NotFoundError(`Project ${args.id} not found`);
+        return textResult({ success: true, message: `Project ${args.id} updated` });
+      }
+
+      case 'list_projects': {
+        const projects = await db.getProjects(args.client || null);
+        return textResult({ projects });
+      }
+
+      case 'delete_project': {
+        validateId(args.id, 'id');
+        const project = await db.getProject(args.id);
+        if (!project) throw new NotFoundError(`Project ${args.id} not found`);
+        await db.deleteProject(args.id);
+        return textResult({ success: true, message: `Project "${project.name}" deleted` });
+      }
+
+      case 'get_workflow': {
+        validateId(args.project_id, 'project_id');
+        const project = await db.getProject(args.project_id);
+        if (!project) throw new NotFoundError(`Project ${args.project_id} not found`);
+        const workflow = await db.getWorkflow(args.project_id);
+        return textResult({ project_id: args.project_id, ...workflow });
+      }
+
+      case 'set_workflow': {
+        validateId(args.project_id, 'project_id');
+        const project = await db.getProject(args.project_id);
+        if (!project) throw new NotFoundError(`Project ${args.project_id} not found`);
+        const workflow = await db.setWorkflow(args.project_id, {
+          statuses: args.statuses,
+          transitions: args.transitions,
+          requirements: args.requirements
+        });
+        return textResult({ success: true, project_id: args.project_id, ...workflow });
+      }
+
+      case 'create_custom_field': {
+        validateId(args.project_id, 'project_id');
+        const project = await db.getProject(args.project_id);
+        if (!project) throw new NotFoundError(`Project ${args.project_id} not found`);
+        const fieldId = await db.createCustomField(args.project_id, args);
+        return textResult({ success: true, field_id: fieldId, message: `Custom field "${args.name}" created` });
+      }
+
+      case 'list_custom_fields': {
+        validateId(args.project_id, 'project_id');
+        const project = await db.getProject(args.project_id);
+        if (!project) throw new NotFoundError(`Project ${args.project_id} not found`);
+        const fields = await db.getCustomFields(args.project_id);
+        return textResult({ fields });
+      }
+
+      case 'update_custom_field': {
+        validateId(args.id, 'id');
+        const updates = {};
+        for (const field of ['name', 'description', 'options']) {
+          if (args[field] !== undefined) updates[field] = args[field];
+        }
+        if (Object.keys(updates).length === 0) {
+          throw new ToolError('No valid fields to update');
+        }
+
+        const success = await db.updateCustomField(args.id, updates);
+        if (!success) throw new NotFoundError(`Custom field ${args.id} not found`);
+        return textResult({ success: true, field: await db.getCustomField(args.id) });
+      }
+
+      case 'delete_custom_field': {
+        validateId(args.id, 'id');
+        const success = await db.deleteCustomField(args.id);
+        if (!success) throw new NotFoundError(`Custom field ${args.id} not found`);
+        return textResult({ success: true, message: `Custom field ${args.id} deleted` });
+      }
+
+      case 'add_task': {
+        const {
+          project_id,
+          title,
+          description = null,
+          priority = 'medium',
+          category = null,
+          assignee = null,
+          due_date = null,
+          tags = null,
+          depends_on = [],
+          parent_id = null,
+          milestone_id = null,
+          estimate = null,
+          custom_fields = null
+        } = args;
+
+        validateId(project_id, 'project_id');
+        validatePriority(priority);
+        validateEstimate(estimate);
+        if (!title || typeof title !== 'string') {
+          throw new ToolError('title is required');
+        }
+
+        const project = await db.getProject(project_id);
+        if (!project) throw new NotFoundError(`Project ${project_id} not found`);
+
+        if (parent_id !== null) {
+          await validateParent(db, parent_id, project_id);
+        }
+        if (milestone_id !== null) {
+          await validateMilestone(db, milestone_id, project_id);
+        }
+
+        for (const depId of depends_on) {
+          validateId(depId, 'depends_on item');
+        }
+
+        // A dependency that fails rolls the new task back with it
+        const taskId = await db.transaction(async (tx) => {
+          const id = await tx.addTask(project_id, title, description, priority, category, assignee, due_date, tags, [], { parent_id, milestone_id, estimate, custom_fields });
+          await attachDependencies(tx, id, depends_on);
+          return id;
+        });
+
+        return textResult({ success: true, task_id: taskId, message: `Task ${taskId} created` });
+      }
+
+      case 'apply_plan': {
+        const result = await applyPlan(db, { project_id: args.project_id ?? null, operations: args.operations }, { dryRun: args.dry_run === true });
+        return textResult(result);
+      }
+
+      case 'add_subtask': {
+        const {
+          parent_id,
+          title,
+          description = null,
+          priority = 'medium',
+          category = null,
+          assignee = null,
+          due_date = null,
+          tags = null,
+          depends_on = [],
+          milestone_id,
+          estimate = null,
+          custom_fields = null
+        } = args;
+
+        validateId(parent_id, 'parent_id');
+        validatePriority(priority);
+        validateEstimate(estimate);
+        if (!title || typeof title !== 'string') {
+          throw new ToolError('title is required');
+        }
+
+        const parent = await db.getTaskById(parent_id);
+        if (!parent) throw new NotFoundError(`Parent task ${parent_id} not found`);
+
+        if (milestone_id !== undefined && milestone_id !== null) {
+          await validateMilestone(db, milestone_id, parent.project_id);
+        }
+
+        for (const depId of depends_on) {
+          validateId(depId, 'depends_on item');
+        }
+
+        const taskId = await db.transaction(async (tx) => {
+          const id = await tx.addTask(parent.project_id, title, description, priority, category, assignee, due_date, tags, [], {
+            parent_id,
+            milestone_id: milestone_id !== undefined ? milestone_id : parent.milestone_id,
+            estimate,
+            custom_fields
+          });
+          await attachDependencies(tx, id, depends_on);
+          return id;
+        });
+
+        return textResult({ success: true, task_id: taskId, parent_id, message: `Subtask ${taskId} created under task ${parent_id}` });
+      }
+
+      case 'update_task': {
+        validateId(args.id, 'id');
+        validatePriority(args.priority);
+        validateEstimate(args.estimate);
+
+        const current = await db.getTaskById(args.id);
+        if (!current) throw new NotFoundError(`Task ${args.id} not found`);
+
+        const updates = {};
+        const mutable = ['title', 'description', 'status', 'priority', 'category', 'assignee', 'due_date', 'tags', 'remaining_minutes', 'estimate', 'custom_fields'];
+        for (const field of mutable) {
+          if (args[field] !== undefined) {
+            updates[field] = args[field];
+          }
+        }
+
+        if (args.parent_id !== undefined) {
+          if (args.parent_id !== null) {
+            await validateParent(db, args.parent_id, current.project_id, args.id);
+          }
+          updates.parent_id = args.parent_id;
+        }
+
+        if (args.milestone_id !== undefined) {
+          if (args.milestone_id !== null) {
+            await validateMilestone(db, args.milestone_id, current.project_id);
+          }
+          updates.milestone_id = args.milestone_id;
+        }
+
+        if (Object.keys(updates).length === 0 && args.notes === undefined) {
+          throw new ToolError('No valid fields to update');
+        }
+
+        // The note is kept only if the update applies, and the other way round
+        await db.transaction(async (tx) => {
+          if (Object.keys(updates).length > 0) {
+            const success = await tx.updateTask(args.id, updates, { notes: args.notes });
+            if (!success) throw new NotFoundError(`Task ${args.id} not found`);
+          }
+
+          if (args.notes !== undefined && args.notes !== '') {
+            await tx.addComment(args.id, args.notes, args.author || null);
+          }
+        });
+
+        // Completing a recurring task moves its series to the next occurrence
+        const recurrence = current.recurrence?.current_task_id === args.id ? await db.getTaskRecurrence(args.id) : null;
+        if (recurrence && recurrence.current_task_id && recurrence.current_task_id !== args.id) {
+          return textResult({ success: true, message: `Task ${args.id} updated`, next_occurrence_id: recurrence.current_task_id });
+        }
+
+        return textResult({ success: true, message: `Task ${args.id} updated` });
+      }
+
+      case 'get_tasks': {
+        if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
+        if (args.parent_id !== undefined) validateId(args.parent_id, 'parent_id');
+        if (args.milestone_id !== undefined) validateId(args.milestone_id, 'milestone_id');
+        validatePriority(args.priority);
+        const { limit, cursor, sort, order, fields, ...filters } = args;
+        const page = await db.listTasks(filters, { limit, cursor, sort, order, fields });
+        return textResult(page);
+      }
+
+      case 'search_tasks': {
+        if (!args.query || typeof args.query !== 'string') {
+          throw new ToolError('query is required');
+        }
+        if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
+        if (args.limit !== undefined) validateId(args.limit, 'limit');
+        if (args.offset !== undefined && (!Number.isInteger(args.offset) || args.offset < 0)) {
+          throw new ToolError('offset must be a non-negative integer');
+        }
+
+        const page = await db.searchTasks(args.query, {
+          project_id: args.project_id,
+          status: args.status,
+          limit: Math.min(args.limit || 20, 100),
+          offset: args.offset || 0
+        });
+        return textResult(page);
+      }
+
+      case 'create_view': {
+        const viewId = await db.createView(args);
+        return textResult({ success: true, view: await db.getView(viewId) });
+      }
+
+      case 'list_views': {
+        const views = await db.getViews({ owner: args.owner });
+        return textResult({ views });
+      }
+
+      case 'run_view': {
+        if (args.name === undefined || args.name === '') {
+          throw new ToolError('name is required');
+        }
+        const page = await db.runView(args.name, {
+          user: args.user,
+          limit: args.limit,
+          cursor: args.cursor,
+          fields: args.fields
+        });
+        if (!page) throw new NotFoundError(`View ${args.name} not found`);
+        return textResult(page);
+      }
+
+      case 'update_view': {
+        validateId(args.id, 'id');
+        const updates = {};
+        for (const field of ['name', 'owner', 'description', 'filters', 'sort', 'order']) {
+          if (args[field] !== undefined) updates[field] = args[field];
+        }
+        const success = await db.updateView(args.id, updates);
+        if (!success) throw new NotFoundError(`View ${args.id} not found`);
+        return textResult({ success: true, view: await db.getView(args.id) });
+      }
+
+      case 'delete_view': {
+        validateId(args.id, 'id');
+        const success = await db.deleteView(args.id);
+        if (!success) throw new NotFoundError(`View ${args.id} not found`);
+        return textResult({ success: true, message: `View ${args.id} deleted` });
       }
 
-      case 'add_task': {
-        const {
-          project_id,
-          title,
-          description = null,
-          priority = 'medium',
-          category = null,
-          assignee = null,
-          due_date = null,
-          tags = null,
-          depends_on = []
-        } = args;
+      case 'get_task_by_id': {
+        validateId(args.id, 'id');
+        const task = await db.getTaskById(args.id);
+        if (!task) throw new NotFoundError(`Task ${args.id} not found`);
+        return textResult(task);
+      }
 
-        validateId(project_id, 'project_id');
-        validatePriority(priority);
-        if (!title || typeof title !== 'string') {
-          throw new Error('title is required');
+      case 'set_recurrence': {
+        validateId(args.task_id, 'task_id');
+        const { task_id, ...definition } = args;
+        const recurrence = await db.setRecurrence(task_id, definition);
+        if (!recurrence) throw new NotFoundError(`Task ${task_id} not found`);
+        return textResult({ success: true, recurrence });
+      }
+
+      case 'get_recurrence': {
+        validateId(args.task_id, 'task_id');
+        const task = await db.getTaskById(args.task_id);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
+        return textResult({ task_id: args.task_id, recurrence: task.recurrence });
+      }
+
+      case 'remove_recurrence': {
+        validateId(args.task_id, 'task_id');
+        const removed = await db.removeRecurrence(args.task_id);
+        if (!removed) throw new NotFoundError(`Task ${args.task_id} has no recurrence`);
+        return textResult({ success: true, message: `Recurrence removed from task ${args.task_id}` });
+      }
+
+      case 'get_task_tree': {
+        if (args.task_id !== undefined) {
+          validateId(args.task_id, 'task_id');
+          const tree = await db.getTaskTree(args.task_id);
+          if (!tree) throw new NotFoundError(`Task ${args.task_id} not found`);
+          return textResult({ tree });
         }
 
-        const project = await db.getProject(project_id);
-        if (!project) throw new Error(`Project ${project_id} not found`);
+        validateId(args.project_id, 'project_id');
+        const project = await db.getProject(args.project_id);
+        if (!project) throw new NotFoundError(`Project ${args.project_id} not found`);
+        const trees = await db.getTaskTree(null, args.project_id);
+        return textResult({ project_id: args.project_id, trees });
+      }
 
-        for (const depId of depends_on) {
-          validateId(depId, 'depends_on item');
+      case 'delete_task': {
+        validateId(args.id, 'id');
+        const success = await db.deleteTask(args.id);
+        if (!success) throw new NotFoundError(`Task ${args.id} not found`);
+        return textResult({ success: true, message: `Task ${args.id} deleted` });
+      }
+
+      case 'add_comment': {
+        validateId(args.task_id, 'task_id');
+        if (!args.body || typeof args.body !== 'string') {
+          throw new ToolError('body is required');
         }
 
-        const taskId = await db.addTask(project_id, title, description, priority, category, assignee, due_date, tags, []);
+        const task = await db.getTaskById(args.task_id);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
 
-        for (const depId of depends_on) {
-          if (depId === taskId) {
-            throw new Error('A task cannot depend on itself');
+        if (args.reply_to !== undefined) {
+          validateId(args.reply_to, 'reply_to');
+          const parent = await db.getComment(args.reply_to);
+          if (!parent || parent.task_id !== args.task_id) {
+            throw new NotFoundError(`Comment ${args.reply_to} not found on task ${args.task_id}`);
           }
-          const depTask = await db.getTaskById(depId);
-          if (!depTask) {
-            throw new Error(`Dependency task ${depId} not found`);
-          }
-          if (await db.checkForCycle(taskId, depId)) {
-            throw new Error('Adding this dependency would create a cycle');
+        }
+
+        const commentId = await db.addComment(args.task_id, args.body, args.author || null, args.reply_to || null);
+        return textResult({ success: true, comment_id: commentId, message: `Comment ${commentId} added to task ${args.task_id}` });
+      }
+
+      case 'list_comments': {
+        validateId(args.task_id, 'task_id');
+        if (args.limit !== undefined) validateId(args.limit, 'limit');
+        if (args.offset !== undefined && (!Number.isInteger(args.offset) || args.offset < 0)) {
+          throw new ToolError('offset must be a non-negative integer');
+        }
+
+        const task = await db.getTaskById(args.task_id);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
+
+        const page = await db.getComments(args.task_id, { limit: args.limit || 50, offset: args.offset || 0 });
+        return textResult(page);
+      }
+
+      case 'update_comment': {
+        validateId(args.id, 'id');
+        if (!args.body || typeof args.body !== 'string') {
+          throw new ToolError('body is required');
+        }
+        const success = await db.updateComment(args.id, args.body);
+        if (!success) throw new NotFoundError(`Comment ${args.id} not found`);
+        return textResult({ success: true, message: `Comment ${args.id} updated` });
+      }
+
+      case 'delete_comment': {
+        validateId(args.id, 'id');
+        const success = await db.deleteComment(args.id);
+        if (!success) throw new NotFoundError(`Comment ${args.id} not found`);
+        return textResult({ success: true, message: `Comment ${args.id} deleted` });
+      }
+
+      case 'log_work': {
+        validateId(args.task_id, 'task_id');
+        validateId(args.minutes, 'minutes');
+        if (args.remaining_minutes !== undefined && (!Number.isInteger(args.remaining_minutes) || args.remaining_minutes < 0)) {
+          throw new ToolError('remaining_minutes must be a non-negative integer');
+        }
+
+        const task = await db.getTaskById(args.task_id);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
+
+        // The log and the new remaining estimate are recorded together or not at all
+        const logId = await db.transaction(async (tx) => {
+          const workLogId = await tx.logWork(args.task_id, args.minutes, args.person || null, args.work_date || null, args.note || null);
+          if (args.remaining_minutes !== undefined) {
+            await tx.updateTask(args.task_id, { remaining_minutes: args.remaining_minutes });
           }
-          await db.addDependency(taskId, depId);
+          return workLogId;
+        });
+
+        return textResult({ success: true, work_log_id: logId, message: `${args.minutes} minutes logged on task ${args.task_id}` });
+      }
+
+      case 'start_timer': {
+        validateId(args.task_id, 'task_id');
+        const task = await db.getTaskById(args.task_id);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
+
+        const person = args.person || null;
+        if (await db.getRunningTimer(args.task_id, person)) {
+          throw new ConflictError(`A timer is already running on task ${args.task_id}${person ? ` for ${person}` : ''}`);
         }
 
-        return textResult({ success: true, task_id: taskId, message: `Task ${taskId} created` });
+        const logId = await db.startTimer(args.task_id, person, args.note || null);
+        return textResult({ success: true, work_log_id: logId, message: `Timer started on task ${args.task_id}` });
       }
 
-      case 'update_task': {
+      case 'stop_timer': {
+        validateId(args.task_id, 'task_id');
+        const log = await db.stopTimer(args.task_id, args.person || null, args.note || null);
+        if (!log) throw new ConflictError(`No running timer on task ${args.task_id}`);
+        return textResult({ success: true, work_log: log, message: `${log.minutes} minutes logged on task ${args.task_id}` });
+      }
+
+      case 'list_work_logs': {
+        validateId(args.task_id, 'task_id');
+        const task = await db.getTaskById(args.task_id);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
+        const workLogs = await db.getWorkLogs(args.task_id);
+        return textResult({ task_id: args.task_id, logged_minutes: task.logged_minutes, work_logs: workLogs });
+      }
+
+      case 'delete_work_log': {
         validateId(args.id, 'id');
-        validateStatus(args.status);
-        validatePriority(args.priority);
+        const success = await db.deleteWorkLog(args.id);
+        if (!success) throw new NotFoundError(`Work log ${args.id} not found`);
+        return textResult({ success: true, message: `Work log ${args.id} deleted` });
+      }
 
-        const current = await db.getTaskById(args.id);
-        if (!current) throw new Error(`Task ${args.id} not found`);
+      case 'get_time_report': {
+        const groupBy = args.group_by || 'project';
+        if (!VALID_TIME_GROUPS.includes(groupBy)) {
+          throw new ToolError(`Invalid group_by: ${groupBy}`);
+        }
+        if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
+
+        const filters = {};
+        for (const field of ['project_id', 'client', 'person', 'from', 'to']) {
+          if (args[field] !== undefined) filters[field] = args[field];
+        }
+
+        const report = await db.getTimeReport(filters, groupBy);
+        return textResult(report);
+      }
+
+      case 'get_project_summary': {
+        validateId(args.project_id, 'project_id');
+        const project = await db.getProject(args.project_id);
+        if (!project) throw new NotFoundError(`Project ${args.project_id} not found`);
+        const summary = await db.getProjectSummary(args.project_id);
+        return textResult({ project_id: args.project_id, project_name: project.name, summary });
+      }
+
+      case 'create_milestone': {
+        const { project_id, name: milestoneName, target_date = null, description = null } = args;
+        validateId(project_id, 'project_id');
+        if (!milestoneName || typeof milestoneName !== 'string') {
+          throw new ToolError('name is required');
+        }
+
+        const project = await db.getProject(project_id);
+        if (!project) throw new NotFoundError(`Project ${project_id} not found`);
+
+        const milestoneId = await db.createMilestone(project_id, milestoneName, target_date, description);
+        return textResult({ success: true, milestone_id: milestoneId, message: `Milestone "${milestoneName}" created` });
+      }
+
+      case 'list_milestones': {
+        validateId(args.project_id, 'project_id');
+        if (args.state !== undefined && !VALID_MILESTONE_STATES.includes(args.state)) {
+          throw new ToolError(`Invalid state: ${args.state}`);
+        }
+        const milestones = await db.getMilestones(args.project_id, args.state || null);
+        return textResult({ milestones });
+      }
+
+      case 'update_milestone': {
+        validateId(args.id, 'id');
+        if (args.state !== undefined && !VALID_MILESTONE_STATES.includes(args.state)) {
+          throw new ToolError(`Invalid state: ${args.state}`);
+        }
 
         const updates = {};
-        const mutable = ['title', 'description', 'status', 'priority', 'category', 'assignee', 'due_date', 'tags'];
-        for (const field of mutable) {
+        for (const field of ['name', 'target_date', 'description', 'state']) {
           if (args[field] !== undefined) {
             updates[field] = args[field];
           }
         }
 
-        if (args.notes !== undefined) {
-          const timestamp = new Date().toISOString();
-          const appended = `[${timestamp}] ${args.notes}`;
-          updates.notes = current.notes ? `${current.notes}\n${appended}` : appended;
+        if (Object.keys(updates).length === 0) {
+          throw new ToolError('No valid fields to update');
         }
 
-        if (updates.status === 'deployed') {
-          const incomplete = await db.getIncompleteDependencies(args.id);
-          if (incomplete.length > 0) {
-            throw new Error(`Cannot set status to deployed: ${incomplete.length} incomplete dependencies`);
-          }
+        const success = await db.updateMilestone(args.id, updates);
+        if (!success) throw new NotFoundError(`Milestone ${args.id} not found`);
+        return textResult({ success: true, message: `Milestone ${args.id} updated` });
+      }
+
+      case 'get_milestone_summary': {
+        validateId(args.id, 'id');
+        const report = await db.getMilestoneSummary(args.id);
+        if (!report) throw new NotFoundError(`Milestone ${args.id} not found`);
+        return textResult(report);
+      }
+
+      case 'create_sprint': {
+        const { project_id, name: sprintName, start_date, end_date, goal = null, capacity = null } = args;
+        validateId(project_id, 'project_id');
+        if (!sprintName || typeof sprintName !== 'string') {
+          throw new ToolError('name is required');
+        }
+        if (!start_date || !end_date) {
+          throw new ToolError('start_date and end_date are required');
         }
+        if (end_date < start_date) {
+          throw new ToolError('end_date must not be before start_date');
+        }
+        if (capacity !== null) validateId(capacity, 'capacity');
 
-        const success = await db.updateTask(args.id, updates);
-        if (!success) throw new Error(`Task ${args.id} not found`);
+        const project = await db.getProject(project_id);
+        if (!project) throw new NotFoundError(`Project ${project_id} not found`);
 
-        return textResult({ success: true, message: `Task ${args.id} updated` });
+        const sprintId = await db.createSprint(project_id, sprintName, start_date, end_date, goal, capacity);
+        return textResult({ success: true, sprint_id: sprintId, message: `Sprint "${sprintName}" created` });
       }
 
-      case 'get_tasks': {
+      case 'list_sprints': {
         if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
-        validateStatus(args.status);
-        validatePriority(args.priority);
-        const tasks = await db.getTasks(args);
-        return textResult({ tasks });
+        if (args.state !== undefined && !VALID_SPRINT_STATES.includes(args.state)) {
+          throw new ToolError(`Invalid state: ${args.state}`);
+        }
+        const sprints = await db.getSprints(args.project_id || null, args.state || null);
+        return textResult({ sprints });
       }
 
-      case 'get_task_by_id': {
+      case 'start_sprint': {
         validateId(args.id, 'id');
-        const task = await db.getTaskById(args.id);
-        if (!task) throw new Error(`Task ${args.id} not found`);
-        return textResult(task);
+        const sprint = await db.getSprint(args.id);
+        if (!sprint) throw new NotFoundError(`Sprint ${args.id} not found`);
+        if (sprint.state !== 'planned') {
+          throw new ConflictError(`Sprint ${args.id} is already ${sprint.state}`);
+        }
+        await db.startSprint(args.id);
+        return textResult({ success: true, message: `Sprint ${args.id} started` });
       }
 
-      case 'delete_task': {
+      case 'commit_to_sprint': {
+        validateId(args.sprint_id, 'sprint_id');
+        if (!Array.isArray(args.task_ids) || args.task_ids.length === 0) {
+          throw new ToolError('task_ids must be a non-empty array');
+        }
+        for (const taskId of args.task_ids) {
+          validateId(taskId, 'task_ids item');
+        }
+
+        const sprint = await db.getSprint(args.sprint_id);
+        if (!sprint) throw new NotFoundError(`Sprint ${args.sprint_id} not found`);
+        if (sprint.state === 'closed') {
+          throw new ConflictError(`Sprint ${args.sprint_id} is closed`);
+        }
+
+        for (const taskId of args.task_ids) {
+          const task = await db.getTaskById(taskId);
+          if (!task) throw new NotFoundError(`Task ${taskId} not found`);
+          if (task.project_id !== sprint.project_id) {
+            throw new ToolError(`Task ${taskId} does not belong to the sprint project`);
+          }
+        }
+
+        const committed = [];
+        for (const taskId of args.task_ids) {
+          if (await db.commitTaskToSprint(args.sprint_id, taskId)) {
+            committed.push(taskId);
+          }
+        }
+
+        return textResult({ success: true, committed, message: `${committed.length} tasks committed to sprint ${args.sprint_id}` });
+      }
+
+      case 'remove_from_sprint': {
+        validateId(args.sprint_id, 'sprint_id');
+        validateId(args.task_id, 'task_id');
+        const sprint = await db.getSprint(args.sprint_id);
+        if (!sprint) throw new NotFoundError(`Sprint ${args.sprint_id} not found`);
+        if (sprint.state === 'closed') {
+          throw new ConflictError(`Sprint ${args.sprint_id} is closed`);
+        }
+        const removed = await db.removeTaskFromSprint(args.sprint_id, args.task_id);
+        if (!removed) throw new NotFoundError(`Task ${args.task_id} is not in sprint ${args.sprint_id}`);
+        return textResult({ success: true, message: `Task ${args.task_id} removed from sprint ${args.sprint_id}` });
+      }
+
+      case 'close_sprint': {
         validateId(args.id, 'id');
-        const success = await db.deleteTask(args.id);
-        if (!success) throw new Error(`Task ${args.id} not found`);
-        return textResult({ success: true, message: `Task ${args.id} deleted` });
+        const sprint = await db.getSprint(args.id);
+        if (!sprint) throw new NotFoundError(`Sprint ${args.id} not found`);
+        if (sprint.state === 'closed') {
+          throw new ConflictError(`Sprint ${args.id} is already closed`);
+        }
+
+        if (args.carry_over_to !== undefined) {
+          validateId(args.carry_over_to, 'carry_over_to');
+          if (args.carry_over_to === args.id) {
+            throw new ToolError('Cannot carry over tasks to the same sprint');
+          }
+          const target = await db.getSprint(args.carry_over_to);
+          if (!target) throw new NotFoundError(`Sprint ${args.carry_over_to} not found`);
+          if (target.project_id !== sprint.project_id || target.state === 'closed') {
+            throw new ConflictError('Carry-over sprint must be an open sprint of the same project');
+          }
+        }
+
+        const outcome = await db.closeSprint(args.id, args.carry_over_to || null);
+        return textResult({ success: true, ...outcome, message: `Sprint ${args.id} closed` });
       }
 
-      case 'get_project_summary': {
-        validateId(args.project_id, 'project_id');
-        const project = await db.getProject(args.project_id);
-        if (!project) throw new Error(`Project ${args.project_id} not found`);
-        const summary = await db.getProjectSummary(args.project_id);
-        return textResult({ project_id: args.project_id, project_name: project.name, summary });
+      case 'get_sprint_report': {
+        validateId(args.id, 'id');
+        const report = await db.getSprintReport(args.id);
+        if (!report) throw new NotFoundError(`Sprint ${args.id} not found`);
+        return textResult(report);
       }
 
       case 'add_dependency': {
         validateId(args.task_id, 'task_id');
         validateId(args.depends_on_task_id, 'depends_on_task_id');
         if (args.task_id === args.depends_on_task_id) {
-          throw new Error('A task cannot depend on itself');
+          throw new ToolError('A task cannot depend on itself');
         }
 
         const task = await db.getTaskById(args.task_id);
         const depTask = await db.getTaskById(args.depends_on_task_id);
-        if (!task) throw new Error(`Task ${args.task_id} not found`);
-        if (!depTask) throw new Error(`Task ${args.depends_on_task_id} not found`);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
+        if (!depTask) throw new NotFoundError(`Task ${args.depends_on_task_id} not found`);
 
         if (await db.dependencyExists(args.task_id, args.depends_on_task_id)) {
           return textResult({ success: true, message: 'Dependency already exists' });
         }
 
         if (await db.checkForCycle(args.task_id, args.depends_on_task_id)) {
-          throw new Error('Adding this dependency would create a cycle');
+          throw new ToolError('Adding this dependency would create a cycle', 'CYCLE');
         }
 
         await db.addDependency(args.task_id, args.depends_on_task_id);
@@ -383,39 +1934,325 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         validateId(args.task_id, 'task_id');
         validateId(args.depends_on_task_id, 'depends_on_task_id');
         const removed = await db.removeDependency(args.task_id, args.depends_on_task_id);
-        if (!removed) throw new Error('Dependency not found');
+        if (!removed) throw new NotFoundError('Dependency not found');
         return textResult({ success: true, message: 'Dependency removed' });
       }
 
+      case 'get_upstream_tasks':
+      case 'get_downstream_tasks': {
+        validateId(args.task_id, 'task_id');
+        const task = await db.getTaskById(args.task_id);
+        if (!task) throw new NotFoundError(`Task ${args.task_id} not found`);
+
+        const direction = name === 'get_upstream_tasks' ? 'upstream' : 'downstream';
+        const tasks = await db.getTransitiveTasks(args.task_id, direction, { incompleteOnly: args.incomplete_only === true });
+        return textResult({ task_id: args.task_id, direction, total: tasks.length, tasks });
+      }
+
+      case 'get_delay_impact': {
+        validateId(args.task_id, 'task_id');
+        const impact = await db.getDelayImpact(args.task_id);
+        if (!impact) throw new NotFoundError(`Task ${args.task_id} not found`);
+        return textResult(impact);
+      }
+
       case 'get_blocked_tasks': {
         if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
         const tasks = await db.getBlockedTasks(args.project_id || null);
         return textResult({ tasks });
       }
 
+      case 'get_due_tasks': {
+        if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
+        if (args.days !== undefined && (!Number.isInteger(args.days) || args.days < 0)) {
+          throw new ToolError('days must be a non-negative integer');
+        }
+        const due = await db.getDueTasks(args.project_id || null, args.days ?? config.dueDates.soonDays);
+        return textResult(due);
+      }
+
       case 'get_next_actionable': {
         if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
-        const tasks = await db.getNextActionable(args.project_id || null);
-        return textResult({ tasks });
+        if (args.available !== undefined) {
+          validateEstimate(args.available, 'available');
+          if (args.project_id === undefined) {
+            throw new ToolError('project_id is required when available is given');
+          }
+        }
+
+        const tasks = await db.getNextActionable(args.project_id || null, args.available ?? null);
+        if (args.available === undefined) {
+          return textResult({ tasks });
+        }
+
+        const planned = tasks.reduce((sum, task) => sum + task.estimate, 0);
+        return textResult({ tasks, available: args.available, planned_estimate: planned });
+      }
+
+      case 'get_dependency_graph': {
+        if (args.project_id === undefined && args.task_id === undefined) {
+          throw new ToolError('project_id or task_id is required');
+        }
+        if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
+        if (args.task_id !== undefined) validateId(args.task_id, 'task_id');
+        const format = args.format || 'json';
+        if (!GRAPH_FORMATS.includes(format)) {
+          throw new ToolError(`format must be one of: ${GRAPH_FORMATS.join(', ')}`);
+        }
+
+        const graph = await db.getDependencyGraph({
+          projectId: args.project_id ?? null,
+          taskId: args.task_id ?? null,
+          direction: args.direction || 'both'
+        });
+        if (!graph) {
+          throw new NotFoundError(args.task_id !== undefined ? `Task ${args.task_id} not found` : `Project ${args.project_id} not found`);
+        }
+
+        if (format === 'json') {
+          return textResult(graph);
+        }
+        return textResult({
+          project_id: graph.project_id,
+          task_id: graph.task_id,
+          format,
+          nodes: graph.nodes.length,
+          edges: graph.edges.length,
+          graph: renderGraph(graph, format)
+        });
+      }
+
+      case 'get_critical_path': {
+        validateId(args.project_id, 'project_id');
+        if (args.milestone_id !== undefined) validateId(args.milestone_id, 'milestone_id');
+
+        const schedule = await db.getCriticalPath(args.project_id, {
+          milestoneId: args.milestone_id ?? null,
+          defaultEstimate: args.default_estimate ?? config.schedule.defaultEstimate,
+          startDate: args.start_date ?? null
+        });
+        if (!schedule) throw new NotFoundError(`Project ${args.project_id} not found`);
+        return textResult(schedule);
+      }
+
+      case 'get_estimation_report': {
+        validateId(args.project_id, 'project_id');
+        const report = await db.getEstimationReport(args.project_id);
+        if (!report) throw new NotFoundError(`Project ${args.project_id} not found`);
+        return textResult(report);
+      }
+
+      case 'get_flow_metrics': {
+        if (args.task_id !== undefined) {
+          validateId(args.task_id, 'task_id');
+          const flow = await db.getTaskFlow(args.task_id);
+          if (!flow) throw new NotFoundError(`Task ${args.task_id} not found`);
+          return textResult(flow);
+        }
+        if (args.project_id !== undefined) validateId(args.project_id, 'project_id');
+
+        const filters = {};
+        for (const field of ['project_id', 'assignee', 'from', 'to']) {
+          if (args[field] !== undefined) filters[field] = args[field];
+        }
+
+        const metrics = await db.getFlowMetrics(filters, { includeTasks: args.include_tasks === true });
+        return textResult(metrics);
+      }
+
+      case 'get_flow_series': {
+        validateId(args.project_id, 'project_id');
+        if (!FLOW_CHARTS.includes(args.chart)) {
+          throw new ToolError(`chart must be one of: ${FLOW_CHARTS.join(', ')}`);
+        }
+        const format = args.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+          throw new ToolError('format must be json or csv');
+        }
+
+        const range = { from: args.from, to: args.to };
+        const series = args.chart === 'burndown'
+          ? await db.getBurndown(args.project_id, range)
+          : await db.getCumulativeFlow(args.project_id, range);
+        if (!series) throw new NotFoundError(`Project ${args.project_id} not found`);
+
+        if (format === 'csv') {
+          const csv = args.chart === 'burndown' ? burndownCsv(series) : cumulativeFlowCsv(series);
+          return textResult({ project_id: args.project_id, chart: args.chart, from: series.from, to: series.to, csv });
+        }
+        return textResult({ chart: args.chart, ...series });
       }
 
       default:
-        throw new Error(`Unknown tool: ${name}`);
+        throw new NotFoundError(`Unknown tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof PlanError) {
+      return errorResult({ ...errorPayload(error), operations: error.operations });
     }
+    return errorResult(errorPayload(error));
+  }
+}
+
+// Every connected session (one per stdio process, one per HTTP client) with
+// its database and resource subscriptions: URI -> text last sent (null when
+// the resource did not exist). After every write to a database, from a tool
+// call in any session or from the REST API sharing it, the subscribed
+// resources of its sessions are read again and the ones whose content changed
+// are notified, along with a list change when projects were created, renamed
+// or deleted. Writes from other processes are not seen.
+const sessions = new Set();
+
+// Database -> the notification pass in progress and whether another one is
+// queued after it, so a burst of writes is answered by a single extra pass
+const watchers = new WeakMap();
+
+function watchDatabase(db) {
+  if (watchers.has(db)) return;
+  const watcher = { running: Promise.resolve(), queued: false };
+  watchers.set(db, watcher);
+
+  db.on('change', () => {
+    if (watcher.queued) return;
+    watcher.queued = true;
+    // A session that went away while being notified must not fail the write
+    watcher.running = watcher.running
+      .then(() => {
+        watcher.queued = false;
+        return notifyResourceChanges(db);
+      })
+      .catch(() => {});
+  });
+}
+
+async function resourceSnapshot(db, uri) {
+  try {
+    return (await readResource(db, uri)).text;
   } catch (error) {
-    return textResult({ success: false, error: error.message });
+    if (error instanceof ResourceError && error.code === 'NOT_FOUND') return null;
+    throw error;
+  }
+}
+
+async function notifyResourceChanges(db) {
+  // Only sessions that listed or subscribed to resources have anything to compare
+  const watching = [...sessions].filter((session) => session.db === db && (session.resourceList !== null || session.subscriptions.size > 0));
+  if (watching.length === 0) return;
+
+  const resources = JSON.stringify(await listResources(db));
+  const snapshots = new Map();
+
+  for (const session of watching) {
+    if (session.resourceList !== null && resources !== session.resourceList) {
+      await session.server.sendResourceListChanged();
+    }
+    session.resourceList = resources;
+
+    for (const [uri, previous] of session.subscriptions) {
+      if (!snapshots.has(uri)) snapshots.set(uri, await resourceSnapshot(db, uri));
+      const current = snapshots.get(uri);
+      if (current !== previous) {
+        session.subscriptions.set(uri, current);
+        await session.server.sendResourceUpdated({ uri });
+      }
+    }
+  }
+}
+
+function resourceError(error) {
+  if (error instanceof ResourceError) {
+    const code = error.code === 'NOT_FOUND' ? RESOURCE_NOT_FOUND : ErrorCode.InvalidParams;
+    return new McpError(code, error.message);
   }
-});
+  return error;
+}
+
+// A new MCP server over `db`, ready to connect to one transport
+export function createMcpServer(db) {
+  const server = new Server(
+    { name: 'mcp-project-tracker', version: '3.0.0' },
+    { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {} } }
+  );
+  const session = { server, db, subscriptions: new Map(), resourceList: null };
+  sessions.add(session);
+  server.onclose = () => sessions.delete(session);
+  watchDatabase(db);
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
 
-process.on('SIGINT', async () => {
-  await db.close();
-  process.exit(0);
-});
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const result = await callTool(db, request);
+    // Notifications about the call's own writes go out before its result
+    await watchers.get(db).running;
+    return result;
+  });
 
-process.on('SIGTERM', async () => {
-  await db.close();
-  process.exit(0);
-});
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const resources = await listResources(db);
+    session.resourceList = JSON.stringify(resources);
+    return { resources };
+  });
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    try {
+      return { contents: [await readResource(db, request.params.uri)] };
+    } catch (error) {
+      throw resourceError(error);
+    }
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    try {
+      parseResourceUri(uri);
+    } catch (error) {
+      throw resourceError(error);
+    }
+    session.subscriptions.set(uri, await resourceSnapshot(db, uri));
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    session.subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    try {
+      return await getPrompt(db, name, args);
+    } catch (error) {
+      if (error instanceof PromptError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      throw error;
+    }
+  });
+
+  return server;
+}
+
+// Run over stdio when started directly (`node src/mcp-server.js`); importing
+// the module only provides createMcpServer
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const database = new Database();
+  await database.ready;
+
+  process.on('SIGINT', async () => {
+    await database.close();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    await database.close();
+    process.exit(0);
+  });
+
+  const server = createMcpServer(database);
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+}
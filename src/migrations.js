@@ -1,8 +1,38 @@
+import { DEFAULT_WORKFLOW } from './workflows.js';
+
 async function hasColumn(db, tableName, columnName) {
   const columns = await db.all(`PRAGMA table_info(${tableName})`);
   return columns.some((column) => column.name === columnName);
 }
 
+const NOTE_PREFIX = /^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\]\s?(.*)$/;
+
+// Splits a notes blob written by the old update_task handler into entries.
+// Each `[ISO timestamp] text` line starts a new entry; other lines continue
+// the previous one (or form an undated leading entry).
+export function splitNotes(notes) {
+  const entries = [];
+
+  for (const line of notes.split('\n')) {
+    const match = line.match(NOTE_PREFIX);
+    if (match && !Number.isNaN(Date.parse(match[1]))) {
+      entries.push({ timestamp: match[1], lines: [match[2]] });
+    } else if (entries.length > 0) {
+      entries[entries.length - 1].lines.push(line);
+    } else {
+      entries.push({ timestamp: null, lines: [line] });
+    }
+  }
+
+  return entries
+    .map((entry) => ({ timestamp: entry.timestamp, body: entry.lines.join('\n').trim() }))
+    .filter((entry) => entry.body.length > 0);
+}
+
+function toSqliteTimestamp(isoTimestamp) {
+  return new Date(isoTimestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
 async function ensureSchemaVersionTable(db) {
   await db.run(`
     CREATE TABLE IF NOT EXISTS schema_version (
@@ -60,6 +90,352 @@ const migrations = [
 
     await db.run('CREATE INDEX IF NOT EXISTS idx_history_task ON history(task_id)');
     await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_tags ON tasks(tags)');
+  },
+  async (db) => {
+    if (!(await hasColumn(db, 'tasks', 'parent_id'))) {
+      await db.run('ALTER TABLE tasks ADD COLUMN parent_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE');
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_id)');
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS milestones (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        target_date DATE,
+        state TEXT DEFAULT 'open' CHECK(state IN ('open', 'closed')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    if (!(await hasColumn(db, 'tasks', 'milestone_id'))) {
+      await db.run('ALTER TABLE tasks ADD COLUMN milestone_id INTEGER REFERENCES milestones(id) ON DELETE SET NULL');
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_milestones_project ON milestones(project_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_milestone ON tasks(milestone_id)');
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sprints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        goal TEXT,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        capacity INTEGER,
+        state TEXT DEFAULT 'planned' CHECK(state IN ('planned', 'active', 'closed')),
+        started_at DATETIME,
+        closed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sprint_tasks (
+        sprint_id INTEGER NOT NULL,
+        task_id INTEGER NOT NULL,
+        committed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        outcome TEXT CHECK(outcome IN ('completed', 'carried_over', 'incomplete')),
+        PRIMARY KEY (sprint_id, task_id),
+        FOREIGN KEY (sprint_id) REFERENCES sprints(id) ON DELETE CASCADE,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sprints_project ON sprints(project_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sprint_tasks_task ON sprint_tasks(task_id)');
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id INTEGER NOT NULL,
+        author TEXT,
+        body TEXT NOT NULL,
+        reply_to INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        edited_at DATETIME,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (reply_to) REFERENCES comments(id) ON DELETE SET NULL
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_comments_task ON comments(task_id)');
+
+    const tasks = await db.all("SELECT id, notes, updated_at FROM tasks WHERE notes IS NOT NULL AND notes != ''");
+    for (const task of tasks) {
+      for (const entry of splitNotes(task.notes)) {
+        const createdAt = entry.timestamp ? toSqliteTimestamp(entry.timestamp) : task.updated_at;
+        await db.run('INSERT INTO comments (task_id, body, created_at) VALUES (?, ?, ?)', [task.id, entry.body, createdAt]);
+      }
+      await db.run('UPDATE tasks SET notes = NULL WHERE id = ?', [task.id]);
+    }
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS work_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id INTEGER NOT NULL,
+        person TEXT,
+        minutes INTEGER CHECK(minutes IS NULL OR minutes > 0),
+        work_date DATE NOT NULL,
+        note TEXT,
+        started_at DATETIME,
+        ended_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+      )
+    `);
+
+    if (!(await hasColumn(db, 'tasks', 'remaining_minutes'))) {
+      await db.run('ALTER TABLE tasks ADD COLUMN remaining_minutes INTEGER');
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_work_logs_task ON work_logs(task_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_work_logs_date ON work_logs(work_date)');
+  },
+  async (db) => {
+    if (!(await hasColumn(db, 'projects', 'estimate_unit'))) {
+      await db.run("ALTER TABLE projects ADD COLUMN estimate_unit TEXT DEFAULT 'points' CHECK(estimate_unit IN ('points', 'hours'))");
+    }
+
+    if (!(await hasColumn(db, 'tasks', 'estimate'))) {
+      await db.run('ALTER TABLE tasks ADD COLUMN estimate REAL');
+    }
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS workflow_statuses (
+        project_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        is_progress INTEGER NOT NULL DEFAULT 0,
+        is_done INTEGER NOT NULL DEFAULT 0,
+        is_final INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (project_id, name),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS workflow_transitions (
+        project_id INTEGER NOT NULL,
+        from_status TEXT NOT NULL,
+        to_status TEXT NOT NULL,
+        PRIMARY KEY (project_id, from_status, to_status),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Existing projects get the statuses that used to be hard-coded
+    const projects = await db.all('SELECT id FROM projects WHERE id NOT IN (SELECT project_id FROM workflow_statuses)');
+    for (const project of projects) {
+      for (const [position, status] of DEFAULT_WORKFLOW.statuses.entries()) {
+        await db.run(`
+          INSERT INTO workflow_statuses (project_id, name, position, is_progress, is_done, is_final)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [project.id, status.name, position, status.progress ? 1 : 0, status.done ? 1 : 0, status.final ? 1 : 0]);
+      }
+    }
+
+    // SQLite cannot drop a CHECK constraint, so rebuild tasks without the
+    // fixed status list
+    const table = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tasks'");
+    if (!/CHECK\s*\(\s*status\s+IN/i.test(table.sql)) return;
+
+    const columns = [
+      'id', 'project_id', 'parent_id', 'milestone_id', 'title', 'description', 'priority', 'status',
+      'category', 'assignee', 'due_date', 'tags', 'notes', 'estimate', 'remaining_minutes',
+      'completed_at', 'created_at', 'updated_at'
+    ].join(', ');
+
+    await db.run('PRAGMA foreign_keys = OFF');
+    try {
+      await db.run(`
+        CREATE TABLE tasks_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_id INTEGER NOT NULL,
+          parent_id INTEGER,
+          milestone_id INTEGER,
+          title TEXT NOT NULL,
+          description TEXT,
+          priority TEXT DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high', 'critical')),
+          status TEXT DEFAULT 'pending',
+          category TEXT,
+          assignee TEXT,
+          due_date DATE,
+          tags TEXT,
+          notes TEXT,
+          estimate REAL,
+          remaining_minutes INTEGER,
+          completed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+          FOREIGN KEY (parent_id) REFERENCES tasks(id) ON DELETE CASCADE,
+          FOREIGN KEY (milestone_id) REFERENCES milestones(id) ON DELETE SET NULL
+        )
+      `);
+      await db.run(`INSERT INTO tasks_new (${columns}) SELECT ${columns} FROM tasks`);
+      await db.run('DROP TABLE tasks');
+      await db.run('ALTER TABLE tasks_new RENAME TO tasks');
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project_id)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_category ON tasks(category)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks(assignee)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_tags ON tasks(tags)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_id)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_milestone ON tasks(milestone_id)');
+    } finally {
+      await db.run('PRAGMA foreign_keys = ON');
+    }
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS workflow_requirements (
+        project_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        field TEXT NOT NULL,
+        PRIMARY KEY (project_id, status, field),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS custom_fields (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('text', 'number', 'date', 'enum', 'boolean')),
+        options TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (project_id, name),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS task_custom_values (
+        task_id INTEGER NOT NULL,
+        field_id INTEGER NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (task_id, field_id),
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (field_id) REFERENCES custom_fields(id) ON DELETE CASCADE
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_task_custom_values_field ON task_custom_values(field_id, value)');
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS recurrences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        frequency TEXT NOT NULL CHECK(frequency IN ('daily', 'weekly', 'monthly', 'cron')),
+        every INTEGER NOT NULL DEFAULT 1,
+        cron TEXT,
+        start_date DATE NOT NULL,
+        end_date DATE,
+        max_occurrences INTEGER,
+        occurrences INTEGER NOT NULL DEFAULT 1,
+        copy_tags INTEGER NOT NULL DEFAULT 1,
+        copy_assignee INTEGER NOT NULL DEFAULT 1,
+        copy_dependencies INTEGER NOT NULL DEFAULT 0,
+        current_task_id INTEGER,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (current_task_id) REFERENCES tasks(id) ON DELETE SET NULL
+      )
+    `);
+
+    if (!(await hasColumn(db, 'tasks', 'recurrence_id'))) {
+      await db.run('ALTER TABLE tasks ADD COLUMN recurrence_id INTEGER REFERENCES recurrences(id) ON DELETE SET NULL');
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tasks_recurrence ON tasks(recurrence_id)');
+  },
+  async (db) => {
+    // The tasks rebuild of migration 8 drops the triggers schema.sql created
+    // on the old table, so they are (re)created here before indexing
+    await db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS task_search USING fts5(
+        title, description, notes, tags, comments,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    const tagsText = (column) =>
+      `CASE WHEN json_valid(${column}) THEN (SELECT group_concat(value, ' ') FROM json_each(${column})) ELSE ${column} END`;
+    const commentsText = (taskId) => `(SELECT group_concat(body, ' ') FROM comments WHERE task_id = ${taskId})`;
+
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS task_search_insert AFTER INSERT ON tasks BEGIN
+        INSERT INTO task_search (rowid, title, description, notes, tags, comments)
+        VALUES (NEW.id, NEW.title, NEW.description, NEW.notes, ${tagsText('NEW.tags')}, NULL);
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS task_search_update AFTER UPDATE OF title, description, notes, tags ON tasks BEGIN
+        UPDATE task_search SET
+          title = NEW.title, description = NEW.description, notes = NEW.notes, tags = ${tagsText('NEW.tags')}
+        WHERE rowid = NEW.id;
+      END
+    `);
+    await db.run(`
+      CREATE TRIGGER IF NOT EXISTS task_search_delete AFTER DELETE ON tasks BEGIN
+        DELETE FROM task_search WHERE rowid = OLD.id;
+      END
+    `);
+    for (const [event, row] of [['INSERT', 'NEW'], ['UPDATE OF body', 'NEW'], ['DELETE', 'OLD']]) {
+      const name = `task_search_comment_${event.split(' ')[0].toLowerCase()}`;
+      await db.run(`
+        CREATE TRIGGER IF NOT EXISTS ${name} AFTER ${event} ON comments BEGIN
+          UPDATE task_search SET comments = ${commentsText(`${row}.task_id`)} WHERE rowid = ${row}.task_id;
+        END
+      `);
+    }
+
+    await db.run('DELETE FROM task_search');
+    await db.run(`
+      INSERT INTO task_search (rowid, title, description, notes, tags, comments)
+      SELECT id, title, description, notes, ${tagsText('tags')}, ${commentsText('tasks.id')}
+      FROM tasks
+    `);
+  },
+  async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS saved_views (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        owner TEXT,
+        description TEXT,
+        filters TEXT NOT NULL DEFAULT '{}',
+        sort TEXT NOT NULL DEFAULT 'created_at',
+        sort_order TEXT NOT NULL DEFAULT 'desc' CHECK(sort_order IN ('asc', 'desc')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+  async (db) => {
+    if (!(await hasColumn(db, 'workflow_statuses', 'is_terminal'))) {
+      await db.run('ALTER TABLE workflow_statuses ADD COLUMN is_terminal INTEGER NOT NULL DEFAULT 0');
+    }
   }
 ];
 
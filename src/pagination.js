@@ -0,0 +1,80 @@
+// Cursor pagination, sorting and field selection for task lists.
+//
+// Cursors are opaque base64url tokens holding the sort key, direction and the
+// sort value and id of the last row returned; the next page continues
+// strictly after that row, so pages stay stable while tasks are added.
+
+export const TASK_SORT_KEYS = ['created_at', 'updated_at', 'priority', 'due_date', 'title'];
+
+// Direction used when a sort key is requested without an explicit order
+export const DEFAULT_SORT_ORDER = {
+  created_at: 'desc',
+  updated_at: 'desc',
+  priority: 'desc',
+  due_date: 'asc',
+  title: 'asc'
+};
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+export class PaginationError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'PaginationError';
+    this.code = code;
+  }
+}
+
+export function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!TASK_SORT_KEYS.includes(s) || !['asc', 'desc'].includes(o) || !Number.isInteger(id)) {
+      throw new Error('bad cursor');
+    }
+    return { sort: s, order: o, value: v, id };
+  } catch {
+    throw new PaginationError('Invalid cursor');
+  }
+}
+
+// Accepts fields as an array or a comma-separated string; null means all
+function parseFields(fields) {
+  if (fields === undefined || fields === null || fields === '') return null;
+  const list = Array.isArray(fields) ? fields : String(fields).split(',');
+  const names = list.map((field) => String(field).trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw new PaginationError('fields must list at least one field');
+  }
+  return names;
+}
+
+// Validates list options and applies defaults:
+// { limit, sort, order, cursor (decoded or null), fields (array or null) }
+export function normalizeListOptions({ limit, cursor, sort, order, fields } = {}) {
+  const pageSize = limit === undefined || limit === null || limit === '' ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new PaginationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const sortKey = sort || 'created_at';
+  if (!TASK_SORT_KEYS.includes(sortKey)) {
+    throw new PaginationError(`Invalid sort: ${sortKey} (allowed: ${TASK_SORT_KEYS.join(', ')})`);
+  }
+
+  const direction = order ? String(order).toLowerCase() : DEFAULT_SORT_ORDER[sortKey];
+  if (!['asc', 'desc'].includes(direction)) {
+    throw new PaginationError('order must be asc or desc');
+  }
+
+  const decoded = cursor ? decodeCursor(cursor) : null;
+  if (decoded && (decoded.sort !== sortKey || decoded.order !== direction)) {
+    throw new PaginationError('cursor was created for a different sort; request the first page again');
+  }
+
+  return { limit: pageSize, sort: sortKey, order: direction, cursor: decoded, fields: parseFields(fields) };
+}
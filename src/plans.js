@@ -0,0 +1,317 @@
+// Batch changes applied atomically ("plans"): a list of create/update and
+// dependency operations run in order inside one transaction. Either every
+// operation applies or none does, and the result reports each operation.
+//
+// Tasks created by the plan can be given a client-side `ref` (any string);
+// later operations point at them with that string wherever a task id is
+// expected, while numbers keep referring to existing tasks:
+//
+//   { op: 'create_task', ref: 'api', title: 'API' }
+//   { op: 'create_task', ref: 'ui', title: 'UI', depends_on: ['api'] }
+//   { op: 'add_dependency', task: 'ui', depends_on: 42 }
+//   { op: 'update_task', task: 42, status: 'in-progress' }
+//   { op: 'remove_dependency', task: 42, depends_on: 7 }
+
+import { ToolError, NotFoundError, ConflictError, errorPayload } from './tool-errors.js';
+
+export const PLAN_OPERATIONS = ['create_task', 'update_task', 'add_dependency', 'remove_dependency'];
+export const MAX_PLAN_OPERATIONS = 200;
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const TASK_FIELDS = ['title', 'description', 'priority', 'category', 'assignee', 'due_date', 'tags', 'estimate', 'custom_fields'];
+const UPDATE_FIELDS = [...TASK_FIELDS, 'status', 'remaining_minutes', 'parent', 'milestone_id', 'notes'];
+
+export class PlanError extends Error {
+  // `operations` is the per-operation report when the plan was rejected and
+  // `code` the tool error code of the rejection (see tool-errors.js)
+  constructor(message, operations = [], code = 'VALIDATION') {
+    super(message);
+    this.name = 'PlanError';
+    this.operations = operations;
+    this.code = code;
+  }
+}
+
+function isRef(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Checks that need no database: operation shapes, field values and that every
+// ref is defined once by an earlier create_task. Returns the error or null.
+function checkOperation(operation, defined, defaultProjectId) {
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    return 'operation must be an object';
+  }
+  if (!PLAN_OPERATIONS.includes(operation.op)) {
+    return `op must be one of: ${PLAN_OPERATIONS.join(', ')}`;
+  }
+
+  const checkTask = (value, field) => {
+    if (isId(value)) return null;
+    if (!isRef(value)) return `${field} must be a task id or a ref`;
+    if (!defined.has(value)) return `Unknown ref "${value}" in ${field}: refs must be created by an earlier create_task`;
+    return null;
+  };
+  const checkFields = () => {
+    if (operation.priority !== undefined && !PRIORITIES.includes(operation.priority)) {
+      return `Invalid priority: ${operation.priority}`;
+    }
+    if (operation.estimate !== undefined && operation.estimate !== null &&
+      (typeof operation.estimate !== 'number' || !Number.isFinite(operation.estimate) || operation.estimate < 0)) {
+      return 'estimate must be a non-negative number';
+    }
+    if (operation.milestone_id !== undefined && operation.milestone_id !== null && !isId(operation.milestone_id)) {
+      return 'milestone_id must be a positive integer';
+    }
+    if (operation.parent !== undefined && operation.parent !== null) {
+      return checkTask(operation.parent, 'parent');
+    }
+    return null;
+  };
+
+  if (operation.op === 'create_task') {
+    if (!isRef(operation.title)) return 'title is required';
+    if (operation.ref !== undefined) {
+      if (!isRef(operation.ref)) return 'ref must be a non-empty string';
+      if (defined.has(operation.ref)) return `Duplicate ref "${operation.ref}"`;
+    }
+    if (operation.project_id !== undefined && !isId(operation.project_id)) {
+      return 'project_id must be a positive integer';
+    }
+    if (operation.project_id === undefined && defaultProjectId === null && (operation.parent === undefined || operation.parent === null)) {
+      return 'project_id is required (on the operation or the plan)';
+    }
+    const dependsOn = operation.depends_on ?? [];
+    if (!Array.isArray(dependsOn)) return 'depends_on must be an array';
+    for (const dependency of dependsOn) {
+      const error = checkTask(dependency, 'depends_on');
+      if (error) return error;
+    }
+    return checkFields();
+  }
+
+  const taskError = checkTask(operation.task, 'task');
+  if (taskError) return taskError;
+
+  if (operation.op === 'update_task') {
+    if (!UPDATE_FIELDS.some((field) => operation[field] !== undefined)) {
+      return 'No valid fields to update';
+    }
+    return checkFields();
+  }
+  return checkTask(operation.depends_on, 'depends_on');
+}
+
+// Validates the plan without touching the database; throws a PlanError with
+// the report of every invalid operation
+export function normalizePlan({ project_id: projectId = null, operations } = {}) {
+  if (projectId !== null && !isId(projectId)) {
+    throw new PlanError('project_id must be a positive integer');
+  }
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new PlanError('operations must be a non-empty array');
+  }
+  if (operations.length > MAX_PLAN_OPERATIONS) {
+    throw new PlanError(`A plan can have at most ${MAX_PLAN_OPERATIONS} operations`);
+  }
+
+  const defined = new Set();
+  const report = operations.map((operation, index) => {
+    const error = checkOperation(operation, defined, projectId);
+    if (!error && operation.op === 'create_task' && operation.ref !== undefined) {
+      defined.add(operation.ref);
+    }
+    return { index, op: operation?.op ?? null, ...(operation?.ref !== undefined ? { ref: operation.ref } : {}), status: error ? 'invalid' : 'valid', ...(error ? { error, code: 'VALIDATION' } : {}) };
+  });
+
+  const invalid = report.filter((entry) => entry.status === 'invalid');
+  if (invalid.length > 0) {
+    throw new PlanError(`${invalid.length} of ${operations.length} operations are invalid; nothing was applied`, report);
+  }
+  return { projectId, operations };
+}
+
+function taskFields(operation, fields) {
+  const values = {};
+  for (const field of fields) {
+    if (operation[field] !== undefined) values[field] = operation[field];
+  }
+  return values;
+}
+
+async function requireTask(tx, id, field = 'Task') {
+  const task = await tx.get('SELECT id, project_id FROM tasks WHERE id = ?', [id]);
+  if (!task) throw new NotFoundError(`${field} ${id} not found`);
+  return task;
+}
+
+async function checkParent(tx, parentId, projectId, taskId = null) {
+  const parent = await requireTask(tx, parentId, 'Parent task');
+  if (parent.project_id !== projectId) throw new ToolError('Parent task must belong to the same project');
+  if (taskId !== null) {
+    if (parentId === taskId) throw new ToolError('A task cannot be its own parent');
+    if (await tx.isDescendant(taskId, parentId)) throw new ToolError('Setting this parent would create a cycle', 'CYCLE');
+  }
+}
+
+async function checkMilestone(tx, milestoneId, projectId) {
+  const milestone = await tx.getMilestone(milestoneId);
+  if (!milestone) throw new NotFoundError(`Milestone ${milestoneId} not found`);
+  if (milestone.project_id !== projectId) throw new ToolError('Milestone must belong to the same project');
+}
+
+async function addDependency(tx, taskId, dependsOn) {
+  if (taskId === dependsOn) throw new ToolError('A task cannot depend on itself');
+  await requireTask(tx, dependsOn, 'Dependency task');
+  if ((await tx.getDependencyIds(taskId)).includes(dependsOn)) {
+    throw new ConflictError(`Task ${taskId} already depends on task ${dependsOn}`);
+  }
+  if (await tx.checkForCycle(taskId, dependsOn)) {
+    throw new ToolError(`Adding a dependency of task ${taskId} on task ${dependsOn} would create a cycle`, 'CYCLE');
+  }
+  await tx.addDependency(taskId, dependsOn);
+}
+
+async function createTask(tx, operation, resolve, defaultProjectId) {
+  const parentId = operation.parent !== undefined && operation.parent !== null ? resolve(operation.parent) : null;
+  let projectId = operation.project_id ?? null;
+  if (projectId === null && parentId !== null) {
+    projectId = (await requireTask(tx, parentId, 'Parent task')).project_id;
+  }
+  projectId = projectId ?? defaultProjectId;
+
+  if (!(await tx.getProject(projectId))) throw new NotFoundError(`Project ${projectId} not found`);
+  if (parentId !== null) await checkParent(tx, parentId, projectId);
+  if (operation.milestone_id !== undefined && operation.milestone_id !== null) {
+    await checkMilestone(tx, operation.milestone_id, projectId);
+  }
+
+  const taskId = await tx.addTask(
+    projectId,
+    operation.title,
+    operation.description ?? null,
+    operation.priority ?? 'medium',
+    operation.category ?? null,
+    operation.assignee ?? null,
+    operation.due_date ?? null,
+    operation.tags ?? null,
+    [],
+    { parent_id: parentId, milestone_id: operation.milestone_id ?? null, estimate: operation.estimate ?? null, custom_fields: operation.custom_fields ?? null }
+  );
+  for (const dependency of operation.depends_on ?? []) {
+    await addDependency(tx, taskId, resolve(dependency));
+  }
+  return { task_id: taskId };
+}
+
+async function updateTask(tx, operation, resolve) {
+  const taskId = resolve(operation.task);
+  const task = await requireTask(tx, taskId);
+  const updates = taskFields(operation, [...TASK_FIELDS, 'status', 'remaining_minutes', 'milestone_id']);
+
+  if (operation.parent !== undefined) {
+    const parentId = operation.parent === null ? null : resolve(operation.parent);
+    if (parentId !== null) await checkParent(tx, parentId, task.project_id, taskId);
+    updates.parent_id = parentId;
+  }
+  if (operation.milestone_id !== undefined && operation.milestone_id !== null) {
+    await checkMilestone(tx, operation.milestone_id, task.project_id);
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await tx.updateTask(taskId, updates, { notes: operation.notes });
+  }
+  if (operation.notes !== undefined && operation.notes !== '') {
+    await tx.addComment(taskId, operation.notes, operation.author || null);
+  }
+  return { task_id: taskId };
+}
+
+async function applyOperation(tx, operation, resolve, defaultProjectId) {
+  switch (operation.op) {
+    case 'create_task':
+      return await createTask(tx, operation, resolve, defaultProjectId);
+    case 'update_task':
+      return await updateTask(tx, operation, resolve);
+    case 'add_dependency': {
+      const taskId = resolve(operation.task);
+      await requireTask(tx, taskId);
+      await addDependency(tx, taskId, resolve(operation.depends_on));
+      return { task_id: taskId };
+    }
+    case 'remove_dependency': {
+      const taskId = resolve(operation.task);
+      const dependsOn = resolve(operation.depends_on);
+      if (!(await tx.removeDependency(taskId, dependsOn))) {
+        throw new NotFoundError(`Task ${taskId} does not depend on task ${dependsOn}`);
+      }
+      return { task_id: taskId };
+    }
+  }
+}
+
+// Refs an operation points at, to skip it when their create_task failed
+function operationRefs(operation) {
+  return [operation.task, operation.parent, ...(operation.op === 'create_task' ? operation.depends_on ?? [] : [operation.depends_on])]
+    .filter(isRef);
+}
+
+// Validates and applies the plan in one transaction. With `dryRun` every
+// operation runs and is reported but the transaction is always rolled back.
+// Returns { success, dry_run, created, operations } or throws a PlanError
+// (with the per-operation report) when any operation fails.
+export async function applyPlan(db, plan, { dryRun = false } = {}) {
+  const { projectId, operations } = normalizePlan(plan);
+  const rollback = new Error('rollback');
+  let outcome;
+
+  try {
+    await db.transaction(async (tx) => {
+      const created = {};
+      const failedRefs = new Set();
+      const resolve = (value) => (isRef(value) ? created[value] : value);
+
+      const report = [];
+      for (const [index, operation] of operations.entries()) {
+        const entry = { index, op: operation.op, ...(operation.ref !== undefined ? { ref: operation.ref } : {}) };
+        const missing = operationRefs(operation).filter((ref) => failedRefs.has(ref));
+        if (missing.length > 0) {
+          report.push({ ...entry, status: 'skipped', error: `Skipped: ref "${missing[0]}" was not created` });
+          if (operation.ref !== undefined) failedRefs.add(operation.ref);
+          continue;
+        }
+
+        // A failed operation is undone on its own, so the later ones (and the
+        // dry run report) never see its partial writes
+        await tx.run(`SAVEPOINT op_${index}`);
+        try {
+          const result = await applyOperation(tx, operation, resolve, projectId);
+          if (operation.op === 'create_task' && operation.ref !== undefined) created[operation.ref] = result.task_id;
+          report.push({ ...entry, status: 'applied', ...result });
+        } catch (error) {
+          await tx.run(`ROLLBACK TO op_${index}`);
+          if (operation.ref !== undefined) failedRefs.add(operation.ref);
+          report.push({ ...entry, status: 'failed', ...errorPayload(error) });
+        }
+        await tx.run(`RELEASE op_${index}`);
+      }
+
+      const failed = report.filter((entry) => entry.status !== 'applied');
+      if (failed.length > 0) {
+        // The rejection takes the code of the first operation that failed
+        const { code } = failed.find((entry) => entry.status === 'failed');
+        throw new PlanError(`${failed.length} of ${operations.length} operations failed; nothing was applied`, report, code);
+      }
+      outcome = { success: true, dry_run: dryRun, created, operations: report };
+      if (dryRun) throw rollback;
+    });
+  } catch (error) {
+    if (error !== rollback) throw error;
+  }
+
+  return outcome;
+}
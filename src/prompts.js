@@ -0,0 +1,230 @@
+// MCP prompts for common planning workflows. Each prompt is a user message
+// with instructions for the assistant followed by live tracker data (next
+// actionable, blocked and due tasks, project and milestone summaries), so
+// the conversation starts from the current state instead of a pasted brief.
+//
+// Prompt arguments arrive as strings; ids are parsed here.
+
+export const PROMPTS = [
+  {
+    name: 'plan_project_from_spec',
+    description: 'Break a specification down into tasks, estimates and dependencies for a project',
+    arguments: [
+      { name: 'project_id', description: 'Project to plan', required: true },
+      { name: 'spec', description: 'Specification or feature description to break down', required: true }
+    ]
+  },
+  {
+    name: 'daily_standup',
+    description: 'Daily standup for an assignee: work in progress, what is next, blockers and due dates',
+    arguments: [
+      { name: 'assignee', description: 'Person to prepare the standup for', required: true },
+      { name: 'project_id', description: 'Limit to one project (default all projects)', required: false }
+    ]
+  },
+  {
+    name: 'triage_blocked_tasks',
+    description: 'Review blocked tasks and propose how to unblock them',
+    arguments: [
+      { name: 'project_id', description: 'Limit to one project (default all projects)', required: false }
+    ]
+  },
+  {
+    name: 'release_readiness_review',
+    description: 'Go/no-go review of a project or milestone before a release',
+    arguments: [
+      { name: 'project_id', description: 'Project to review', required: true },
+      { name: 'milestone_id', description: 'Milestone being released (default the whole project)', required: false }
+    ]
+  }
+];
+
+// Tasks handed to the prompt keep only the fields the assistant needs
+const TASK_FIELDS = ['id', 'project_id', 'title', 'status', 'priority', 'assignee', 'due_date', 'estimate', 'milestone_id'];
+
+export class PromptError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'PromptError';
+    this.code = code;
+  }
+}
+
+function brief(task) {
+  const result = {};
+  for (const field of TASK_FIELDS) {
+    if (task[field] !== undefined && task[field] !== null) result[field] = task[field];
+  }
+  if (task.blocking_tasks && task.blocking_tasks.length > 0) {
+    result.blocked_by = task.blocking_tasks.map((dep) => ({ id: dep.id, title: dep.title, status: dep.status }));
+  }
+  if (task.overdue) result.overdue = true;
+  return result;
+}
+
+function parseId(args, field, required) {
+  const value = args[field];
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new PromptError(`${field} is required`);
+    return null;
+  }
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new PromptError(`${field} must be a positive integer`);
+  }
+  return id;
+}
+
+function requireText(args, field) {
+  const value = typeof args[field] === 'string' ? args[field].trim() : '';
+  if (!value) throw new PromptError(`${field} is required`);
+  return value;
+}
+
+async function requireProject(db, projectId) {
+  const project = await db.getProject(projectId);
+  if (!project) throw new PromptError(`Project ${projectId} not found`, 'NOT_FOUND');
+  return project;
+}
+
+function section(title, data) {
+  return `## ${title}\n\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+}
+
+function instructions(intro, ...steps) {
+  return [intro, ...steps.map((step) => `- ${step}`)].join('\n');
+}
+
+function scopeLabel(project) {
+  return project ? `project #${project.id} "${project.name}"` : 'all projects';
+}
+
+async function planProjectFromSpec(db, args) {
+  const projectId = parseId(args, 'project_id', true);
+  const spec = requireText(args, 'spec');
+  const project = await requireProject(db, projectId);
+  const workflow = await db.getWorkflow(projectId);
+  const milestones = await db.getMilestones(projectId, 'open');
+  const tasks = await db.getTasks({ project_id: projectId, q: 'is:open' });
+
+  return {
+    description: `Plan ${scopeLabel(project)} from a specification`,
+    text: [
+      instructions(
+        `Break the following specification down into tasks for ${scopeLabel(project)}.`,
+        `Estimate each task in ${project.estimate_unit} and give it a priority (low, medium, high, critical).`,
+        'Group large pieces of work under a parent task with add_subtask and order the work with depends_on / add_dependency; avoid cycles.',
+        'Reuse the open tasks listed below instead of creating duplicates, and assign tasks to an open milestone when one fits.',
+        'Show the proposed plan and wait for confirmation before creating anything.'
+      ),
+      `## Specification\n\n${spec}`,
+      section('Workflow statuses', workflow.statuses.map((status) => status.name)),
+      section('Open milestones', milestones.map((m) => ({ id: m.id, name: m.name, target_date: m.target_date, open_tasks: m.open_tasks }))),
+      section('Open tasks', tasks.map(brief))
+    ]
+  };
+}
+
+async function dailyStandup(db, args) {
+  const assignee = requireText(args, 'assignee');
+  const projectId = parseId(args, 'project_id', false);
+  const project = projectId ? await requireProject(db, projectId) : null;
+  const mine = (task) => task.assignee === assignee;
+
+  const open = await db.getTasks({ project_id: projectId, assignee, q: 'is:open' });
+  const blocked = (await db.getBlockedTasks(projectId)).filter(mine);
+  const next = (await db.getNextActionable(projectId)).filter((task) => mine(task) || !task.assignee).slice(0, 5);
+  const due = await db.getDueTasks(projectId);
+
+  return {
+    description: `Daily standup for ${assignee} in ${scopeLabel(project)}`,
+    text: [
+      instructions(
+        `Prepare the daily standup for ${assignee} in ${scopeLabel(project)}.`,
+        'Summarize what is in progress, what to pick up next and what is blocked, in a few bullet points each.',
+        'Call out overdue work first and suggest who or what can unblock each blocked task.',
+        'Keep it short enough to read out loud in under two minutes.'
+      ),
+      section('Open tasks assigned', open.map(brief)),
+      section('Next actionable (assigned or unassigned)', next.map(brief)),
+      section('Blocked', blocked.map(brief)),
+      section('Overdue', due.overdue.filter(mine).map(brief)),
+      section(`Due within ${due.days} days`, due.due_soon.filter(mine).map(brief))
+    ]
+  };
+}
+
+async function triageBlockedTasks(db, args) {
+  const projectId = parseId(args, 'project_id', false);
+  const project = projectId ? await requireProject(db, projectId) : null;
+  const blocked = await db.getBlockedTasks(projectId);
+
+  return {
+    description: `Triage blocked tasks in ${scopeLabel(project)}`,
+    text: [
+      instructions(
+        `Triage the blocked tasks in ${scopeLabel(project)}.`,
+        'Group them by the dependency that blocks them and rank the blockers by how much work they hold up (get_delay_impact helps).',
+        'For each blocker propose one action: finish it, reassign it, split it or drop the dependency with remove_dependency.',
+        'Flag blocked tasks that are overdue or critical.'
+      ),
+      section('Blocked tasks', blocked.map(brief))
+    ]
+  };
+}
+
+async function releaseReadinessReview(db, args) {
+  const projectId = parseId(args, 'project_id', true);
+  const milestoneId = parseId(args, 'milestone_id', false);
+  const project = await requireProject(db, projectId);
+
+  let milestone = null;
+  if (milestoneId) {
+    milestone = await db.getMilestoneSummary(milestoneId);
+    if (!milestone || milestone.milestone.project_id !== projectId) {
+      throw new PromptError(`Milestone ${milestoneId} not found in project ${projectId}`, 'NOT_FOUND');
+    }
+  }
+  const summary = await db.getProjectSummary(projectId);
+  const blocked = await db.getBlockedTasks(projectId);
+  const due = await db.getDueTasks(projectId);
+  const inRelease = (task) => !milestoneId || task.milestone_id === milestoneId;
+  const target = milestone ? `milestone #${milestoneId} "${milestone.milestone.name}" of ${scopeLabel(project)}` : scopeLabel(project);
+
+  const text = [
+    instructions(
+      `Review whether ${target} is ready to release.`,
+      'Give a go / no-go recommendation with the reasons up front.',
+      'List the open work that must land first, the blocked tasks and the overdue ones, and what could be cut from the release.',
+      'Point out risks such as unestimated work, critical tasks still open or a target date at risk.'
+    )
+  ];
+  if (milestone) {
+    text.push(section('Milestone summary', milestone));
+  }
+  text.push(
+    section('Project summary', summary),
+    section('Blocked tasks', blocked.filter(inRelease).map(brief)),
+    section('Overdue tasks', due.overdue.filter(inRelease).map(brief))
+  );
+
+  return { description: `Release readiness review of ${target}`, text };
+}
+
+const BUILDERS = {
+  plan_project_from_spec: planProjectFromSpec,
+  daily_standup: dailyStandup,
+  triage_blocked_tasks: triageBlockedTasks,
+  release_readiness_review: releaseReadinessReview
+};
+
+export async function getPrompt(db, name, args = {}) {
+  const build = BUILDERS[name];
+  if (!build) throw new PromptError(`Unknown prompt: ${name}`);
+
+  const { description, text } = await build(db, args);
+  return {
+    description,
+    messages: [{ role: 'user', content: { type: 'text', text: text.join('\n\n') } }]
+  };
+}
@@ -0,0 +1,320 @@
+// Structured query language for task filtering.
+//
+// A query is a list of whitespace-separated terms, all of which must match:
+//
+//   status:in-progress          field:value (":" and "=" are equivalent)
+//   status:pending,blocked      any of several values
+//   priority>=high              comparisons (>, >=, <, <=) on priority, dates and numbers
+//   due<2026-11-01 due<=+7d     dates as YYYY-MM-DD, today, yesterday, tomorrow or ±N[d|w]
+//   tag:backend assignee:bo*    tags, and * wildcards on text fields
+//   -assignee:bob  status!=done negation (also matches tasks without a value)
+//   has:estimate                the field is set
+//   is:open client:Acme         state (open, done, final, blocked, overdue); project client
+//   "release notes" login       other words are full-text search terms
+//
+// parseQuery() turns the text into terms and compileQuery() into a
+// parameterized SQL condition over the tasks table.
+
+import { isValidDate } from './recurrence.js';
+import { toFtsQuery } from './search.js';
+import { statusHas } from './workflows.js';
+
+export const PRIORITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const FIELDS = {
+  status: { type: 'text', column: 'status' },
+  priority: { type: 'priority', column: 'priority' },
+  category: { type: 'text', column: 'category' },
+  assignee: { type: 'text', column: 'assignee' },
+  client: { type: 'text', column: '(SELECT client FROM projects WHERE projects.id = tasks.project_id)' },
+  tag: { type: 'tag' },
+  due: { type: 'date', column: 'due_date' },
+  created: { type: 'date', column: 'created_at' },
+  updated: { type: 'date', column: 'updated_at' },
+  completed: { type: 'date', column: 'completed_at' },
+  estimate: { type: 'number', column: 'estimate' },
+  remaining: { type: 'number', column: 'remaining_minutes' },
+  id: { type: 'id', column: 'id' },
+  project: { type: 'id', column: 'project_id' },
+  milestone: { type: 'id', column: 'milestone_id' },
+  parent: { type: 'id', column: 'parent_id' },
+  has: { type: 'has' },
+  is: { type: 'is' }
+};
+
+const ALIASES = {
+  tags: 'tag',
+  due_date: 'due',
+  remaining_minutes: 'remaining',
+  project_id: 'project',
+  milestone_id: 'milestone',
+  parent_id: 'parent'
+};
+
+const HAS_CONDITIONS = {
+  assignee: "assignee IS NOT NULL AND assignee != ''",
+  category: "category IS NOT NULL AND category != ''",
+  description: "description IS NOT NULL AND description != ''",
+  notes: 'EXISTS (SELECT 1 FROM comments c WHERE c.task_id = tasks.id)',
+  due: 'due_date IS NOT NULL',
+  estimate: 'estimate IS NOT NULL',
+  milestone: 'milestone_id IS NOT NULL',
+  parent: 'parent_id IS NOT NULL',
+  tags: "json_array_length(COALESCE(tasks.tags, '[]')) > 0",
+  dependencies: 'EXISTS (SELECT 1 FROM dependencies d WHERE d.task_id = tasks.id)',
+  subtasks: 'EXISTS (SELECT 1 FROM tasks child WHERE child.parent_id = tasks.id)'
+};
+
+const IS_CONDITIONS = {
+  open: `NOT ${statusHas('tasks', 'is_final')}`,
+  done: statusHas('tasks', 'is_done'),
+  final: statusHas('tasks', 'is_final'),
+  blocked: `NOT ${statusHas('tasks', 'is_final')} AND EXISTS (
+    SELECT 1 FROM dependencies d JOIN tasks dep ON dep.id = d.depends_on_task_id
+    WHERE d.task_id = tasks.id AND NOT ${statusHas('dep', 'is_done')}
+  )`,
+  overdue: (today) => ({ sql: `due_date < ? AND NOT ${statusHas('tasks', 'is_final')}`, params: [today] })
+};
+
+const COMPARISONS = ['>', '>=', '<', '<='];
+const OPERATORS_BY_TYPE = {
+  text: [':', '=', '!='],
+  tag: [':', '=', '!='],
+  id: [':', '=', '!='],
+  has: [':', '='],
+  is: [':', '='],
+  priority: [':', '=', '!=', ...COMPARISONS],
+  date: [':', '=', '!=', ...COMPARISONS],
+  number: [':', '=', '!=', ...COMPARISONS]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class QueryError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position + 1})`);
+    this.name = 'QueryError';
+    this.code = 'VALIDATION';
+    this.position = position;
+  }
+}
+
+// Reads a value at `start`: a "quoted string" or everything up to the next space
+function readValue(input, start) {
+  if (input[start] === '"') {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) throw new QueryError('Unterminated quote', start);
+    return { value: input.slice(start + 1, end), quoted: true, end: end + 1 };
+  }
+
+  let end = start;
+  while (end < input.length && !/\s/.test(input[end])) end++;
+  return { value: input.slice(start, end), quoted: false, end };
+}
+
+// Splits a query into terms:
+//   { field, op, values, negated, position } for field conditions
+//   { text, quoted, negated, position } for full-text terms
+export function parseQuery(input) {
+  if (typeof input !== 'string') return [];
+
+  const terms = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+
+    const position = index;
+    const negated = input[index] === '-' && index + 1 < input.length && !/\s/.test(input[index + 1]);
+    if (negated) index++;
+
+    const condition = input.slice(index).match(/^([A-Za-z_]+)(>=|<=|!=|:|=|>|<)/);
+    if (!condition) {
+      const { value, quoted, end } = readValue(input, index);
+      terms.push({ text: value, quoted, negated, position });
+      index = end;
+      continue;
+    }
+
+    const [matched, rawField, op] = condition;
+    const name = rawField.toLowerCase();
+    const field = ALIASES[name] || name;
+    if (!FIELDS[field]) {
+      throw new QueryError(
+        `Unknown field "${rawField}"; use one of: ${Object.keys(FIELDS).join(', ')} (quote the term to search for it as text)`,
+        position
+      );
+    }
+    if (!OPERATORS_BY_TYPE[FIELDS[field].type].includes(op)) {
+      throw new QueryError(`Operator "${op}" is not supported for ${field}`, position);
+    }
+
+    const valueStart = index + matched.length;
+    const { value, quoted, end } = readValue(input, valueStart);
+    if (value === '') {
+      throw new QueryError(`Missing value for ${field}`, position);
+    }
+
+    const values = quoted ? [value] : value.split(',');
+    if (values.some((item) => item === '')) {
+      throw new QueryError(`Empty value in list for ${field}`, position);
+    }
+    if (values.length > 1 && !OPERATORS_BY_TYPE.text.includes(op)) {
+      throw new QueryError(`Value lists can only be used with ":", "=" or "!=" (${field})`, position);
+    }
+
+    terms.push({ field, op, values, negated, position });
+    index = end;
+  }
+
+  return terms;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function resolveDate(value, today, term) {
+  const lower = value.toLowerCase();
+  const base = Date.parse(`${today}T00:00:00Z`);
+  const offsets = { today: 0, tomorrow: 1, yesterday: -1 };
+
+  if (lower in offsets) return formatDate(new Date(base + offsets[lower] * DAY_MS));
+
+  const relative = lower.match(/^([+-])(\d+)([dw])$/);
+  if (relative) {
+    const days = Number(relative[2]) * (relative[3] === 'w' ? 7 : 1) * (relative[1] === '-' ? -1 : 1);
+    return formatDate(new Date(base + days * DAY_MS));
+  }
+
+  if (isValidDate(value)) return value;
+  throw new QueryError(
+    `Invalid date "${value}" for ${term.field}; use YYYY-MM-DD, today, yesterday, tomorrow or ±N[d|w]`,
+    term.position
+  );
+}
+
+function equalsAny(column, values) {
+  return values.length === 1
+    ? { sql: `${column} = ?`, params: values }
+    : { sql: `${column} IN (${values.map(() => '?').join(', ')})`, params: values };
+}
+
+function compileText(term, column) {
+  if (!term.values.some((value) => value.includes('*'))) {
+    return equalsAny(column, term.values);
+  }
+
+  const conditions = term.values.map((value) =>
+    value.includes('*')
+      ? { sql: `${column} LIKE ? ESCAPE '\\'`, params: [value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%')] }
+      : { sql: `${column} = ?`, params: [value] }
+  );
+  return {
+    sql: conditions.map((condition) => condition.sql).join(' OR '),
+    params: conditions.flatMap((condition) => condition.params)
+  };
+}
+
+function compilePriority(term) {
+  const ranks = term.values.map((value) => {
+    const rank = PRIORITY_ORDER.indexOf(value.toLowerCase());
+    if (rank === -1) {
+      throw new QueryError(`Invalid priority "${value}"; use one of: ${PRIORITY_ORDER.join(', ')}`, term.position);
+    }
+    return rank;
+  });
+
+  if (!COMPARISONS.includes(term.op)) {
+    return equalsAny('priority', ranks.map((rank) => PRIORITY_ORDER[rank]));
+  }
+
+  const [rank] = ranks;
+  const matches = PRIORITY_ORDER.filter((_, candidate) =>
+    ({ '>': candidate > rank, '>=': candidate >= rank, '<': candidate < rank, '<=': candidate <= rank })[term.op]
+  );
+  return matches.length > 0 ? equalsAny('priority', matches) : { sql: '0', params: [] };
+}
+
+function compileNumber(term, column, integer) {
+  const values = term.values.map((value) => {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+      throw new QueryError(`Invalid ${integer ? 'ID' : 'number'} "${value}" for ${term.field}`, term.position);
+    }
+    return number;
+  });
+
+  if (COMPARISONS.includes(term.op)) {
+    return { sql: `${column} ${term.op} ?`, params: values };
+  }
+  return equalsAny(column, values);
+}
+
+function compileTerm(term, today) {
+  if (term.text !== undefined) {
+    const match = /[\p{L}\p{N}]/u.test(term.text) && toFtsQuery(term.quoted ? `"${term.text}"` : term.text);
+    if (!match) return null;
+    return { sql: 'tasks.id IN (SELECT rowid FROM task_search WHERE task_search MATCH ?)', params: [match] };
+  }
+
+  const field = FIELDS[term.field];
+
+  switch (field.type) {
+    case 'text':
+      return compileText(term, field.column);
+    case 'priority':
+      return compilePriority(term);
+    case 'tag': {
+      const tag = compileText(term, 'value');
+      return { sql: `EXISTS (SELECT 1 FROM json_each(COALESCE(tasks.tags, '[]')) WHERE ${tag.sql})`, params: tag.params };
+    }
+    case 'date': {
+      const dates = term.values.map((value) => resolveDate(value, today, term));
+      if (COMPARISONS.includes(term.op)) {
+        return { sql: `date(${field.column}) ${term.op} ?`, params: dates };
+      }
+      return equalsAny(`date(${field.column})`, dates);
+    }
+    case 'number':
+      return compileNumber(term, field.column, false);
+    case 'id':
+      return compileNumber(term, field.column, true);
+    case 'has':
+    case 'is': {
+      const conditions = field.type === 'has' ? HAS_CONDITIONS : IS_CONDITIONS;
+      const condition = conditions[term.values[0].toLowerCase()];
+      if (!condition || term.values.length > 1) {
+        throw new QueryError(
+          `Invalid ${field.type}: value "${term.values.join(',')}"; use one of: ${Object.keys(conditions).join(', ')}`,
+          term.position
+        );
+      }
+      return typeof condition === 'function' ? condition(today) : { sql: condition, params: [] };
+    }
+    default:
+      throw new QueryError(`Unsupported field ${term.field}`, term.position);
+  }
+}
+
+// Compiles a query to { sql, params }; sql is '' for an empty query.
+// `today` (YYYY-MM-DD) anchors relative dates.
+export function compileQuery(input, { today = formatDate(new Date()) } = {}) {
+  const conditions = [];
+  const params = [];
+
+  for (const term of parseQuery(input)) {
+    const compiled = compileTerm(term, today);
+    if (!compiled) continue;
+
+    // "!=" and "-" also match tasks where the field is empty (NULL)
+    const negated = term.negated !== (term.op === '!=');
+    conditions.push(negated ? `NOT IFNULL((${compiled.sql}), 0)` : `(${compiled.sql})`);
+    params.push(...compiled.params);
+  }
+
+  return { sql: conditions.join(' AND '), params };
+}
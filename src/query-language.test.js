@@ -0,0 +1,137 @@
+import Database from './database.js';
+import { parseQuery, compileQuery, QueryError } from './query-language.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function expectQueryError(query, message) {
+  let error = null;
+  try {
+    compileQuery(query, { today: '2026-10-19' });
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(QueryError);
+  expect(error.message).toContain(message);
+  return error;
+}
+
+describe('Query language', () => {
+  test('should parse field conditions, negations and text terms', () => {
+    expect(parseQuery('status:in-progress priority>=high -assignee:bob "release notes" login')).toEqual([
+      { field: 'status', op: ':', values: ['in-progress'], negated: false, position: 0 },
+      { field: 'priority', op: '>=', values: ['high'], negated: false, position: 19 },
+      { field: 'assignee', op: ':', values: ['bob'], negated: true, position: 34 },
+      { text: 'release notes', quoted: true, negated: false, position: 48 },
+      { text: 'login', quoted: false, negated: false, position: 64 }
+    ]);
+
+    expect(parseQuery('Tags:a,b due_date="2026-01-01" category:"front end"')).toEqual([
+      { field: 'tag', op: ':', values: ['a', 'b'], negated: false, position: 0 },
+      { field: 'due', op: '=', values: ['2026-01-01'], negated: false, position: 9 },
+      { field: 'category', op: ':', values: ['front end'], negated: false, position: 31 }
+    ]);
+    expect(parseQuery('   ')).toEqual([]);
+  });
+
+  test('should compile to parameterized SQL', () => {
+    const query = compileQuery('status:in-progress priority>=high due<2026-11-01 tag:backend -assignee:bob', { today: '2026-10-19' });
+    expect(query.sql).toBe(
+      "(status = ?) AND (priority IN (?, ?)) AND (date(due_date) < ?) AND " +
+        "(EXISTS (SELECT 1 FROM json_each(COALESCE(tasks.tags, '[]')) WHERE value = ?)) AND NOT IFNULL((assignee = ?), 0)"
+    );
+    expect(query.params).toEqual(['in-progress', 'high', 'critical', '2026-11-01', 'backend', 'bob']);
+
+    expect(compileQuery('status:pending,blocked status!=blocked')).toEqual({
+      sql: '(status IN (?, ?)) AND NOT IFNULL((status = ?), 0)',
+      params: ['pending', 'blocked', 'blocked']
+    });
+    expect(compileQuery('assignee:an_*').params).toEqual(['an\\_%']);
+    expect(compileQuery('priority<low').sql).toBe('(0)');
+    expect(compileQuery('client:Acme').sql).toBe('((SELECT client FROM projects WHERE projects.id = tasks.project_id) = ?)');
+    expect(compileQuery('-is:final').sql).toContain('NOT IFNULL((EXISTS (SELECT 1 FROM workflow_statuses ws');
+    expect(compileQuery('')).toEqual({ sql: '', params: [] });
+  });
+
+  test('should resolve relative dates against today', () => {
+    const { params } = compileQuery('due<=+7d due>=yesterday created>-2w completed:today', { today: '2026-10-30' });
+    expect(params).toEqual(['2026-11-06', '2026-10-29', '2026-10-16', '2026-10-30']);
+  });
+
+  test('should report malformed queries with their position', () => {
+    const unknown = expectQueryError('status:pending owner:bob', 'Unknown field "owner"');
+    expect(unknown.position).toBe(15);
+    expect(unknown.message).toContain('at position 16');
+
+    expectQueryError('status:', 'Missing value for status');
+    expectQueryError('category:"broken', 'Unterminated quote');
+    expectQueryError('tag>backend', 'Operator ">" is not supported for tag');
+    expectQueryError('priority:urgent', 'Invalid priority "urgent"');
+    expectQueryError('due<soon', 'Invalid date "soon" for due');
+    expectQueryError('due<2026-02-30', 'Invalid date "2026-02-30"');
+    expectQueryError('estimate>=lots', 'Invalid number "lots"');
+    expectQueryError('milestone:1.5', 'Invalid ID "1.5"');
+    expectQueryError('priority>low,high', 'Value lists can only be used');
+    expectQueryError('status:a,,b', 'Empty value in list');
+    expectQueryError('has:owner', 'Invalid has: value "owner"');
+    expectQueryError('is:late', 'Invalid is: value "late"');
+  });
+});
+
+describe('Database getTasks with q', () => {
+  let db;
+  let projectId;
+  const testDbPath = join(__dirname, '..', 'test-query-language.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+    projectId = await db.createProject('Platform');
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should filter tasks with a structured query', async () => {
+    const api = await db.addTask(projectId, 'Cache API responses', null, 'high', null, 'ana', '2026-10-25', ['backend']);
+    const queue = await db.addTask(projectId, 'Retry queue consumers', null, 'critical', null, null, '2026-10-30', ['backend']);
+    const workers = await db.addTask(projectId, 'Tune workers', null, 'critical', null, 'bob', '2026-10-28', ['backend']);
+    await db.addTask(projectId, 'Landing page copy', null, 'high', null, 'ana', '2026-10-20', ['frontend']);
+    await db.addTask(projectId, 'Upgrade database', null, 'low', null, 'ana', '2026-10-21', ['backend']);
+    await db.updateTask(api, { status: 'in-progress' });
+    await db.updateTask(queue, { status: 'in-progress' });
+    await db.updateTask(workers, { status: 'in-progress' });
+
+    const tasks = await db.getTasks({ project_id: projectId, q: 'status:in-progress priority>=high due<2026-11-01 tag:backend -assignee:bob' });
+    expect(tasks.map((task) => task.id).sort()).toEqual([api, queue]);
+
+    const cached = await db.getTasks({ q: 'cache* has:assignee' });
+    expect(cached.map((task) => task.id)).toEqual([api]);
+
+    // Notes live in the comment thread
+    await db.addComment(queue, 'Consumers retry three times', 'ana');
+    const noted = await db.getTasks({ project_id: projectId, q: 'has:notes' });
+    expect(noted.map((task) => task.id)).toEqual([queue]);
+
+    await expect(db.getTasks({ q: 'priority:urgent' })).rejects.toThrow(QueryError);
+  });
+});
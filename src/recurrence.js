@@ -0,0 +1,173 @@
+// Recurrence rules for repeating tasks.
+//
+// Occurrence n (the first task is n = 0) of a daily, weekly or monthly rule is
+// due `n * every` days, weeks or months after the series start date, so late
+// completions do not shift the schedule and monthly rules keep their day of
+// the month (clamped to shorter months). Cron rules use the day-of-month,
+// month and day-of-week fields of a standard 5-field expression; minute and
+// hour are accepted but ignored because due dates have no time.
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CRON_SEARCH_DAYS = 366 * 5;
+
+export class RecurrenceError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'RecurrenceError';
+    this.code = code;
+  }
+}
+
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function toDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+  return formatDate(new Date(toDate(value).getTime() + days * DAY_MS));
+}
+
+function addMonths(value, months) {
+  const date = toDate(value);
+  const day = date.getUTCDate();
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return formatDate(target);
+}
+
+function parseCronField(field, min, max, name) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new RecurrenceError(`Invalid cron ${name} field: ${field}`);
+
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new RecurrenceError(`Invalid cron ${name} field: ${field}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  return { values, restricted: field !== '*' };
+}
+
+// Parses "minute hour day-of-month month day-of-week"; Sunday is 0 or 7
+export function parseCron(expression) {
+  const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (fields.length !== 5) {
+    throw new RecurrenceError('cron must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  parseCronField(fields[0], 0, 59, 'minute');
+  parseCronField(fields[1], 0, 23, 'hour');
+  const dayOfMonth = parseCronField(fields[2], 1, 31, 'day-of-month');
+  const month = parseCronField(fields[3], 1, 12, 'month');
+  const dayOfWeek = parseCronField(fields[4], 0, 7, 'day-of-week');
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+
+  return { dayOfMonth, month, dayOfWeek };
+}
+
+function matchesCron(cron, date) {
+  if (!cron.month.values.has(date.getUTCMonth() + 1)) return false;
+
+  const domMatch = cron.dayOfMonth.values.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.values.has(date.getUTCDay());
+  // As in cron, a restricted day-of-month and day-of-week match either one
+  if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+export function nextCronDate(expression, after) {
+  const cron = parseCron(expression);
+  for (let day = 1; day <= CRON_SEARCH_DAYS; day++) {
+    const candidate = addDays(after, day);
+    if (matchesCron(cron, toDate(candidate))) return candidate;
+  }
+  return null;
+}
+
+// Validates a rule definition and applies defaults
+export function normalizeRecurrence(definition) {
+  const {
+    frequency,
+    every = 1,
+    cron = null,
+    start_date = null,
+    end_date = null,
+    max_occurrences = null,
+    copy_tags = true,
+    copy_assignee = true,
+    copy_dependencies = false
+  } = definition || {};
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new RecurrenceError(`Invalid frequency: ${frequency} (allowed: ${RECURRENCE_FREQUENCIES.join(', ')})`);
+  }
+  if (!Number.isInteger(every) || every < 1) {
+    throw new RecurrenceError('every must be a positive integer');
+  }
+  if (frequency === 'cron') {
+    parseCron(cron);
+  } else if (cron !== null) {
+    throw new RecurrenceError('cron is only used with frequency cron');
+  }
+  for (const [field, value] of [['start_date', start_date], ['end_date', end_date]]) {
+    if (value !== null && !isValidDate(value)) {
+      throw new RecurrenceError(`${field} must be a date YYYY-MM-DD`);
+    }
+  }
+  if (max_occurrences !== null && (!Number.isInteger(max_occurrences) || max_occurrences < 1)) {
+    throw new RecurrenceError('max_occurrences must be a positive integer');
+  }
+
+  return {
+    frequency,
+    every,
+    cron: frequency === 'cron' ? cron.trim() : null,
+    start_date,
+    end_date,
+    max_occurrences,
+    copy_tags: !!copy_tags,
+    copy_assignee: !!copy_assignee,
+    copy_dependencies: !!copy_dependencies
+  };
+}
+
+// Due date of occurrence `index` (0-based). Cron rules step `every` matches
+// from the due date of the previous occurrence instead of the start date.
+export function occurrenceDueDate(rule, index, previousDue) {
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(rule.start_date, index * rule.every);
+    case 'weekly':
+      return addDays(rule.start_date, index * rule.every * 7);
+    case 'monthly':
+      return addMonths(rule.start_date, index * rule.every);
+    case 'cron': {
+      let due = previousDue || rule.start_date;
+      for (let step = 0; step < rule.every && due; step++) {
+        due = nextCronDate(rule.cron, due);
+      }
+      return due;
+    }
+    default:
+      return null;
+  }
+}
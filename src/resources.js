@@ -0,0 +1,123 @@
+// MCP resources: read-only JSON views of tracker state addressed by
+// tracker:// URIs, so clients can attach a project or a task as context
+// without calling tools.
+//
+//   tracker://projects                  all projects with their task counts
+//   tracker://projects/{id}             one project
+//   tracker://projects/{id}/summary     task counts, dependencies, time and estimates
+//   tracker://projects/{id}/tasks       the tasks of a project
+//   tracker://tasks/{id}                one task with dependencies, history and subtasks
+
+export const RESOURCE_MIME_TYPE = 'application/json';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'tracker://projects/{id}',
+    name: 'project',
+    description: 'A project with its client, description and estimate unit',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'tracker://projects/{id}/summary',
+    name: 'project-summary',
+    description: 'Task counts per status, dependency, time tracking and estimate stats of a project',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'tracker://projects/{id}/tasks',
+    name: 'project-tasks',
+    description: 'The tasks of a project, newest first',
+    mimeType: RESOURCE_MIME_TYPE
+  },
+  {
+    uriTemplate: 'tracker://tasks/{id}',
+    name: 'task',
+    description: 'A task with its dependencies, recent history, subtasks and custom fields',
+    mimeType: RESOURCE_MIME_TYPE
+  }
+];
+
+export class ResourceError extends Error {
+  // `code` is INVALID_URI for URIs outside the tracker:// scheme and
+  // NOT_FOUND when the project or task does not exist
+  constructor(message, code = 'INVALID_URI') {
+    super(message);
+    this.name = 'ResourceError';
+    this.code = code;
+  }
+}
+
+export const PROJECTS_URI = 'tracker://projects';
+
+export function projectUri(id, view = null) {
+  return view ? `${PROJECTS_URI}/${id}/${view}` : `${PROJECTS_URI}/${id}`;
+}
+
+export function taskUri(id) {
+  return `tracker://tasks/${id}`;
+}
+
+const URI_PATTERNS = [
+  { pattern: /^tracker:\/\/projects$/, type: 'projects' },
+  { pattern: /^tracker:\/\/projects\/(\d+)$/, type: 'project' },
+  { pattern: /^tracker:\/\/projects\/(\d+)\/summary$/, type: 'project_summary' },
+  { pattern: /^tracker:\/\/projects\/(\d+)\/tasks$/, type: 'project_tasks' },
+  { pattern: /^tracker:\/\/tasks\/(\d+)$/, type: 'task' }
+];
+
+export function parseResourceUri(uri) {
+  for (const { pattern, type } of URI_PATTERNS) {
+    const match = typeof uri === 'string' ? uri.match(pattern) : null;
+    if (match) {
+      return match[1] === undefined ? { type } : { type, id: Number(match[1]) };
+    }
+  }
+  throw new ResourceError(`Unknown resource: ${uri}`);
+}
+
+// The concrete resources: the project list plus the summary of each project.
+// Single tasks are reachable through the tracker://tasks/{id} template.
+export async function listResources(db) {
+  const projects = await db.getProjects();
+  return [
+    {
+      uri: PROJECTS_URI,
+      name: 'projects',
+      description: 'All projects with their task counts',
+      mimeType: RESOURCE_MIME_TYPE
+    },
+    ...projects.map((project) => ({
+      uri: projectUri(project.id, 'summary'),
+      name: `${project.name} summary`,
+      description: `Summary of project ${project.id} "${project.name}"`,
+      mimeType: RESOURCE_MIME_TYPE
+    }))
+  ];
+}
+
+async function resourcePayload(db, { type, id }) {
+  if (type === 'projects') {
+    return { projects: await db.getProjects() };
+  }
+
+  if (type === 'task') {
+    const task = await db.getTaskById(id);
+    if (!task) throw new ResourceError(`Task ${id} not found`, 'NOT_FOUND');
+    return task;
+  }
+
+  const project = await db.getProject(id);
+  if (!project) throw new ResourceError(`Project ${id} not found`, 'NOT_FOUND');
+  if (type === 'project_summary') {
+    return { project_id: id, project_name: project.name, summary: await db.getProjectSummary(id) };
+  }
+  if (type === 'project_tasks') {
+    return { project_id: id, project_name: project.name, tasks: await db.getTasks({ project_id: id }) };
+  }
+  return project;
+}
+
+export async function readResource(db, uri) {
+  const payload = await resourcePayload(db, parseResourceUri(uri));
+  return { uri, mimeType: RESOURCE_MIME_TYPE, text: JSON.stringify(payload, null, 2) };
+}
@@ -5,27 +5,104 @@ CREATE TABLE IF NOT EXISTS projects (
     name TEXT NOT NULL,
     client TEXT,
     description TEXT,
+    estimate_unit TEXT DEFAULT 'points' CHECK(estimate_unit IN ('points', 'hours')),
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Milestones group tasks of a project towards a target date
+CREATE TABLE IF NOT EXISTS milestones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    target_date DATE,
+    state TEXT DEFAULT 'open' CHECK(state IN ('open', 'closed')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+-- Workflow statuses of each project, in order. Flags drive progress,
+-- dependency resolution (is_done) and completion (is_final)
+CREATE TABLE IF NOT EXISTS workflow_statuses (
+    project_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    is_progress INTEGER NOT NULL DEFAULT 0,
+    is_done INTEGER NOT NULL DEFAULT 0,
+    is_final INTEGER NOT NULL DEFAULT 0,
+    -- Listed in the transitions with no targets: tasks cannot leave it
+    is_terminal INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (project_id, name),
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+-- Allowed status transitions; a project without rows allows any transition
+CREATE TABLE IF NOT EXISTS workflow_transitions (
+    project_id INTEGER NOT NULL,
+    from_status TEXT NOT NULL,
+    to_status TEXT NOT NULL,
+    PRIMARY KEY (project_id, from_status, to_status),
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+-- Fields a task must have before entering a status
+CREATE TABLE IF NOT EXISTS workflow_requirements (
+    project_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    field TEXT NOT NULL,
+    PRIMARY KEY (project_id, status, field),
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
 -- Tasks (formerly test_cases)
 CREATE TABLE IF NOT EXISTS tasks (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     project_id INTEGER NOT NULL,
+    parent_id INTEGER,
+    milestone_id INTEGER,
     title TEXT NOT NULL,
     description TEXT,
     priority TEXT DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high', 'critical')),
-    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'in-progress', 'developed', 'tested', 'deployed', 'blocked')),
+    status TEXT DEFAULT 'pending',
     category TEXT,
     assignee TEXT,
     due_date DATE,
     tags TEXT,
     notes TEXT,
+    estimate REAL,
+    remaining_minutes INTEGER,
+    recurrence_id INTEGER,
     completed_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (milestone_id) REFERENCES milestones(id) ON DELETE SET NULL,
+    FOREIGN KEY (recurrence_id) REFERENCES recurrences(id) ON DELETE SET NULL
+);
+
+-- Recurrence rules; each series of repeating tasks shares one rule
+CREATE TABLE IF NOT EXISTS recurrences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL,
+    frequency TEXT NOT NULL CHECK(frequency IN ('daily', 'weekly', 'monthly', 'cron')),
+    every INTEGER NOT NULL DEFAULT 1,
+    cron TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    max_occurrences INTEGER,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    copy_tags INTEGER NOT NULL DEFAULT 1,
+    copy_assignee INTEGER NOT NULL DEFAULT 1,
+    copy_dependencies INTEGER NOT NULL DEFAULT 0,
+    current_task_id INTEGER,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    FOREIGN KEY (current_task_id) REFERENCES tasks(id) ON DELETE SET NULL
 );
 
 CREATE TABLE IF NOT EXISTS dependencies (
@@ -47,6 +124,140 @@ CREATE TABLE IF NOT EXISTS history (
     FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
 );
 
+-- Discussion on tasks, optionally threaded through reply_to
+CREATE TABLE IF NOT EXISTS comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    author TEXT,
+    body TEXT NOT NULL,
+    reply_to INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    edited_at DATETIME,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (reply_to) REFERENCES comments(id) ON DELETE SET NULL
+);
+
+-- Time tracking: logged work and running timers (minutes IS NULL)
+CREATE TABLE IF NOT EXISTS work_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    person TEXT,
+    minutes INTEGER CHECK(minutes IS NULL OR minutes > 0),
+    work_date DATE NOT NULL,
+    note TEXT,
+    started_at DATETIME,
+    ended_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+-- Sprints (time-boxed iterations) and the tasks committed to them
+CREATE TABLE IF NOT EXISTS sprints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    goal TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    capacity INTEGER,
+    state TEXT DEFAULT 'planned' CHECK(state IN ('planned', 'active', 'closed')),
+    started_at DATETIME,
+    closed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS sprint_tasks (
+    sprint_id INTEGER NOT NULL,
+    task_id INTEGER NOT NULL,
+    committed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    outcome TEXT CHECK(outcome IN ('completed', 'carried_over', 'incomplete')),
+    PRIMARY KEY (sprint_id, task_id),
+    FOREIGN KEY (sprint_id) REFERENCES sprints(id) ON DELETE CASCADE,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+);
+
+-- Typed custom fields defined per project; enum options stored as JSON
+CREATE TABLE IF NOT EXISTS custom_fields (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL CHECK(type IN ('text', 'number', 'date', 'enum', 'boolean')),
+    options TEXT,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (project_id, name),
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS task_custom_values (
+    task_id INTEGER NOT NULL,
+    field_id INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (task_id, field_id),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (field_id) REFERENCES custom_fields(id) ON DELETE CASCADE
+);
+
+-- Saved views: named task filters (JSON, as accepted by get_tasks) and sort
+CREATE TABLE IF NOT EXISTS saved_views (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    owner TEXT,
+    description TEXT,
+    filters TEXT NOT NULL DEFAULT '{}',
+    sort TEXT NOT NULL DEFAULT 'created_at',
+    sort_order TEXT NOT NULL DEFAULT 'desc' CHECK(sort_order IN ('asc', 'desc')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Full-text index over tasks (rowid = task id), kept in sync by the triggers
+-- below. Tags are indexed as words and comments as one concatenated column.
+CREATE VIRTUAL TABLE IF NOT EXISTS task_search USING fts5(
+    title, description, notes, tags, comments,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS task_search_insert AFTER INSERT ON tasks BEGIN
+    INSERT INTO task_search (rowid, title, description, notes, tags, comments)
+    VALUES (
+        NEW.id, NEW.title, NEW.description, NEW.notes,
+        CASE WHEN json_valid(NEW.tags) THEN (SELECT group_concat(value, ' ') FROM json_each(NEW.tags)) ELSE NEW.tags END,
+        NULL
+    );
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_update AFTER UPDATE OF title, description, notes, tags ON tasks BEGIN
+    UPDATE task_search SET
+        title = NEW.title,
+        description = NEW.description,
+        notes = NEW.notes,
+        tags = CASE WHEN json_valid(NEW.tags) THEN (SELECT group_concat(value, ' ') FROM json_each(NEW.tags)) ELSE NEW.tags END
+    WHERE rowid = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_delete AFTER DELETE ON tasks BEGIN
+    DELETE FROM task_search WHERE rowid = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_comment_insert AFTER INSERT ON comments BEGIN
+    UPDATE task_search SET comments = (SELECT group_concat(body, ' ') FROM comments WHERE task_id = NEW.task_id)
+    WHERE rowid = NEW.task_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_comment_update AFTER UPDATE OF body ON comments BEGIN
+    UPDATE task_search SET comments = (SELECT group_concat(body, ' ') FROM comments WHERE task_id = NEW.task_id)
+    WHERE rowid = NEW.task_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS task_search_comment_delete AFTER DELETE ON comments BEGIN
+    UPDATE task_search SET comments = (SELECT group_concat(body, ' ') FROM comments WHERE task_id = OLD.task_id)
+    WHERE rowid = OLD.task_id;
+END;
+
 -- Indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
@@ -54,4 +265,11 @@ CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
 CREATE INDEX IF NOT EXISTS idx_tasks_category ON tasks(category);
 CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks(assignee);
 CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
-CREATE INDEX IF NOT EXISTS idx_history_task ON history(task_id);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_history_task ON history(task_id);
+CREATE INDEX IF NOT EXISTS idx_milestones_project ON milestones(project_id);
+CREATE INDEX IF NOT EXISTS idx_sprints_project ON sprints(project_id);
+CREATE INDEX IF NOT EXISTS idx_sprint_tasks_task ON sprint_tasks(task_id);
+CREATE INDEX IF NOT EXISTS idx_comments_task ON comments(task_id);
+CREATE INDEX IF NOT EXISTS idx_work_logs_task ON work_logs(task_id);
+CREATE INDEX IF NOT EXISTS idx_work_logs_date ON work_logs(work_date);
+CREATE INDEX IF NOT EXISTS idx_task_custom_values_field ON task_custom_values(field_id, value);
\ No newline at end of file
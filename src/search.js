@@ -0,0 +1,78 @@
+// Full-text search over tasks.
+//
+// The task_search FTS5 table holds one row per task (rowid = task id) with the
+// title, description, notes, tags and the text of its comments; triggers on
+// tasks and comments keep it in sync. Queries are translated to FTS5 syntax so
+// user input cannot break the MATCH expression:
+//
+//   deploy api          both words (implicit AND)
+//   "release notes"     exact phrase
+//   auth*               prefix
+//   login OR signup     boolean operators AND, OR, NOT (uppercase) and ( )
+//   title:migration     restrict a term to one column
+
+export const SEARCH_COLUMNS = ['title', 'description', 'notes', 'tags', 'comments'];
+
+// bm25 weights, in SEARCH_COLUMNS order: title and tags matches rank first
+export const SEARCH_WEIGHTS = [10.0, 4.0, 2.0, 6.0, 1.0];
+
+export const HIGHLIGHT_START = '**';
+export const HIGHLIGHT_END = '**';
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const TOKEN = /"([^"]*)("?)(\*?)|\(|\)|[^\s()"]+/g;
+
+export class SearchError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'SearchError';
+    this.code = code;
+  }
+}
+
+function quote(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function translateWord(word) {
+  const column = word.match(/^([a-z]+):(.+)$/);
+  if (column && SEARCH_COLUMNS.includes(column[1])) {
+    const term = translateWord(column[2]);
+    return term ? `${column[1]} : ${term}` : null;
+  }
+
+  const prefix = word.endsWith('*');
+  const text = word.replace(/\*+$/, '');
+  if (text === '') return null;
+  return prefix ? `${quote(text)}*` : quote(text);
+}
+
+// Translates a user query to an FTS5 MATCH expression ('' when nothing is searchable)
+export function toFtsQuery(input) {
+  if (typeof input !== 'string') return '';
+
+  const parts = [];
+  for (const match of input.matchAll(TOKEN)) {
+    const [token, phrase, , prefix] = match;
+
+    if (phrase !== undefined) {
+      if (phrase.trim() !== '') parts.push(`${quote(phrase)}${prefix}`);
+    } else if (token === '(' || token === ')' || OPERATORS.has(token)) {
+      parts.push(token);
+    } else {
+      const term = translateWord(token);
+      if (term) parts.push(term);
+    }
+  }
+
+  return parts.some((part) => part !== '(' && part !== ')' && !OPERATORS.has(part)) ? parts.join(' ') : '';
+}
+
+// Re-throws FTS5 syntax errors (dangling operators, unbalanced parentheses)
+// as SearchError so callers can report them as bad input
+export function rethrowSearchError(error, query) {
+  if (/fts5|syntax error|unterminated/i.test(error.message)) {
+    throw new SearchError(`Invalid search query: ${query}`);
+  }
+  throw error;
+}
@@ -0,0 +1,16 @@
+// Helpers shared by the database test suites
+
+// Moves a task to `status` and backdates the history entry of that change,
+// so time-based metrics can be tested against fixed timestamps
+export async function setStatusAt(db, taskId, status, changedAt) {
+  await db.updateTask(taskId, { status });
+  await db.run(
+    "UPDATE history SET changed_at = ? WHERE id = (SELECT MAX(id) FROM history WHERE task_id = ? AND field = 'status')",
+    [changedAt, taskId]
+  );
+}
+
+// The date `days` days from now as YYYY-MM-DD (negative for past dates)
+export function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
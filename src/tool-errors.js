@@ -0,0 +1,96 @@
+// Machine-readable error codes of MCP tool results, so agents can react to a
+// failure without parsing its message:
+//
+//   NOT_FOUND   a project, task or other record does not exist
+//   VALIDATION  the arguments are invalid (missing, malformed, out of range)
+//   CYCLE       the change would create a dependency or parent cycle
+//   CONFLICT    the arguments are valid but the current state forbids the
+//               change (duplicate, workflow guard, closed sprint...)
+//   INTERNAL    anything unexpected (a bug or a database failure)
+//
+// Tools throw a ToolError (or one of its shorthands below) with the code; the
+// error classes of the domain modules carry their code too, VALIDATION unless
+// the throw site says otherwise.
+
+import { TransitionError } from './transition-guards.js';
+
+export const TOOL_ERROR_CODES = ['NOT_FOUND', 'VALIDATION', 'CYCLE', 'CONFLICT', 'INTERNAL'];
+
+// Status of the REST API responses for each code
+const HTTP_STATUSES = {
+  NOT_FOUND: 404,
+  VALIDATION: 400,
+  CYCLE: 400,
+  CONFLICT: 409,
+  INTERNAL: 500
+};
+
+// Workflow guard failures keep their own code as `reason`
+const TRANSITION_ERROR_CODES = {
+  INVALID_STATUS: 'VALIDATION',
+  MISSING_REQUIRED_FIELDS: 'VALIDATION',
+  TRANSITION_NOT_ALLOWED: 'CONFLICT',
+  INCOMPLETE_DEPENDENCIES: 'CONFLICT',
+  INCOMPLETE_SUBTASKS: 'CONFLICT'
+};
+
+export class ToolError extends Error {
+  constructor(message, code = 'VALIDATION', details = undefined) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends ToolError {
+  constructor(message, details = undefined) {
+    super(message, 'VALIDATION', details);
+    this.name = 'ValidationError';
+  }
+}
+
+export class NotFoundError extends ToolError {
+  constructor(message, details = undefined) {
+    super(message, 'NOT_FOUND', details);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ConflictError extends ToolError {
+  constructor(message, details = undefined) {
+    super(message, 'CONFLICT', details);
+    this.name = 'ConflictError';
+  }
+}
+
+export function errorCode(error) {
+  if (error instanceof TransitionError) {
+    return TRANSITION_ERROR_CODES[error.code] || 'CONFLICT';
+  }
+  // ToolError and the domain errors carry one of the codes
+  if (TOOL_ERROR_CODES.includes(error.code)) {
+    return error.code;
+  }
+  if (typeof error.code === 'string' && error.code.startsWith('SQLITE_CONSTRAINT')) {
+    return 'CONFLICT';
+  }
+  return 'INTERNAL';
+}
+
+export function errorStatus(error) {
+  return HTTP_STATUSES[errorCode(error)];
+}
+
+// { error, code, reason?, details? } for a tool result, a plan report or a
+// REST error response
+export function errorPayload(error) {
+  const payload = { error: error.message, code: errorCode(error) };
+  if (error instanceof TransitionError) {
+    payload.reason = error.code;
+  }
+  if (error.details !== undefined && error.details !== null) {
+    payload.details = error.details;
+  }
+  return payload;
+}
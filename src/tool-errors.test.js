@@ -0,0 +1,46 @@
+import { ToolError, NotFoundError, ConflictError, errorCode, errorPayload, errorStatus } from './tool-errors.js';
+import { TransitionError } from './transition-guards.js';
+import { QueryError } from './query-language.js';
+import { ViewError } from './views.js';
+import { ScheduleError } from './critical-path.js';
+
+describe('Tool errors', () => {
+  test('should keep the code of tool errors and classify domain errors', () => {
+    expect(errorCode(new ToolError('Task 7 not found', 'NOT_FOUND'))).toBe('NOT_FOUND');
+    expect(errorCode(new ToolError('title is required'))).toBe('VALIDATION');
+
+    expect(errorCode(new NotFoundError('Milestone 3 not found'))).toBe('NOT_FOUND');
+    expect(errorCode(new ConflictError('Sprint 2 is closed'))).toBe('CONFLICT');
+
+    expect(errorCode(new QueryError('Unterminated quote', 3))).toBe('VALIDATION');
+    expect(errorCode(new ViewError('View mine already exists', 'CONFLICT'))).toBe('CONFLICT');
+    expect(errorCode(new ScheduleError('Dependency cycle between tasks: 1, 2', 'CYCLE'))).toBe('CYCLE');
+    // The code is set where the error is thrown, never read from the message
+    expect(errorCode(new ScheduleError('Milestone 3 not found in project 1'))).toBe('VALIDATION');
+
+    const constraint = Object.assign(new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed'), { code: 'SQLITE_CONSTRAINT' });
+    expect(errorCode(constraint)).toBe('CONFLICT');
+    expect(errorCode(new TypeError('Cannot read properties of undefined'))).toBe('INTERNAL');
+  });
+
+  test('should report workflow guard failures with their reason and details', () => {
+    const blocked = new TransitionError('INCOMPLETE_DEPENDENCIES', 'Dependencies are not done', { pending: [4] });
+    expect(errorPayload(blocked)).toEqual({
+      error: 'Dependencies are not done',
+      code: 'CONFLICT',
+      reason: 'INCOMPLETE_DEPENDENCIES',
+      details: { pending: [4] }
+    });
+
+    expect(errorPayload(new TransitionError('INVALID_STATUS', 'Invalid status: done'))).toMatchObject({ code: 'VALIDATION', reason: 'INVALID_STATUS' });
+    expect(errorPayload(new ToolError('Sprint 2 is closed', 'CONFLICT'))).toEqual({ error: 'Sprint 2 is closed', code: 'CONFLICT' });
+  });
+
+  test('should map codes to REST statuses', () => {
+    expect(errorStatus(new TransitionError('MISSING_REQUIRED_FIELDS', 'Missing assignee'))).toBe(400);
+    expect(errorStatus(new TransitionError('TRANSITION_NOT_ALLOWED', 'Cannot go back to todo'))).toBe(409);
+    expect(errorStatus(new NotFoundError('Task 7 not found'))).toBe(404);
+    expect(errorStatus(new ScheduleError('Dependency cycle between tasks: 1, 2', 'CYCLE'))).toBe(400);
+    expect(errorStatus(new TypeError('Cannot read properties of undefined'))).toBe(500);
+  });
+});
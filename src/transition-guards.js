@@ -0,0 +1,91 @@
+// Guards applied to every status change, whichever server it comes from.
+//
+// A transition is checked, in order, for:
+//   - INVALID_STATUS: the target is not a status of the project workflow
+//   - TRANSITION_NOT_ALLOWED: the workflow restricts transitions and this one is not listed
+//   - MISSING_REQUIRED_FIELDS: the workflow requires fields the task does not have
+//   - INCOMPLETE_DEPENDENCIES / INCOMPLETE_SUBTASKS: a final status is entered
+//     while dependencies are not done or subtasks are not completed
+// Failures throw a TransitionError carrying the code and machine-readable details.
+
+import { findStatus } from './workflows.js';
+
+export class TransitionError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TransitionError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, details: this.details };
+  }
+}
+
+function isFilled(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+// Fields missing to enter `to`. Values sent with the update take precedence
+// over the stored task; `notes` only counts when sent with the update.
+function missingFields(required, task, changes) {
+  return required.filter((field) => {
+    if (field === 'notes') return !isFilled(changes.notes);
+    if (changes[field] !== undefined) return !isFilled(changes[field]);
+
+    const stored = field === 'tags' && typeof task.tags === 'string' ? JSON.parse(task.tags) : task[field];
+    return !isFilled(stored);
+  });
+}
+
+// Checks moving `task` to status `to`. `changes` holds the other fields sent
+// with the same update, plus `notes` when a note accompanies the change.
+export async function checkTransition(db, task, to, changes = {}) {
+  const workflow = await db.getWorkflow(task.project_id);
+  const from = task.status;
+
+  if (!findStatus(workflow, to)) {
+    const statuses = workflow.statuses.map((status) => status.name);
+    throw new TransitionError('INVALID_STATUS', `Invalid status: ${to} (workflow statuses: ${statuses.join(', ')})`, { status: to, statuses });
+  }
+
+  if (from === to) return workflow;
+
+  if (workflow.transitions) {
+    const allowed = workflow.transitions[from] || [];
+    if (!allowed.includes(to)) {
+      throw new TransitionError('TRANSITION_NOT_ALLOWED', `Transition from ${from} to ${to} is not allowed`, { from, to, allowed });
+    }
+  }
+
+  const missing = missingFields(workflow.requirements[to] || [], task, changes);
+  if (missing.length > 0) {
+    throw new TransitionError('MISSING_REQUIRED_FIELDS', `Cannot set status to ${to}: missing ${missing.join(', ')}`, { from, to, fields: missing });
+  }
+
+  if (findStatus(workflow, to).final) {
+    const dependencies = await db.getIncompleteDependencies(task.id);
+    if (dependencies.length > 0) {
+      throw new TransitionError('INCOMPLETE_DEPENDENCIES', `Cannot set status to ${to}: ${dependencies.length} incomplete dependencies`, {
+        from,
+        to,
+        task_ids: dependencies.map((dependency) => dependency.id)
+      });
+    }
+
+    const subtasks = await db.getIncompleteDescendants(task.id);
+    if (subtasks.length > 0) {
+      throw new TransitionError('INCOMPLETE_SUBTASKS', `Cannot set status to ${to}: ${subtasks.length} subtasks not completed`, {
+        from,
+        to,
+        task_ids: subtasks.map((subtask) => subtask.id)
+      });
+    }
+  }
+
+  return workflow;
+}
@@ -0,0 +1,109 @@
+import Database from './database.js';
+import { TransitionError } from './transition-guards.js';
+import { join } from 'path';
+import { unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe('Transition guards', () => {
+  let db;
+  let projectId;
+  const testDbPath = join(__dirname, '..', 'test-transition-guards.db');
+
+  function cleanup() {
+    for (const suffix of ['', '-shm', '-wal']) {
+      try {
+        unlinkSync(`${testDbPath}${suffix}`);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async function expectTransitionError(promise, code) {
+    const error = await promise.then(() => null, (err) => err);
+    expect(error).toBeInstanceOf(TransitionError);
+    expect(error.code).toBe(code);
+    return error;
+  }
+
+  beforeEach(async () => {
+    cleanup();
+    db = new Database(testDbPath);
+    await db.ready;
+
+    projectId = await db.createProject('Guarded');
+    await db.setWorkflow(projectId, {
+      statuses: ['pending', 'in-progress', 'blocked', { name: 'deployed', final: true }],
+      transitions: {
+        pending: ['in-progress'],
+        'in-progress': ['blocked', 'deployed'],
+        blocked: ['in-progress']
+      },
+      requirements: {
+        'in-progress': ['assignee'],
+        blocked: ['notes']
+      }
+    });
+  });
+
+  afterEach(async () => {
+    if (db && db.db) {
+      await new Promise((resolve) => db.db.close(resolve));
+    }
+    cleanup();
+  });
+
+  test('should reject unknown statuses and transitions outside the workflow', async () => {
+    const taskId = await db.addTask(projectId, 'Deploy API', null, 'high', null, 'ana');
+
+    const invalid = await expectTransitionError(db.updateTask(taskId, { status: 'tested' }), 'INVALID_STATUS');
+    expect(invalid.details.statuses).toEqual(['pending', 'in-progress', 'blocked', 'deployed']);
+
+    const notAllowed = await expectTransitionError(db.updateTask(taskId, { status: 'deployed' }), 'TRANSITION_NOT_ALLOWED');
+    expect(notAllowed.toJSON()).toEqual({
+      error: 'Transition from pending to deployed is not allowed',
+      code: 'TRANSITION_NOT_ALLOWED',
+      details: { from: 'pending', to: 'deployed', allowed: ['in-progress'] }
+    });
+
+    expect((await db.getTaskById(taskId)).history).toHaveLength(0);
+  });
+
+  test('should require the configured fields before entering a status', async () => {
+    const taskId = await db.addTask(projectId, 'Deploy API');
+
+    const missing = await expectTransitionError(db.updateTask(taskId, { status: 'in-progress' }), 'MISSING_REQUIRED_FIELDS');
+    expect(missing.details.fields).toEqual(['assignee']);
+
+    await db.updateTask(taskId, { status: 'in-progress', assignee: 'ana' });
+
+    await expectTransitionError(db.updateTask(taskId, { status: 'blocked' }), 'MISSING_REQUIRED_FIELDS');
+    await db.updateTask(taskId, { status: 'blocked' }, { notes: 'Waiting for credentials' });
+
+    expect((await db.getTaskById(taskId)).status).toBe('blocked');
+  });
+
+  test('should block final statuses while dependencies or subtasks are open', async () => {
+    const schema = await db.addTask(projectId, 'Schema', null, 'high', null, 'ana');
+    const api = await db.addTask(projectId, 'API', null, 'high', null, 'ana', null, null, [schema]);
+    const docs = await db.addTask(projectId, 'Docs', null, 'low', null, 'ana', null, null, [], { parent_id: api });
+
+    await db.updateTask(api, { status: 'in-progress' });
+    const dependencies = await expectTransitionError(db.updateTask(api, { status: 'deployed' }), 'INCOMPLETE_DEPENDENCIES');
+    expect(dependencies.details.task_ids).toEqual([schema]);
+
+    await db.updateTask(schema, { status: 'in-progress' });
+    await db.updateTask(schema, { status: 'deployed' });
+    const subtasks = await expectTransitionError(db.updateTask(api, { status: 'deployed' }), 'INCOMPLETE_SUBTASKS');
+    expect(subtasks.details.task_ids).toEqual([docs]);
+
+    await db.updateTask(docs, { status: 'in-progress' });
+    await db.updateTask(docs, { status: 'deployed' });
+    await db.updateTask(api, { status: 'deployed' });
+    expect((await db.getTaskById(api)).completed_at).not.toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+// Saved views: named task filters shared by assistants and the REST API.
+//
+// A view stores the same filters get_tasks accepts (including a structured
+// query in `q`) plus a sort key and order. The value @me in assignee filters
+// stands for the person running the view, or its owner when nobody is given.
+
+import { compileQuery } from './query-language.js';
+import { normalizeListOptions } from './pagination.js';
+
+export const VIEW_FILTER_KEYS = [
+  'project_id',
+  'status',
+  'priority',
+  'category',
+  'assignee',
+  'parent_id',
+  'milestone_id',
+  'due_from',
+  'due_to',
+  'overdue',
+  'due_within',
+  'search',
+  'q',
+  'custom_fields'
+];
+
+const ME = '@me';
+
+export class ViewError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'ViewError';
+    this.code = code;
+  }
+}
+
+export function normalizeViewFilters(filters) {
+  if (filters === undefined || filters === null) return {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new ViewError('filters must be an object');
+  }
+
+  const unknown = Object.keys(filters).filter((key) => !VIEW_FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new ViewError(`Unknown view filters: ${unknown.join(', ')} (allowed: ${VIEW_FILTER_KEYS.join(', ')})`);
+  }
+
+  // Fail on save rather than on every run
+  compileQuery(filters.q);
+
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== null && value !== ''));
+}
+
+// Validates a view definition and applies defaults
+export function normalizeView({ name, owner = null, description = null, filters = {}, sort = null, order = null }) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new ViewError('View name is required');
+  }
+  if (/^\d+$/.test(name.trim())) {
+    throw new ViewError('View name cannot be a number');
+  }
+
+  const options = normalizeListOptions({ sort, order });
+
+  return {
+    name: name.trim(),
+    owner,
+    description,
+    filters: normalizeViewFilters(filters),
+    sort: options.sort,
+    order: options.order
+  };
+}
+
+const ASSIGNEE_ME = /(assignee(?:!=|:|=))@me(?=[\s,]|$)/gi;
+
+// Replaces @me with `user` in the assignee filter and in assignee terms of q
+export function resolveViewFilters(filters, user) {
+  const resolved = { ...filters };
+  const inQuery = typeof resolved.q === 'string' && resolved.q.match(ASSIGNEE_ME) !== null;
+  if (resolved.assignee !== ME && !inQuery) return resolved;
+
+  if (!user) {
+    throw new ViewError('This view filters by @me; pass the user to run it as');
+  }
+  if (resolved.assignee === ME) resolved.assignee = user;
+  if (inQuery) {
+    const value = /[\s",]/.test(user) ? `"${user.replace(/"/g, '')}"` : user;
+    resolved.q = resolved.q.replace(ASSIGNEE_ME, (_, prefix) => `${prefix}${value}`);
+  }
+  return resolved;
+}
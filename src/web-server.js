@@ -5,6 +5,19 @@ import morgan from 'morgan';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Database from './database.js';
+import { WorkflowError } from './workflows.js';
+import { TransitionError } from './transition-guards.js';
+import { CustomFieldError } from './custom-fields.js';
+import { RecurrenceError } from './recurrence.js';
+import { SearchError } from './search.js';
+import { QueryError } from './query-language.js';
+import { PaginationError } from './pagination.js';
+import { ViewError } from './views.js';
+import { AnalyticsError, burndownCsv, cumulativeFlowCsv } from './analytics.js';
+import { ScheduleError } from './critical-path.js';
+import { renderGraph, GraphError } from './dependency-graph.js';
+import { McpHttpSessions } from './mcp-http.js';
+import { ValidationError, ConflictError, errorPayload, errorStatus } from './tool-errors.js';
 import config from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -15,6 +28,7 @@ class WebServer {
     this.app = express();
     this.port = port;
     this.db = new Database();
+    this.mcp = new McpHttpSessions(this.db);
     this.server = null;
     this.init();
   }
@@ -40,7 +54,9 @@ class WebServer {
           callback(new Error('Not allowed by CORS'));
         }
       },
-      credentials: true
+      credentials: true,
+      // Browser MCP clients read their session id from the initialize response
+      exposedHeaders: ['Mcp-Session-Id']
     }));
 
     // Logging
@@ -86,33 +102,1271 @@ class WebServer {
 
     this.app.post('/api/projects', async (req, res) => {
       try {
-        const { name, client, description } = req.body;
+        const { name, client, description, estimate_unit = 'points' } = req.body;
 
         if (!name) {
           return res.status(400).json({ error: 'Name is required' });
         }
 
-        const id = await this.db.createProject(name, client, description);
+        if (!['points', 'hours'].includes(estimate_unit)) {
+          return res.status(400).json({ error: 'estimate_unit must be points or hours' });
+        }
+
+        const id = await this.db.createProject(name, client, description, estimate_unit);
+        res.status(201).json({
+          success: true,
+          id,
+          message: `Project "${name}" created successfully`
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/projects/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const updates = {};
+        const allowedFields = ['name', 'client', 'description', 'estimate_unit'];
+
+        for (const field of allowedFields) {
+          if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+          }
+        }
+
+        if (Object.keys(updates).length === 0) {
+          return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        const success = await this.db.updateProject(id, updates);
+        if (success) {
+          res.json({
+            success: true,
+            message: 'Project updated successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'Project not found' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/projects/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        // Get project info before deletion
+        const project = await this.db.getProject(id);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const success = await this.db.deleteProject(id);
+        if (success) {
+          res.json({
+            success: true,
+            message: `Project "${project.name}" deleted successfully`
+          });
+        } else {
+          res.status(404).json({ error: 'Project not found' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Workflows
+    this.app.get('/api/projects/:id/workflow', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const project = await this.db.getProject(id);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const workflow = await this.db.getWorkflow(id);
+        res.json(workflow);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/projects/:id/workflow', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+        const { statuses, transitions, requirements } = req.body;
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const project = await this.db.getProject(id);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const workflow = await this.db.setWorkflow(id, { statuses, transitions, requirements });
+        res.json(workflow);
+      } catch (error) {
+        if (error instanceof WorkflowError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Custom fields
+    this.app.get('/api/projects/:id/custom-fields', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const project = await this.db.getProject(id);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const fields = await this.db.getCustomFields(id);
+        res.json(fields);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/projects/:id/custom-fields', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const project = await this.db.getProject(id);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const fieldId = await this.db.createCustomField(id, req.body);
+        res.status(201).json({
+          success: true,
+          id: fieldId,
+          message: 'Custom field created successfully'
+        });
+      } catch (error) {
+        if (error instanceof CustomFieldError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/custom-fields/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid custom field ID' });
+        }
+
+        const updates = {};
+        for (const field of ['name', 'description', 'options']) {
+          if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+          }
+        }
+
+        if (Object.keys(updates).length === 0) {
+          return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        const success = await this.db.updateCustomField(id, updates);
+        if (success) {
+          res.json({
+            success: true,
+            message: 'Custom field updated successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'Custom field not found' });
+        }
+      } catch (error) {
+        if (error instanceof CustomFieldError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/custom-fields/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid custom field ID' });
+        }
+
+        const success = await this.db.deleteCustomField(id);
+        if (success) {
+          res.json({
+            success: true,
+            message: 'Custom field deleted successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'Custom field not found' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Tasks
+    this.app.get('/api/tasks', async (req, res) => {
+      try {
+        const filters = {};
+
+        // Parse query parameters
+        if (req.query.project_id) filters.project_id = parseInt(req.query.project_id);
+        if (req.query.status) filters.status = req.query.status;
+        if (req.query.priority) filters.priority = req.query.priority;
+        if (req.query.category) filters.category = req.query.category;
+        if (req.query.assignee) filters.assignee = req.query.assignee;
+        if (req.query.parent_id) filters.parent_id = parseInt(req.query.parent_id, 10);
+        if (req.query.milestone_id) filters.milestone_id = parseInt(req.query.milestone_id, 10);
+        if (req.query.due_from) filters.due_from = req.query.due_from;
+        if (req.query.due_to) filters.due_to = req.query.due_to;
+        if (req.query.overdue) filters.overdue = req.query.overdue;
+        if (req.query.due_within) filters.due_within = req.query.due_within;
+        if (req.query.search) filters.search = req.query.search;
+        if (req.query.q) filters.q = req.query.q;
+        // Custom fields as cf[<name>]=<value>
+        if (req.query.cf && typeof req.query.cf === 'object') filters.custom_fields = req.query.cf;
+
+        const { limit, cursor, sort, order, fields } = req.query;
+        const page = await this.db.listTasks(filters, { limit, cursor, sort, order, fields });
+        res.json(page);
+      } catch (error) {
+        if (error instanceof SearchError || error instanceof QueryError || error instanceof PaginationError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Full-text search across projects
+    this.app.get('/api/search', async (req, res) => {
+      try {
+        if (!req.query.q) {
+          return res.status(400).json({ error: 'q is required' });
+        }
+
+        const projectId = req.query.project_id ? parseInt(req.query.project_id, 10) : null;
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : 20;
+        const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+        if (isNaN(limit) || limit <= 0 || isNaN(offset) || offset < 0) {
+          return res.status(400).json({ error: 'Invalid pagination parameters' });
+        }
+
+        const page = await this.db.searchTasks(req.query.q, {
+          project_id: projectId,
+          status: req.query.status || null,
+          limit: Math.min(limit, 100),
+          offset
+        });
+        res.json(page);
+      } catch (error) {
+        if (error instanceof SearchError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Saved views
+    this.app.get('/api/views', async (req, res) => {
+      try {
+        const views = await this.db.getViews({ owner: req.query.owner || null });
+        res.json(views);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/views', async (req, res) => {
+      try {
+        if (!req.body.name) {
+          return res.status(400).json({ error: 'name is required' });
+        }
+
+        const viewId = await this.db.createView(req.body);
+        res.status(201).json({
+          success: true,
+          id: viewId,
+          message: 'View created successfully'
+        });
+      } catch (error) {
+        if (error instanceof ViewError || error instanceof QueryError || error instanceof PaginationError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // :view is the view ID or its name
+    this.app.get('/api/views/:view', async (req, res) => {
+      try {
+        const view = await this.db.getView(req.params.view);
+        if (!view) {
+          return res.status(404).json({ error: 'View not found' });
+        }
+        res.json(view);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/views/:view/tasks', async (req, res) => {
+      try {
+        const { user, limit, cursor, fields } = req.query;
+        const page = await this.db.runView(req.params.view, { user, limit, cursor, fields });
+        if (!page) {
+          return res.status(404).json({ error: 'View not found' });
+        }
+        res.json(page);
+      } catch (error) {
+        if (error instanceof ViewError || error instanceof QueryError || error instanceof PaginationError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/views/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid view ID' });
+        }
+
+        const updates = {};
+        for (const field of ['name', 'owner', 'description', 'filters', 'sort', 'order']) {
+          if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+          }
+        }
+
+        if (Object.keys(updates).length === 0) {
+          return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        const success = await this.db.updateView(id, updates);
+        if (success) {
+          res.json({
+            success: true,
+            message: 'View updated successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'View not found' });
+        }
+      } catch (error) {
+        if (error instanceof ViewError || error instanceof QueryError || error instanceof PaginationError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/views/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid view ID' });
+        }
+
+        const success = await this.db.deleteView(id);
+        if (success) {
+          res.json({
+            success: true,
+            message: 'View deleted successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'View not found' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/blocked', async (req, res) => {
+      try {
+        const projectId = req.query.project_id ? parseInt(req.query.project_id, 10) : null;
+        const tasks = await this.db.getBlockedTasks(projectId);
+        res.json(tasks);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/due', async (req, res) => {
+      try {
+        const projectId = req.query.project_id ? parseInt(req.query.project_id, 10) : null;
+        const days = req.query.days !== undefined ? Number(req.query.days) : config.dueDates.soonDays;
+        if (!Number.isInteger(days) || days < 0) {
+          return res.status(400).json({ error: 'days must be a non-negative integer' });
+        }
+        const due = await this.db.getDueTasks(projectId, days);
+        res.json(due);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/projects/:id/graph', async (req, res) => {
+      try {
+        const projectId = parseInt(req.params.id, 10);
+        const taskId = req.query.task_id ? parseInt(req.query.task_id, 10) : null;
+        const format = req.query.format || 'json';
+
+        const graph = await this.db.getDependencyGraph({ projectId, taskId, direction: req.query.direction || 'both' });
+        if (!graph) {
+          return res.status(404).json({ error: taskId ? 'Task not found' : 'Project not found' });
+        }
+
+        const rendered = renderGraph(graph, format);
+        if (format === 'mermaid') {
+          return res.type('text/plain').send(rendered);
+        }
+        if (format === 'dot') {
+          return res.type('text/vnd.graphviz').send(rendered);
+        }
+        res.json(rendered);
+      } catch (error) {
+        if (error instanceof GraphError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/projects/:id/critical-path', async (req, res) => {
+      try {
+        const projectId = parseInt(req.params.id, 10);
+        const options = {
+          milestoneId: req.query.milestone_id ? parseInt(req.query.milestone_id, 10) : null,
+          defaultEstimate: req.query.default_estimate !== undefined ? Number(req.query.default_estimate) : config.schedule.defaultEstimate,
+          startDate: req.query.start_date || null
+        };
+
+        const schedule = await this.db.getCriticalPath(projectId, options);
+        if (!schedule) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        res.json(schedule);
+      } catch (error) {
+        if (error instanceof ScheduleError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/actionable', async (req, res) => {
+      try {
+        const projectId = req.query.project_id ? parseInt(req.query.project_id, 10) : null;
+        const available = req.query.available ? parseFloat(req.query.available) : null;
+        if (available !== null && (isNaN(available) || !projectId)) {
+          return res.status(400).json({ error: 'available must be a number and requires project_id' });
+        }
+        const tasks = await this.db.getNextActionable(projectId, available);
+        res.json(tasks);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/tasks', async (req, res) => {
+      try {
+        const {
+          project_id,
+          title,
+          description = null,
+          priority = 'medium',
+          category,
+          assignee,
+          due_date,
+          tags = null,
+          depends_on = [],
+          parent_id = null,
+          milestone_id = null,
+          estimate = null,
+          custom_fields = null
+        } = req.body;
+
+        if (!project_id || !(title || description)) {
+          return res.status(400).json({ error: 'project_id and title are required' });
+        }
+
+        // Verify project exists
+        const project = await this.db.getProject(project_id);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (parent_id !== null) {
+          const parent = await this.db.getTaskById(parent_id);
+          if (!parent || parent.project_id !== project_id) {
+            return res.status(400).json({ error: 'Parent task must exist in the same project' });
+          }
+        }
+
+        if (milestone_id !== null) {
+          const milestone = await this.db.getMilestone(milestone_id);
+          if (!milestone || milestone.project_id !== project_id) {
+            return res.status(400).json({ error: 'Milestone must exist in the same project' });
+          }
+        }
+
+        // Nothing depends on a new task yet, so its dependencies cannot form a
+        // cycle; they only need to exist
+        for (const depId of depends_on) {
+          if (!(await this.db.getTaskById(depId))) {
+            return res.status(400).json({ error: `Dependency task ${depId} not found` });
+          }
+        }
+
+        const id = await this.db.transaction(async (tx) => {
+          const taskId = await tx.addTask(
+            project_id,
+            title || description,
+            description,
+            priority,
+            category,
+            assignee,
+            due_date,
+            tags,
+            [],
+            { parent_id, milestone_id, estimate, custom_fields }
+          );
+          for (const depId of depends_on) {
+            await tx.addDependency(taskId, depId);
+          }
+          return taskId;
+        });
+
+        res.status(201).json({
+          success: true,
+          id,
+          message: 'Task created successfully'
+        });
+      } catch (error) {
+        if (error instanceof CustomFieldError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/tasks/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const updates = {};
+        const allowedFields = ['status', 'priority', 'category', 'description', 'title', 'assignee', 'due_date', 'tags', 'parent_id', 'milestone_id', 'remaining_minutes', 'estimate', 'custom_fields'];
+
+        for (const field of allowedFields) {
+          if (req.body[field] !== undefined) {
+            updates[field] = req.body[field];
+          }
+        }
+
+        // Notes are added to the comment thread, as update_task does over MCP
+        const { notes, author = null } = req.body;
+        if (Object.keys(updates).length === 0 && (notes === undefined || notes === '')) {
+          return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        if (updates.parent_id !== undefined && updates.parent_id !== null) {
+          const current = await this.db.getTaskById(id);
+          if (!current) {
+            return res.status(404).json({ error: 'Task not found' });
+          }
+          const parent = await this.db.getTaskById(updates.parent_id);
+          if (!parent || parent.project_id !== current.project_id) {
+            return res.status(400).json({ error: 'Parent task must exist in the same project' });
+          }
+          if (updates.parent_id === id || await this.db.isDescendant(id, updates.parent_id)) {
+            return res.status(400).json({ error: 'Setting this parent would create a cycle' });
+          }
+        }
+
+        if (updates.milestone_id !== undefined && updates.milestone_id !== null) {
+          const current = await this.db.getTaskById(id);
+          if (!current) {
+            return res.status(404).json({ error: 'Task not found' });
+          }
+          const milestone = await this.db.getMilestone(updates.milestone_id);
+          if (!milestone || milestone.project_id !== current.project_id) {
+            return res.status(400).json({ error: 'Milestone must exist in the same project' });
+          }
+        }
+
+        const success = await this.db.transaction(async (tx) => {
+          if (Object.keys(updates).length > 0) {
+            if (!(await tx.updateTask(id, updates, { notes }))) return false;
+          } else if (!(await tx.getTaskById(id))) {
+            return false;
+          }
+          if (notes !== undefined && notes !== '') {
+            await tx.addComment(id, notes, author);
+          }
+          return true;
+        });
+        if (success) {
+          res.json({
+            success: true,
+            message: 'Task updated successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'Task not found' });
+        }
+      } catch (error) {
+        // Guard failures keep their own code as `reason`, as over MCP
+        if (error instanceof TransitionError || error instanceof CustomFieldError || error instanceof ValidationError) {
+          return res.status(errorStatus(error)).json(errorPayload(error));
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/detail', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const task = await this.db.getTaskById(id);
+        if (!task) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(task);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/history', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const history = await this.db.getTaskHistory(id, 50);
+        res.json(history);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/comments', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+        const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+        if (isNaN(limit) || limit <= 0 || isNaN(offset) || offset < 0) {
+          return res.status(400).json({ error: 'Invalid pagination parameters' });
+        }
+
+        const page = await this.db.getComments(id, { limit, offset });
+        res.json(page);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/tasks/:id/comments', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const { body, author = null, reply_to = null } = req.body;
+        if (!body) {
+          return res.status(400).json({ error: 'body is required' });
+        }
+
+        const task = await this.db.getTaskById(id);
+        if (!task) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (reply_to !== null) {
+          const parent = await this.db.getComment(reply_to);
+          if (!parent || parent.task_id !== id) {
+            return res.status(400).json({ error: 'reply_to must reference a comment of the same task' });
+          }
+        }
+
+        const commentId = await this.db.addComment(id, body, author, reply_to);
+        res.status(201).json({
+          success: true,
+          id: commentId,
+          message: 'Comment added successfully'
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/tasks/:id/comments/:commentId', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        const commentId = parseInt(req.params.commentId, 10);
+
+        if (isNaN(id) || isNaN(commentId)) {
+          return res.status(400).json({ error: 'Invalid task or comment ID' });
+        }
+
+        if (!req.body.body) {
+          return res.status(400).json({ error: 'body is required' });
+        }
+
+        const comment = await this.db.getComment(commentId);
+        if (!comment || comment.task_id !== id) {
+          return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        await this.db.updateComment(commentId, req.body.body);
+        res.json({ success: true, message: 'Comment updated successfully' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/tasks/:id/comments/:commentId', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        const commentId = parseInt(req.params.commentId, 10);
+
+        if (isNaN(id) || isNaN(commentId)) {
+          return res.status(400).json({ error: 'Invalid task or comment ID' });
+        }
+
+        const comment = await this.db.getComment(commentId);
+        if (!comment || comment.task_id !== id) {
+          return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        await this.db.deleteComment(commentId);
+        res.json({ success: true, message: 'Comment deleted successfully' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/worklogs', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const workLogs = await this.db.getWorkLogs(id);
+        res.json(workLogs);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/tasks/:id/worklogs', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const { minutes, person = null, work_date = null, note = null, remaining_minutes } = req.body;
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+          return res.status(400).json({ error: 'minutes must be a positive integer' });
+        }
+
+        const task = await this.db.getTaskById(id);
+        if (!task) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const logId = await this.db.transaction(async (tx) => {
+          const workLogId = await tx.logWork(id, minutes, person, work_date, note);
+          if (remaining_minutes !== undefined) {
+            await tx.updateTask(id, { remaining_minutes });
+          }
+          return workLogId;
+        });
+
+        res.status(201).json({
+          success: true,
+          id: logId,
+          message: 'Work logged successfully'
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/tasks/:id/timer/start', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const { person = null, note = null } = req.body;
+        const task = await this.db.getTaskById(id);
+        if (!task) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (await this.db.getRunningTimer(id, person)) {
+          return res.status(409).json({ error: 'A timer is already running for this person' });
+        }
+
+        const logId = await this.db.startTimer(id, person, note);
+        res.status(201).json({ success: true, id: logId, message: 'Timer started' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/tasks/:id/timer/stop', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const { person = null, note = null } = req.body;
+        const log = await this.db.stopTimer(id, person, note);
+        if (!log) {
+          return res.status(404).json({ error: 'No running timer for this person' });
+        }
+
+        res.json({ success: true, work_log: log, message: 'Timer stopped' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/worklogs/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid work log ID' });
+        }
+
+        const success = await this.db.deleteWorkLog(id);
+        if (success) {
+          res.json({ success: true, message: 'Work log deleted successfully' });
+        } else {
+          res.status(404).json({ error: 'Work log not found' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/children', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const task = await this.db.getTaskById(id);
+        if (!task) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(task.children);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/tasks/:id/children', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const {
+          title,
+          description = null,
+          priority = 'medium',
+          category,
+          assignee,
+          due_date,
+          tags = null,
+          estimate = null,
+          custom_fields = null
+        } = req.body;
+
+        if (!(title || description)) {
+          return res.status(400).json({ error: 'title is required' });
+        }
+
+        const parent = await this.db.getTaskById(id);
+        if (!parent) {
+          return res.status(404).json({ error: 'Parent task not found' });
+        }
+
+        const childId = await this.db.addTask(
+          parent.project_id,
+          title || description,
+          description,
+          priority,
+          category,
+          assignee,
+          due_date,
+          tags,
+          [],
+          { parent_id: id, milestone_id: parent.milestone_id, estimate, custom_fields }
+        );
+
+        res.status(201).json({
+          success: true,
+          id: childId,
+          parent_id: id,
+          message: 'Subtask created successfully'
+        });
+      } catch (error) {
+        if (error instanceof CustomFieldError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/tree', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const tree = await this.db.getTaskTree(id);
+        if (!tree) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(tree);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/recurrence', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const task = await this.db.getTaskById(id);
+        if (!task) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (!task.recurrence) {
+          return res.status(404).json({ error: 'Task has no recurrence' });
+        }
+
+        res.json(task.recurrence);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/tasks/:id/recurrence', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const recurrence = await this.db.setRecurrence(id, req.body);
+        if (!recurrence) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(recurrence);
+      } catch (error) {
+        if (error instanceof RecurrenceError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/tasks/:id/recurrence', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const removed = await this.db.removeRecurrence(id);
+        if (removed) {
+          res.json({
+            success: true,
+            message: 'Recurrence removed successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'Task has no recurrence' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/dependencies', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const dependencies = await this.db.getTaskDependencies(id);
+        res.json(dependencies);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/upstream', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+        if (!(await this.db.getTaskById(id))) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const tasks = await this.db.getTransitiveTasks(id, 'upstream', { incompleteOnly: req.query.incomplete === 'true' });
+        res.json(tasks);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/downstream', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+        if (!(await this.db.getTaskById(id))) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const tasks = await this.db.getTransitiveTasks(id, 'downstream', { incompleteOnly: req.query.incomplete === 'true' });
+        res.json(tasks);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tasks/:id/impact', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const impact = await this.db.getDelayImpact(id);
+        if (!impact) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+        res.json(impact);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/tasks/:id/dependencies', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        const depId = parseInt(req.body.depends_on_task_id, 10);
+
+        if (isNaN(id) || isNaN(depId)) {
+          return res.status(400).json({ error: 'Invalid task IDs' });
+        }
+
+        if (id === depId) {
+          return res.status(400).json({ error: 'A task cannot depend on itself' });
+        }
+
+        if (await this.db.dependencyExists(id, depId)) {
+          return res.status(200).json({ success: true, message: 'Dependency already exists' });
+        }
+
+        if (await this.db.checkForCycle(id, depId)) {
+          return res.status(400).json({ error: 'Adding this dependency would create a cycle' });
+        }
+
+        await this.db.addDependency(id, depId);
+        res.status(201).json({ success: true, message: 'Dependency added' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/tasks/:id/dependencies/:depId', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
+        const depId = parseInt(req.params.depId, 10);
+
+        if (isNaN(id) || isNaN(depId)) {
+          return res.status(400).json({ error: 'Invalid task IDs' });
+        }
+
+        const removed = await this.db.removeDependency(id, depId);
+        if (!removed) {
+          return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        res.json({ success: true, message: 'Dependency removed' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/tasks/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id);
+
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const success = await this.db.deleteTask(id);
+        if (success) {
+          res.json({
+            success: true,
+            message: 'Task deleted successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'Task not found' });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/projects/:id/estimation-report', async (req, res) => {
+      try {
+        const projectId = parseInt(req.params.id, 10);
+        if (isNaN(projectId)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const report = await this.db.getEstimationReport(projectId);
+        if (!report) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        res.json(report);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Milestones
+    this.app.get('/api/projects/:id/milestones', async (req, res) => {
+      try {
+        const projectId = parseInt(req.params.id, 10);
+        if (isNaN(projectId)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const milestones = await this.db.getMilestones(projectId, req.query.state || null);
+        res.json(milestones);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/projects/:id/milestones', async (req, res) => {
+      try {
+        const projectId = parseInt(req.params.id, 10);
+        if (isNaN(projectId)) {
+          return res.status(400).json({ error: 'Invalid project ID' });
+        }
+
+        const { name, target_date = null, description = null } = req.body;
+        if (!name) {
+          return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const project = await this.db.getProject(projectId);
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const id = await this.db.createMilestone(projectId, name, target_date, description);
         res.status(201).json({
           success: true,
           id,
-          message: `Project "${name}" created successfully`
+          message: `Milestone "${name}" created successfully`
         });
       } catch (error) {
+        if (error instanceof ValidationError) {
+          return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.put('/api/projects/:id', async (req, res) => {
+    this.app.put('/api/milestones/:id', async (req, res) => {
       try {
-        const id = parseInt(req.params.id);
-
+        const id = parseInt(req.params.id, 10);
         if (isNaN(id)) {
-          return res.status(400).json({ error: 'Invalid project ID' });
+          return res.status(400).json({ error: 'Invalid milestone ID' });
         }
 
         const updates = {};
-        const allowedFields = ['name', 'client', 'description'];
+        const allowedFields = ['name', 'target_date', 'description', 'state'];
 
         for (const field of allowedFields) {
           if (req.body[field] !== undefined) {
@@ -124,154 +1378,132 @@ class WebServer {
           return res.status(400).json({ error: 'No valid fields to update' });
         }
 
-        const success = await this.db.updateProject(id, updates);
+        const success = await this.db.updateMilestone(id, updates);
         if (success) {
           res.json({
             success: true,
-            message: 'Project updated successfully'
+            message: 'Milestone updated successfully'
           });
         } else {
-          res.status(404).json({ error: 'Project not found' });
+          res.status(404).json({ error: 'Milestone not found' });
         }
       } catch (error) {
+        if (error instanceof ValidationError) {
+          return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.delete('/api/projects/:id', async (req, res) => {
+    this.app.delete('/api/milestones/:id', async (req, res) => {
       try {
-        const id = parseInt(req.params.id);
-
+        const id = parseInt(req.params.id, 10);
         if (isNaN(id)) {
-          return res.status(400).json({ error: 'Invalid project ID' });
-        }
-
-        // Get project info before deletion
-        const project = await this.db.getProject(id);
-        if (!project) {
-          return res.status(404).json({ error: 'Project not found' });
+          return res.status(400).json({ error: 'Invalid milestone ID' });
         }
 
-        const success = await this.db.deleteProject(id);
+        const success = await this.db.deleteMilestone(id);
         if (success) {
           res.json({
             success: true,
-            message: `Project "${project.name}" deleted successfully`
+            message: 'Milestone deleted successfully'
           });
         } else {
-          res.status(404).json({ error: 'Project not found' });
+          res.status(404).json({ error: 'Milestone not found' });
         }
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Tasks
-    this.app.get('/api/tasks', async (req, res) => {
+    this.app.get('/api/milestones/:id/summary', async (req, res) => {
       try {
-        const filters = {};
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid milestone ID' });
+        }
 
-        // Parse query parameters
-        if (req.query.project_id) filters.project_id = parseInt(req.query.project_id);
-        if (req.query.status) filters.status = req.query.status;
-        if (req.query.priority) filters.priority = req.query.priority;
-        if (req.query.category) filters.category = req.query.category;
-        if (req.query.assignee) filters.assignee = req.query.assignee;
-        if (req.query.search) filters.search = req.query.search;
+        const report = await this.db.getMilestoneSummary(id);
+        if (!report) {
+          return res.status(404).json({ error: 'Milestone not found' });
+        }
 
-        const tasks = await this.db.getTasks(filters);
-        res.json(tasks);
+        res.json(report);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.get('/api/tasks/blocked', async (req, res) => {
+    // Sprints
+    this.app.get('/api/sprints', async (req, res) => {
       try {
         const projectId = req.query.project_id ? parseInt(req.query.project_id, 10) : null;
-        const tasks = await this.db.getBlockedTasks(projectId);
-        res.json(tasks);
+        const sprints = await this.db.getSprints(projectId, req.query.state || null);
+        res.json(sprints);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.get('/api/tasks/actionable', async (req, res) => {
+    this.app.post('/api/sprints', async (req, res) => {
       try {
-        const projectId = req.query.project_id ? parseInt(req.query.project_id, 10) : null;
-        const tasks = await this.db.getNextActionable(projectId);
-        res.json(tasks);
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
-    });
+        const { project_id, name, start_date, end_date, goal = null, capacity = null } = req.body;
 
-    this.app.post('/api/tasks', async (req, res) => {
-      try {
-        const {
-          project_id,
-          title,
-          description = null,
-          priority = 'medium',
-          category,
-          assignee,
-          due_date,
-          tags = null,
-          depends_on = []
-        } = req.body;
+        if (!project_id || !name || !start_date || !end_date) {
+          return res.status(400).json({ error: 'project_id, name, start_date and end_date are required' });
+        }
 
-        if (!project_id || !(title || description)) {
-          return res.status(400).json({ error: 'project_id and title are required' });
+        if (end_date < start_date) {
+          return res.status(400).json({ error: 'end_date must not be before start_date' });
         }
 
-        // Verify project exists
         const project = await this.db.getProject(project_id);
         if (!project) {
           return res.status(404).json({ error: 'Project not found' });
         }
 
-        const id = await this.db.addTask(
-          project_id,
-          title || description,
-          description,
-          priority,
-          category,
-          assignee,
-          due_date,
-          tags,
-          []
-        );
-
-        for (const depId of depends_on) {
-          if (id === depId) {
-            return res.status(400).json({ error: 'A task cannot depend on itself' });
-          }
-          if (await this.db.checkForCycle(id, depId)) {
-            return res.status(400).json({ error: 'Adding this dependency would create a cycle' });
-          }
-          await this.db.addDependency(id, depId);
-        }
-
+        const id = await this.db.createSprint(project_id, name, start_date, end_date, goal, capacity);
         res.status(201).json({
           success: true,
           id,
-          message: 'Task created successfully'
+          message: `Sprint "${name}" created successfully`
         });
       } catch (error) {
+        if (error instanceof ValidationError) {
+          return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.put('/api/tasks/:id', async (req, res) => {
+    this.app.get('/api/sprints/:id', async (req, res) => {
       try {
-        const id = parseInt(req.params.id);
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid sprint ID' });
+        }
+
+        const sprint = await this.db.getSprint(id);
+        if (!sprint) {
+          return res.status(404).json({ error: 'Sprint not found' });
+        }
+
+        sprint.tasks = await this.db.getSprintTasks(id);
+        res.json(sprint);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
 
+    this.app.put('/api/sprints/:id', async (req, res) => {
+      try {
+        const id = parseInt(req.params.id, 10);
         if (isNaN(id)) {
-          return res.status(400).json({ error: 'Invalid task ID' });
+          return res.status(400).json({ error: 'Invalid sprint ID' });
         }
 
         const updates = {};
-        const allowedFields = ['status', 'notes', 'priority', 'category', 'description', 'title', 'assignee', 'due_date', 'tags'];
+        const allowedFields = ['name', 'goal', 'start_date', 'end_date', 'capacity'];
 
         for (const field of allowedFields) {
           if (req.body[field] !== undefined) {
@@ -283,131 +1515,302 @@ class WebServer {
           return res.status(400).json({ error: 'No valid fields to update' });
         }
 
-        const success = await this.db.updateTask(id, updates);
+        const success = await this.db.updateSprint(id, updates);
         if (success) {
           res.json({
             success: true,
-            message: 'Task updated successfully'
+            message: 'Sprint updated successfully'
           });
         } else {
-          res.status(404).json({ error: 'Task not found' });
+          res.status(404).json({ error: 'Sprint not found' });
         }
       } catch (error) {
+        if (error instanceof ValidationError) {
+          return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.get('/api/tasks/:id/detail', async (req, res) => {
+    this.app.delete('/api/sprints/:id', async (req, res) => {
       try {
         const id = parseInt(req.params.id, 10);
         if (isNaN(id)) {
-          return res.status(400).json({ error: 'Invalid task ID' });
+          return res.status(400).json({ error: 'Invalid sprint ID' });
         }
 
-        const task = await this.db.getTaskById(id);
-        if (!task) {
-          return res.status(404).json({ error: 'Task not found' });
+        const success = await this.db.deleteSprint(id);
+        if (success) {
+          res.json({
+            success: true,
+            message: 'Sprint deleted successfully'
+          });
+        } else {
+          res.status(404).json({ error: 'Sprint not found' });
         }
-
-        res.json(task);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.get('/api/tasks/:id/history', async (req, res) => {
+    this.app.post('/api/sprints/:id/start', async (req, res) => {
       try {
         const id = parseInt(req.params.id, 10);
         if (isNaN(id)) {
-          return res.status(400).json({ error: 'Invalid task ID' });
+          return res.status(400).json({ error: 'Invalid sprint ID' });
         }
 
-        const history = await this.db.getTaskHistory(id, 50);
-        res.json(history);
+        const sprint = await this.db.getSprint(id);
+        if (!sprint) {
+          return res.status(404).json({ error: 'Sprint not found' });
+        }
+        if (sprint.state !== 'planned') {
+          return res.status(409).json({ error: `Sprint is already ${sprint.state}` });
+        }
+
+        await this.db.startSprint(id);
+        res.json({ success: true, message: 'Sprint started' });
       } catch (error) {
+        if (error instanceof ConflictError) {
+          return res.status(409).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.get('/api/tasks/:id/dependencies', async (req, res) => {
+    this.app.post('/api/sprints/:id/close', async (req, res) => {
       try {
         const id = parseInt(req.params.id, 10);
         if (isNaN(id)) {
-          return res.status(400).json({ error: 'Invalid task ID' });
+          return res.status(400).json({ error: 'Invalid sprint ID' });
         }
 
-        const dependencies = await this.db.getTaskDependencies(id);
-        res.json(dependencies);
+        const sprint = await this.db.getSprint(id);
+        if (!sprint) {
+          return res.status(404).json({ error: 'Sprint not found' });
+        }
+        if (sprint.state === 'closed') {
+          return res.status(409).json({ error: 'Sprint is already closed' });
+        }
+
+        const carryOverTo = req.body.carry_over_to ? parseInt(req.body.carry_over_to, 10) : null;
+        if (carryOverTo !== null) {
+          const target = await this.db.getSprint(carryOverTo);
+          if (!target || carryOverTo === id || target.project_id !== sprint.project_id || target.state === 'closed') {
+            return res.status(400).json({ error: 'Carry-over sprint must be another open sprint of the same project' });
+          }
+        }
+
+        const outcome = await this.db.closeSprint(id, carryOverTo);
+        res.json({ success: true, ...outcome, message: 'Sprint closed' });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/tasks/:id/dependencies', async (req, res) => {
+    this.app.post('/api/sprints/:id/tasks', async (req, res) => {
       try {
         const id = parseInt(req.params.id, 10);
-        const depId = parseInt(req.body.depends_on_task_id, 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ error: 'Invalid sprint ID' });
+        }
 
-        if (isNaN(id) || isNaN(depId)) {
-          return res.status(400).json({ error: 'Invalid task IDs' });
+        const taskIds = Array.isArray(req.body.task_ids) ? req.body.task_ids : [req.body.task_id];
+        if (taskIds.length === 0 || taskIds.some((taskId) => !Number.isInteger(taskId))) {
+          return res.status(400).json({ error: 'task_ids must be an array of task IDs' });
         }
 
-        if (id === depId) {
-          return res.status(400).json({ error: 'A task cannot depend on itself' });
+        const sprint = await this.db.getSprint(id);
+        if (!sprint) {
+          return res.status(404).json({ error: 'Sprint not found' });
+        }
+        if (sprint.state === 'closed') {
+          return res.status(409).json({ error: 'Sprint is closed' });
         }
 
-        if (await this.db.dependencyExists(id, depId)) {
-          return res.status(200).json({ success: true, message: 'Dependency already exists' });
+        for (const taskId of taskIds) {
+          const task = await this.db.getTaskById(taskId);
+          if (!task || task.project_id !== sprint.project_id) {
+            return res.status(400).json({ error: `Task ${taskId} not found in the sprint project` });
+          }
         }
 
-        if (await this.db.checkForCycle(id, depId)) {
-          return res.status(400).json({ error: 'Adding this dependency would create a cycle' });
+        const committed = [];
+        for (const taskId of taskIds) {
+          if (await this.db.commitTaskToSprint(id, taskId)) {
+            committed.push(taskId);
+          }
         }
 
-        await this.db.addDependency(id, depId);
-        res.status(201).json({ success: true, message: 'Dependency added' });
+        res.status(201).json({ success: true, committed, message: 'Tasks committed to sprint' });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.delete('/api/tasks/:id/dependencies/:depId', async (req, res) => {
+    this.app.delete('/api/sprints/:id/tasks/:taskId', async (req, res) => {
       try {
         const id = parseInt(req.params.id, 10);
-        const depId = parseInt(req.params.depId, 10);
+        const taskId = parseInt(req.params.taskId, 10);
 
-        if (isNaN(id) || isNaN(depId)) {
-          return res.status(400).json({ error: 'Invalid task IDs' });
+        if (isNaN(id) || isNaN(taskId)) {
+          return res.status(400).json({ error: 'Invalid sprint or task ID' });
         }
 
-        const removed = await this.db.removeDependency(id, depId);
+        const removed = await this.db.removeTaskFromSprint(id, taskId);
         if (!removed) {
-          return res.status(404).json({ error: 'Dependency not found' });
+          return res.status(404).json({ error: 'Task is not in this sprint' });
         }
 
-        res.json({ success: true, message: 'Dependency removed' });
+        res.json({ success: true, message: 'Task removed from sprint' });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.delete('/api/tasks/:id', async (req, res) => {
+    this.app.get('/api/sprints/:id/report', async (req, res) => {
       try {
-        const id = parseInt(req.params.id);
-
+        const id = parseInt(req.params.id, 10);
         if (isNaN(id)) {
-          return res.status(400).json({ error: 'Invalid task ID' });
+          return res.status(400).json({ error: 'Invalid sprint ID' });
         }
 
-        const success = await this.db.deleteTask(id);
-        if (success) {
-          res.json({
-            success: true,
-            message: 'Task deleted successfully'
-          });
-        } else {
-          res.status(404).json({ error: 'Task not found' });
+        const report = await this.db.getSprintReport(id);
+        if (!report) {
+          return res.status(404).json({ error: 'Sprint not found' });
+        }
+
+        res.json(report);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Reports
+    this.app.get('/api/reports/time', async (req, res) => {
+      try {
+        const groupBy = req.query.group_by || 'project';
+        if (!['project', 'client', 'person', 'task', 'date'].includes(groupBy)) {
+          return res.status(400).json({ error: `Invalid group_by: ${groupBy}` });
+        }
+
+        const filters = {};
+        if (req.query.project_id) filters.project_id = parseInt(req.query.project_id, 10);
+        if (req.query.client) filters.client = req.query.client;
+        if (req.query.person) filters.person = req.query.person;
+        if (req.query.from) filters.from = req.query.from;
+        if (req.query.to) filters.to = req.query.to;
+
+        const report = await this.db.getTimeReport(filters, groupBy);
+        res.json(report);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Flow analytics
+    this.app.get('/api/analytics/flow', async (req, res) => {
+      try {
+        const filters = {};
+        if (req.query.project_id) filters.project_id = parseInt(req.query.project_id, 10);
+        if (req.query.assignee) filters.assignee = req.query.assignee;
+        if (req.query.from) filters.from = req.query.from;
+        if (req.query.to) filters.to = req.query.to;
+
+        const metrics = await this.db.getFlowMetrics(filters, { includeTasks: req.query.include_tasks === 'true' });
+        res.json(metrics);
+      } catch (error) {
+        if (error instanceof AnalyticsError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/analytics/throughput', async (req, res) => {
+      try {
+        const filters = {};
+        if (req.query.project_id) filters.project_id = parseInt(req.query.project_id, 10);
+        if (req.query.assignee) filters.assignee = req.query.assignee;
+        if (req.query.from) filters.from = req.query.from;
+        if (req.query.to) filters.to = req.query.to;
+
+        const throughput = await this.db.getThroughput(filters);
+        res.json(throughput);
+      } catch (error) {
+        if (error instanceof AnalyticsError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Daily chart series; format=csv returns the same data as CSV
+    this.app.get('/api/analytics/burndown', async (req, res) => {
+      try {
+        const projectId = parseInt(req.query.project_id, 10);
+        if (!projectId) {
+          return res.status(400).json({ error: 'project_id is required' });
         }
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+          return res.status(400).json({ error: 'format must be json or csv' });
+        }
+
+        const burndown = await this.db.getBurndown(projectId, { from: req.query.from, to: req.query.to });
+        if (!burndown) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (format === 'csv') {
+          res.attachment(`burndown-${projectId}-${burndown.from}-${burndown.to}.csv`);
+          return res.type('text/csv').send(burndownCsv(burndown));
+        }
+        res.json(burndown);
+      } catch (error) {
+        if (error instanceof AnalyticsError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/analytics/cumulative-flow', async (req, res) => {
+      try {
+        const projectId = parseInt(req.query.project_id, 10);
+        if (!projectId) {
+          return res.status(400).json({ error: 'project_id is required' });
+        }
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+          return res.status(400).json({ error: 'format must be json or csv' });
+        }
+
+        const flow = await this.db.getCumulativeFlow(projectId, { from: req.query.from, to: req.query.to });
+        if (!flow) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (format === 'csv') {
+          res.attachment(`cumulative-flow-${projectId}-${flow.from}-${flow.to}.csv`);
+          return res.type('text/csv').send(cumulativeFlowCsv(flow));
+        }
+        res.json(flow);
+      } catch (error) {
+        if (error instanceof AnalyticsError) {
+          return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/analytics/tasks/:id', async (req, res) => {
+      try {
+        const flow = await this.db.getTaskFlow(parseInt(req.params.id, 10));
+        if (!flow) {
+          return res.status(404).json({ error: 'Task not found' });
+        }
+        res.json(flow);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -439,6 +1842,12 @@ class WebServer {
       }
     });
 
+    // MCP clients over streamable HTTP, sharing this server's database
+    // (opt-in with MCP_HTTP_ENABLED=true)
+    if (config.mcpHttp.enabled) {
+      this.app.use(config.mcpHttp.path, this.mcp.router());
+    }
+
     // Serve the main app for any non-API routes
     this.app.get('*', (req, res) => {
       res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -449,10 +1858,14 @@ class WebServer {
     this.server = this.app.listen(this.port, () => {
       console.log(`Web server running at http://localhost:${this.port}`);
       console.log(`API endpoints available at http://localhost:${this.port}/api/`);
+      if (config.mcpHttp.enabled) {
+        console.log(`MCP endpoint available at http://localhost:${this.port}${config.mcpHttp.path}`);
+      }
     });
   }
 
   async stop() {
+    await this.mcp.close();
     if (this.server) {
       await new Promise((resolve) => {
         this.server.close(resolve);
@@ -0,0 +1,146 @@
+// Per-project workflow definitions.
+//
+// A workflow is an ordered list of statuses plus optional allowed transitions.
+// Each status carries three flags:
+//   - progress: counts towards the progress percentage of summaries
+//   - done: satisfies the dependencies of tasks waiting on it
+//   - final: completes the task (completed_at, completion percentage)
+// `final` implies `done`, and `done` implies `progress`. New tasks start in the
+// first status. `transitions` maps a status to the statuses it may move to
+// (statuses left out of the map cannot be left); null means any transition
+// is allowed. `requirements` maps a status to the task fields that must be
+// filled before a task can enter it (see transition-guards.js).
+
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: 'pending', progress: false, done: false, final: false },
+    { name: 'in-progress', progress: false, done: false, final: false },
+    { name: 'developed', progress: true, done: false, final: false },
+    { name: 'tested', progress: true, done: true, final: false },
+    { name: 'deployed', progress: true, done: true, final: true },
+    { name: 'blocked', progress: false, done: false, final: false }
+  ],
+  transitions: null,
+  requirements: {}
+};
+
+// Task fields a workflow can require before entering a status. `notes` is
+// satisfied by a note sent along with the status change.
+export const REQUIRABLE_FIELDS = ['assignee', 'due_date', 'category', 'description', 'estimate', 'remaining_minutes', 'milestone_id', 'tags', 'notes'];
+
+export class WorkflowError extends Error {
+  constructor(message, code = 'VALIDATION') {
+    super(message);
+    this.name = 'WorkflowError';
+    this.code = code;
+  }
+}
+
+// Validates a workflow definition and fills in implied flags. Statuses may be
+// given as plain names or as { name, progress, done, final } objects.
+export function normalizeWorkflow(definition) {
+  if (!definition || !Array.isArray(definition.statuses) || definition.statuses.length === 0) {
+    throw new WorkflowError('Workflow must define at least one status');
+  }
+
+  const statuses = definition.statuses.map((status) => {
+    const entry = typeof status === 'string' ? { name: status } : status;
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+      throw new WorkflowError('Every workflow status needs a name');
+    }
+
+    const final = !!entry.final;
+    const done = final || !!entry.done;
+    const progress = done || !!entry.progress;
+    return { name: entry.name.trim(), progress, done, final };
+  });
+
+  const names = statuses.map((status) => status.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new WorkflowError(`Duplicate workflow status: ${duplicate}`);
+  }
+
+  if (!statuses.some((status) => status.final)) {
+    throw new WorkflowError('Workflow must have at least one final status');
+  }
+
+  let transitions = null;
+  if (definition.transitions !== undefined && definition.transitions !== null) {
+    if (typeof definition.transitions !== 'object' || Array.isArray(definition.transitions)) {
+      throw new WorkflowError('transitions must map each status to the statuses it can move to');
+    }
+
+    transitions = {};
+    for (const [from, targets] of Object.entries(definition.transitions)) {
+      if (!names.includes(from)) {
+        throw new WorkflowError(`Unknown status in transitions: ${from}`);
+      }
+      if (!Array.isArray(targets)) {
+        throw new WorkflowError(`Transitions from ${from} must be an array`);
+      }
+      for (const to of targets) {
+        if (!names.includes(to)) {
+          throw new WorkflowError(`Unknown status in transitions: ${to}`);
+        }
+      }
+      transitions[from] = [...new Set(targets)];
+    }
+
+    // An empty map leaves transitions unrestricted, like null
+    if (Object.keys(transitions).length === 0) transitions = null;
+  }
+
+  const requirements = {};
+  if (definition.requirements !== undefined && definition.requirements !== null) {
+    if (typeof definition.requirements !== 'object' || Array.isArray(definition.requirements)) {
+      throw new WorkflowError('requirements must map each status to the fields it requires');
+    }
+
+    for (const [status, fields] of Object.entries(definition.requirements)) {
+      if (!names.includes(status)) {
+        throw new WorkflowError(`Unknown status in requirements: ${status}`);
+      }
+      if (!Array.isArray(fields)) {
+        throw new WorkflowError(`Requirements of ${status} must be an array`);
+      }
+      for (const field of fields) {
+        if (!REQUIRABLE_FIELDS.includes(field)) {
+          throw new WorkflowError(`Field cannot be required: ${field} (allowed: ${REQUIRABLE_FIELDS.join(', ')})`);
+        }
+      }
+      if (fields.length > 0) requirements[status] = [...new Set(fields)];
+    }
+  }
+
+  return { statuses, transitions, requirements };
+}
+
+export function findStatus(workflow, name) {
+  return workflow.statuses.find((status) => status.name === name) || null;
+}
+
+export function isFinalStatus(workflow, name) {
+  return !!findStatus(workflow, name)?.final;
+}
+
+// Statuses that mean work on a task has started: the progress statuses and
+// the ones listed between the initial status and the first progress status
+// (`in-progress` in the default workflow).
+export function startedStatuses(workflow) {
+  const firstProgress = workflow.statuses.findIndex((status) => status.progress);
+  return workflow.statuses
+    .filter((status, index) => status.progress || (index > 0 && index < firstProgress))
+    .map((status) => status.name);
+}
+
+// Summary key for a status name, e.g. 'in-progress' -> 'in_progress'
+export function statusKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// SQL predicate: the status of the task aliased `alias` has `flag`
+// (is_progress, is_done or is_final) set in its project's workflow.
+export function statusHas(alias, flag) {
+  return `EXISTS (SELECT 1 FROM workflow_statuses ws WHERE ws.project_id = ${alias}.project_id AND ws.name = ${alias}.status AND ws.${flag} = 1)`;
+}